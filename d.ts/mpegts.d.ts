@@ -19,10 +19,81 @@
 // mpegts.js TypeScript definition file
 
 declare namespace Mpegts {
+    interface KeyframesIndex {
+        /**
+         * @desc Keyframe times in milliseconds, relative to the beginning of the segment, sorted ascending
+         */
+        times: number[];
+        /**
+         * @desc Byte offsets of the FLV tags / TS packets where the keyframes start
+         */
+        filepositions: number[];
+    }
+
+    interface EncryptionInfo {
+        /**
+         * @desc 'AES-128' for segments entirely encrypted by AES-128-CBC with PKCS7 padding,
+         *       'SAMPLE-AES' for H.264 / AAC / AC-3 / E-AC-3 elementary streams partially encrypted in MPEG-TS,
+         *       or 'NONE'
+         */
+        method: 'AES-128' | 'SAMPLE-AES' | 'NONE';
+        /**
+         * @desc 16 bytes key, as ArrayBuffer, TypedArray or hex string. Requested from Config.keyProvider if absent
+         */
+        key?: ArrayBuffer | ArrayBufferView | string;
+        /**
+         * @desc 16 bytes IV, as ArrayBuffer, TypedArray or hex string.
+         *       Defaults to the index of the segment as a 128-bit big-endian integer, like the media sequence number of HLS
+         */
+        iv?: ArrayBuffer | ArrayBufferView | string;
+        /**
+         * @desc URI of the key (e.g. from #EXT-X-KEY), passed to Config.keyProvider
+         */
+        keyUri?: string;
+        /**
+         * @desc 16 bytes key ID, as ArrayBuffer, TypedArray or hex string.
+         *       Required for SAMPLE-AES with Config.emeKeySystems, where the key is not needed
+         */
+        keyId?: ArrayBuffer | ArrayBufferView | string;
+    }
+
+    interface EMEKeySystemConfig {
+        /**
+         * @desc URL of the license server, license requests of the CDM are POSTed to it
+         */
+        licenseUrl?: string;
+        licenseHeaders?: { [name: string]: string };
+        serverCertificate?: ArrayBuffer | ArrayBufferView;
+        /**
+         * @desc pssh box of the key system to be added to init segments, as ArrayBuffer, TypedArray or base64 string.
+         *       A pssh box of Common PSSH box format with the key ID is always added
+         */
+        pssh?: ArrayBuffer | ArrayBufferView | string;
+        /**
+         * @desc org.w3.clearkey only, key ID to key in hex strings. The license is generated locally instead of licenseUrl
+         */
+        clearKeys?: { [keyId: string]: string };
+    }
+
+    interface KeyRequest {
+        segmentIndex: number;
+        url: string;
+        method: 'AES-128' | 'SAMPLE-AES';
+        keyUri?: string;
+    }
+
     interface MediaSegment {
         duration: number;
         filesize?: number;
         url: string;
+        /**
+         * @desc Encryption of the segment, overrides MediaDataSource.encryption
+         */
+        encryption?: EncryptionInfo;
+        /**
+         * @desc Keyframes index of the segment, e.g. generated by the server or saved from KEYFRAMES_INDEX_UPDATED
+         */
+        keyframesIndex?: KeyframesIndex;
     }
 
     interface MediaDataSource {
@@ -39,6 +110,25 @@ declare namespace Mpegts {
         url?: string;
 
         segments?: MediaSegment[];
+        /**
+         * @desc Encryption of the source, or default one for all segments
+         */
+        encryption?: EncryptionInfo;
+        /**
+         * @desc Keyframes index to be preloaded for a single segment source, see MediaSegment.keyframesIndex
+         */
+        keyframesIndex?: KeyframesIndex;
+
+        /**
+         * @desc program_number of the service to be played in a multi-program transport stream (MPTS).
+         *       The first program listed in PAT will be used if absent or not found.
+         */
+        program?: number;
+        /**
+         * @desc ISO 639-2 language code of the DVB subtitle to be decoded.
+         *       The first subtitle listed in PMT will be used if absent or not found.
+         */
+        subtitleLanguage?: string;
     }
 
     interface Config {
@@ -226,6 +316,50 @@ declare namespace Mpegts {
          * @desc Should implement `BaseLoader` interface
          */
         customLoader?: CustomLoaderConstructor;
+        /**
+         * @desc Provides the key of encrypted segments whose `encryption.key` is absent.
+         *       Not available with enableWorkerForMSE as functions can't be passed to the worker,
+         *       with enableWorker transmuxing falls back to the main thread.
+         */
+        keyProvider?: (request: KeyRequest) => Promise<ArrayBuffer | ArrayBufferView | string>;
+        /**
+         * @desc Key systems (e.g. 'org.w3.clearkey', 'com.widevine.alpha') for Encrypted Media Extensions, tried in order.
+         *       If specified, SAMPLE-AES streams are kept encrypted as 'cbcs' in fMP4 and decrypted by the CDM
+         * @defaultvalue undefined
+         */
+        emeKeySystems?: { [keySystem: string]: EMEKeySystemConfig };
+        /**
+         * @desc Publish decoded ARIB STD-B24 captions / superimposes as `captions` TextTracks of the media element
+         * @defaultvalue true
+         */
+        enableARIBCaptionTextTrack?: boolean;
+        /**
+         * @desc Publish decoded Teletext subtitle pages as `subtitles` TextTracks of the media element
+         * @defaultvalue true
+         */
+        enableTeletextTextTrack?: boolean;
+        /**
+         * @desc Publish decoded CEA-608/708 closed captions as `captions` TextTracks of the media element
+         * @defaultvalue true
+         */
+        enableClosedCaptionTextTrack?: boolean;
+        /**
+         * @desc Measure ETSI TR 101 290 priority 1 / 2 indicators and per-PID bitrates of MPEG-TS,
+         *       and report them by TS_ANALYSIS_REPORT events
+         * @defaultvalue false
+         */
+        enableTSAnalyzer?: boolean;
+        /**
+         * @desc Interval in milliseconds (on the PCR clock) of TS_ANALYSIS_REPORT events
+         * @defaultvalue 1000
+         */
+        tsAnalysisReportInterval?: number;
+        /**
+         * @desc Guess implicitly signaled HE-AAC (SBR / PS) of MPEG-TS from fill elements of AAC frames,
+         *       which may misdetect AAC-LC as HE-AAC
+         * @defaultvalue false
+         */
+        enableAACImplicitSBRDetection?: boolean;
     }
 
     interface CustomSeekHandlerConstructor {
@@ -299,6 +433,7 @@ declare namespace Mpegts {
         msePlayback: boolean;
         mseLivePlayback: boolean;
         mseH265Playback: boolean;
+        mseXHEAACPlayback: boolean;
         networkStreamIO: boolean;
         networkLoaderName: string;
         nativeMP4H264Playback: boolean;
@@ -356,6 +491,10 @@ declare namespace Mpegts {
         loaderType: string;
         currentSegmentIndex: number;
         totalSegmentCount: number;
+        /**
+         * @desc Count of PSI / SI / SCTE-35 sections dropped due to CRC_32 mismatch, MPEG-TS only
+         */
+        crcErrorCount?: number;
     }
 
     interface MSEPlayerStatisticsInfo extends Partial<MSEPlayerReportStatisticsInfo> {
@@ -380,13 +519,534 @@ declare namespace Mpegts {
         hasVideo?: boolean;
         chromaFormat?: string;
         fps?: number;
+        /**
+         * @desc colorInfo object (colorConfig, hdrCll, hdrMdcv) from the Metadata video packet of Enhanced FLV
+         */
+        videoColorInfo?: { [k: string]: any };
+        programs?: ProgramListItem[];
+        currentProgram?: number;
+        videoTracks?: ElementaryStreamInfo[] | FLVTrackInfo[];
+        audioTracks?: ElementaryStreamInfo[] | FLVTrackInfo[];
+        currentVideoPid?: number;
+        currentAudioPid?: number;
+        currentVideoTrackId?: number;
+        currentAudioTrackId?: number;
+        subtitleTracks?: DVBSubtitleStreamInfo[];
+        currentSubtitleLanguage?: string;
 
         [k: string]: any;
     }
 
+    interface ProgramListItem {
+        program_number: number;
+        pmt_pid: number;
+    }
+
+    interface ProgramList {
+        transport_stream_id: number;
+        current_program: number;
+        programs: ProgramListItem[];
+    }
+
+    interface ElementaryStreamInfo {
+        pid: number;
+        stream_type: number;
+        codec: 'h264' | 'h265' | 'av1' | 'adts_aac' | 'loas_aac' | 'opus' | 'ac3' | 'eac3' | 'mp3';
+        /**
+         * @desc ISO 639-2 language code from ISO_639_language_descriptor, if present
+         */
+        language?: string;
+        /**
+         * @desc audio_type from ISO_639_language_descriptor (0: undefined, 1: clean effects,
+         *       2: hearing impaired, 3: visual impaired commentary)
+         */
+        audio_type?: number;
+    }
+
+    interface DVBSubtitleStreamInfo {
+        pid: number;
+        /**
+         * @desc ISO 639-2 language code from subtitling_descriptor
+         */
+        language: string;
+        /**
+         * @desc subtitling_type from subtitling_descriptor (e.g. 0x10 ~ 0x15 for normal, 0x20 ~ 0x25 for hard of hearing)
+         */
+        subtitling_type: number;
+        composition_page_id: number;
+        ancillary_page_id: number;
+    }
+
+    interface TrackList {
+        program_number: number;
+        video_pid?: number;
+        audio_pid?: number;
+        video_tracks: ElementaryStreamInfo[];
+        audio_tracks: ElementaryStreamInfo[];
+        subtitle_language?: string;
+        subtitle_tracks: DVBSubtitleStreamInfo[];
+    }
+
+    interface FLVTrackInfo {
+        /**
+         * @desc trackId of Enhanced FLV multitrack, 0 for legacy FLV tags
+         */
+        track_id: number;
+        /**
+         * @desc FourCC of Enhanced FLV (e.g. 'avc1', 'hvc1', 'Opus'), or 'avc1' / 'hvc1' / 'mp4a' / '.mp3' / 'ipcm' of legacy FLV tags
+         */
+        codec: string;
+    }
+
+    interface FLVTrackList {
+        video_track_id?: number;
+        audio_track_id?: number;
+        video_tracks: FLVTrackInfo[];
+        audio_tracks: FLVTrackInfo[];
+    }
+
+    /**
+     * @desc Payload of CUE_POINT_ARRIVED, TEXT_DATA_ARRIVED, CAPTION_DATA_ARRIVED and TIMECODE_INFO_ARRIVED,
+     *       for onCuePoint, onTextData, onCaption and onFI script data tags of FLV
+     */
+    interface FLVScriptDataEvent {
+        /**
+         * @desc Timestamp of the tag in the media element timeline, in milliseconds
+         */
+        pts: number;
+        /**
+         * @desc Decoded AMF0 / AMF3 value, AMF3 ByteArrays are Uint8Array
+         */
+        data: any;
+    }
+
+    interface SIDescriptor {
+        descriptor_tag: number;
+        data: Uint8Array;
+    }
+
+    interface SDTService {
+        service_id: number;
+        EIT_schedule_flag: boolean;
+        EIT_present_following_flag: boolean;
+        running_status: number;
+        free_CA_mode: boolean;
+        service_type?: number;
+        service_provider_name?: string;
+        service_name?: string;
+        descriptors: SIDescriptor[];
+    }
+
+    /**
+     * @desc A Service Description Table section (table_id 0x42 / 0x46)
+     */
+    interface SDT {
+        table_id: number;
+        transport_stream_id: number;
+        version_number: number;
+        section_number: number;
+        last_section_number: number;
+        original_network_id: number;
+        services: SDTService[];
+    }
+
+    interface EITEvent {
+        event_id: number;
+        /**
+         * @desc UTC start time in milliseconds since epoch (JST is converted for ISDB networks)
+         */
+        start_time?: number;
+        /**
+         * @desc Duration in seconds
+         */
+        duration?: number;
+        running_status: number;
+        free_CA_mode: boolean;
+        language?: string;
+        event_name?: string;
+        text?: string;
+        extended_items?: { description: string, item: string }[];
+        extended_text?: string;
+        content_genres?: {
+            content_nibble_level_1: number,
+            content_nibble_level_2: number,
+            user_byte: number
+        }[];
+        descriptors: SIDescriptor[];
+    }
+
+    /**
+     * @desc An Event Information Table section (table_id 0x4E ~ 0x6F)
+     */
+    interface EIT {
+        table_id: number;
+        service_id: number;
+        version_number: number;
+        section_number: number;
+        last_section_number: number;
+        transport_stream_id: number;
+        original_network_id: number;
+        segment_last_section_number: number;
+        last_table_id: number;
+        events: EITEvent[];
+    }
+
+    /**
+     * @desc A Network Information Table section (table_id 0x40 / 0x41)
+     */
+    interface NIT {
+        table_id: number;
+        network_id: number;
+        version_number: number;
+        section_number: number;
+        last_section_number: number;
+        network_name?: string;
+        transport_streams: {
+            transport_stream_id: number,
+            original_network_id: number,
+            services?: { service_id: number, service_type: number }[],
+            descriptors: SIDescriptor[]
+        }[];
+        descriptors: SIDescriptor[];
+    }
+
+    /**
+     * @desc Time and Date Table (table_id 0x70) or Time Offset Table (table_id 0x73)
+     */
+    interface TDTTOT {
+        table_id: number;
+        /**
+         * @desc UTC time in milliseconds since epoch
+         */
+        utc_time?: number;
+        local_time_offsets?: {
+            country_code: string,
+            country_region_id: number,
+            local_time_offset: number,
+            time_of_change?: number,
+            next_time_offset: number
+        }[];
+        descriptors?: SIDescriptor[];
+    }
+
+    interface ARIBCaptionRun {
+        /**
+         * @desc DRCS characters are represented by U+3013 (GETA MARK)
+         */
+        text: string;
+        foreground_color: string;
+        background_color: string;
+        size: 'small' | 'medium' | 'normal' | 'double_height' | 'double_width' | 'double_size';
+        drcs?: {
+            width: number,
+            height: number,
+            depth: number,
+            bits_per_pixel: number,
+            pattern: Uint8Array
+        };
+    }
+
+    interface ARIBCaptionData {
+        pid: number;
+        stream_id: number;
+        data_identifier: number;
+        kind: 'caption' | 'superimpose';
+        language_tag: number;
+        language?: string;
+        pts?: number;
+        nearest_pts?: number;
+        plane_width: number;
+        plane_height: number;
+        /**
+         * @desc The statement starts with CS (clear screen), captions displayed before should be erased
+         */
+        clear_screen: boolean;
+        text: string;
+        /**
+         * @desc Lines positioned in caption plane (plane_width x plane_height), y is the bottom of the line
+         */
+        lines: {
+            x: number,
+            y: number,
+            runs: ARIBCaptionRun[]
+        }[];
+    }
+
+    interface DVBSubtitleFrame {
+        pid: number;
+        stream_id: number;
+        language: string;
+        subtitling_type: number;
+        pts?: number;
+        nearest_pts?: number;
+        /**
+         * @desc Seconds after which the frame should be erased if not replaced by a new frame
+         */
+        page_time_out: number;
+        display_width: number;
+        display_height: number;
+        /**
+         * @desc RGBA bitmaps positioned in display (display_width x display_height),
+         *       an empty array indicates that the subtitle should be erased
+         */
+        regions: {
+            x: number,
+            y: number,
+            width: number,
+            height: number,
+            rgba: Uint8ClampedArray
+        }[];
+    }
+
+    interface PGSSubtitleFrame {
+        pid: number;
+        stream_id: number;
+        lang: string;
+        /**
+         * @desc Display time of the frame, it is displayed until the next frame of the same pid
+         */
+        pts?: number;
+        nearest_pts?: number;
+        composition_number: number;
+        /**
+         * @desc All objects are forced, which should be displayed even if subtitles are turned off
+         */
+        forced: boolean;
+        display_width: number;
+        display_height: number;
+        /**
+         * @desc RGBA bitmaps positioned in display (display_width x display_height),
+         *       an empty array indicates that the subtitle should be erased
+         */
+        regions: {
+            x: number,
+            y: number,
+            width: number,
+            height: number,
+            rgba: Uint8ClampedArray
+        }[];
+    }
+
+    interface ID3Frame {
+        /**
+         * @desc Frame ID, e.g. TIT2, TXXX, PRIV
+         */
+        id: string;
+        /**
+         * @desc Frame content with unsynchronisation removed. Compressed or encrypted frames are not decoded
+         */
+        data: Uint8Array;
+        text?: string[];
+        description?: string;
+        value?: string;
+        url?: string;
+        owner?: string;
+        mime_type?: string;
+        filename?: string;
+        picture_type?: number;
+        language?: string;
+        /**
+         * @desc Binary payload of PRIV, GEOB and APIC frames
+         */
+        object?: Uint8Array;
+    }
+
+    interface ID3Tag {
+        /**
+         * @desc Major version of ID3v2, 3 or 4
+         */
+        version: number;
+        revision: number;
+        frames: ID3Frame[];
+    }
+
+    interface TimedID3Metadata {
+        pid: number;
+        stream_id: number;
+        pts?: number;
+        dts?: number;
+        /**
+         * @desc Raw PES payload
+         */
+        data: Uint8Array;
+        len: number;
+        tags: ID3Tag[];
+    }
+
+    interface SectionCRCError {
+        pid: number;
+        table_id: number;
+        /**
+         * @desc Accumulated count of sections dropped due to CRC_32 mismatch
+         */
+        crc_error_count: number;
+    }
+
+    interface TimestampDiscontinuity {
+        track: 'audio' | 'video';
+        /**
+         * @desc pcr_discontinuity: preceded by a PCR discontinuity (MPEG-TS only),
+         *       backward_jump / forward_jump: dts jumped by more than 1s backward / 5s forward
+         */
+        reason: 'pcr_discontinuity' | 'backward_jump' | 'forward_jump';
+        /**
+         * @desc dts of the last sample before the discontinuity on the original clock, in milliseconds
+         */
+        previous_timestamp: number;
+        /**
+         * @desc dts of the first sample after the discontinuity on the original clock, in milliseconds
+         */
+        timestamp: number;
+        /**
+         * @desc dts in the media element timeline where the track continues, in milliseconds.
+         *       undefined if nothing has been output before the discontinuity
+         */
+        output_timestamp?: number;
+    }
+
+    type TR101290Indicator =
+        'ts_sync_loss' | 'sync_byte_error' | 'pat_error' | 'continuity_count_error' | 'pmt_error' | 'pid_error'
+        | 'transport_error' | 'crc_error' | 'pcr_repetition_error' | 'pcr_discontinuity_indicator_error'
+        | 'pcr_accuracy_error' | 'pts_error' | 'cat_error';
+
+    type TR101290Counts = { [indicator in TR101290Indicator]: number };
+
+    interface TR101290Breach {
+        indicator: TR101290Indicator;
+        pid?: number;
+        /**
+         * @desc Time of occurrence in milliseconds on the analyzer clock
+         */
+        time: number;
+        description: string;
+    }
+
+    interface TSPIDStatistics {
+        pid: number;
+        packets: number;
+        /**
+         * @desc Bits per second in the report period
+         */
+        bitrate: number;
+        continuity_count_errors: number;
+    }
+
+    interface TSAnalysisReport {
+        /**
+         * @desc Start of the report period in milliseconds, on the PCR clock of current program starting from 0
+         */
+        start_time: number;
+        duration: number;
+        /**
+         * @desc Bits per second of the whole transport stream in the report period
+         */
+        bitrate: number;
+        /**
+         * @desc Occurrences of each indicator in the report period
+         */
+        errors: TR101290Counts;
+        /**
+         * @desc Occurrences of each indicator since loading
+         */
+        total_errors: TR101290Counts;
+        pids: TSPIDStatistics[];
+        /**
+         * @desc Details of threshold breaches in the report period, at most 100
+         */
+        breaches: TR101290Breach[];
+    }
+
+    interface TeletextSubtitleData {
+        pid: number;
+        stream_id: number;
+        /**
+         * @desc Page number as shown to viewers, e.g. 888
+         */
+        page_number: number;
+        language: string;
+        /**
+         * @desc teletext_type from teletext_descriptor (2: subtitle page, 5: subtitle page for hearing impaired people)
+         */
+        teletext_type: number;
+        pts?: number;
+        nearest_pts?: number;
+        /**
+         * @desc Empty text indicates that the subtitle should be erased
+         */
+        text: string;
+        /**
+         * @desc Displayed rows (1 ~ 23) of the page, column is the position (0 ~ 39) of the first character
+         */
+        lines: {
+            row: number,
+            column: number,
+            runs: {
+                text: string,
+                foreground_color: string,
+                background_color: string
+            }[]
+        }[];
+    }
+
+    interface ClosedCaptionData {
+        /**
+         * @desc 'CC1' ~ 'CC4' for CEA-608, 'SERVICE1' ~ 'SERVICE63' for CEA-708
+         */
+        channel: string;
+        pts: number;
+        /**
+         * @desc Currently displayed text, empty text indicates that the caption should be erased
+         */
+        text: string;
+        /**
+         * @desc Displayed rows (0 ~ 14) of the caption grid, column is the position (0 ~ 31) of the first character
+         */
+        lines: {
+            row: number,
+            column: number,
+            text: string
+        }[];
+    }
+
+    interface ServiceInformation {
+        sdt: SDT[];
+        eit: EIT[];
+        nit: NIT[];
+        tdt_tot: TDTTOT | null;
+    }
+
     interface MSEPlayer extends Player {
         mediaInfo: MSEPlayerMediaInfo;
         statisticsInfo: MSEPlayerStatisticsInfo;
+        /**
+         * @desc Switch to another program of a multi-program transport stream (MPTS)
+         *       without reloading the connection. Tracks will be re-initialized from the program's PMT.
+         */
+        switchProgram(program_number: number): void;
+        /**
+         * @desc Switch the active video elementary stream of current MPEG-TS program,
+         *       or the video track of Enhanced FLV multitrack stream by trackId
+         */
+        switchVideoTrack(pid: number): void;
+        /**
+         * @desc Switch the active audio elementary stream of current MPEG-TS program,
+         *       or the audio track of Enhanced FLV multitrack stream by trackId
+         */
+        switchAudioTrack(pid: number): void;
+        /**
+         * @desc Switch the decoded DVB subtitle (or rendered PGS subtitle) of current MPEG-TS program by ISO 639-2 language code
+         */
+        switchSubtitleLanguage(language: string): void;
+        /**
+         * @desc Render DVB / PGS subtitles onto the canvas in sync with currentTime of the attached media element.
+         *       The canvas is resized to the display size of subtitles, and should be overlaid on the video by CSS.
+         */
+        attachSubtitleCanvas(canvas: HTMLCanvasElement): void;
+        detachSubtitleCanvas(): void;
+        /**
+         * @desc The latest received DVB / ARIB service information tables (SDT, EIT, NIT, TDT / TOT)
+         */
+        readonly serviceInformation: ServiceInformation;
     }
 
     interface NativePlayer extends Player {
@@ -426,6 +1086,25 @@ declare namespace Mpegts {
         SMPTE2038_METADATA_ARRIVED: string;
         PES_PRIVATE_DATA_DESCRIPTOR: string;
         PES_PRIVATE_DATA_ARRIVED: string;
+        PROGRAM_LIST_ARRIVED: string;
+        TRACK_LIST_ARRIVED: string;
+        SDT_ARRIVED: string;
+        EIT_ARRIVED: string;
+        NIT_ARRIVED: string;
+        TDT_TOT_ARRIVED: string;
+        ARIB_CAPTION_ARRIVED: string;
+        DVB_SUBTITLE_ARRIVED: string;
+        TELETEXT_SUBTITLE_ARRIVED: string;
+        CLOSED_CAPTION_ARRIVED: string;
+        PGS_SUBTITLE_FRAME_ARRIVED: string;
+        SECTION_CRC_ERROR: string;
+        TS_ANALYSIS_REPORT: string;
+        DISCONTINUITY: string;
+        KEYFRAMES_INDEX_UPDATED: string;
+        CUE_POINT_ARRIVED: string;
+        TEXT_DATA_ARRIVED: string;
+        CAPTION_DATA_ARRIVED: string;
+        TIMECODE_INFO_ARRIVED: string;
         STATISTICS_INFO: string;
     }
 
@@ -442,10 +1121,12 @@ declare namespace Mpegts {
         NETWORK_UNRECOVERABLE_EARLY_EOF: string;
 
         MEDIA_MSE_ERROR: string;
+        MEDIA_EME_ERROR: string;
 
         MEDIA_FORMAT_ERROR: string;
         MEDIA_FORMAT_UNSUPPORTED: string;
         MEDIA_CODEC_UNSUPPORTED: string;
+        MEDIA_DECRYPTION_ERROR: string;
     }
 }
 
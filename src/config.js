@@ -57,7 +57,18 @@ export const defaultConfig = {
     // referrerPolicy: leave as unspecified
 
     headers: undefined,
-    customLoader: undefined
+    customLoader: undefined,
+    keyProvider: undefined,
+    emeKeySystems: undefined,
+
+    enableARIBCaptionTextTrack: true,
+    enableTeletextTextTrack: true,
+    enableClosedCaptionTextTrack: true,
+
+    enableTSAnalyzer: false,
+    tsAnalysisReportInterval: 1000,
+
+    enableAACImplicitSBRDetection: false
 };
 
 export function createDefaultConfig() {
@@ -35,6 +35,13 @@ class Features {
         return support_w3c_mse || support_apple_mme;
     }
 
+    static supportMSEXHEAACPlayback() {
+        const usac_mime_type = 'audio/mp4; codecs="mp4a.40.42"';
+        const support_w3c_mse = self.MediaSource && self.MediaSource.isTypeSupported(usac_mime_type);
+        const support_apple_mme = self.ManagedMediaSource && self.ManagedMediaSource.isTypeSupported(usac_mime_type);
+        return support_w3c_mse || support_apple_mme;
+    }
+
     static supportNetworkStreamIO() {
         let ioctl = new IOController({}, createDefaultConfig());
         let loaderType = ioctl.loaderType;
@@ -62,6 +69,7 @@ class Features {
             msePlayback: false,
             mseLivePlayback: false,
             mseH265Playback: false,
+            mseXHEAACPlayback: false,
             networkStreamIO: false,
             networkLoaderName: '',
             nativeMP4H264Playback: false,
@@ -75,6 +83,7 @@ class Features {
         features.networkLoaderName = Features.getNetworkLoaderTypeName();
         features.mseLivePlayback = features.msePlayback && features.networkStreamIO;
         features.mseH265Playback = Features.supportMSEH265Playback();
+        features.mseXHEAACPlayback = Features.supportMSEXHEAACPlayback();
         features.nativeMP4H264Playback = Features.supportNativeMediaPlayback('video/mp4; codecs="avc1.42001E, mp4a.40.2"');
         features.nativeMP4H265Playback = Features.supportNativeMediaPlayback('video/mp4; codecs="hvc1.1.6.L93.B0"');
         features.nativeWebmVP8Playback = Features.supportNativeMediaPlayback('video/webm; codecs="vp8.0, vorbis"');
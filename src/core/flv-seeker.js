@@ -0,0 +1,121 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import RangeSeeker from './range-seeker.js';
+import {parseTagHeader, readPreviousTagSize, scanFLVTags} from '../demux/flv-tag-scanner';
+
+const kWindowSize = 256 * 1024;
+const kMaxBackPointerSteps = 16;
+
+// Time-based seeking for FLV files without keyframes in onMetaData, e.g. recorded by nginx-rtmp or SRS.
+// Duration is taken from the last tag, found by PreviousTagSize back-pointers from the end of file,
+// then byte offsets are bisected toward the target time by tag timestamps and the nearest keyframe before it is located.
+class FLVSeeker extends RangeSeeker {
+
+    constructor(dataSource, config, scanParams, totalLength) {
+        super(dataSource, config, totalLength, scanParams.first_tag_offset, kWindowSize);
+        this.TAG = 'FLVSeeker';
+
+        this._scanParams = scanParams;
+
+        // timestamps of the first and the last audio / video tags, in milliseconds
+        this._firstTimestamp = null;
+        this._lastTimestamp = null;
+    }
+
+    // in milliseconds, null if not probed
+    get duration() {
+        if (this._firstTimestamp == null || this._lastTimestamp == null) {
+            return null;
+        }
+        return this._lastTimestamp - this._firstTimestamp;
+    }
+
+    // Resolves the duration in milliseconds, or null if tags can't be found
+    probeDuration() {
+        return this._normalizeError(this._scanHead().then((tags) => {
+            if (tags.length === 0) {
+                return null;
+            }
+            this._firstTimestamp = tags[0].timestamp;
+            return this._readLastTimestamp(this._totalLength, 0);
+        }).then((lastTimestamp) => {
+            if (lastTimestamp == null) {
+                return null;
+            }
+            this._lastTimestamp = Math.max(lastTimestamp, this._firstTimestamp);
+            Log.v(this.TAG, `Estimated duration: ${this.duration}ms`);
+            return this.duration;
+        }));
+    }
+
+    // Resolves {position, timestamp} of the nearest keyframe tag before target, which is a tag timestamp in milliseconds
+    locate(target) {
+        let lower = {position: this._headPosition, timestamp: this._firstTimestamp};
+        let upper = {position: this._totalLength, timestamp: this._lastTimestamp};
+
+        if (target <= lower.timestamp) {
+            return Promise.resolve(lower);
+        }
+
+        return this._normalizeError(this._bisect(target, lower, upper, null, 0).then(([before, after, randomAccessPoint]) => {
+            return this._scanRandomAccessPoint(target, after.position, randomAccessPoint, 0);
+        }).then((randomAccessPoint) => {
+            if (randomAccessPoint == null) {
+                Log.w(this.TAG, `No keyframe found before ${target}ms, play from the beginning`);
+                return lower;
+            }
+            return randomAccessPoint;
+        }));
+    }
+
+    // Follows PreviousTagSize back-pointers from end, skipping script data tags.
+    // Falls back to scanning the tail if the file is truncated or the back-pointers are broken.
+    _readLastTimestamp(end, step) {
+        let head = this._headPosition;
+
+        if (end - 4 <= head || step >= kMaxBackPointerSteps) {
+            return this._scanLastTimestamp(this._totalLength, 0);
+        }
+
+        return this._read(end - 4, end - 1).then((data) => {
+            let size = readPreviousTagSize(data, 0);
+            let start = size != null ? end - 4 - size : -1;
+            if (start < head) {
+                return this._scanLastTimestamp(this._totalLength, 0);
+            }
+            return this._read(start, start + 11).then((header) => {
+                let tag = parseTagHeader(header, 0, start, this._scanParams);
+                if (tag == null || 11 + tag.data_size !== size) {
+                    return this._scanLastTimestamp(this._totalLength, 0);
+                }
+                if (tag.sample.tag_type === 18) {
+                    return this._readLastTimestamp(start, step + 1);
+                }
+                return tag.sample.timestamp;
+            });
+        });
+    }
+
+    // Audio and video tags only, timestamps of script data tags are not reliable
+    _scan(data, byteStart) {
+        return scanFLVTags(data, byteStart, this._scanParams).filter((tag) => tag.tag_type !== 18);
+    }
+
+}
+
+export default FLVSeeker;
@@ -0,0 +1,86 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Keyframe times (in milliseconds, on the timeline of demuxer, rebased by timestamp discontinuities)
+// -> file positions table, sorted by time.
+// Filled from FLV onMetaData, an imported index, or keyframes found while parsing,
+// in the same layout as MediaInfo.keyframesIndex: {times: number[], filepositions: number[]}
+class KeyframesIndex {
+
+    constructor() {
+        this.times = [];
+        this.filepositions = [];
+    }
+
+    get length() {
+        return this.times.length;
+    }
+
+    addKeyframe(time, fileposition) {
+        let times = this.times;
+        let last = times.length - 1;
+
+        if (last < 0 || time > times[last]) {
+            // appended in most cases, except after seeking backward
+            times.push(time);
+            this.filepositions.push(fileposition);
+            return;
+        }
+
+        let idx = this._searchInsertPosition(time);
+        if (times[idx] === time) {
+            // already indexed
+            return;
+        }
+        times.splice(idx, 0, time);
+        this.filepositions.splice(idx, 0, fileposition);
+    }
+
+    // Merges another {times, filepositions} table, times are shifted by timeOffset
+    merge(index, timeOffset = 0) {
+        let length = Math.min(index.times.length, index.filepositions.length);
+        for (let i = 0; i < length; i++) {
+            this.addKeyframe(index.times[i] + timeOffset, index.filepositions[i]);
+        }
+    }
+
+    // Returns a copy which could be imported again by merge(), times are shifted by timeOffset
+    export(timeOffset = 0) {
+        return {
+            times: this.times.map((time) => time + timeOffset),
+            filepositions: this.filepositions.slice()
+        };
+    }
+
+    // Returns the first index whose time >= time
+    _searchInsertPosition(time) {
+        let lbound = 0;
+        let ubound = this.times.length;
+
+        while (lbound < ubound) {
+            let mid = lbound + Math.floor((ubound - lbound) / 2);
+            if (this.times[mid] < time) {
+                lbound = mid + 1;
+            } else {
+                ubound = mid;
+            }
+        }
+        return lbound;
+    }
+
+}
+
+export default KeyframesIndex;
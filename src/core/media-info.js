@@ -41,12 +41,25 @@ class MediaInfo {
         this.chromaFormat = null;
         this.sarNum = null;
         this.sarDen = null;
+        this.videoColorInfo = null;  // colorInfo from Enhanced FLV video metadata
 
         this.metadata = null;
         this.segments = null;  // MediaInfo[]
         this.segmentCount = null;
         this.hasKeyframesIndex = null;
         this.keyframesIndex = null;
+
+        this.programs = null;  // [{program_number, pmt_pid}], MPEG-TS only
+        this.currentProgram = null;
+
+        this.videoTracks = null;  // [{pid, stream_type, codec, language, audio_type}] of MPEG-TS, or [{track_id, codec}] of FLV
+        this.audioTracks = null;
+        this.currentVideoPid = null;
+        this.currentAudioPid = null;
+        this.currentVideoTrackId = null;  // FLV only, trackId of Enhanced FLV multitrack
+        this.currentAudioTrackId = null;
+        this.subtitleTracks = null;  // [{pid, language, subtitling_type, composition_page_id, ancillary_page_id}], MPEG-TS only
+        this.currentSubtitleLanguage = null;
     }
 
     isComplete() {
@@ -75,12 +88,14 @@ class MediaInfo {
                videoInfoComplete;
     }
 
+    // keyframesIndex may be complete (FLV onMetaData / imported), or only cover the loaded ranges
     isSeekable() {
-        return this.hasKeyframesIndex === true;
+        return this.hasKeyframesIndex === true
+            || (this.keyframesIndex != null && this.keyframesIndex.times.length > 0);
     }
 
     getNearestKeyframe(milliseconds) {
-        if (this.keyframesIndex == null) {
+        if (this.keyframesIndex == null || this.keyframesIndex.times.length === 0) {
             return null;
         }
 
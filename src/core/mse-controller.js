@@ -366,6 +366,16 @@ class MSEController {
         }
     }
 
+    // Duration known before all media data is appended, e.g. estimated duration of MPEG-TS, in seconds
+    updateMediaDuration(duration) {
+        if (!(duration > 0) || this._mediaSource == null) {
+            return;
+        }
+        this._requireSetMediaDuration = true;
+        this._pendingMediaDuration = duration;
+        this._updateMediaSourceDuration();
+    }
+
     _needCleanupSourceBuffer() {
         if (!this._config.autoCleanupSourceBuffer) {
             return false;
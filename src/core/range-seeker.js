@@ -0,0 +1,209 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import IOController from '../io/io-controller.js';
+import {LoaderErrors} from '../io/loader.js';
+
+const kTailScanWindows = 8;
+const kInterpolationSteps = 4;
+const kMaxBisectionSteps = 24;
+const kMaxBackwardScanWindows = 32;
+
+// Rejection reason of reads superseded by another read or destroy(), which should be ignored
+export const kReadAborted = {type: 'Aborted', info: {code: -1, msg: 'Range read aborted'}};
+
+// Base of seekers for static files without a keyframes index, which read small windows by range requests
+// and bisect byte offsets toward the target time.
+// Subclasses implement _scan(data, byteStart), which returns [{file_position, timestamp, random_access}]
+// in ascending file_position, and may override _alignPosition(position) to snap to a unit boundary.
+class RangeSeeker {
+
+    constructor(dataSource, config, totalLength, headPosition, windowSize) {
+        this._dataSource = dataSource;
+        this._config = config;
+        this._totalLength = totalLength;
+        this._headPosition = headPosition;
+        this._windowSize = windowSize;
+
+        this._ioctl = null;
+        this._rejectRead = null;
+    }
+
+    destroy() {
+        this._abortRead();
+        this._dataSource = null;
+        this._config = null;
+    }
+
+    _alignPosition(position) {
+        return position;
+    }
+
+    // Rejections of promise other than {type, info} and kReadAborted, e.g. thrown on malformed data
+    // by _scan(), are converted to {type, info} as those of IOController
+    _normalizeError(promise) {
+        return promise.catch((error) => {
+            if (error === kReadAborted || (error != null && error.type != null && error.info != null)) {
+                throw error;
+            }
+            throw {type: LoaderErrors.EXCEPTION, info: {code: -1, msg: `Scanning failed: ${error && error.message}`}};
+        });
+    }
+
+    // Resolves samples in the first window of the file
+    _scanHead() {
+        let head = this._headPosition;
+        return this._read(head, Math.min(head + this._windowSize, this._totalLength) - 1).then((data) => {
+            return this._scan(data, head);
+        });
+    }
+
+    // Resolves [lower, upper, randomAccessPoint] as {position, timestamp} around target,
+    // randomAccessPoint is the last one seen before target or null
+    _bisect(target, lower, upper, randomAccessPoint, step) {
+        if (upper.position - lower.position <= this._windowSize || step >= kMaxBisectionSteps) {
+            return Promise.resolve([lower, upper, randomAccessPoint]);
+        }
+
+        // Interpolate by time in the first steps, then halve the range in case of uneven bitrate
+        let ratio = 0.5;
+        if (step < kInterpolationSteps && upper.timestamp > lower.timestamp) {
+            ratio = (target - lower.timestamp) / (upper.timestamp - lower.timestamp);
+            ratio = Math.min(Math.max(ratio, 0.02), 0.98);
+        }
+
+        let position = this._alignPosition(Math.floor(lower.position + (upper.position - lower.position) * ratio));
+        let to = Math.min(position + this._windowSize, upper.position) - 1;
+
+        return this._read(position, to).then((data) => {
+            let samples = this._scan(data, position);
+            if (samples.length === 0) {
+                // No sample starts in this window, narrow down from the upper side
+                return this._bisect(target, lower, {position, timestamp: upper.timestamp}, randomAccessPoint, step + 1);
+            }
+
+            for (let i = 0; i < samples.length; i++) {
+                let sample = samples[i];
+                if (sample.timestamp <= target) {
+                    lower = {position: sample.file_position, timestamp: sample.timestamp};
+                    if (sample.random_access && (randomAccessPoint == null || sample.timestamp >= randomAccessPoint.timestamp)) {
+                        randomAccessPoint = lower;
+                    }
+                } else {
+                    upper = {position: sample.file_position, timestamp: sample.timestamp};
+                    break;
+                }
+            }
+            return this._bisect(target, lower, upper, randomAccessPoint, step + 1);
+        });
+    }
+
+    // Scans backward from end for {position, timestamp} of the last random access point whose timestamp <= target,
+    // resolves knownRandomAccessPoint if reached, or null if none is found
+    _scanRandomAccessPoint(target, end, knownRandomAccessPoint, step) {
+        if (knownRandomAccessPoint != null && end <= knownRandomAccessPoint.position) {
+            return Promise.resolve(knownRandomAccessPoint);
+        }
+        if (end <= this._headPosition || step >= kMaxBackwardScanWindows) {
+            return Promise.resolve(knownRandomAccessPoint);
+        }
+
+        let from = this._alignPosition(Math.max(end - this._windowSize, this._headPosition));
+
+        return this._read(from, end - 1).then((data) => {
+            let samples = this._scan(data, from);
+            for (let i = samples.length - 1; i >= 0; i--) {
+                if (samples[i].random_access && samples[i].timestamp <= target) {
+                    return {position: samples[i].file_position, timestamp: samples[i].timestamp};
+                }
+            }
+            return this._scanRandomAccessPoint(target, from, knownRandomAccessPoint, step + 1);
+        });
+    }
+
+    // Scans backward from end for the timestamp of the last sample, resolves null if none is found
+    _scanLastTimestamp(end, step) {
+        let from = this._alignPosition(Math.max(end - this._windowSize, this._headPosition));
+
+        return this._read(from, end - 1).then((data) => {
+            let samples = this._scan(data, from);
+            if (samples.length > 0) {
+                return samples[samples.length - 1].timestamp;
+            }
+            if (from <= this._headPosition || step + 1 >= kTailScanWindows) {
+                return null;
+            }
+            return this._scanLastTimestamp(from, step + 1);
+        });
+    }
+
+    // Resolves data in range [from, to], rejects with {type, info} of IOController's error,
+    // or kReadAborted if superseded by another read
+    _read(from, to) {
+        this._abortRead();
+
+        return new Promise((resolve, reject) => {
+            let size = to - from + 1;
+            let data = new Uint8Array(size);
+            let received = 0;
+            let ioctl = this._ioctl = new IOController(this._dataSource, this._config, from);
+            this._rejectRead = reject;
+
+            let finish = () => {
+                if (this._ioctl !== ioctl) {
+                    return;
+                }
+                this._ioctl = null;
+                // Leave the loader's callback before destroying it
+                Promise.resolve().then(() => ioctl.destroy());
+                resolve(data.subarray(0, received));
+            };
+
+            ioctl.onDataArrival = (chunk, byteStart) => {
+                let length = Math.min(chunk.byteLength, size - received);
+                data.set(new Uint8Array(chunk, 0, length), received);
+                received += length;
+                if (received >= size) {
+                    finish();
+                }
+                return chunk.byteLength;
+            };
+            ioctl.onComplete = finish;
+            ioctl.onError = (type, info) => {
+                if (this._ioctl !== ioctl) {
+                    return;
+                }
+                this._ioctl = null;
+                Promise.resolve().then(() => ioctl.destroy());
+                reject({type, info});
+            };
+
+            ioctl.open(from, to);
+        });
+    }
+
+    _abortRead() {
+        if (this._ioctl) {
+            this._ioctl.destroy();
+            this._ioctl = null;
+            this._rejectRead(kReadAborted);
+        }
+        this._rejectRead = null;
+    }
+
+}
+
+export default RangeSeeker;
@@ -0,0 +1,279 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import DemuxErrors from '../demux/demux-errors.js';
+import {AESDecryptor} from '../utils/aes-decryptor';
+
+// Decrypts segments which are entirely encrypted by AES-128-CBC with PKCS7 padding (METHOD=AES-128 of HLS),
+// between IOController and demuxer. Provides the same onDataArrival interface as IOController,
+// decrypted data keeps the byte positions of the encrypted file.
+// WebCrypto is used if available, otherwise software AES.
+class SegmentDecryptor {
+
+    constructor(key, iv) {
+        this.TAG = 'SegmentDecryptor';
+
+        this._key = key;
+        this._iv = iv;
+
+        this._onDataArrival = null;
+        this._onError = null;
+
+        // Resolves CryptoKey, or null if WebCrypto is unavailable
+        this._webCryptoKey = this._importWebCryptoKey(key);
+        this._softwareDecryptor = null;
+
+        // IV for the next encrypted data, which is the last ciphertext block
+        this._chainIV = new Uint8Array(iv);
+        // After seeking, the ciphertext block before the target is loaded as IV
+        this._awaitingIV = false;
+
+        // Chunks are decrypted asynchronously, but delivered in order
+        this._queue = Promise.resolve();
+        // Increased on seeking, decrypted data of previous position is dropped
+        this._generation = 0;
+
+        // The last decrypted block is held back until the end, as it may contain padding
+        this._lastBlock = null;
+        this._lastBlockByteStart = 0;
+        // Decrypted bytes before the seeking target
+        this._skipBytes = 0;
+        // Decrypted data not consumed by demuxer yet
+        this._stash = null;
+        this._stashByteStart = 0;
+    }
+
+    destroy() {
+        this._generation++;
+        this._queue = null;
+        this._stash = null;
+        this._lastBlock = null;
+        this._onDataArrival = null;
+        this._onError = null;
+    }
+
+    // prototype: function onDataArrival(chunks: ArrayBuffer, byteStart: number): number
+    get onDataArrival() {
+        return this._onDataArrival;
+    }
+
+    set onDataArrival(callback) {
+        this._onDataArrival = callback;
+    }
+
+    // prototype: function onError(type: string, info: string): void
+    get onError() {
+        return this._onError;
+    }
+
+    set onError(callback) {
+        this._onError = callback;
+    }
+
+    bindDataSource(loader) {
+        loader.onDataArrival = this.parseChunks.bind(this);
+        return this;
+    }
+
+    // Consumes complete blocks of ciphertext, the rest is kept in the stash of IOController
+    parseChunks(chunk, byteStart) {
+        let data = new Uint8Array(chunk);
+        let offset = 0;
+
+        if (this._awaitingIV) {
+            if (data.byteLength < 16) {
+                return 0;
+            }
+            this._chainIV = data.slice(0, 16);
+            this._awaitingIV = false;
+            offset = 16;
+        }
+
+        let length = data.byteLength - offset;
+        length -= length % 16;
+        if (length === 0) {
+            return offset;
+        }
+
+        // Copy, as the chunk may be a view of IOController's stash buffer
+        let encrypted = data.slice(offset, offset + length);
+        let iv = this._chainIV;
+        this._chainIV = encrypted.slice(length - 16);
+
+        let generation = this._generation;
+        let encryptedByteStart = byteStart + offset;
+
+        this._queue = this._queue.then(() => {
+            return this._decrypt(encrypted, iv).then((decrypted) => {
+                if (generation === this._generation) {
+                    this._onDecrypted(decrypted, encryptedByteStart);
+                }
+            }, (error) => {
+                if (generation === this._generation) {
+                    this._generation++;
+                    this._reportError(DemuxErrors.DECRYPTION_ERROR, `Decryption failed: ${error.message}`);
+                }
+            });
+        }).catch((error) => {
+            // Exception of demuxer, which continues with the following chunks as in unencrypted segments
+            this._reportError(DemuxErrors.FORMAT_ERROR, error.message);
+        });
+
+        return offset + length;
+    }
+
+    // Resolves after all received data is decrypted and delivered, with padding removed.
+    // Rejects with {type, info} if the padding is invalid, or the exception of demuxer
+    flush() {
+        let generation = this._generation;
+
+        return this._queue.then(() => {
+            if (generation !== this._generation || this._lastBlock == null) {
+                return;
+            }
+            let block = this._lastBlock;
+            let padding = block[15];
+            this._lastBlock = null;
+
+            if (padding < 1 || padding > 16) {
+                throw {type: DemuxErrors.DECRYPTION_ERROR, info: 'Invalid PKCS7 padding, the key or IV may be wrong'};
+            }
+            this._deliver(block.subarray(0, 16 - padding), this._lastBlockByteStart);
+        });
+    }
+
+    // Returns the byte position to load from for seeking to position
+    seek(position) {
+        this._generation++;
+        this._queue = Promise.resolve();
+        this._lastBlock = null;
+        this._stash = null;
+
+        let blockStart = position - position % 16;
+        this._skipBytes = position - blockStart;
+
+        if (blockStart === 0) {
+            this._chainIV = new Uint8Array(this._iv);
+            this._awaitingIV = false;
+            return 0;
+        }
+        this._awaitingIV = true;
+        return blockStart - 16;
+    }
+
+    _importWebCryptoKey(key) {
+        let subtle = self.crypto && self.crypto.subtle;
+        if (!subtle) {
+            Log.v(this.TAG, 'WebCrypto is unavailable, use software AES');
+            return Promise.resolve(null);
+        }
+        return subtle.importKey('raw', key, {name: 'AES-CBC'}, false, ['encrypt', 'decrypt']).catch((error) => {
+            Log.w(this.TAG, `Failed to import key to WebCrypto, use software AES: ${error.message}`);
+            return null;
+        });
+    }
+
+    _decrypt(encrypted, iv) {
+        return this._webCryptoKey.then((cryptoKey) => {
+            if (cryptoKey == null) {
+                return this._softwareDecrypt(encrypted, iv);
+            }
+            return this._webCryptoDecrypt(cryptoKey, encrypted, iv).catch((error) => {
+                Log.w(this.TAG, `WebCrypto decryption failed, use software AES: ${error.message}`);
+                this._webCryptoKey = Promise.resolve(null);
+                return this._softwareDecrypt(encrypted, iv);
+            });
+        });
+    }
+
+    _softwareDecrypt(encrypted, iv) {
+        if (this._softwareDecryptor == null) {
+            this._softwareDecryptor = new AESDecryptor(this._key);
+        }
+        return this._softwareDecryptor.decryptCBC(encrypted, new Uint8Array(iv));
+    }
+
+    // WebCrypto always removes PKCS7 padding, so a block which decrypts to a full padding block
+    // is appended to decrypt data in the middle of the stream
+    _webCryptoDecrypt(cryptoKey, encrypted, iv) {
+        let subtle = self.crypto.subtle;
+        let lastBlock = encrypted.subarray(encrypted.byteLength - 16);
+        let padding = new Uint8Array(16).fill(16);
+
+        return subtle.encrypt({name: 'AES-CBC', iv: lastBlock}, cryptoKey, padding).then((paddingBlock) => {
+            let data = new Uint8Array(encrypted.byteLength + 16);
+            data.set(encrypted, 0);
+            data.set(new Uint8Array(paddingBlock, 0, 16), encrypted.byteLength);
+            return subtle.decrypt({name: 'AES-CBC', iv}, cryptoKey, data);
+        }).then((decrypted) => {
+            return new Uint8Array(decrypted);
+        });
+    }
+
+    _onDecrypted(decrypted, byteStart) {
+        let data = decrypted;
+        if (this._lastBlock != null) {
+            data = new Uint8Array(decrypted.byteLength + 16);
+            data.set(this._lastBlock, 0);
+            data.set(decrypted, 16);
+            byteStart = this._lastBlockByteStart;
+        }
+
+        let length = data.byteLength - 16;
+        this._lastBlock = data.slice(length);
+        this._lastBlockByteStart = byteStart + length;
+        this._deliver(data.subarray(0, length), byteStart);
+    }
+
+    _deliver(data, byteStart) {
+        if (this._skipBytes > 0) {
+            let skip = Math.min(this._skipBytes, data.byteLength);
+            data = data.subarray(skip);
+            byteStart += skip;
+            this._skipBytes -= skip;
+        }
+        if (data.byteLength === 0) {
+            return;
+        }
+
+        if (this._stash != null) {
+            let buffer = new Uint8Array(this._stash.byteLength + data.byteLength);
+            buffer.set(this._stash, 0);
+            buffer.set(data, this._stash.byteLength);
+            data = buffer;
+            byteStart = this._stashByteStart;
+        }
+
+        let consumed = this._onDataArrival(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), byteStart);
+        if (consumed < data.byteLength) {
+            this._stash = data.slice(consumed);
+            this._stashByteStart = byteStart + consumed;
+        } else {
+            this._stash = null;
+        }
+    }
+
+    _reportError(type, info) {
+        Log.e(this.TAG, info);
+        if (this._onError) {
+            this._onError(type, info);
+        }
+    }
+
+}
+
+export default SegmentDecryptor;
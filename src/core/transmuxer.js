@@ -69,6 +69,25 @@ class Transmuxer {
             ctl.on(TransmuxingEvents.SCTE35_METADATA_ARRIVED, this._onSCTE35MetadataArrived.bind(this));
             ctl.on(TransmuxingEvents.PES_PRIVATE_DATA_DESCRIPTOR, this._onPESPrivateDataDescriptor.bind(this));
             ctl.on(TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED, this._onPESPrivateDataArrived.bind(this));
+            ctl.on(TransmuxingEvents.PROGRAM_LIST_ARRIVED, this._onProgramListArrived.bind(this));
+            ctl.on(TransmuxingEvents.TRACK_LIST_ARRIVED, this._onTrackListArrived.bind(this));
+            ctl.on(TransmuxingEvents.SDT_ARRIVED, this._onSDTArrived.bind(this));
+            ctl.on(TransmuxingEvents.EIT_ARRIVED, this._onEITArrived.bind(this));
+            ctl.on(TransmuxingEvents.NIT_ARRIVED, this._onNITArrived.bind(this));
+            ctl.on(TransmuxingEvents.TDT_TOT_ARRIVED, this._onTDTTOTArrived.bind(this));
+            ctl.on(TransmuxingEvents.ARIB_CAPTION_ARRIVED, this._onARIBCaptionArrived.bind(this));
+            ctl.on(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, this._onDVBSubtitleArrived.bind(this));
+            ctl.on(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, this._onTeletextSubtitleArrived.bind(this));
+            ctl.on(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, this._onClosedCaptionArrived.bind(this));
+            ctl.on(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, this._onPGSSubtitleFrameArrived.bind(this));
+            ctl.on(TransmuxingEvents.SECTION_CRC_ERROR, this._onSectionCRCError.bind(this));
+            ctl.on(TransmuxingEvents.TS_ANALYSIS_REPORT, this._onTSAnalysisReport.bind(this));
+            ctl.on(TransmuxingEvents.DISCONTINUITY, this._onDiscontinuity.bind(this));
+            ctl.on(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, this._onKeyframesIndexUpdated.bind(this));
+            ctl.on(TransmuxingEvents.CUE_POINT_ARRIVED, this._onCuePointArrived.bind(this));
+            ctl.on(TransmuxingEvents.TEXT_DATA_ARRIVED, this._onTextDataArrived.bind(this));
+            ctl.on(TransmuxingEvents.CAPTION_DATA_ARRIVED, this._onCaptionDataArrived.bind(this));
+            ctl.on(TransmuxingEvents.TIMECODE_INFO_ARRIVED, this._onTimecodeInfoArrived.bind(this));
             ctl.on(TransmuxingEvents.STATISTICS_INFO, this._onStatisticsInfo.bind(this));
             ctl.on(TransmuxingEvents.RECOMMEND_SEEKPOINT, this._onRecommendSeekpoint.bind(this));
         }
@@ -142,6 +161,30 @@ class Transmuxer {
         }
     }
 
+    switchProgram(programNumber) {
+        if (this._worker) {
+            this._worker.postMessage({cmd: 'switch_program', param: programNumber});
+        } else {
+            this._controller.switchProgram(programNumber);
+        }
+    }
+
+    switchTrack(type, pid) {
+        if (this._worker) {
+            this._worker.postMessage({cmd: 'switch_track', param: [type, pid]});
+        } else {
+            this._controller.switchTrack(type, pid);
+        }
+    }
+
+    switchSubtitleLanguage(language) {
+        if (this._worker) {
+            this._worker.postMessage({cmd: 'switch_subtitle_language', param: language});
+        } else {
+            this._controller.switchSubtitleLanguage(language);
+        }
+    }
+
     _onInitSegment(type, initSegment) {
         // do async invoke
         Promise.resolve().then(() => {
@@ -233,6 +276,120 @@ class Transmuxer {
         });
     }
 
+    _onProgramListArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.PROGRAM_LIST_ARRIVED, data);
+        });
+    }
+
+    _onTrackListArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TRACK_LIST_ARRIVED, data);
+        });
+    }
+
+    _onSDTArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.SDT_ARRIVED, data);
+        });
+    }
+
+    _onEITArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.EIT_ARRIVED, data);
+        });
+    }
+
+    _onNITArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.NIT_ARRIVED, data);
+        });
+    }
+
+    _onTDTTOTArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TDT_TOT_ARRIVED, data);
+        });
+    }
+
+    _onARIBCaptionArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.ARIB_CAPTION_ARRIVED, data);
+        });
+    }
+
+    _onDVBSubtitleArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, data);
+        });
+    }
+
+    _onTeletextSubtitleArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, data);
+        });
+    }
+
+    _onClosedCaptionArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, data);
+        });
+    }
+
+    _onPGSSubtitleFrameArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, data);
+        });
+    }
+
+    _onSectionCRCError(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.SECTION_CRC_ERROR, data);
+        });
+    }
+
+    _onTSAnalysisReport(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TS_ANALYSIS_REPORT, data);
+        });
+    }
+
+    _onDiscontinuity(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.DISCONTINUITY, data);
+        });
+    }
+
+    _onKeyframesIndexUpdated(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, data);
+        });
+    }
+
+    _onCuePointArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.CUE_POINT_ARRIVED, data);
+        });
+    }
+
+    _onTextDataArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TEXT_DATA_ARRIVED, data);
+        });
+    }
+
+    _onCaptionDataArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.CAPTION_DATA_ARRIVED, data);
+        });
+    }
+
+    _onTimecodeInfoArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TIMECODE_INFO_ARRIVED, data);
+        });
+    }
+
     _onStatisticsInfo(statisticsInfo) {
         Promise.resolve().then(() => {
             this._emitter.emit(TransmuxingEvents.STATISTICS_INFO, statisticsInfo);
@@ -297,6 +454,25 @@ class Transmuxer {
             case TransmuxingEvents.SCTE35_METADATA_ARRIVED:
             case TransmuxingEvents.PES_PRIVATE_DATA_DESCRIPTOR:
             case TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED:
+            case TransmuxingEvents.PROGRAM_LIST_ARRIVED:
+            case TransmuxingEvents.TRACK_LIST_ARRIVED:
+            case TransmuxingEvents.SDT_ARRIVED:
+            case TransmuxingEvents.EIT_ARRIVED:
+            case TransmuxingEvents.NIT_ARRIVED:
+            case TransmuxingEvents.TDT_TOT_ARRIVED:
+            case TransmuxingEvents.ARIB_CAPTION_ARRIVED:
+            case TransmuxingEvents.DVB_SUBTITLE_ARRIVED:
+            case TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED:
+            case TransmuxingEvents.CLOSED_CAPTION_ARRIVED:
+            case TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED:
+            case TransmuxingEvents.SECTION_CRC_ERROR:
+            case TransmuxingEvents.TS_ANALYSIS_REPORT:
+            case TransmuxingEvents.DISCONTINUITY:
+            case TransmuxingEvents.KEYFRAMES_INDEX_UPDATED:
+            case TransmuxingEvents.CUE_POINT_ARRIVED:
+            case TransmuxingEvents.TEXT_DATA_ARRIVED:
+            case TransmuxingEvents.CAPTION_DATA_ARRIVED:
+            case TransmuxingEvents.TIMECODE_INFO_ARRIVED:
             case TransmuxingEvents.STATISTICS_INFO:
                 this._emitter.emit(message.msg, data);
                 break;
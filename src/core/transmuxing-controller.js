@@ -25,9 +25,36 @@ import TSDemuxer from '../demux/ts-demuxer';
 import MP4Remuxer from '../remux/mp4-remuxer.js';
 import DemuxErrors from '../demux/demux-errors.js';
 import IOController from '../io/io-controller.js';
+import TSSeeker from './ts-seeker.js';
+import FLVSeeker from './flv-seeker.js';
+import {kReadAborted} from './range-seeker.js';
+import SegmentDecryptor from './segment-decryptor.js';
 import TransmuxingEvents from './transmuxing-events';
 import {LoaderStatus, LoaderErrors} from '../io/loader.js';
 
+// Keyframes farther than this before the seeking target are regarded as outside of the indexed ranges
+const kMaxIndexedKeyframeDistance = 10000;
+
+// Key / IV may be given as ArrayBuffer, TypedArray or hex string
+function toDecryptionBytes(value) {
+    if (typeof value === 'string') {
+        let hex = value.replace(/^0x/i, '');
+        if (!/^[0-9a-f]*$/i.test(hex) || hex.length % 2 !== 0) {
+            return null;
+        }
+        let bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    } else if (value instanceof ArrayBuffer) {
+        return new Uint8Array(value);
+    } else if (value != null && ArrayBuffer.isView(value)) {
+        return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+    return null;
+}
+
 // Transmuxing (IO, Demuxing, Remuxing) controller, with multipart support
 class TransmuxingController {
 
@@ -42,9 +69,18 @@ class TransmuxingController {
             mediaDataSource.segments = [{
                 duration: mediaDataSource.duration,
                 filesize: mediaDataSource.filesize,
-                url: mediaDataSource.url
+                url: mediaDataSource.url,
+                keyframesIndex: mediaDataSource.keyframesIndex
             }];
         }
+        // segments without their own encryption info inherit the one of MediaDataSource
+        if (mediaDataSource.encryption) {
+            mediaDataSource.segments.forEach((segment) => {
+                if (segment.encryption === undefined) {
+                    segment.encryption = mediaDataSource.encryption;
+                }
+            });
+        }
 
         // fill in default IO params if not exists
         if (typeof mediaDataSource.cors !== 'boolean') {
@@ -79,9 +115,31 @@ class TransmuxingController {
         this._demuxer = null;
         this._remuxer = null;
         this._ioctl = null;
+        // AES-128 encrypted segments only, decrypts data from IOController for demuxer
+        this._decryptor = null;
+
+        // segmentIndex -> {method, key, iv} of encrypted segments
+        this._decryptionKeys = [];
+        // Increased on every key request and abort, stale responses of keyProvider are ignored
+        this._keyRequestToken = 0;
+        this._keyRequestPending = false;
 
         this._pendingSeekTime = null;
         this._pendingResolveSeekPoint = null;
+        // MPEG-TS only, seekpoint is resolved from the first sync point after seeking
+        this._resolveSeekPointFromSyncPoint = false;
+
+        // MPEG-TS only, locates seeking position by timestamps if keyframes index doesn't cover the target
+        this._tsSeeker = null;
+        this._tsSeekToken = 0;
+
+        // FLV only, locates keyframes by tag timestamps if onMetaData has no keyframes
+        this._flvSeeker = null;
+        this._flvSeekToken = 0;
+
+        // Last reported keyframes index and its length, for KEYFRAMES_INDEX_UPDATED
+        this._reportedKeyframesIndex = null;
+        this._reportedKeyframesCount = 0;
 
         this._statisticsReporter = null;
     }
@@ -93,10 +151,22 @@ class TransmuxingController {
         if (this._statisticsReporter) {
             this._disableStatisticsReporter();
         }
+        if (this._tsSeeker) {
+            this._tsSeeker.destroy();
+            this._tsSeeker = null;
+        }
+        if (this._flvSeeker) {
+            this._flvSeeker.destroy();
+            this._flvSeeker = null;
+        }
         if (this._ioctl) {
             this._ioctl.destroy();
             this._ioctl = null;
         }
+        if (this._decryptor) {
+            this._decryptor.destroy();
+            this._decryptor = null;
+        }
         if (this._demuxer) {
             this._demuxer.destroy();
             this._demuxer = null;
@@ -127,6 +197,20 @@ class TransmuxingController {
         this._currentSegmentIndex = segmentIndex;
         let dataSource = this._mediaDataSource.segments[segmentIndex];
 
+        let encryption = dataSource.encryption;
+        if (encryption && encryption.method !== 'NONE' && this._decryptionKeys[segmentIndex] == undefined) {
+            if (encryption.key == undefined && !this._isDecryptedByCDM(encryption)) {
+                // Load after the key is provided by keyProvider
+                this._requestDecryptionKey(segmentIndex, optionalFrom);
+                return;
+            }
+            let decryptionKey = this._createDecryptionKey(segmentIndex, encryption.key);
+            if (decryptionKey == null) {
+                return;
+            }
+            this._decryptionKeys[segmentIndex] = decryptionKey;
+        }
+
         let ioctl = this._ioctl = new IOController(dataSource, this._config, segmentIndex);
         ioctl.onError = this._onIOException.bind(this);
         ioctl.onSeeked = this._onIOSeeked.bind(this);
@@ -134,15 +218,136 @@ class TransmuxingController {
         ioctl.onRedirect = this._onIORedirect.bind(this);
         ioctl.onRecoveredEarlyEof = this._onIORecoveredEarlyEof.bind(this);
 
+        let decryptionKey = this._decryptionKeys[segmentIndex];
+        if (decryptionKey != undefined && decryptionKey.method === 'AES-128') {
+            this._decryptor = new SegmentDecryptor(decryptionKey.key, decryptionKey.iv);
+            this._decryptor.onError = this._onDemuxException.bind(this);
+            this._decryptor.bindDataSource(ioctl);
+            if (optionalFrom) {
+                optionalFrom = this._decryptor.seek(optionalFrom);
+            }
+        }
+
         if (optionalFrom) {
-            this._demuxer.bindDataSource(this._ioctl);
+            this._demuxer.bindDataSource(this._getDemuxerDataSource());
+            this._applySampleAESKey();
         } else {
-            ioctl.onDataArrival = this._onInitChunkArrival.bind(this);
+            this._getDemuxerDataSource().onDataArrival = this._onInitChunkArrival.bind(this);
         }
 
         ioctl.open(optionalFrom);
     }
 
+    // Demuxer reads decrypted data from SegmentDecryptor if the segment is encrypted by AES-128
+    _getDemuxerDataSource() {
+        return this._decryptor != null ? this._decryptor : this._ioctl;
+    }
+
+    // Restores timestamp offsets of the target, since media after rebased discontinuities is buffered on the rebased timeline
+    _seekRemuxer(milliseconds) {
+        this._remuxer.seek(milliseconds);
+        this._demuxer.keyframesTimeOffset = this._remuxer.getTimestampOffset();
+    }
+
+    _seekIO(position) {
+        if (this._decryptor != null) {
+            position = this._decryptor.seek(position);
+        }
+        this._ioctl.seek(position);
+    }
+
+    // SAMPLE-AES streams are kept encrypted for the CDM if EME key systems are configured
+    _isDecryptedByCDM(encryption) {
+        return encryption.method === 'SAMPLE-AES' && this._config.emeKeySystems != undefined;
+    }
+
+    // Returns {method, key, iv}, or {method, keyId, iv} if decrypted by the CDM, or null after reporting the error
+    _createDecryptionKey(segmentIndex, keyValue) {
+        let encryption = this._mediaDataSource.segments[segmentIndex].encryption;
+        let key = toDecryptionBytes(keyValue);
+        let iv = null;
+
+        if (encryption.iv != undefined) {
+            iv = toDecryptionBytes(encryption.iv);
+        } else {
+            // Same as HLS without IV attribute, the sequence number (segment index here) in big-endian
+            iv = new Uint8Array(16);
+            new DataView(iv.buffer).setUint32(12, segmentIndex);
+        }
+
+        if (encryption.method !== 'AES-128' && encryption.method !== 'SAMPLE-AES') {
+            this._onDemuxException(DemuxErrors.DECRYPTION_ERROR, `Unsupported encryption method: ${encryption.method}`);
+            return null;
+        }
+        if (this._isDecryptedByCDM(encryption)) {
+            let keyId = toDecryptionBytes(encryption.keyId);
+            if (keyId == null || keyId.byteLength !== 16 || iv == null || iv.byteLength !== 16) {
+                this._onDemuxException(DemuxErrors.DECRYPTION_ERROR, 'Key ID and IV should be 16 bytes for SAMPLE-AES with EME');
+                return null;
+            }
+            return {method: encryption.method, keyId, iv};
+        }
+        if (key == null || key.byteLength !== 16 || iv == null || iv.byteLength !== 16) {
+            this._onDemuxException(DemuxErrors.DECRYPTION_ERROR, 'Key and IV should be 16 bytes for AES-128 / SAMPLE-AES');
+            return null;
+        }
+        return {method: encryption.method, key, iv};
+    }
+
+    _requestDecryptionKey(segmentIndex, optionalFrom) {
+        let segment = this._mediaDataSource.segments[segmentIndex];
+        let keyProvider = this._config.keyProvider;
+
+        if (typeof keyProvider !== 'function') {
+            this._onDemuxException(DemuxErrors.DECRYPTION_ERROR, 'Segment is encrypted, but neither key nor keyProvider is provided');
+            return;
+        }
+
+        let token = ++this._keyRequestToken;
+        this._keyRequestPending = true;
+
+        let request = {
+            segmentIndex,
+            url: segment.url,
+            method: segment.encryption.method,
+            keyUri: segment.encryption.keyUri
+        };
+
+        Promise.resolve().then(() => keyProvider(request)).then((keyValue) => {
+            if (token !== this._keyRequestToken) {
+                return;
+            }
+            this._keyRequestPending = false;
+
+            let decryptionKey = this._createDecryptionKey(segmentIndex, keyValue);
+            if (decryptionKey != null) {
+                this._decryptionKeys[segmentIndex] = decryptionKey;
+                this._loadSegment(segmentIndex, optionalFrom);
+            }
+        }, (error) => {
+            if (token !== this._keyRequestToken) {
+                return;
+            }
+            this._keyRequestPending = false;
+            this._onDemuxException(DemuxErrors.DECRYPTION_ERROR, `Failed to get key from keyProvider: ${error && error.message ? error.message : error}`);
+        });
+    }
+
+    // SAMPLE-AES is decrypted by TSDemuxer while demuxing, or kept encrypted for EME
+    _applySampleAESKey() {
+        if (!(this._demuxer instanceof TSDemuxer)) {
+            return;
+        }
+        let decryptionKey = this._decryptionKeys[this._currentSegmentIndex];
+        if (decryptionKey != undefined && decryptionKey.keyId != undefined) {
+            this._demuxer.setSampleAESEncryption(decryptionKey.keyId, decryptionKey.iv);
+        } else if (decryptionKey != undefined && decryptionKey.method === 'SAMPLE-AES') {
+            this._demuxer.setSampleAESKey(decryptionKey.key, decryptionKey.iv);
+        } else {
+            this._demuxer.setSampleAESKey(null);
+        }
+    }
+
     stop() {
         this._internalAbort();
         this._disableStatisticsReporter();
@@ -153,6 +358,13 @@ class TransmuxingController {
             this._ioctl.destroy();
             this._ioctl = null;
         }
+        if (this._decryptor) {
+            this._decryptor.destroy();
+            this._decryptor = null;
+        }
+        // Drop the pending key request
+        this._keyRequestToken++;
+        this._keyRequestPending = false;
     }
 
     pause() {  // take a rest
@@ -170,7 +382,33 @@ class TransmuxingController {
     }
 
     seek(milliseconds) {
-        if (this._mediaInfo == null || !this._mediaInfo.isSeekable()) {
+        if (this._mediaInfo == null) {
+            return;
+        }
+        if (this._keyRequestPending) {
+            // Nothing is loading while waiting for the key, load the target segment instead
+            let targetSegmentIndex = this._searchSegmentIndexContains(milliseconds);
+            this._pendingSeekTime = milliseconds;
+            this._internalAbort();
+            this._seekRemuxer(milliseconds);
+            this._remuxer.insertDiscontinuity();
+            this._loadSegment(targetSegmentIndex);
+            return;
+        }
+        if (this._demuxer instanceof TSDemuxer && this._mediaDataSource.segments.length === 1) {
+            this._seekTS(milliseconds);
+            return;
+        }
+        if (this._flvSeeker != null) {
+            this._seekFLV(milliseconds);
+            return;
+        }
+
+        // keyframes index may be built while loading some segments only
+        let seekable = this._mediaInfo.isSeekable() || this._mediaInfo.segments.some((segmentInfo) => {
+            return segmentInfo != undefined && segmentInfo.isSeekable();
+        });
+        if (!seekable) {
             return;
         }
 
@@ -186,8 +424,12 @@ class TransmuxingController {
                 this._pendingSeekTime = milliseconds;
             } else {
                 let keyframe = segmentInfo.getNearestKeyframe(milliseconds);
-                this._remuxer.seek(keyframe.milliseconds);
-                this._ioctl.seek(keyframe.fileposition);
+                if (keyframe == null) {
+                    // No keyframe has been indexed in this segment
+                    return;
+                }
+                this._seekRemuxer(keyframe.milliseconds);
+                this._seekIO(keyframe.fileposition);
                 // Will be resolved in _onRemuxerMediaSegmentArrival()
                 this._pendingResolveSeekPoint = keyframe.milliseconds;
             }
@@ -195,11 +437,11 @@ class TransmuxingController {
             // cross-segment seeking
             let targetSegmentInfo = this._mediaInfo.segments[targetSegmentIndex];
 
-            if (targetSegmentInfo == undefined) {
+            if (targetSegmentInfo == undefined || targetSegmentInfo.getNearestKeyframe(milliseconds) == null) {
                 // target segment hasn't been loaded. We need metadata then seek to expected time
                 this._pendingSeekTime = milliseconds;
                 this._internalAbort();
-                this._remuxer.seek();
+                this._seekRemuxer(milliseconds);
                 this._remuxer.insertDiscontinuity();
                 this._loadSegment(targetSegmentIndex);
                 // Here we wait for the metadata loaded, then seek to expected position
@@ -207,9 +449,10 @@ class TransmuxingController {
                 // We have target segment's metadata, direct seek to target position
                 let keyframe = targetSegmentInfo.getNearestKeyframe(milliseconds);
                 this._internalAbort();
-                this._remuxer.seek(milliseconds);
+                this._seekRemuxer(milliseconds);
                 this._remuxer.insertDiscontinuity();
                 this._demuxer.resetMediaInfo();
+                this._demuxer.keyframesIndex = targetSegmentInfo.keyframesIndex;
                 this._demuxer.timestampBase = this._mediaDataSource.segments[targetSegmentIndex].timestampBase;
                 this._loadSegment(targetSegmentIndex, keyframe.fileposition);
                 this._pendingResolveSeekPoint = keyframe.milliseconds;
@@ -220,6 +463,262 @@ class TransmuxingController {
         this._enableStatisticsReporter();
     }
 
+    _seekTS(milliseconds) {
+        let seeker = this._tsSeeker;
+        let segmentInfo = this._mediaInfo.segments[this._currentSegmentIndex];
+        let indexed = segmentInfo != undefined && segmentInfo.isSeekable();
+
+        if (!indexed && seeker == null) {
+            return;
+        }
+        if (!indexed && seeker.duration == null) {
+            // Duration probing in progress, seek after it finished
+            this._pendingSeekTime = milliseconds;
+            return;
+        }
+
+        // Stop loading from current position during locating the target position
+        if (this._ioctl.isWorking()) {
+            this._ioctl.pause();
+        }
+        this._seekRemuxer(milliseconds);
+
+        // After remuxer.seek(), output timeline is original timeline minus timestamp base
+        let timestampBase = this._remuxer.getTimestampBase();
+        if (timestampBase == undefined) {
+            timestampBase = (seeker != null && seeker.firstTimestamp != null) ? seeker.firstTimestamp : segmentInfo.keyframesIndex.times[0];
+        }
+        let target = timestampBase + milliseconds;
+        let token = ++this._tsSeekToken;
+
+        // Indexed keyframes are preferred, unless the nearest one is far from target, e.g. in a range not loaded yet.
+        // They are indexed on the rebased timeline, which is the original timeline plus the timestamp offset
+        let indexedTarget = target + this._remuxer.getTimestampOffset();
+        let keyframe = indexed ? segmentInfo.getNearestKeyframe(indexedTarget) : null;
+        if (keyframe != null && (seeker == null || seeker.duration == null || segmentInfo.hasKeyframesIndex === true
+                || indexedTarget - keyframe.milliseconds <= kMaxIndexedKeyframeDistance)) {
+            this._resumeTSFrom(keyframe.fileposition, milliseconds);
+            this._enableStatisticsReporter();
+            return;
+        }
+
+        seeker.locate(target).then((position) => {
+            if (token !== this._tsSeekToken || this._tsSeeker !== seeker) {
+                // Superseded by another seeking
+                return;
+            }
+            this._resumeTSFrom(position, milliseconds);
+        }, (error) => {
+            if (error === kReadAborted) {
+                return;
+            }
+            if (token === this._tsSeekToken && this._tsSeeker === seeker) {
+                this._onIOException(error.type, error.info);
+            }
+        });
+
+        this._enableStatisticsReporter();
+    }
+
+    _resumeTSFrom(position, milliseconds) {
+        Log.v(this.TAG, `MPEG-TS seeking to ${milliseconds}ms, resume from byte ${position}`);
+        this._demuxer.seek();
+        this._seekIO(position);
+        // Will be resolved in _onRemuxerMediaSegmentArrival()
+        this._pendingResolveSeekPoint = milliseconds;
+        this._resolveSeekPointFromSyncPoint = true;
+    }
+
+    _seekFLV(milliseconds) {
+        let seeker = this._flvSeeker;
+        let segmentInfo = this._mediaInfo.segments[this._currentSegmentIndex];
+
+        if (seeker.duration == null) {
+            // Duration probing in progress, seek after it finished
+            this._pendingSeekTime = milliseconds;
+            return;
+        }
+
+        let token = ++this._flvSeekToken;
+
+        // Indexed keyframes are preferred, unless the nearest one is far from target, e.g. in a range not loaded yet
+        let keyframe = segmentInfo != undefined ? segmentInfo.getNearestKeyframe(milliseconds) : null;
+        if (keyframe != null && milliseconds - keyframe.milliseconds <= kMaxIndexedKeyframeDistance) {
+            this._resumeFLVFrom(keyframe.fileposition, keyframe.milliseconds);
+            this._enableStatisticsReporter();
+            return;
+        }
+
+        // Stop loading from current position during locating the target position
+        if (this._ioctl.isWorking()) {
+            this._ioctl.pause();
+        }
+        let timestampBase = this._demuxer.timestampBase;
+        // Tag timestamps are on the original timeline, before rebased timestamp discontinuities
+        let offset = this._remuxer.getTimestampOffset(milliseconds);
+
+        seeker.locate(milliseconds - offset - timestampBase).then((keyframe) => {
+            if (token !== this._flvSeekToken || this._flvSeeker !== seeker) {
+                // Superseded by another seeking
+                return;
+            }
+            this._resumeFLVFrom(keyframe.position, timestampBase + keyframe.timestamp + offset);
+        }, (error) => {
+            if (error === kReadAborted) {
+                return;
+            }
+            if (token === this._flvSeekToken && this._flvSeeker === seeker) {
+                this._onIOException(error.type, error.info);
+            }
+        });
+
+        this._enableStatisticsReporter();
+    }
+
+    _resumeFLVFrom(position, keyframeMilliseconds) {
+        Log.v(this.TAG, `FLV seeking to keyframe at ${keyframeMilliseconds}ms, resume from byte ${position}`);
+        this._seekRemuxer(keyframeMilliseconds);
+        this._seekIO(position);
+        // Will be resolved in _onRemuxerMediaSegmentArrival()
+        this._pendingResolveSeekPoint = keyframeMilliseconds;
+    }
+
+    // Duration of MPEG-TS can only be known by reading the tail of file
+    _probeTSDuration() {
+        let scanParams = this._demuxer.getTimestampScanParams();
+        let totalLength = this._ioctl.totalLength;
+
+        if (scanParams == undefined || !totalLength || this._ioctl.loaderType === 'websocket-loader') {
+            Log.w(this.TAG, 'MPEG-TS seeking is unavailable since file size is unknown');
+            return;
+        }
+        if (this._decryptor != null) {
+            // Timestamps can't be scanned from encrypted ranges, only indexed keyframes are seekable
+            return;
+        }
+
+        let seeker = this._tsSeeker = new TSSeeker(this._mediaDataSource.segments[this._currentSegmentIndex], this._config, scanParams, totalLength);
+        seeker.probeDuration().then((duration) => {
+            if (this._tsSeeker !== seeker) {
+                return;
+            }
+            if (duration == null) {
+                Log.w(this.TAG, 'MPEG-TS seeking is unavailable since timestamps are not found');
+                seeker.destroy();
+                this._tsSeeker = null;
+                this._pendingSeekTime = null;
+                return;
+            }
+
+            this._mediaInfo.duration = duration;
+            this._mediaInfo.segments[this._currentSegmentIndex].duration = duration;
+            this._reportSegmentMediaInfo(this._currentSegmentIndex);
+
+            if (this._pendingSeekTime != null) {
+                let target = this._pendingSeekTime;
+                this._pendingSeekTime = null;
+                this.seek(target);
+            }
+        }, (error) => {
+            if (error !== kReadAborted && this._tsSeeker === seeker) {
+                Log.w(this.TAG, `MPEG-TS seeking is unavailable since probing failed: ${error.info.msg}`);
+                seeker.destroy();
+                this._tsSeeker = null;
+                this._pendingSeekTime = null;
+            }
+        });
+    }
+
+    // FLV files without keyframes in onMetaData, duration is also probed if onMetaData doesn't tell it
+    _probeFLVDuration() {
+        let totalLength = this._ioctl.totalLength;
+
+        if (!totalLength || this._ioctl.loaderType === 'websocket-loader') {
+            Log.w(this.TAG, 'FLV seeking is unavailable since file size is unknown');
+            return;
+        }
+        if (this._decryptor != null) {
+            // Tags can't be scanned from encrypted ranges, only indexed keyframes are seekable
+            return;
+        }
+
+        let seeker = this._flvSeeker = new FLVSeeker(this._mediaDataSource.segments[this._currentSegmentIndex], this._config, this._demuxer.getTagScanParams(), totalLength);
+        seeker.probeDuration().then((duration) => {
+            if (this._flvSeeker !== seeker) {
+                return;
+            }
+            if (duration == null) {
+                Log.w(this.TAG, 'FLV seeking is unavailable since tags are not found');
+                seeker.destroy();
+                this._flvSeeker = null;
+                this._pendingSeekTime = null;
+                return;
+            }
+
+            if (!this._mediaInfo.duration) {
+                this._mediaInfo.duration = duration;
+                this._mediaInfo.segments[this._currentSegmentIndex].duration = duration;
+                this._reportSegmentMediaInfo(this._currentSegmentIndex);
+            }
+
+            if (this._pendingSeekTime != null) {
+                let target = this._pendingSeekTime;
+                this._pendingSeekTime = null;
+                this.seek(target);
+            }
+        }, (error) => {
+            if (error !== kReadAborted && this._flvSeeker === seeker) {
+                Log.w(this.TAG, `FLV seeking is unavailable since probing failed: ${error.info.msg}`);
+                seeker.destroy();
+                this._flvSeeker = null;
+                this._pendingSeekTime = null;
+            }
+        });
+    }
+
+    switchProgram(programNumber) {
+        // Also remember it for demuxer which will be created for subsequent segments
+        this._mediaDataSource.program = programNumber;
+
+        if (this._demuxer == null) {
+            // Not probed yet, will be applied in _setupTSDemuxerRemuxer()
+            return;
+        }
+
+        if (!(this._demuxer instanceof TSDemuxer)) {
+            Log.w(this.TAG, 'switchProgram() is only available for MPEG-TS stream');
+            return;
+        }
+
+        this._demuxer.switchProgram(programNumber);
+    }
+
+    // pid of MPEG-TS elementary stream, or trackId of Enhanced FLV multitrack
+    switchTrack(type, pid) {
+        if (!(this._demuxer instanceof TSDemuxer) && !(this._demuxer instanceof FLVDemuxer)) {
+            Log.w(this.TAG, 'switchTrack() is only available for MPEG-TS or FLV stream');
+            return;
+        }
+
+        this._demuxer.switchTrack(type, pid);
+    }
+
+    switchSubtitleLanguage(language) {
+        this._mediaDataSource.subtitleLanguage = language;
+
+        if (this._demuxer == null) {
+            // Not probed yet, will be applied in _setupTSDemuxerRemuxer()
+            return;
+        }
+
+        if (!(this._demuxer instanceof TSDemuxer)) {
+            Log.w(this.TAG, 'switchSubtitleLanguage() is only available for MPEG-TS stream');
+            return;
+        }
+
+        this._demuxer.switchSubtitleLanguage(language);
+    }
+
     _searchSegmentIndexContains(milliseconds) {
         let segments = this._mediaDataSource.segments;
         let idx = segments.length - 1;
@@ -238,8 +737,9 @@ class TransmuxingController {
 
         if (byteStart > 0) {
             // IOController seeked immediately after opened, byteStart > 0 callback may received
-            this._demuxer.bindDataSource(this._ioctl);
+            this._demuxer.bindDataSource(this._getDemuxerDataSource());
             this._demuxer.timestampBase = this._mediaDataSource.segments[this._currentSegmentIndex].timestampBase;
+            this._applySampleAESKey();
 
             consumed = this._demuxer.parseChunks(data, byteStart);
         } else {
@@ -298,14 +798,22 @@ class TransmuxingController {
         }
 
         this._demuxer.timestampBase = mds.segments[this._currentSegmentIndex].timestampBase;
+        this._loadKeyframesIndex();
 
         this._demuxer.onError = this._onDemuxException.bind(this);
         this._demuxer.onMediaInfo = this._onMediaInfo.bind(this);
         this._demuxer.onMetaDataArrived = this._onMetaDataArrived.bind(this);
         this._demuxer.onScriptDataArrived = this._onScriptDataArrived.bind(this);
+        this._demuxer.onCuePointArrived = this._onCuePointArrived.bind(this);
+        this._demuxer.onTextDataArrived = this._onTextDataArrived.bind(this);
+        this._demuxer.onCaptionDataArrived = this._onCaptionDataArrived.bind(this);
+        this._demuxer.onTimecodeInfoArrived = this._onTimecodeInfoArrived.bind(this);
+        this._demuxer.onClosedCaptionData = this._onClosedCaptionData.bind(this);
+        this._demuxer.onTimestampDiscontinuity = this._onTimestampDiscontinuity.bind(this);
+        this._demuxer.onTrackList = this._onTrackList.bind(this);
 
         this._remuxer.bindDataSource(this._demuxer
-                        .bindDataSource(this._ioctl
+                        .bindDataSource(this._getDemuxerDataSource()
         ));
 
         this._remuxer.onInitSegment = this._onRemuxerInitSegmentArrival.bind(this);
@@ -330,14 +838,50 @@ class TransmuxingController {
         demuxer.onSCTE35Metadata = this._onSCTE35Metadata.bind(this);
         demuxer.onPESPrivateDataDescriptor = this._onPESPrivateDataDescriptor.bind(this);
         demuxer.onPESPrivateData = this._onPESPrivateData.bind(this);
+        demuxer.onProgramList = this._onProgramList.bind(this);
+        demuxer.onTrackList = this._onTrackList.bind(this);
+        demuxer.onSDT = this._onSDT.bind(this);
+        demuxer.onEIT = this._onEIT.bind(this);
+        demuxer.onNIT = this._onNIT.bind(this);
+        demuxer.onTDTTOT = this._onTDTTOT.bind(this);
+        demuxer.onARIBCaptionData = this._onARIBCaptionData.bind(this);
+        demuxer.onDVBSubtitleFrame = this._onDVBSubtitleFrame.bind(this);
+        demuxer.onTeletextSubtitleData = this._onTeletextSubtitleData.bind(this);
+        demuxer.onClosedCaptionData = this._onClosedCaptionData.bind(this);
+        demuxer.onPGSSubtitleFrame = this._onPGSSubtitleFrame.bind(this);
+        demuxer.onSectionCRCError = this._onSectionCRCError.bind(this);
+        demuxer.onTSAnalysisReport = this._onTSAnalysisReport.bind(this);
+        demuxer.onTimestampDiscontinuity = this._onTimestampDiscontinuity.bind(this);
+
+        if (typeof this._mediaDataSource.program === 'number') {
+            demuxer.switchProgram(this._mediaDataSource.program);
+        }
+        if (typeof this._mediaDataSource.subtitleLanguage === 'string') {
+            demuxer.switchSubtitleLanguage(this._mediaDataSource.subtitleLanguage);
+        }
+        this._loadKeyframesIndex();
+        this._applySampleAESKey();
 
         this._remuxer.bindDataSource(this._demuxer);
-        this._demuxer.bindDataSource(this._ioctl);
+        this._demuxer.bindDataSource(this._getDemuxerDataSource());
 
         this._remuxer.onInitSegment = this._onRemuxerInitSegmentArrival.bind(this);
         this._remuxer.onMediaSegment = this._onRemuxerMediaSegmentArrival.bind(this);
     }
 
+    // Keyframes index of the segment from MediaDataSource, and the one built before the segment is reloaded
+    _loadKeyframesIndex() {
+        let segment = this._mediaDataSource.segments[this._currentSegmentIndex];
+        if (segment.keyframesIndex) {
+            this._demuxer.importKeyframesIndex(segment.keyframesIndex);
+        }
+
+        let segmentInfo = this._mediaInfo != null ? this._mediaInfo.segments[this._currentSegmentIndex] : undefined;
+        if (segmentInfo != undefined && segmentInfo.keyframesIndex != null && segmentInfo.keyframesIndex !== this._demuxer.keyframesIndex) {
+            this._demuxer.keyframesIndex.merge(segmentInfo.keyframesIndex);
+        }
+    }
+
     _onMediaInfo(mediaInfo) {
         if (this._mediaInfo == null) {
             // Store first segment's mediainfo as global mediaInfo
@@ -352,10 +896,26 @@ class TransmuxingController {
         Object.setPrototypeOf(segmentInfo, MediaInfo.prototype);
         this._mediaInfo.segments[this._currentSegmentIndex] = segmentInfo;
 
+        if (this._tsSeeker != null && this._tsSeeker.duration != null) {
+            segmentInfo.duration = this._tsSeeker.duration;
+        }
+        if (this._flvSeeker != null && this._flvSeeker.duration != null && !segmentInfo.duration) {
+            segmentInfo.duration = this._flvSeeker.duration;
+        }
+
         // notify mediaInfo update
         this._reportSegmentMediaInfo(this._currentSegmentIndex);
 
-        if (this._pendingSeekTime != null) {
+        if (this._demuxer instanceof TSDemuxer && this._tsSeeker == null && !this._config.isLive
+                && this._mediaDataSource.segments.length === 1) {
+            this._probeTSDuration();
+        }
+        if (this._demuxer instanceof FLVDemuxer && this._flvSeeker == null && !this._config.isLive
+                && this._mediaDataSource.segments.length === 1 && segmentInfo.hasKeyframesIndex !== true) {
+            this._probeFLVDuration();
+        }
+
+        if (this._pendingSeekTime != null && this._tsSeeker == null && this._flvSeeker == null) {
             Promise.resolve().then(() => {
                 let target = this._pendingSeekTime;
                 this._pendingSeekTime = null;
@@ -372,6 +932,38 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.SCRIPTDATA_ARRIVED, data);
     }
 
+    _onCuePointArrived(cue_point) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        cue_point.pts -= timestamp_base;
+        this._emitter.emit(TransmuxingEvents.CUE_POINT_ARRIVED, cue_point);
+    }
+
+    _onTextDataArrived(text_data) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        text_data.pts -= timestamp_base;
+        this._emitter.emit(TransmuxingEvents.TEXT_DATA_ARRIVED, text_data);
+    }
+
+    _onCaptionDataArrived(caption_data) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        caption_data.pts -= timestamp_base;
+        this._emitter.emit(TransmuxingEvents.CAPTION_DATA_ARRIVED, caption_data);
+    }
+
+    _onTimecodeInfoArrived(timecode_info) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        timecode_info.pts -= timestamp_base;
+        this._emitter.emit(TransmuxingEvents.TIMECODE_INFO_ARRIVED, timecode_info);
+    }
+
     _onTimedID3Metadata(timed_id3_metadata) {
         let timestamp_base = this._remuxer.getTimestampBase();
         if (timestamp_base == undefined) { return; }
@@ -478,11 +1070,144 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED, private_data);
     }
 
+    _onProgramList(programList) {
+        this._emitter.emit(TransmuxingEvents.PROGRAM_LIST_ARRIVED, programList);
+    }
+
+    _onTrackList(trackList) {
+        this._emitter.emit(TransmuxingEvents.TRACK_LIST_ARRIVED, trackList);
+    }
+
+    _onSDT(sdt) {
+        this._emitter.emit(TransmuxingEvents.SDT_ARRIVED, sdt);
+    }
+
+    _onEIT(eit) {
+        this._emitter.emit(TransmuxingEvents.EIT_ARRIVED, eit);
+    }
+
+    _onNIT(nit) {
+        this._emitter.emit(TransmuxingEvents.NIT_ARRIVED, nit);
+    }
+
+    _onTDTTOT(tdtTot) {
+        this._emitter.emit(TransmuxingEvents.TDT_TOT_ARRIVED, tdtTot);
+    }
+
+    _onARIBCaptionData(caption) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        if (caption.pts != undefined) {
+            caption.pts -= timestamp_base;
+        }
+
+        if (caption.nearest_pts != undefined) {
+            caption.nearest_pts -= timestamp_base;
+        }
+
+        this._emitter.emit(TransmuxingEvents.ARIB_CAPTION_ARRIVED, caption);
+    }
+
+    _onDVBSubtitleFrame(frame) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        if (frame.pts != undefined) {
+            frame.pts -= timestamp_base;
+        }
+
+        if (frame.nearest_pts != undefined) {
+            frame.nearest_pts -= timestamp_base;
+        }
+
+        this._emitter.emit(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, frame);
+    }
+
+    _onTeletextSubtitleData(subtitle) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        if (subtitle.pts != undefined) {
+            subtitle.pts -= timestamp_base;
+        }
+
+        if (subtitle.nearest_pts != undefined) {
+            subtitle.nearest_pts -= timestamp_base;
+        }
+
+        this._emitter.emit(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, subtitle);
+    }
+
+    _onClosedCaptionData(caption) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        caption.pts -= timestamp_base;
+
+        this._emitter.emit(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, caption);
+    }
+
+    _onPGSSubtitleFrame(frame) {
+        let timestamp_base = this._remuxer.getTimestampBase();
+        if (timestamp_base == undefined) { return; }
+
+        if (frame.pts != undefined) {
+            frame.pts -= timestamp_base;
+        }
+
+        if (frame.nearest_pts != undefined) {
+            frame.nearest_pts -= timestamp_base;
+        }
+
+        this._emitter.emit(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, frame);
+    }
+
+    _onSectionCRCError(error) {
+        this._emitter.emit(TransmuxingEvents.SECTION_CRC_ERROR, error);
+    }
+
+    _onTSAnalysisReport(report) {
+        this._emitter.emit(TransmuxingEvents.TS_ANALYSIS_REPORT, report);
+    }
+
+    _onTimestampDiscontinuity(discontinuity) {
+        // Forward jumps without PCR discontinuity may be gaps of the stream, which are kept in the output timeline
+        let rebase = discontinuity.reason !== 'forward_jump';
+        discontinuity.output_timestamp = this._remuxer.insertTimestampDiscontinuity(discontinuity.track, discontinuity.timestamp, rebase);
+        this._demuxer.keyframesTimeOffset = this._remuxer.getTimestampOffset();
+        this._emitter.emit(TransmuxingEvents.DISCONTINUITY, discontinuity);
+    }
+
     _onIOSeeked() {
         this._remuxer.insertDiscontinuity();
+        this._demuxer.insertDiscontinuity();
     }
 
     _onIOComplete(extraData) {
+        if (this._decryptor != null) {
+            // Wait for the decryption of the remaining data
+            let decryptor = this._decryptor;
+            decryptor.flush().then(() => {
+                if (this._decryptor === decryptor) {
+                    this._onSegmentComplete(extraData);
+                }
+            }).catch((error) => {
+                // Stay on the segment, as the rest of it can't be decrypted
+                if (this._decryptor === decryptor) {
+                    if (error instanceof Error) {
+                        this._onDemuxException(DemuxErrors.FORMAT_ERROR, error.message);
+                    } else {
+                        this._onDemuxException(error.type, error.info);
+                    }
+                }
+            });
+            return;
+        }
+        this._onSegmentComplete(extraData);
+    }
+
+    _onSegmentComplete(extraData) {
         let segmentIndex = extraData;
         let nextSegmentIndex = segmentIndex + 1;
 
@@ -491,11 +1216,13 @@ class TransmuxingController {
             if (this._remuxer) {
                 this._remuxer.flushStashedSamples();
             }
+            this._reportKeyframesIndex();
             this._loadSegment(nextSegmentIndex);
         } else {
             if (this._remuxer) {
                 this._remuxer.flushStashedSamples();
             }
+            this._reportKeyframesIndex();
             this._emitter.emit(TransmuxingEvents.LOADING_COMPLETE);
             this._disableStatisticsReporter();
         }
@@ -533,13 +1260,24 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.MEDIA_SEGMENT, type, mediaSegment);
 
         // Resolve pending seekPoint
-        if (this._pendingResolveSeekPoint != null && type === 'video') {
+        if (this._pendingResolveSeekPoint != null && type === 'audio' && this._resolveSeekPointFromSyncPoint && !this._mediaInfo.hasVideo) {
+            // MPEG-TS without video: every audio frame is a sync point
+            this._pendingResolveSeekPoint = null;
+            this._resolveSeekPointFromSyncPoint = false;
+            this._emitter.emit(TransmuxingEvents.RECOMMEND_SEEKPOINT, mediaSegment.info.beginDts);
+        } else if (this._pendingResolveSeekPoint != null && type === 'video') {
             let syncPoints = mediaSegment.info.syncPoints;
             let seekpoint = this._pendingResolveSeekPoint;
             this._pendingResolveSeekPoint = null;
 
-            // Safari: Pass PTS for recommend_seekpoint
-            if (Browser.safari && syncPoints.length > 0 && syncPoints[0].originalDts === seekpoint) {
+            if (this._resolveSeekPointFromSyncPoint) {
+                // MPEG-TS: keyframe located by bisection, whose time is known only after remuxing
+                this._resolveSeekPointFromSyncPoint = false;
+                if (syncPoints.length > 0) {
+                    seekpoint = Browser.safari ? syncPoints[0].pts : syncPoints[0].dts;
+                }
+            } else if (Browser.safari && syncPoints.length > 0 && syncPoints[0].originalDts === seekpoint) {
+                // Safari: Pass PTS for recommend_seekpoint
                 seekpoint = syncPoints[0].pts;
             }
             // else: use original DTS (keyframe.milliseconds)
@@ -589,7 +1327,29 @@ class TransmuxingController {
         info.currentSegmentIndex = this._currentSegmentIndex;
         info.totalSegmentCount = this._mediaDataSource.segments.length;
 
+        if (this._demuxer instanceof TSDemuxer) {
+            info.crcErrorCount = this._demuxer.crcErrorCount;
+        }
+
         this._emitter.emit(TransmuxingEvents.STATISTICS_INFO, info);
+        this._reportKeyframesIndex();
+    }
+
+    // Reported along with statistics info only if new keyframes have been indexed
+    _reportKeyframesIndex() {
+        let index = this._demuxer ? this._demuxer.keyframesIndex : null;
+        if (index == null || index.length === 0) {
+            return;
+        }
+        if (index === this._reportedKeyframesIndex && index.length === this._reportedKeyframesCount) {
+            return;
+        }
+        this._reportedKeyframesIndex = index;
+        this._reportedKeyframesCount = index.length;
+
+        let exportIndex = this._demuxer.exportKeyframesIndex();
+        exportIndex.segmentIndex = this._currentSegmentIndex;
+        this._emitter.emit(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, exportIndex);
     }
 
 }
@@ -64,6 +64,25 @@ let TransmuxingWorker = function (self) {
                 controller.on(TransmuxingEvents.SCTE35_METADATA_ARRIVED, onSCTE35MetadataArrived.bind(this));
                 controller.on(TransmuxingEvents.PES_PRIVATE_DATA_DESCRIPTOR, onPESPrivateDataDescriptor.bind(this));
                 controller.on(TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED, onPESPrivateDataArrived.bind(this));
+                controller.on(TransmuxingEvents.PROGRAM_LIST_ARRIVED, onProgramListArrived.bind(this));
+                controller.on(TransmuxingEvents.TRACK_LIST_ARRIVED, onTrackListArrived.bind(this));
+                controller.on(TransmuxingEvents.SDT_ARRIVED, onSDTArrived.bind(this));
+                controller.on(TransmuxingEvents.EIT_ARRIVED, onEITArrived.bind(this));
+                controller.on(TransmuxingEvents.NIT_ARRIVED, onNITArrived.bind(this));
+                controller.on(TransmuxingEvents.TDT_TOT_ARRIVED, onTDTTOTArrived.bind(this));
+                controller.on(TransmuxingEvents.ARIB_CAPTION_ARRIVED, onARIBCaptionArrived.bind(this));
+                controller.on(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, onDVBSubtitleArrived.bind(this));
+                controller.on(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, onTeletextSubtitleArrived.bind(this));
+                controller.on(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, onClosedCaptionArrived.bind(this));
+                controller.on(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, onPGSSubtitleFrameArrived.bind(this));
+                controller.on(TransmuxingEvents.SECTION_CRC_ERROR, onSectionCRCError.bind(this));
+                controller.on(TransmuxingEvents.TS_ANALYSIS_REPORT, onTSAnalysisReport.bind(this));
+                controller.on(TransmuxingEvents.DISCONTINUITY, onDiscontinuity.bind(this));
+                controller.on(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, onKeyframesIndexUpdated.bind(this));
+                controller.on(TransmuxingEvents.CUE_POINT_ARRIVED, onCuePointArrived.bind(this));
+                controller.on(TransmuxingEvents.TEXT_DATA_ARRIVED, onTextDataArrived.bind(this));
+                controller.on(TransmuxingEvents.CAPTION_DATA_ARRIVED, onCaptionDataArrived.bind(this));
+                controller.on(TransmuxingEvents.TIMECODE_INFO_ARRIVED, onTimecodeInfoArrived.bind(this));
                 controller.on(TransmuxingEvents.STATISTICS_INFO, onStatisticsInfo.bind(this));
                 controller.on(TransmuxingEvents.RECOMMEND_SEEKPOINT, onRecommendSeekpoint.bind(this));
                 break;
@@ -89,6 +108,15 @@ let TransmuxingWorker = function (self) {
             case 'resume':
                 controller.resume();
                 break;
+            case 'switch_program':
+                controller.switchProgram(e.data.param);
+                break;
+            case 'switch_track':
+                controller.switchTrack(e.data.param[0], e.data.param[1]);
+                break;
+            case 'switch_subtitle_language':
+                controller.switchSubtitleLanguage(e.data.param);
+                break;
             case 'logging_config': {
                 let config = e.data.param;
                 LoggingControl.applyConfig(config);
@@ -227,6 +255,158 @@ let TransmuxingWorker = function (self) {
         self.postMessage(obj);
     }
 
+    function onProgramListArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.PROGRAM_LIST_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTrackListArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.TRACK_LIST_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onSDTArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.SDT_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onEITArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.EIT_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onNITArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.NIT_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTDTTOTArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.TDT_TOT_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onARIBCaptionArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.ARIB_CAPTION_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onDVBSubtitleArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.DVB_SUBTITLE_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTeletextSubtitleArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onClosedCaptionArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.CLOSED_CAPTION_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onPGSSubtitleFrameArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onSectionCRCError(data) {
+        let obj = {
+            msg: TransmuxingEvents.SECTION_CRC_ERROR,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTSAnalysisReport(data) {
+        let obj = {
+            msg: TransmuxingEvents.TS_ANALYSIS_REPORT,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onDiscontinuity(data) {
+        let obj = {
+            msg: TransmuxingEvents.DISCONTINUITY,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onKeyframesIndexUpdated(data) {
+        let obj = {
+            msg: TransmuxingEvents.KEYFRAMES_INDEX_UPDATED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onCuePointArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.CUE_POINT_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTextDataArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.TEXT_DATA_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onCaptionDataArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.CAPTION_DATA_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
+    function onTimecodeInfoArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.TIMECODE_INFO_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj);
+    }
+
     function onStatisticsInfo(statInfo) {
         let obj = {
             msg: TransmuxingEvents.STATISTICS_INFO,
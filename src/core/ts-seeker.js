@@ -0,0 +1,123 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import RangeSeeker from './range-seeker.js';
+import {alignToPacket, scanPESTimestamps} from '../demux/ts-timestamp-scanner';
+
+const kTimestampWrap = 0x200000000;  // 33-bit PTS / DTS
+
+// Time-based seeking for MPEG-TS files, which have no keyframes index like FLV's onMetaData.
+// Duration is estimated from the first and the last timestamps by range requests,
+// then byte offsets are bisected toward the target time and the nearest random access point before it is located.
+class TSSeeker extends RangeSeeker {
+
+    constructor(dataSource, config, scanParams, totalLength) {
+        super(dataSource, config, totalLength, scanParams.sync_offset, 1024 * scanParams.ts_packet_size);
+        this.TAG = 'TSSeeker';
+
+        this._scanParams = scanParams;
+
+        // in 90kHz, unwrapped against the first timestamp
+        this._firstTimestamp = null;
+        this._lastTimestamp = null;
+        // whether random_access_indicator has been seen, some muxers never set it
+        this._hasRandomAccessIndicator = false;
+    }
+
+    // dts of the first sample in milliseconds on the original timeline, null if not probed
+    get firstTimestamp() {
+        return this._firstTimestamp == null ? null : Math.floor(this._firstTimestamp / 90);
+    }
+
+    // in milliseconds, null if not probed
+    get duration() {
+        if (this._firstTimestamp == null || this._lastTimestamp == null) {
+            return null;
+        }
+        return Math.floor((this._lastTimestamp - this._firstTimestamp) / 90);
+    }
+
+    // Resolves the duration in milliseconds, or null if timestamps can't be found
+    probeDuration() {
+        return this._normalizeError(this._scanHead().then((samples) => {
+            if (samples.length === 0) {
+                return null;
+            }
+            this._firstTimestamp = samples[0].timestamp;
+            return this._scanLastTimestamp(this._totalLength, 0);
+        }).then((lastTimestamp) => {
+            if (lastTimestamp == null) {
+                return null;
+            }
+            this._lastTimestamp = lastTimestamp;
+            Log.v(this.TAG, `Estimated duration: ${this.duration}ms`);
+            return this.duration;
+        }));
+    }
+
+    // Resolves the byte position of the nearest random access point before target,
+    // which is a dts in milliseconds on the original timeline
+    locate(targetTimestamp) {
+        let target = targetTimestamp * 90;
+        let lower = {position: this._headPosition, timestamp: this._firstTimestamp};
+        let upper = {position: this._totalLength, timestamp: this._lastTimestamp};
+
+        if (target <= lower.timestamp) {
+            return Promise.resolve(lower.position);
+        }
+
+        return this._normalizeError(this._bisect(target, lower, upper, null, 0).then(([before, after, randomAccessPoint]) => {
+            if (!this._hasRandomAccessIndicator) {
+                // Demuxer will drop frames until the next keyframe
+                return before.position;
+            }
+            return this._scanRandomAccessPoint(target, after.position, randomAccessPoint, 0).then((randomAccessPoint) => {
+                if (randomAccessPoint == null) {
+                    // Demuxer will drop frames until the next keyframe
+                    Log.w(this.TAG, `No random access point found before ${targetTimestamp}ms, resume from the nearest PES`);
+                    return before.position;
+                }
+                return randomAccessPoint.position;
+            });
+        }));
+    }
+
+    _alignPosition(position) {
+        return alignToPacket(position, this._scanParams);
+    }
+
+    _scan(data, byteStart) {
+        let samples = scanPESTimestamps(data, byteStart, this._scanParams);
+        samples.forEach((sample) => {
+            if (this._firstTimestamp != null) {
+                sample.timestamp = this._unwrap(sample.timestamp);
+            }
+            if (sample.random_access && !this._scanParams.is_audio) {
+                this._hasRandomAccessIndicator = true;
+            }
+        });
+        return samples;
+    }
+
+    _unwrap(timestamp) {
+        let periods = Math.round((this._firstTimestamp - timestamp) / kTimestampWrap);
+        return timestamp + periods * kTimestampWrap;
+    }
+
+}
+
+export default TSSeeker;
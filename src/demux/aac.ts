@@ -8,9 +8,536 @@ export class AACFrame {
     sampling_frequency: number;
     channel_config: number;
 
+    // SBR (HE-AAC) / PS (HE-AACv2) explicitly signaled by AudioSpecificConfig,
+    // undefined if unknown, then detected from the raw_data_block
+    sbr_present?: boolean;
+    ps_present?: boolean;
+    extension_sampling_freq_index?: MPEG4SamplingFrequencyIndex;
+    // Describes the channels if channel_config is 0
+    program_config?: ProgramConfigElement;
+    // PCM samples of a frame at sampling_frequency, 1024 if undefined
+    frame_length?: number;
+    // AudioSpecificConfig which is passed through to the init segment as is (USAC, ELD)
+    decoder_config?: number[];
+    channel_count?: number;
+
     data: Uint8Array;
 }
 
+// program_config_element()
+export class ProgramConfigElement {
+    channel_count: number = 0;
+    // Syntax elements before byte_alignment() as [value, bits], for writing it into AudioSpecificConfig
+    fields: Array<[number, number]> = [];
+}
+
+// Syntactic elements of raw_data_block()
+const ID_PCE = 5;
+const ID_FIL = 6;
+const ID_END = 7;
+// extension_type of fill_element()
+const EXT_SBR_DATA = 0xD;
+const EXT_SBR_DATA_CRC = 0xE;
+// bs_extension_id of sbr_extension()
+const EXTENSION_ID_PS = 2;
+
+// Number of channels of channel_config 1 ~ 7
+const ChannelConfigChannelCount = [0, 1, 2, 3, 4, 5, 6, 8];
+
+class BitWriter {
+
+    private bytes_: number[] = [];
+    private bits_written_: number = 0;
+
+    public writeBits(value: number, bits: number): void {
+        for (let i = bits - 1; i >= 0; i--) {
+            if (this.bits_written_ % 8 === 0) {
+                this.bytes_.push(0);
+            }
+            if ((value >>> i) & 1) {
+                this.bytes_[this.bytes_.length - 1] |= 0x80 >>> (this.bits_written_ % 8);
+            }
+            this.bits_written_++;
+        }
+    }
+
+    public byteAlign(): void {
+        this.bits_written_ = this.bytes_.length * 8;
+    }
+
+    public getBytes(): number[] {
+        return this.bytes_;
+    }
+
+}
+
+// Counts bits read, as byte_alignment() is relative to the start of AudioSpecificConfig / raw_data_block
+class CountingBitReader {
+
+    private gb_: ExpGolomb;
+    private recorder_: BitWriter = new BitWriter();
+    public bits_read: number = 0;
+
+    public constructor(gb: ExpGolomb) {
+        this.gb_ = gb;
+    }
+
+    public readBits(bits: number): number {
+        let value = 0;
+        while (bits > 0) {
+            let n = Math.min(bits, 32);
+            let v = this.gb_.readBits(n);
+            this.recorder_.writeBits(v, n);
+            value = value * Math.pow(2, n) + v;
+            this.bits_read += n;
+            bits -= n;
+        }
+        return value;
+    }
+
+    // escapedValue() of ISO/IEC 23003-3
+    public readEscapedValue(bits1: number, bits2: number, bits3: number): number {
+        let value = this.readBits(bits1);
+        if (value === Math.pow(2, bits1) - 1) {
+            let value2 = this.readBits(bits2);
+            value += value2;
+            if (value2 === Math.pow(2, bits2) - 1) {
+                value += this.readBits(bits3);
+            }
+        }
+        return value;
+    }
+
+    public skipBytes(bytes: number): void {
+        for (let i = 0; i < bytes; i++) {
+            this.readBits(8);
+        }
+    }
+
+    // All bits read so far, zero padded to bytes
+    public getBytesRead(): number[] {
+        return this.recorder_.getBytes().slice();
+    }
+
+    public byteAlign(): void {
+        let bits = (8 - this.bits_read % 8) % 8;
+        this.readBits(bits);
+    }
+
+}
+
+const readProgramConfigElement = (reader: CountingBitReader): ProgramConfigElement => {
+    let pce = new ProgramConfigElement();
+    let read = (bits: number): number => {
+        let value = reader.readBits(bits);
+        pce.fields.push([value, bits]);
+        return value;
+    };
+
+    read(4);  // element_instance_tag
+    read(2);  // object_type
+    read(4);  // sampling_frequency_index
+    let num_front_channel_elements = read(4);
+    let num_side_channel_elements = read(4);
+    let num_back_channel_elements = read(4);
+    let num_lfe_channel_elements = read(2);
+    let num_assoc_data_elements = read(3);
+    let num_valid_cc_elements = read(4);
+    if (read(1)) { read(4); }  // mono_mixdown_element_number
+    if (read(1)) { read(4); }  // stereo_mixdown_element_number
+    if (read(1)) { read(3); }  // matrix_mixdown_idx, pseudo_surround_enable
+
+    let channel_elements = num_front_channel_elements + num_side_channel_elements + num_back_channel_elements;
+    for (let i = 0; i < channel_elements; i++) {
+        let is_cpe = read(1);
+        read(4);  // tag_select
+        pce.channel_count += is_cpe ? 2 : 1;
+    }
+    for (let i = 0; i < num_lfe_channel_elements; i++) {
+        read(4);
+        pce.channel_count += 1;
+    }
+    for (let i = 0; i < num_assoc_data_elements; i++) {
+        read(4);
+    }
+    for (let i = 0; i < num_valid_cc_elements; i++) {
+        read(5);  // cc_element_is_ind_sw, valid_cc_element_tag_select
+    }
+    return pce;
+};
+
+const skipProgramConfigComment = (reader: CountingBitReader): void => {
+    reader.byteAlign();
+    let comment_field_bytes = reader.readBits(8);
+    reader.skipBytes(comment_field_bytes);
+};
+
+const readAudioObjectType = (reader: CountingBitReader): number => {
+    let audio_object_type = reader.readBits(5);
+    if (audio_object_type === 31) {
+        audio_object_type = 32 + reader.readBits(6);
+    }
+    return audio_object_type;
+};
+
+// usacSamplingFrequencyIndex of ISO/IEC 23003-3, 0 for reserved
+const USACSamplingFrequencies = [
+    96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350, 0, 0,
+    57600, 51200, 40000, 38400, 34150, 28800, 25600, 20000, 19200, 17075, 14400, 12800, 9600, 0, 0, 0
+];
+
+// coreSbrFrameLengthIndex: sbrRatioIndex and outputFrameLength
+const USACCoreSbrFrameLengths = [
+    { sbr_ratio_index: 0, output_frame_length: 768 },
+    { sbr_ratio_index: 0, output_frame_length: 1024 },
+    { sbr_ratio_index: 2, output_frame_length: 2048 },  // 8:3
+    { sbr_ratio_index: 3, output_frame_length: 2048 },  // 2:1
+    { sbr_ratio_index: 1, output_frame_length: 4096 },  // 4:1
+];
+
+// usacElementType
+const ID_USAC_SCE = 0;
+const ID_USAC_CPE = 1;
+const ID_USAC_LFE = 2;
+
+// sbr_header() of ELD, or SbrDfltHeader() of USAC without the leading fields
+const readSbrHeaderExtras = (reader: CountingBitReader): void => {
+    let header_extra_1 = reader.readBits(1);
+    let header_extra_2 = reader.readBits(1);
+    if (header_extra_1) {
+        reader.readBits(5);  // freq_scale, alter_scale, noise_bands
+    }
+    if (header_extra_2) {
+        reader.readBits(6);  // limiter_bands, limiter_gains, interpol_freq, smoothing_mode
+    }
+};
+
+const readUsacSbrConfig = (reader: CountingBitReader): void => {
+    reader.readBits(3);  // harmonicSBR, bs_interTes, bs_pvc
+    reader.readBits(8);  // dflt_start_freq, dflt_stop_freq
+    readSbrHeaderExtras(reader);
+};
+
+const readMps212Config = (reader: CountingBitReader, stereo_config_index: number): void => {
+    reader.readBits(6);  // bsFreqRes, bsFixedGainDMX
+    let temp_shape_config = reader.readBits(2);
+    reader.readBits(4);  // bsDecorrConfig, bsHighRateMode, bsPhaseCoding
+    if (reader.readBits(1)) {  // bsOttBandsPhasePresent
+        reader.readBits(5);
+    }
+    if (stereo_config_index > 1) {
+        reader.readBits(6);  // bsResidualBands, bsPseudoLr
+    }
+    if (temp_shape_config === 2) {
+        reader.readBits(1);  // bsEnvQuantMode
+    }
+};
+
+// UsacConfig() of ISO/IEC 23003-3, sets the output sampling frequency, frame length and channels
+const readUsacConfig = (reader: CountingBitReader, frame: AACFrame): boolean => {
+    let usac_sampling_freq_index = reader.readBits(5);
+    let sampling_frequency = usac_sampling_freq_index === 0x1F ? reader.readBits(24) : USACSamplingFrequencies[usac_sampling_freq_index];
+    let core_sbr_frame_length = USACCoreSbrFrameLengths[reader.readBits(3)];
+    if (!sampling_frequency || core_sbr_frame_length == undefined) {
+        return false;
+    }
+    let sbr_ratio_index = core_sbr_frame_length.sbr_ratio_index;
+
+    if (reader.readBits(5) === 0) {  // channelConfigurationIndex
+        // UsacChannelConfig()
+        let num_out_channels = reader.readEscapedValue(5, 8, 16);
+        reader.readBits(5 * num_out_channels);  // bsOutputChannelPos
+    }
+
+    // UsacDecoderConfig(), the output channels are counted from the channel elements
+    let channel_count = 0;
+    let num_elements = reader.readEscapedValue(4, 8, 16) + 1;
+    for (let i = 0; i < num_elements; i++) {
+        let element_type = reader.readBits(2);
+        if (element_type === ID_USAC_SCE || element_type === ID_USAC_CPE) {
+            reader.readBits(2);  // UsacCoreConfig(): tw_mdct, noiseFilling
+            let stereo_config_index = 0;
+            if (sbr_ratio_index > 0) {
+                readUsacSbrConfig(reader);
+                if (element_type === ID_USAC_CPE) {
+                    stereo_config_index = reader.readBits(2);
+                }
+            }
+            if (stereo_config_index > 0) {
+                readMps212Config(reader, stereo_config_index);
+            }
+            channel_count += element_type === ID_USAC_CPE ? 2 : 1;
+        } else if (element_type === ID_USAC_LFE) {
+            channel_count += 1;
+        } else {
+            // UsacExtElementConfig()
+            reader.readEscapedValue(4, 8, 16);  // usacExtElementType
+            let config_length = reader.readEscapedValue(4, 8, 16);
+            if (reader.readBits(1)) {  // usacExtElementDefaultLengthPresent
+                reader.readEscapedValue(8, 16, 0);
+            }
+            reader.readBits(1);  // usacExtElementPayloadFrag
+            reader.skipBytes(config_length);
+        }
+    }
+
+    if (reader.readBits(1)) {  // usacConfigExtensionPresent
+        let num_config_extensions = reader.readEscapedValue(2, 4, 8) + 1;
+        for (let i = 0; i < num_config_extensions; i++) {
+            reader.readEscapedValue(4, 8, 16);  // usacConfigExtType
+            reader.skipBytes(reader.readEscapedValue(4, 8, 16));
+        }
+    }
+
+    frame.sampling_frequency = sampling_frequency;
+    frame.frame_length = core_sbr_frame_length.output_frame_length;
+    frame.channel_count = channel_count;
+    return true;
+};
+
+// ELDSpecificConfig() of ISO/IEC 14496-3, dual-rate SBR doubles the sampling frequency
+const readELDSpecificConfig = (reader: CountingBitReader, frame: AACFrame): boolean => {
+    frame.frame_length = reader.readBits(1) ? 480 : 512;  // frameLengthFlag
+    reader.readBits(3);  // aacSectionDataResilienceFlag, aacScalefactorDataResilienceFlag, aacSpectralDataResilienceFlag
+
+    if (reader.readBits(1)) {  // ldSbrPresentFlag
+        frame.sbr_present = reader.readBits(1) === 1;  // ldSbrSamplingRate
+        reader.readBits(1);  // ldSbrCrcFlag
+        let num_sbr_header = [0, 1, 1, 2, 3, 3, 3, 4][frame.channel_config];
+        if (num_sbr_header == undefined) {
+            return false;
+        }
+        for (let i = 0; i < num_sbr_header; i++) {
+            reader.readBits(14);  // bs_amp_res, bs_start_freq, bs_stop_freq, bs_xover_band, bs_reserved
+            readSbrHeaderExtras(reader);
+        }
+    } else {
+        frame.sbr_present = false;
+    }
+
+    // eldExtType until ELDEXT_TERM
+    for (let ext_type = reader.readBits(4); ext_type !== 0; ext_type = reader.readBits(4)) {
+        let length = reader.readBits(4);
+        if (length === 15) {
+            let length_add = reader.readBits(8);
+            length += length_add;
+            if (length_add === 255) {
+                length += reader.readBits(16);
+            }
+        }
+        reader.skipBytes(length);
+    }
+    frame.ps_present = false;
+    return true;
+};
+
+// AudioSpecificConfig() of AAC, length_bits is required for the backward compatible SBR / PS signaling.
+// Returns null for unsupported configs.
+const readAudioSpecificConfig = (reader: CountingBitReader, length_bits?: number): AACFrame | null => {
+    let frame = new AACFrame();
+
+    let audio_object_type = readAudioObjectType(reader);
+    let sampling_freq_index = reader.readBits(4);
+    let sampling_frequency = sampling_freq_index === 0xF ? reader.readBits(24) : MPEG4SamplingFrequencies[sampling_freq_index];
+    if (!sampling_frequency) {
+        return null;
+    }
+    let channel_config = reader.readBits(4);
+    let extension_sampling_freq_index: number = undefined;
+    // undefined if not signaled, SBR may be signaled implicitly
+    let sbr_present: boolean = undefined;
+    let ps_present: boolean = undefined;
+
+    frame.audio_object_type = audio_object_type;
+    frame.sampling_freq_index = sampling_freq_index;
+    frame.sampling_frequency = sampling_frequency;
+    frame.channel_config = channel_config;
+
+    if (audio_object_type === MPEG4AudioObjectTypes.kUSAC || audio_object_type === MPEG4AudioObjectTypes.kER_AAC_ELD) {
+        // Configs of USAC and ELD are passed through, only the output format is parsed
+        let supported = audio_object_type === MPEG4AudioObjectTypes.kUSAC
+            ? readUsacConfig(reader, frame)
+            : readELDSpecificConfig(reader, frame) && reader.readBits(2) === 0;  // epConfig
+        if (!supported) {
+            return null;
+        }
+        frame.decoder_config = reader.getBytesRead();
+        return frame;
+    }
+
+    if (sampling_freq_index === 0xF) {
+        return null;
+    }
+
+    if (audio_object_type === MPEG4AudioObjectTypes.kAAC_SBR || audio_object_type === MPEG4AudioObjectTypes.kAAC_PS) {
+        // explicit hierarchical signaling, followed by the core AudioObjectType
+        sbr_present = true;
+        ps_present = audio_object_type === MPEG4AudioObjectTypes.kAAC_PS;
+        extension_sampling_freq_index = reader.readBits(4);
+        if (extension_sampling_freq_index >= MPEG4SamplingFrequencies.length) {
+            return null;
+        }
+        audio_object_type = readAudioObjectType(reader);
+    }
+
+    if (audio_object_type < MPEG4AudioObjectTypes.kAACMain || audio_object_type > MPEG4AudioObjectTypes.kAAC_LTP) {
+        return null;
+    }
+
+    // GASpecificConfig()
+    reader.readBits(1);  // frameLengthFlag
+    if (reader.readBits(1)) {  // dependsOnCoreCoder
+        reader.readBits(14);  // coreCoderDelay
+    }
+    reader.readBits(1);  // extensionFlag, 0 for AAC Main / LC / SSR / LTP
+    if (channel_config === 0) {
+        frame.program_config = readProgramConfigElement(reader);
+        skipProgramConfigComment(reader);
+    }
+
+    if (sbr_present == undefined && length_bits != undefined && length_bits - reader.bits_read >= 16) {
+        // backward compatible explicit signaling
+        if (reader.readBits(11) === 0x2B7 && readAudioObjectType(reader) === MPEG4AudioObjectTypes.kAAC_SBR) {
+            sbr_present = reader.readBits(1) === 1;
+            ps_present = false;
+            if (sbr_present) {
+                extension_sampling_freq_index = reader.readBits(4);
+                if (length_bits - reader.bits_read >= 12 && reader.readBits(11) === 0x548) {
+                    ps_present = reader.readBits(1) === 1;
+                }
+            }
+        }
+    }
+
+    frame.audio_object_type = audio_object_type;
+    frame.sbr_present = sbr_present;
+    frame.ps_present = ps_present;
+    frame.extension_sampling_freq_index = extension_sampling_freq_index;
+    return frame;
+};
+
+// Parses AudioSpecificConfig of out-of-band signaling (e.g. AAC sequence header of FLV)
+export const parseAudioSpecificConfig = (data: Uint8Array): AACFrame | null => {
+    let gb = new ExpGolomb(data);
+    try {
+        return readAudioSpecificConfig(new CountingBitReader(gb), data.byteLength * 8);
+    } catch (e) {
+        return null;
+    } finally {
+        gb.destroy();
+    }
+};
+
+const readBitsAt = (data: Uint8Array, offset: number, bits: number): number => {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+        let position = offset + i;
+        value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+    }
+    return value;
+};
+
+// fill_element() at the bit offset, returns the offsets of its payload and of the next element
+const readFillElement = (data: Uint8Array, offset: number, end: number): { payload: number, next: number } | null => {
+    if (offset + 7 > end || readBitsAt(data, offset, 3) !== ID_FIL) {
+        return null;
+    }
+    let count = readBitsAt(data, offset + 3, 4);
+    let payload = offset + 7;
+    if (count === 15) {
+        if (payload + 8 > end) {
+            return null;
+        }
+        count += readBitsAt(data, payload, 8) - 1;
+        payload += 8;
+    }
+    let next = payload + count * 8;
+    return next <= end ? { payload, next } : null;
+};
+
+// sbr_extension() of PS is the last part of SBR data, which is followed by less than 8 fill bits
+const containsPSExtension = (data: Uint8Array, start: number, end: number): boolean => {
+    for (let offset = start; offset + 7 <= end; offset++) {
+        if (readBitsAt(data, offset, 1) !== 1) {  // bs_extended_data
+            continue;
+        }
+        let count = readBitsAt(data, offset + 1, 4);
+        let extension = offset + 5;
+        if (count === 15) {
+            if (extension + 8 > end) {
+                continue;
+            }
+            count += readBitsAt(data, extension, 8);
+            extension += 8;
+        }
+        let extension_end = extension + count * 8;
+        if (count === 0 || extension_end > end || end - extension_end >= 8) {
+            continue;
+        }
+        if (readBitsAt(data, extension, 2) === EXTENSION_ID_PS) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// Implicit signaling: SBR data is carried by fill_element() after the channel elements and is not signaled
+// by ADTS header. Channel elements can not be skipped without decoding, so fill_element()s are located backward
+// from ID_END: a fill_element() of SBR data which is followed only by fill_element()s until ID_END.
+export const detectImplicitSBR = (data: Uint8Array, channel_config: number): { sbr_present: boolean, ps_present: boolean } => {
+    let result = { sbr_present: false, ps_present: false };
+    let last = data.byteLength - 1;
+    if (last < 0 || data[last] === 0) {
+        return result;
+    }
+
+    // ID_END is followed by less than 8 bits of byte_alignment() which are zero
+    let trailing_zeros = 0;
+    while (((data[last] >>> trailing_zeros) & 1) === 0) {
+        trailing_zeros++;
+    }
+    let end = data.byteLength * 8 - trailing_zeros - 3;
+    if (end < 0 || readBitsAt(data, end, 3) !== ID_END) {
+        return result;
+    }
+
+    // the longest fill_element() is 7 + 8 + 269 * 8 bits
+    for (let offset = Math.max(0, end - 7 - 8 - 269 * 8); offset + 11 <= end; offset++) {
+        let fill = readFillElement(data, offset, end);
+        if (fill == null || fill.next - fill.payload < 8) {
+            continue;
+        }
+        let extension_type = readBitsAt(data, fill.payload, 4);
+        if (extension_type !== EXT_SBR_DATA && extension_type !== EXT_SBR_DATA_CRC) {
+            continue;
+        }
+
+        let next = fill.next;
+        while (next < end) {
+            let following = readFillElement(data, next, end);
+            if (following == null) {
+                break;
+            }
+            next = following.next;
+        }
+        if (next !== end) {
+            continue;
+        }
+
+        result.sbr_present = true;
+        if (channel_config !== 1) {
+            // PS is only applied to mono (single_channel_element)
+            break;
+        }
+        let sbr_data = fill.payload + 4 + (extension_type === EXT_SBR_DATA_CRC ? 10 : 0);
+        if (containsPSExtension(data, sbr_data, fill.next)) {
+            result.ps_present = true;
+            break;
+        }
+    }
+    return result;
+};
+
 export class LOASAACFrame extends AACFrame {
     other_data_present: boolean;
 }
@@ -108,11 +635,30 @@ export class AACADTSParser {
             aac_frame.sampling_frequency = MPEG4SamplingFrequencies[sampling_frequency_index];
             aac_frame.channel_config = channel_configuration;
             aac_frame.data = frame_data;
+
+            if (channel_configuration === 0 && frame_data.byteLength > 0 && (frame_data[0] >>> 5) === ID_PCE) {
+                aac_frame.program_config = this.readProgramConfigElement(frame_data);
+            }
         }
 
         return aac_frame;
     }
 
+    // The channels of channel_config 0 are described by program_config_element() in the raw_data_block
+    private readProgramConfigElement(frame_data: Uint8Array): ProgramConfigElement | null {
+        let gb = new ExpGolomb(frame_data);
+        try {
+            let reader = new CountingBitReader(gb);
+            reader.readBits(3);  // id_syn_ele
+            return readProgramConfigElement(reader);
+        } catch (e) {
+            Log.w(this.TAG, `Invalid program_config_element`);
+            return null;
+        } finally {
+            gb.destroy();
+        }
+    }
+
     public hasIncompleteData(): boolean {
         return this.has_last_incomplete_data;
     }
@@ -233,12 +779,20 @@ export class AACLOASParser {
                     break;
                 }
 
-                let fillBits = audioMuxVersion ? this.getLATMValue(gb) : 0;
-                let audio_object_type = gb.readBits(5); fillBits -= 5;
-                let sampling_freq_index = gb.readBits(4);fillBits -= 4;
-                let channel_config = gb.readBits(4); fillBits -= 4;
-                gb.readBits(3); fillBits -= 3; // GA Specfic Config
-                if (fillBits > 0) { gb.readBits(fillBits); }
+                let ascLen = audioMuxVersion ? this.getLATMValue(gb) : undefined;
+                let reader = new CountingBitReader(gb);
+                let audio_specific_config: AACFrame = null;
+                try {
+                    audio_specific_config = readAudioSpecificConfig(reader, ascLen);
+                } catch (e) {
+                    audio_specific_config = null;
+                }
+                if (audio_specific_config == null) {
+                    Log.e(this.TAG, 'Unsupported AudioSpecificConfig');
+                    gb.destroy();
+                    break;
+                }
+                if (ascLen != undefined && ascLen > reader.bits_read) { reader.readBits(ascLen - reader.bits_read); }
 
                 let frameLengthType = gb.readBits(3);
                 if (frameLengthType === 0) {
@@ -271,11 +825,7 @@ export class AACLOASParser {
                     gb.readByte();
                 }
 
-                streamMuxConfig = new LOASAACFrame();
-                streamMuxConfig.audio_object_type = audio_object_type;
-                streamMuxConfig.sampling_freq_index = sampling_freq_index;
-                streamMuxConfig.sampling_frequency = MPEG4SamplingFrequencies[streamMuxConfig.sampling_freq_index];
-                streamMuxConfig.channel_config = channel_config;
+                streamMuxConfig = Object.assign(new LOASAACFrame(), audio_specific_config);
                 streamMuxConfig.other_data_present = otherDataPresent;
             } else if (privious == null) {
                 Log.w(this.TAG, 'StreamMuxConfig Missing')
@@ -298,12 +848,7 @@ export class AACLOASParser {
                 aac_data[i] = gb.readByte();
             }
 
-            aac_frame = new LOASAACFrame();
-            aac_frame.audio_object_type = (streamMuxConfig.audio_object_type) as MPEG4AudioObjectTypes;
-            aac_frame.sampling_freq_index = (streamMuxConfig.sampling_freq_index) as MPEG4SamplingFrequencyIndex;
-            aac_frame.sampling_frequency = MPEG4SamplingFrequencies[streamMuxConfig.sampling_freq_index];
-            aac_frame.channel_config = streamMuxConfig.channel_config;
-            aac_frame.other_data_present = streamMuxConfig.other_data_present;
+            aac_frame = Object.assign(new LOASAACFrame(), streamMuxConfig);
             aac_frame.data = aac_data;
 
             this.current_syncword_offset_ = this.findNextSyncwordOffset(offset + 3 + audioMuxLengthBytes);
@@ -332,8 +877,36 @@ export class AudioSpecificConfig {
     public channel_count: number;
     public codec_mimetype: string;
     public original_codec_mimetype: string;
+    // PCM samples decoded from a frame, doubled by SBR
+    public samples_per_frame: number = 1024;
+
+    // detect_implicit_sbr: guess implicitly signaled SBR / PS from the payload of ADTS / LATM frames,
+    // which may take plain AAC-LC for HE-AAC
+    public constructor(frame: AACFrame, detect_implicit_sbr: boolean = false) {
+        if (frame.decoder_config) {
+            // USAC / ELD, dual-rate SBR of ELD doubles the core sampling frequency
+            let sbr_ratio = frame.audio_object_type === MPEG4AudioObjectTypes.kER_AAC_ELD && frame.sbr_present ? 2 : 1;
+            this.config = frame.decoder_config;
+            this.sampling_rate = frame.sampling_frequency * sbr_ratio;
+            this.channel_count = frame.channel_count ?? ChannelConfigChannelCount[frame.channel_config];
+            this.codec_mimetype = 'mp4a.40.' + frame.audio_object_type;
+            this.original_codec_mimetype = this.codec_mimetype;
+            this.samples_per_frame = (frame.frame_length ?? 1024) * sbr_ratio;
+            return;
+        }
+
+        let sbr_present = frame.sbr_present;
+        let ps_present = frame.ps_present;
+        if (detect_implicit_sbr && sbr_present == undefined && frame.data && frame.sampling_freq_index >= MPEG4SamplingFrequencyIndex.k24000Hz) {
+            // SBR doubles the sampling frequency of the core, implicit signaling is only expected for 24kHz or less
+            ({ sbr_present, ps_present } = detectImplicitSBR(frame.data, frame.channel_config));
+        }
+
+        if (sbr_present || frame.channel_config === 0) {
+            this.buildExplicitConfig(frame, sbr_present, ps_present);
+            return;
+        }
 
-    public constructor(frame: AACFrame) {
         let config: Array<number> = null;
 
         let original_audio_object_type = frame.audio_object_type;
@@ -390,8 +963,56 @@ export class AudioSpecificConfig {
 
         this.config = config;
         this.sampling_rate = MPEG4SamplingFrequencies[sampling_index];
-        this.channel_count = channel_config;
+        this.channel_count = ChannelConfigChannelCount[channel_config];
         this.codec_mimetype = 'mp4a.40.' + audio_object_type;
         this.original_codec_mimetype = 'mp4a.40.' + original_audio_object_type;
     }
+
+    // Signals SBR / PS in the hierarchical way (AudioObjectType 5 / 29 followed by the core AudioObjectType),
+    // and carries program_config_element() for channel_config 0
+    private buildExplicitConfig(frame: AACFrame, sbr_present: boolean, ps_present: boolean): void {
+        let channel_config = frame.channel_config;
+        let program_config = channel_config === 0 ? frame.program_config : null;
+        if (channel_config === 0 && program_config == null) {
+            Log.w('AudioSpecificConfig', 'program_config_element is missing for channel_config 0, assume stereo');
+            channel_config = 2;
+        }
+        let audio_object_type: number = frame.audio_object_type;
+        let extension_sampling_index = frame.extension_sampling_freq_index;
+
+        if (sbr_present) {
+            audio_object_type = ps_present ? MPEG4AudioObjectTypes.kAAC_PS : MPEG4AudioObjectTypes.kAAC_SBR;
+            if (extension_sampling_index == undefined) {
+                extension_sampling_index = Math.max(frame.sampling_freq_index - 3, 0);
+            }
+        }
+
+        let writer = new BitWriter();
+        writer.writeBits(audio_object_type, 5);
+        writer.writeBits(frame.sampling_freq_index, 4);
+        writer.writeBits(channel_config, 4);
+        if (sbr_present) {
+            writer.writeBits(extension_sampling_index, 4);
+            writer.writeBits(frame.audio_object_type, 5);
+        }
+        // GASpecificConfig(): frameLengthFlag, dependsOnCoreCoder, extensionFlag
+        writer.writeBits(0, 3);
+        if (program_config) {
+            program_config.fields.forEach(([value, bits]) => writer.writeBits(value, bits));
+            writer.byteAlign();
+            writer.writeBits(0, 8);  // comment_field_bytes
+        }
+
+        let channel_count = program_config ? program_config.channel_count : ChannelConfigChannelCount[channel_config];
+        if (ps_present) {
+            channel_count = 2;
+        }
+
+        this.config = writer.getBytes();
+        this.sampling_rate = MPEG4SamplingFrequencies[sbr_present ? extension_sampling_index : frame.sampling_freq_index];
+        this.channel_count = channel_count;
+        this.codec_mimetype = 'mp4a.40.' + audio_object_type;
+        this.original_codec_mimetype = this.codec_mimetype;
+        this.samples_per_frame = 1024 * this.sampling_rate / MPEG4SamplingFrequencies[frame.sampling_freq_index];
+    }
 }
@@ -86,7 +86,7 @@ export class AC3Parser {
             let offset = syncword_offset;
 
             let sampling_rate_code = data[offset + 4] >> 6;
-            let sampling_frequency = [48000, 44200, 33000][sampling_rate_code];
+            let sampling_frequency = [48000, 44100, 32000][sampling_rate_code];
 
             let frame_size_code = data[offset + 4] & 0x3F;
             let frame_size = frame_size_code_table[sampling_rate_code][frame_size_code] * 2;
@@ -117,6 +117,7 @@ export class AC3Parser {
 
             ac3_frame = new AC3Frame();
             ac3_frame.sampling_frequency = sampling_frequency;
+            ac3_frame.sampling_rate_code = sampling_rate_code;
             ac3_frame.channel_count = channel_count;
             ac3_frame.channel_mode = channel_mode;
             ac3_frame.bit_stream_identification = bit_stream_identification;
@@ -245,7 +246,7 @@ export class EAC3Parser {
             let num_blocks_code: number | null = null;
             if (sampling_rate_code === 0x03) {
                 sampling_rate_code = gb.readBits(2);
-                sampling_frequency = [24000, 22060, 16000][sampling_rate_code];
+                sampling_frequency = [24000, 22050, 16000][sampling_rate_code];
                 num_blocks_code = 3
             } else {
                 sampling_frequency = [48000, 44100, 32000][sampling_rate_code];
@@ -272,6 +273,7 @@ export class EAC3Parser {
 
             eac3_frame = new EAC3Frame();
             eac3_frame.sampling_frequency = sampling_frequency;
+            eac3_frame.sampling_rate_code = sampling_rate_code;
             eac3_frame.channel_count = channel_count;
             eac3_frame.channel_mode = channel_mode;
             eac3_frame.bit_stream_identification = bit_stream_identification;
@@ -222,6 +222,18 @@ class AMF {
                     offset += amfLongStr.size;
                     break;
                 }
+                case 5:  // Null type
+                    value = null;
+                    break;
+                case 6:  // Undefined type
+                    value = undefined;
+                    break;
+                case 17: {  // AVM+ type, switches to AMF3 for the following value
+                    let amf3value = AMF.parseAMF3Value(arrayBuffer, dataOffset + 1, dataSize - 1, AMF.createAMF3Context());
+                    value = amf3value.data;
+                    offset += amf3value.size;
+                    break;
+                }
                 default:
                     // ignore and skip
                     offset = dataSize;
@@ -238,6 +250,286 @@ class AMF {
         };
     }
 
+    // Reference tables of AMF3, a new context begins at each AVM+ marker of AMF0
+    static createAMF3Context() {
+        return {
+            strings: [],
+            objects: [],
+            traits: []
+        };
+    }
+
+    // U29: variable length unsigned 29-bit integer, 7 bits in each of the first 3 bytes, then 8 bits
+    static parseAMF3U29(arrayBuffer, dataOffset, dataSize) {
+        let v = new Uint8Array(arrayBuffer, dataOffset, Math.min(dataSize, 4));
+        let value = 0;
+
+        for (let i = 0; i < 4; i++) {
+            if (i >= v.byteLength) {
+                throw new IllegalStateException('Data not enough when parse AMF3 U29');
+            }
+            let b = v[i];
+            if (i === 3) {
+                return {data: ((value << 8) | b) >>> 0, size: 4};
+            }
+            value = (value << 7) | (b & 0x7F);
+            if ((b & 0x80) === 0) {
+                return {data: value, size: i + 1};
+            }
+        }
+    }
+
+    static parseAMF3String(arrayBuffer, dataOffset, dataSize, context) {
+        let ref = AMF.parseAMF3U29(arrayBuffer, dataOffset, dataSize);
+        if ((ref.data & 1) === 0) {
+            return {data: AMF.getAMF3Reference(context.strings, ref.data >>> 1), size: ref.size};
+        }
+
+        let length = ref.data >>> 1;
+        if (ref.size + length > dataSize) {
+            throw new IllegalStateException('Data not enough when parse AMF3 String');
+        }
+        let str = length > 0 ? decodeUTF8(new Uint8Array(arrayBuffer, dataOffset + ref.size, length)) : '';
+        if (length > 0) {  // empty string is never sent by reference
+            context.strings.push(str);
+        }
+
+        return {
+            data: str,
+            size: ref.size + length
+        };
+    }
+
+    static getAMF3Reference(table, index) {
+        if (index >= table.length) {
+            throw new IllegalStateException(`Invalid AMF3 reference ${index}`);
+        }
+        return table[index];
+    }
+
+    static parseAMF3Value(arrayBuffer, dataOffset, dataSize, context) {
+        if (dataSize < 1) {
+            throw new IllegalStateException('Data not enough when parse AMF3 Value');
+        }
+
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+        let type = v.getUint8(0);
+        let offset = 1;
+        let value;
+
+        // Values except undefined, null, booleans, numbers and strings begin with U29 which may be a reference
+        let parseHeader = () => {
+            let ref = AMF.parseAMF3U29(arrayBuffer, dataOffset + offset, dataSize - offset);
+            offset += ref.size;
+            if ((ref.data & 1) === 0) {
+                return {reference: AMF.getAMF3Reference(context.objects, ref.data >>> 1)};
+            }
+            return {value: ref.data >>> 1};
+        };
+        let parseString = () => {
+            let str = AMF.parseAMF3String(arrayBuffer, dataOffset + offset, dataSize - offset, context);
+            offset += str.size;
+            return str.data;
+        };
+        let parseValue = () => {
+            let val = AMF.parseAMF3Value(arrayBuffer, dataOffset + offset, dataSize - offset, context);
+            offset += val.size;
+            return val.data;
+        };
+
+        switch (type) {
+            case 0:  // undefined
+                value = undefined;
+                break;
+            case 1:  // null
+                value = null;
+                break;
+            case 2:  // false
+                value = false;
+                break;
+            case 3:  // true
+                value = true;
+                break;
+            case 4: {  // integer, signed 29-bit
+                let u29 = AMF.parseAMF3U29(arrayBuffer, dataOffset + offset, dataSize - offset);
+                value = (u29.data & 0x10000000) ? u29.data - 0x20000000 : u29.data;
+                offset += u29.size;
+                break;
+            }
+            case 5:  // double
+                value = v.getFloat64(offset, !le);
+                offset += 8;
+                break;
+            case 6:  // string
+                value = parseString();
+                break;
+            case 7:  // XMLDocument
+            case 11: {  // XML
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                if (offset + header.value > dataSize) {
+                    throw new IllegalStateException('Data not enough when parse AMF3 XML');
+                }
+                value = decodeUTF8(new Uint8Array(arrayBuffer, dataOffset + offset, header.value));
+                offset += header.value;
+                context.objects.push(value);
+                break;
+            }
+            case 8: {  // date, milliseconds since epoch in UTC
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                value = new Date(v.getFloat64(offset, !le));
+                offset += 8;
+                context.objects.push(value);
+                break;
+            }
+            case 9: {  // array, associative portion followed by dense portion
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                let dense = [];
+                let associative = null;
+                context.objects.push(dense);
+                for (let key = parseString(); key !== ''; key = parseString()) {
+                    if (associative == null) {
+                        associative = {};
+                    }
+                    associative[key] = parseValue();
+                }
+                for (let i = 0; i < header.value; i++) {
+                    dense.push(parseValue());
+                }
+                // Mixed arrays are represented by objects like ECMA arrays of AMF0
+                value = associative == null ? dense : Object.assign({}, dense, associative);
+                break;
+            }
+            case 10: {  // object
+                let ref = AMF.parseAMF3U29(arrayBuffer, dataOffset + offset, dataSize - offset);
+                offset += ref.size;
+                if ((ref.data & 1) === 0) {
+                    value = AMF.getAMF3Reference(context.objects, ref.data >>> 1);
+                    break;
+                }
+
+                let traits;
+                if ((ref.data & 2) === 0) {
+                    traits = AMF.getAMF3Reference(context.traits, ref.data >>> 2);
+                } else {
+                    traits = {
+                        className: '',
+                        externalizable: (ref.data & 4) !== 0,
+                        dynamic: (ref.data & 8) !== 0,
+                        sealedNames: []
+                    };
+                    traits.className = parseString();
+                    if (!traits.externalizable) {
+                        for (let i = 0; i < (ref.data >>> 4); i++) {
+                            traits.sealedNames.push(parseString());
+                        }
+                    }
+                    context.traits.push(traits);
+                }
+
+                if (traits.externalizable) {
+                    // Format of externalizable objects is private to the class, except Flex wrappers of a single value
+                    if (traits.className !== 'flex.messaging.io.ArrayCollection' &&
+                            traits.className !== 'flex.messaging.io.ObjectProxy') {
+                        throw new IllegalStateException(`Unsupported AMF3 externalizable class ${traits.className}`);
+                    }
+                    let index = context.objects.length;
+                    context.objects.push(null);
+                    value = parseValue();
+                    context.objects[index] = value;
+                    break;
+                }
+
+                value = {};
+                context.objects.push(value);
+                for (let i = 0; i < traits.sealedNames.length; i++) {
+                    value[traits.sealedNames[i]] = parseValue();
+                }
+                if (traits.dynamic) {
+                    for (let key = parseString(); key !== ''; key = parseString()) {
+                        value[key] = parseValue();
+                    }
+                }
+                break;
+            }
+            case 12: {  // ByteArray
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                if (offset + header.value > dataSize) {
+                    throw new IllegalStateException('Data not enough when parse AMF3 ByteArray');
+                }
+                value = new Uint8Array(arrayBuffer.slice(dataOffset + offset, dataOffset + offset + header.value));
+                offset += header.value;
+                context.objects.push(value);
+                break;
+            }
+            case 13:  // Vector.<int>
+            case 14:  // Vector.<uint>
+            case 15:  // Vector.<Number>
+            case 16: {  // Vector.<Object>
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                offset += 1;  // fixed-vector
+                value = [];
+                context.objects.push(value);
+                if (type === 16) {
+                    parseString();  // object-type-name
+                }
+                for (let i = 0; i < header.value; i++) {
+                    if (type === 16) {
+                        value.push(parseValue());
+                    } else if (type === 15) {
+                        value.push(v.getFloat64(offset, !le));
+                        offset += 8;
+                    } else {
+                        value.push(type === 13 ? v.getInt32(offset, !le) : v.getUint32(offset, !le));
+                        offset += 4;
+                    }
+                }
+                break;
+            }
+            case 17: {  // Dictionary, keys are converted to strings
+                let header = parseHeader();
+                if (header.reference !== undefined) {
+                    value = header.reference;
+                    break;
+                }
+                offset += 1;  // weak-keys
+                value = {};
+                context.objects.push(value);
+                for (let i = 0; i < header.value; i++) {
+                    let key = parseValue();
+                    value[String(key)] = parseValue();
+                }
+                break;
+            }
+            default:
+                throw new IllegalStateException('Unsupported AMF3 value type ' + type);
+        }
+
+        return {
+            data: value,
+            size: offset
+        };
+    }
+
 }
 
 export default AMF;
\ No newline at end of file
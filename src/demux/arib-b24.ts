@@ -0,0 +1,391 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ARIB STD-B24 Volume 1 Part 2 Chapter 7: 8-unit character coding
+// Used by ISDB service information (ARIB STD-B10) and closed captions.
+
+export enum ARIBGraphicSetKind {
+    kKanji = 'kanji',
+    kAlphanumeric = 'alphanumeric',
+    kHiragana = 'hiragana',
+    kKatakana = 'katakana',
+    kMosaic = 'mosaic',
+    kJISX0201Katakana = 'jisx0201_katakana',
+    kAdditionalSymbols = 'additional_symbols',
+    kDRCS = 'drcs',
+    kMacro = 'macro'
+}
+
+export type ARIBGraphicSet = {
+    kind: ARIBGraphicSetKind,
+    bytes: number,
+    // DRCS-0 ~ DRCS-15
+    drcs_index?: number
+};
+
+const graphic_set_by_final_byte: { [final_byte: number]: ARIBGraphicSet } = {
+    0x42: { kind: ARIBGraphicSetKind.kKanji, bytes: 2 },
+    0x39: { kind: ARIBGraphicSetKind.kKanji, bytes: 2 },  // JIS compatible Kanji Plane 1
+    0x3A: { kind: ARIBGraphicSetKind.kKanji, bytes: 2 },  // JIS compatible Kanji Plane 2
+    0x3B: { kind: ARIBGraphicSetKind.kAdditionalSymbols, bytes: 2 },
+    0x4A: { kind: ARIBGraphicSetKind.kAlphanumeric, bytes: 1 },
+    0x36: { kind: ARIBGraphicSetKind.kAlphanumeric, bytes: 1 },  // Proportional alphanumeric
+    0x30: { kind: ARIBGraphicSetKind.kHiragana, bytes: 1 },
+    0x37: { kind: ARIBGraphicSetKind.kHiragana, bytes: 1 },  // Proportional hiragana
+    0x31: { kind: ARIBGraphicSetKind.kKatakana, bytes: 1 },
+    0x38: { kind: ARIBGraphicSetKind.kKatakana, bytes: 1 },  // Proportional katakana
+    0x49: { kind: ARIBGraphicSetKind.kJISX0201Katakana, bytes: 1 },
+    0x32: { kind: ARIBGraphicSetKind.kMosaic, bytes: 1 },
+    0x33: { kind: ARIBGraphicSetKind.kMosaic, bytes: 1 },
+    0x34: { kind: ARIBGraphicSetKind.kMosaic, bytes: 1 },
+    0x35: { kind: ARIBGraphicSetKind.kMosaic, bytes: 1 },
+};
+
+const getDRCSSet = (final_byte: number): ARIBGraphicSet | undefined => {
+    if (final_byte === 0x40) {
+        return { kind: ARIBGraphicSetKind.kDRCS, bytes: 2, drcs_index: 0 };
+    } else if (final_byte >= 0x41 && final_byte <= 0x4F) {
+        return { kind: ARIBGraphicSetKind.kDRCS, bytes: 1, drcs_index: final_byte - 0x40 };
+    } else if (final_byte === 0x70) {
+        return { kind: ARIBGraphicSetKind.kMacro, bytes: 1 };
+    }
+    return undefined;
+};
+
+// Initial designations of G0 ~ G3
+export const kARIBInitialSetsForSI: number[] = [0x42, 0x4A, 0x30, 0x31];
+export const kARIBInitialSetsForCaption: number[] = [0x42, 0x4A, 0x30, 0x70];
+
+// Commonly used additional symbols (row 90) of ARIB STD-B24 Table 7-19
+const additional_symbols_row_90: { [cell: number]: string } = {
+    0x50: '[HV]', 0x51: '[SD]', 0x52: '[P]', 0x53: '[W]', 0x54: '[MV]', 0x55: '[手]',
+    0x56: '[字]', 0x57: '[双]', 0x58: '[デ]', 0x59: '[S]', 0x5A: '[二]', 0x5B: '[多]',
+    0x5C: '[解]', 0x5D: '[SS]', 0x5E: '[B]', 0x5F: '[N]', 0x62: '[天]', 0x63: '[交]',
+    0x64: '[映]', 0x65: '[無]', 0x66: '[料]', 0x68: '[前]', 0x69: '[後]', 0x6A: '[再]',
+    0x6B: '[新]', 0x6C: '[初]', 0x6D: '[終]', 0x6E: '[生]', 0x6F: '[販]', 0x70: '[声]',
+    0x71: '[吹]', 0x72: '[PPV]'
+};
+
+// ARIB STD-B24 Table 7-20: default macro statements of macro codes 0x60 ~ 0x6F
+const macro = (g0: number[], g1: number[], g2: number[]): Uint8Array => {
+    return new Uint8Array([
+        0x1B, ...g0, 0x1B, ...g1, 0x1B, ...g2,
+        0x1B, 0x2B, 0x20, 0x70,  // G3 <- Macro
+        0x0F,  // LS0
+        0x1B, 0x7D  // LS2R
+    ]);
+};
+const default_macros: { [code: number]: Uint8Array } = {
+    0x60: macro([0x24, 0x42], [0x29, 0x4A], [0x2A, 0x30]),
+    0x61: macro([0x24, 0x42], [0x29, 0x31], [0x2A, 0x30]),
+    0x62: macro([0x24, 0x42], [0x29, 0x20, 0x41], [0x2A, 0x30]),
+    0x63: macro([0x28, 0x32], [0x29, 0x34], [0x2A, 0x35]),
+    0x64: macro([0x28, 0x32], [0x29, 0x33], [0x2A, 0x35]),
+    0x65: macro([0x28, 0x32], [0x29, 0x20, 0x41], [0x2A, 0x35]),
+    0x66: macro([0x28, 0x20, 0x41], [0x29, 0x20, 0x42], [0x2A, 0x20, 0x43]),
+    0x67: macro([0x28, 0x20, 0x44], [0x29, 0x20, 0x45], [0x2A, 0x20, 0x46]),
+    0x68: macro([0x28, 0x20, 0x47], [0x29, 0x20, 0x48], [0x2A, 0x20, 0x49]),
+    0x69: macro([0x28, 0x20, 0x4A], [0x29, 0x20, 0x4B], [0x2A, 0x20, 0x4C]),
+    0x6A: macro([0x28, 0x20, 0x4D], [0x29, 0x20, 0x4E], [0x2A, 0x20, 0x4F]),
+    0x6B: macro([0x24, 0x42], [0x29, 0x20, 0x42], [0x2A, 0x30]),
+    0x6C: macro([0x24, 0x42], [0x29, 0x20, 0x43], [0x2A, 0x30]),
+    0x6D: macro([0x24, 0x42], [0x29, 0x20, 0x44], [0x2A, 0x30]),
+    0x6E: macro([0x28, 0x31], [0x29, 0x30], [0x2A, 0x4A]),
+    0x6F: macro([0x28, 0x4A], [0x29, 0x32], [0x2A, 0x20, 0x41]),
+};
+
+export const kGetaMark = '〓';
+
+const hiragana_katakana_common: string[] = ['ゝ', 'ゞ', 'ー', '。', '「', '」', '、', '・'];
+const katakana_specials: string[] = ['ヽ', 'ヾ', 'ー', '。', '「', '」', '、', '・'];
+
+let euc_jp_decoder: TextDecoder | null | undefined = undefined;
+
+const decodeJISX0208 = (c1: number, c2: number): string => {
+    if (euc_jp_decoder === undefined) {
+        try {
+            euc_jp_decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('euc-jp') : null;
+        } catch (e) {
+            euc_jp_decoder = null;
+        }
+    }
+    if (euc_jp_decoder == null) {
+        return kGetaMark;
+    }
+    let text = euc_jp_decoder.decode(new Uint8Array([c1 | 0x80, c2 | 0x80]));
+    return text === '�' ? kGetaMark : text;
+};
+
+export class ARIBB24Decoder {
+
+    // G0 ~ G3 designations, and the buffers invoked into GL / GR
+    protected g_: ARIBGraphicSet[] = [];
+    protected gl_: number = 0;
+    protected gr_: number = 2;
+
+    private initial_sets_: number[];
+    private text_: string = '';
+
+    public constructor(initial_sets: number[] = kARIBInitialSetsForSI) {
+        this.initial_sets_ = initial_sets;
+        this.reset();
+    }
+
+    public reset(): void {
+        this.g_ = this.initial_sets_.map((final_byte) => {
+            return graphic_set_by_final_byte[final_byte] ?? getDRCSSet(final_byte);
+        });
+        this.gl_ = 0;
+        this.gr_ = 2;
+    }
+
+    public decode(data: Uint8Array): string {
+        this.reset();
+        this.text_ = '';
+        this.process(data);
+        return this.text_;
+    }
+
+    protected process(data: Uint8Array): void {
+        let i = 0;
+        while (i < data.length) {
+            let code = data[i];
+
+            if (code === 0x1B) {
+                i = this.parseEscapeSequence(data, i + 1);
+            } else if (code === 0x0E) {  // LS1
+                this.gl_ = 1; i++;
+            } else if (code === 0x0F) {  // LS0
+                this.gl_ = 0; i++;
+            } else if (code === 0x19 || code === 0x1D) {  // SS2, SS3
+                let set = this.g_[code === 0x19 ? 2 : 3];
+                let bytes = set.bytes;
+                if (i + bytes < data.length) {
+                    this.invokeCharacter(set, data[i + 1] & 0x7F, bytes === 2 ? data[i + 2] & 0x7F : 0);
+                }
+                i += 1 + bytes;
+            } else if (code <= 0x20) {
+                i = this.processC0(data, i);
+            } else if (code < 0x7F) {
+                i = this.processGraphic(data, i, this.g_[this.gl_]);
+            } else if (code === 0x7F || code === 0xFF) {  // DEL
+                i++;
+            } else if (code < 0xA0) {
+                i = this.processC1(data, i);
+            } else if (code === 0xA0) {
+                i = this.processC0(data, i);
+            } else {
+                i = this.processGraphic(data, i, this.g_[this.gr_]);
+            }
+        }
+    }
+
+    private processGraphic(data: Uint8Array, i: number, set: ARIBGraphicSet): number {
+        if (set.bytes === 2) {
+            if (i + 1 < data.length) {
+                this.invokeCharacter(set, data[i] & 0x7F, data[i + 1] & 0x7F);
+            }
+            return i + 2;
+        }
+        this.invokeCharacter(set, data[i] & 0x7F, 0);
+        return i + 1;
+    }
+
+    private invokeCharacter(set: ARIBGraphicSet, c1: number, c2: number): void {
+        if (set.kind === ARIBGraphicSetKind.kMacro) {
+            // Default macros only re-designate and invoke graphic sets
+            if (default_macros[c1] != undefined) {
+                this.process(default_macros[c1]);
+            }
+            return;
+        }
+        this.putCharacter(set, c1, c2);
+    }
+
+    protected putCharacter(set: ARIBGraphicSet, c1: number, c2: number): void {
+        this.text_ += this.decodeCharacter(set, c1, c2);
+    }
+
+    protected decodeCharacter(set: ARIBGraphicSet, c1: number, c2: number): string {
+        switch (set.kind) {
+            case ARIBGraphicSetKind.kKanji: {
+                if (c1 >= 0x75) {
+                    return this.decodeAdditionalSymbol(c1, c2);
+                }
+                return decodeJISX0208(c1, c2);
+            }
+            case ARIBGraphicSetKind.kAdditionalSymbols:
+                return this.decodeAdditionalSymbol(c1, c2);
+            case ARIBGraphicSetKind.kAlphanumeric:
+                if (c1 === 0x5C) {
+                    return '¥';
+                } else if (c1 === 0x7E) {
+                    return '‾';
+                }
+                return String.fromCharCode(c1);
+            case ARIBGraphicSetKind.kHiragana:
+                if (c1 >= 0x77) {
+                    return hiragana_katakana_common[c1 - 0x77];
+                } else if (c1 <= 0x73) {
+                    return String.fromCharCode(0x3041 + c1 - 0x21);
+                }
+                return '';
+            case ARIBGraphicSetKind.kKatakana:
+                if (c1 >= 0x77) {
+                    return katakana_specials[c1 - 0x77];
+                }
+                return String.fromCharCode(0x30A1 + c1 - 0x21);
+            case ARIBGraphicSetKind.kJISX0201Katakana:
+                if (c1 <= 0x5F) {
+                    return String.fromCharCode(0xFF61 + c1 - 0x21);
+                }
+                return '';
+            case ARIBGraphicSetKind.kDRCS:
+                return kGetaMark;
+            default:
+                // Mosaic and macro codes have no textual representation
+                return '';
+        }
+    }
+
+    private decodeAdditionalSymbol(c1: number, c2: number): string {
+        if (c1 === 0x7A && additional_symbols_row_90[c2] != undefined) {
+            return additional_symbols_row_90[c2];
+        }
+        return kGetaMark;
+    }
+
+    // Returns offset after the escape sequence, data[start] is the byte after ESC
+    protected parseEscapeSequence(data: Uint8Array, start: number): number {
+        let i = start;
+        if (i >= data.length) {
+            return i;
+        }
+
+        let code = data[i];
+        switch (code) {
+            case 0x6E: this.gl_ = 2; return i + 1;  // LS2
+            case 0x6F: this.gl_ = 3; return i + 1;  // LS3
+            case 0x7E: this.gr_ = 1; return i + 1;  // LS1R
+            case 0x7D: this.gr_ = 2; return i + 1;  // LS2R
+            case 0x7C: this.gr_ = 3; return i + 1;  // LS3R
+        }
+
+        let is_two_byte = false;
+        if (code === 0x24) {
+            is_two_byte = true;
+            i++;
+            code = data[i];
+        }
+
+        let index = 0;
+        if (code >= 0x28 && code <= 0x2B) {
+            index = code - 0x28;
+            i++;
+        } else if (is_two_byte) {
+            // ESC 2/4 F designates G0 2-byte set directly
+            index = 0;
+        } else {
+            return i + 1;
+        }
+
+        let is_drcs = false;
+        if (data[i] === 0x20) {
+            is_drcs = true;
+            i++;
+        }
+
+        let final_byte = data[i];
+        let set = is_drcs ? getDRCSSet(final_byte) : graphic_set_by_final_byte[final_byte];
+        if (set != undefined) {
+            this.g_[index] = set;
+        }
+
+        return i + 1;
+    }
+
+    // Returns offset after the control function and its parameters
+    protected processC0(data: Uint8Array, i: number): number {
+        switch (data[i]) {
+            case 0x0D:  // APR
+            case 0x0A:  // APD
+                this.text_ += '\n';
+                return i + 1;
+            case 0x20:  // SP
+            case 0xA0:
+                this.text_ += ' ';
+                return i + 1;
+            case 0x16: return i + 2;  // PAPF
+            case 0x1C: return i + 3;  // APS
+            default: return i + 1;
+        }
+    }
+
+    protected processC1(data: Uint8Array, i: number): number {
+        let code = data[i];
+        switch (code) {
+            case 0x8B:  // SZX
+            case 0x91:  // FLC
+            case 0x93:  // POL
+            case 0x94:  // WMM
+            case 0x97:  // HLC
+            case 0x98:  // RPC
+                return i + 2;
+            case 0x90:  // COL
+            case 0x92:  // CDC
+                return data[i + 1] === 0x20 ? i + 3 : i + 2;
+            case 0x95: {  // MACRO
+                let j = i + 2;
+                if (data[i + 1] === 0x40 || data[i + 1] === 0x41) {
+                    while (j + 1 < data.length && !(data[j] === 0x95 && data[j + 1] === 0x4F)) {
+                        j++;
+                    }
+                    j += 2;
+                }
+                return j;
+            }
+            case 0x9B: {  // CSI
+                let j = i + 1;
+                while (j < data.length && data[j] !== 0x20) {
+                    j++;
+                }
+                return j + 2;
+            }
+            case 0x9D: {  // TIME
+                if (data[i + 1] === 0x20) {
+                    return i + 3;
+                }
+                let j = i + 2;
+                while (j < data.length && !(data[j] >= 0x40 && data[j] <= 0x43)) {
+                    j++;
+                }
+                return j + 1;
+            }
+            default:
+                return i + 1;
+        }
+    }
+
+}
+
+let si_text_decoder: ARIBB24Decoder | null = null;
+
+export const decodeARIBText = (data: Uint8Array): string => {
+    if (si_text_decoder == null) {
+        si_text_decoder = new ARIBB24Decoder(kARIBInitialSetsForSI);
+    }
+    return si_text_decoder.decode(data);
+};
@@ -0,0 +1,555 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ARIBB24Decoder, ARIBGraphicSet, ARIBGraphicSetKind, kARIBInitialSetsForCaption, kGetaMark } from './arib-b24';
+
+// ARIB STD-B24 Volume 1 Part 3: Caption and superimpose coding
+
+export enum ARIBCaptionDataIdentifier {
+    kCaption = 0x80,  // synchronized PES
+    kSuperimpose = 0x81  // asynchronous PES
+}
+
+export type ARIBCharacterSize = 'small' | 'medium' | 'normal' | 'double_height' | 'double_width' | 'double_size';
+
+export type ARIBDRCSPattern = {
+    width: number,
+    height: number,
+    // number of gradation levels minus 2, 0 for 2-tone patterns
+    depth: number,
+    bits_per_pixel: number,
+    pattern: Uint8Array
+};
+
+export type ARIBCaptionRun = {
+    // DRCS characters are represented by U+3013 (GETA MARK) in text
+    text: string,
+    foreground_color: string,
+    background_color: string,
+    size: ARIBCharacterSize,
+    drcs?: ARIBDRCSPattern
+};
+
+export type ARIBCaptionLine = {
+    // coordinate of the first character in caption plane, y is the bottom of the line
+    x: number,
+    y: number,
+    runs: ARIBCaptionRun[]
+};
+
+export class ARIBCaptionData {
+    pid: number;
+    stream_id: number;
+    data_identifier: ARIBCaptionDataIdentifier;
+    kind: 'caption' | 'superimpose';
+    language_tag: number;
+    language?: string;
+    pts?: number;
+    nearest_pts?: number;
+    plane_width: number;
+    plane_height: number;
+    // statement started with CS (clear screen), previously displayed caption should be erased
+    clear_screen: boolean;
+    text: string;
+    lines: ARIBCaptionLine[];
+}
+
+type ARIBCaptionLanguage = {
+    language_tag: number,
+    ISO_639_language_code: string,
+    format: number
+};
+
+// Default CLUT entries 0 ~ 15 of ARIB STD-B24 Table 7-27
+const default_clut: string[] = [
+    '#000000', '#ff0000', '#00ff00', '#ffff00', '#0000ff', '#ff00ff', '#00ffff', '#ffffff',
+    'transparent', '#aa0000', '#00aa00', '#aaaa00', '#0000aa', '#aa00aa', '#00aaaa', '#aaaaaa'
+];
+
+const writingFormatPlane = (format: number): [number, number] => {
+    switch (format) {
+        case 0x05: return [1920, 1080];
+        case 0x06: return [1080, 1920];
+        case 0x07: return [960, 540];
+        case 0x08: return [540, 960];
+        case 0x09: return [720, 480];
+        case 0x0A: return [480, 720];
+        default: return [960, 540];
+    }
+};
+
+// Renders a statement body (8-unit code) into positioned lines of styled runs
+class ARIBCaptionStatementRenderer extends ARIBB24Decoder {
+
+    private drcs_: Map<string, ARIBDRCSPattern>;
+
+    private plane_width_ = 960;
+    private plane_height_ = 540;
+    private display_x_ = 0;
+    private display_y_ = 0;
+    private display_width_ = 960;
+    private display_height_ = 540;
+    private char_width_ = 36;
+    private char_height_ = 36;
+    private horizontal_spacing_ = 4;
+    private vertical_spacing_ = 24;
+
+    private pos_x_ = 0;
+    private pos_y_ = 0;
+    private foreground_ = default_clut[7];
+    private background_ = default_clut[8];
+    private size_: ARIBCharacterSize = 'normal';
+
+    private clear_screen_ = false;
+    private lines_: ARIBCaptionLine[] = [];
+    private current_line_: ARIBCaptionLine | null = null;
+
+    public constructor(drcs: Map<string, ARIBDRCSPattern>) {
+        super(kARIBInitialSetsForCaption);
+        this.drcs_ = drcs;
+    }
+
+    public render(data: Uint8Array, format: number) {
+        [this.plane_width_, this.plane_height_] = writingFormatPlane(format);
+        this.display_x_ = 0;
+        this.display_y_ = 0;
+        this.display_width_ = this.plane_width_;
+        this.display_height_ = this.plane_height_;
+        this.char_width_ = 36;
+        this.char_height_ = 36;
+        this.horizontal_spacing_ = 4;
+        this.vertical_spacing_ = 24;
+        this.foreground_ = default_clut[7];
+        this.background_ = default_clut[8];
+        this.size_ = 'normal';
+        this.clear_screen_ = false;
+        this.lines_ = [];
+        this.current_line_ = null;
+        this.moveTo(0, 0);
+
+        this.reset();
+        this.process(data);
+
+        return {
+            plane_width: this.plane_width_,
+            plane_height: this.plane_height_,
+            clear_screen: this.clear_screen_,
+            lines: this.lines_.filter((line) => line.runs.length > 0)
+        };
+    }
+
+    private get cellWidth(): number {
+        let width = this.char_width_ + this.horizontal_spacing_;
+        if (this.size_ === 'small' || this.size_ === 'medium') {
+            width /= 2;
+        } else if (this.size_ === 'double_width' || this.size_ === 'double_size') {
+            width *= 2;
+        }
+        return width;
+    }
+
+    private get cellHeight(): number {
+        let height = this.char_height_ + this.vertical_spacing_;
+        if (this.size_ === 'small') {
+            height /= 2;
+        } else if (this.size_ === 'double_height' || this.size_ === 'double_size') {
+            height *= 2;
+        }
+        return height;
+    }
+
+    // Active position by row / column in units of current character cell
+    private moveTo(row: number, column: number): void {
+        this.pos_x_ = this.display_x_ + column * this.cellWidth;
+        this.pos_y_ = this.display_y_ + (row + 1) * this.cellHeight;
+        this.current_line_ = null;
+    }
+
+    private moveBy(columns: number, rows: number): void {
+        this.pos_x_ += columns * this.cellWidth;
+        this.pos_y_ += rows * this.cellHeight;
+        if (this.pos_x_ >= this.display_x_ + this.display_width_) {
+            this.pos_x_ = this.display_x_;
+            this.pos_y_ += this.cellHeight;
+        } else if (this.pos_x_ < this.display_x_) {
+            this.pos_x_ = this.display_x_ + this.display_width_ - this.cellWidth;
+            this.pos_y_ -= this.cellHeight;
+        }
+        this.current_line_ = null;
+    }
+
+    private appendRun(text: string, drcs?: ARIBDRCSPattern): void {
+        if (this.current_line_ == null || this.current_line_.y !== this.pos_y_) {
+            this.current_line_ = { x: this.pos_x_, y: this.pos_y_, runs: [] };
+            this.lines_.push(this.current_line_);
+        }
+
+        let runs = this.current_line_.runs;
+        let last = runs[runs.length - 1];
+        if (last != undefined && drcs == undefined && last.drcs == undefined
+                && last.foreground_color === this.foreground_
+                && last.background_color === this.background_
+                && last.size === this.size_) {
+            last.text += text;
+        } else {
+            let run: ARIBCaptionRun = {
+                text,
+                foreground_color: this.foreground_,
+                background_color: this.background_,
+                size: this.size_
+            };
+            if (drcs != undefined) {
+                run.drcs = drcs;
+            }
+            runs.push(run);
+        }
+
+        this.pos_x_ += this.cellWidth;
+        if (this.pos_x_ >= this.display_x_ + this.display_width_) {
+            this.pos_x_ = this.display_x_;
+            this.pos_y_ += this.cellHeight;
+        }
+    }
+
+    protected putCharacter(set: ARIBGraphicSet, c1: number, c2: number): void {
+        if (set.kind === ARIBGraphicSetKind.kDRCS) {
+            let key = set.bytes === 2 ? `0/${(c1 << 8) | c2}` : `${set.drcs_index}/${c1}`;
+            this.appendRun(kGetaMark, this.drcs_.get(key));
+            return;
+        }
+
+        let text = this.decodeCharacter(set, c1, c2);
+        if (text.length > 0) {
+            this.appendRun(text);
+        }
+    }
+
+    protected processC0(data: Uint8Array, i: number): number {
+        switch (data[i]) {
+            case 0x0C:  // CS
+                this.clear_screen_ = true;
+                this.lines_ = [];
+                this.moveTo(0, 0);
+                return i + 1;
+            case 0x0D:  // APR
+                this.pos_x_ = this.display_x_;
+                this.pos_y_ += this.cellHeight;
+                this.current_line_ = null;
+                return i + 1;
+            case 0x08:  // APB
+                this.moveBy(-1, 0);
+                return i + 1;
+            case 0x09:  // APF
+                this.moveBy(1, 0);
+                return i + 1;
+            case 0x0A:  // APD
+                this.moveBy(0, 1);
+                return i + 1;
+            case 0x0B:  // APU
+                this.moveBy(0, -1);
+                return i + 1;
+            case 0x16:  // PAPF
+                this.moveBy((data[i + 1] & 0x3F), 0);
+                return i + 2;
+            case 0x1C:  // APS
+                this.moveTo(data[i + 1] & 0x3F, data[i + 2] & 0x3F);
+                return i + 3;
+            case 0x20:  // SP
+            case 0xA0:
+                this.appendRun(' ');
+                return i + 1;
+            default:
+                return super.processC0(data, i);
+        }
+    }
+
+    protected processC1(data: Uint8Array, i: number): number {
+        let code = data[i];
+
+        if (code >= 0x80 && code <= 0x87) {  // BKF, RDF, GRF, YLF, BLF, MGF, CNF, WHF
+            this.foreground_ = default_clut[code - 0x80];
+            return i + 1;
+        }
+
+        switch (code) {
+            case 0x88:  // SSZ
+                this.size_ = 'small';
+                return i + 1;
+            case 0x89:  // MSZ
+                this.size_ = 'medium';
+                return i + 1;
+            case 0x8A:  // NSZ
+                this.size_ = 'normal';
+                return i + 1;
+            case 0x8B: {  // SZX
+                let param = data[i + 1];
+                if (param === 0x41) {
+                    this.size_ = 'double_height';
+                } else if (param === 0x44) {
+                    this.size_ = 'double_width';
+                } else if (param === 0x45) {
+                    this.size_ = 'double_size';
+                }
+                return i + 2;
+            }
+            case 0x90: {  // COL
+                let param = data[i + 1];
+                if (param === 0x20) {  // palette designation
+                    return i + 3;
+                }
+                if (param >= 0x40 && param <= 0x4F) {
+                    this.foreground_ = default_clut[param & 0x0F];
+                } else if (param >= 0x50 && param <= 0x5F) {
+                    this.background_ = default_clut[param & 0x0F];
+                }
+                return i + 2;
+            }
+            case 0x9B:  // CSI
+                return this.processCSI(data, i + 1);
+            default:
+                return super.processC1(data, i);
+        }
+    }
+
+    private processCSI(data: Uint8Array, start: number): number {
+        let params: number[] = [];
+        let value = 0;
+        let i = start;
+
+        for (; i < data.length; i++) {
+            let byte = data[i];
+            if (byte >= 0x30 && byte <= 0x39) {
+                value = value * 10 + (byte - 0x30);
+            } else if (byte === 0x3B) {
+                params.push(value);
+                value = 0;
+            } else if (byte === 0x20) {
+                params.push(value);
+                break;
+            }
+        }
+
+        let final_byte = data[i + 1];
+        switch (final_byte) {
+            case 0x53:  // SWF
+                [this.plane_width_, this.plane_height_] = writingFormatPlane(params[0]);
+                this.display_width_ = this.plane_width_;
+                this.display_height_ = this.plane_height_;
+                break;
+            case 0x56:  // SDF
+                this.display_width_ = params[0];
+                this.display_height_ = params[1];
+                break;
+            case 0x5F:  // SDP
+                this.display_x_ = params[0];
+                this.display_y_ = params[1];
+                this.moveTo(0, 0);
+                break;
+            case 0x57:  // SSM
+                this.char_width_ = params[0];
+                this.char_height_ = params[1];
+                break;
+            case 0x58:  // SHS
+                this.horizontal_spacing_ = params[0];
+                break;
+            case 0x59:  // SVS
+                this.vertical_spacing_ = params[0];
+                break;
+            case 0x61:  // ACPS
+                this.pos_x_ = params[0];
+                this.pos_y_ = params[1];
+                this.current_line_ = null;
+                break;
+        }
+
+        return i + 2;
+    }
+
+}
+
+const readDRCS = (data: Uint8Array, two_byte: boolean, drcs: Map<string, ARIBDRCSPattern>): void => {
+    let number_of_code = data[0];
+    let offset = 1;
+
+    for (let i = 0; i < number_of_code && offset + 3 <= data.byteLength; i++) {
+        let character_code = (data[offset] << 8) | data[offset + 1];
+        let number_of_font = data[offset + 2];
+        offset += 3;
+
+        let key = two_byte
+            ? `0/${character_code & 0x7F7F}`
+            : `${(character_code >> 8) - 0x40}/${character_code & 0x7F}`;
+
+        for (let j = 0; j < number_of_font && offset < data.byteLength; j++) {
+            let mode = data[offset] & 0x0F;
+            if (mode === 0x00 || mode === 0x01) {
+                let depth = data[offset + 1];
+                let width = data[offset + 2];
+                let height = data[offset + 3];
+                let bits_per_pixel = mode === 0x00 ? 1 : Math.ceil(Math.log2(depth + 2));
+                let size = Math.ceil(width * height * bits_per_pixel / 8);
+                let pattern = data.slice(offset + 4, offset + 4 + size);
+                offset += 4 + size;
+
+                // Only keep the first font of each character
+                if (j === 0) {
+                    drcs.set(key, { width, height, depth, bits_per_pixel, pattern });
+                }
+            } else {
+                // geometric data
+                let geometric_data_length = (data[offset + 3] << 8) | data[offset + 4];
+                offset += 5 + geometric_data_length;
+            }
+        }
+    }
+};
+
+// Parses ARIB caption / superimpose PES payloads of one elementary stream
+export class ARIBCaptionParser {
+
+    private languages_: ARIBCaptionLanguage[] = [];
+    private drcs_: Map<string, ARIBDRCSPattern> = new Map();
+    private renderer_: ARIBCaptionStatementRenderer = new ARIBCaptionStatementRenderer(this.drcs_);
+
+    public parse(payload: Uint8Array): Omit<ARIBCaptionData, 'pid' | 'stream_id' | 'pts' | 'nearest_pts'>[] {
+        let data_identifier = payload[0];
+        if (data_identifier !== ARIBCaptionDataIdentifier.kCaption && data_identifier !== ARIBCaptionDataIdentifier.kSuperimpose) {
+            return [];
+        }
+
+        let PES_data_packet_header_length = payload[2] & 0x0F;
+        let offset = 3 + PES_data_packet_header_length;
+        let results: Omit<ARIBCaptionData, 'pid' | 'stream_id' | 'pts' | 'nearest_pts'>[] = [];
+
+        // data_group()
+        while (offset + 5 <= payload.byteLength) {
+            let data_group_id = payload[offset] >>> 2;
+            let data_group_size = (payload[offset + 3] << 8) | payload[offset + 4];
+            let data_group = payload.subarray(offset + 5, offset + 5 + data_group_size);
+            // skip CRC_16
+            offset += 5 + data_group_size + 2;
+
+            // group A (0x00 ~ 0x08) and group B (0x20 ~ 0x28) share the same meanings
+            let group = data_group_id & 0x0F;
+            if (group === 0) {
+                this.parseCaptionManagementData(data_group);
+            } else if (group <= 8) {
+                let result = this.parseCaptionStatementData(data_group, group - 1, data_identifier);
+                if (result != undefined) {
+                    results.push(result);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    private parseCaptionManagementData(data: Uint8Array): void {
+        let TMD = data[0] >>> 6;
+        let offset = TMD === 0x02 ? 6 : 1;
+        let num_languages = data[offset];
+        offset += 1;
+
+        let languages: ARIBCaptionLanguage[] = [];
+        for (let i = 0; i < num_languages && offset + 5 <= data.byteLength; i++) {
+            let language_tag = data[offset] >>> 5;
+            let DMF = data[offset] & 0x0F;
+            offset += 1;
+            if (DMF === 0x0C || DMF === 0x0D || DMF === 0x0E) {
+                offset += 1;  // DC
+            }
+            let ISO_639_language_code = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2]);
+            let format = data[offset + 3] >>> 4;
+            offset += 4;
+            languages.push({ language_tag, ISO_639_language_code, format });
+        }
+        this.languages_ = languages;
+
+        let data_unit_loop_length = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+        this.parseDataUnits(data.subarray(offset + 3, offset + 3 + data_unit_loop_length));
+    }
+
+    private parseCaptionStatementData(data: Uint8Array, language_tag: number, data_identifier: number) {
+        let TMD = data[0] >>> 6;
+        let offset = (TMD === 0x01 || TMD === 0x02) ? 6 : 1;
+        let data_unit_loop_length = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+
+        let language = this.languages_.find((lang) => lang.language_tag === language_tag);
+        // Format of caption management data shares the values of SWF
+        let format = language == undefined ? 0x07 : language.format;
+
+        let body = this.parseDataUnits(data.subarray(offset + 3, offset + 3 + data_unit_loop_length));
+        if (body == undefined) {
+            return undefined;
+        }
+
+        let rendered = this.renderer_.render(body, format);
+        let text = rendered.lines.map((line) => line.runs.map((run) => run.text).join('')).join('\n');
+
+        return {
+            data_identifier,
+            kind: data_identifier === ARIBCaptionDataIdentifier.kCaption ? 'caption' : 'superimpose',
+            language_tag,
+            language: language?.ISO_639_language_code,
+            plane_width: rendered.plane_width,
+            plane_height: rendered.plane_height,
+            clear_screen: rendered.clear_screen,
+            text,
+            lines: rendered.lines
+        } as const;
+    }
+
+    // Handles DRCS definitions, returns concatenated statement bodies
+    private parseDataUnits(data: Uint8Array): Uint8Array | undefined {
+        let bodies: Uint8Array[] = [];
+        let offset = 0;
+
+        while (offset + 5 <= data.byteLength) {
+            let unit_separator = data[offset];
+            if (unit_separator !== 0x1F) {
+                break;
+            }
+            let data_unit_parameter = data[offset + 1];
+            let data_unit_size = (data[offset + 2] << 16) | (data[offset + 3] << 8) | data[offset + 4];
+            let data_unit_data = data.subarray(offset + 5, offset + 5 + data_unit_size);
+            offset += 5 + data_unit_size;
+
+            if (data_unit_parameter === 0x20) {  // statement body
+                bodies.push(data_unit_data);
+            } else if (data_unit_parameter === 0x30) {  // 1-byte DRCS
+                readDRCS(data_unit_data, false, this.drcs_);
+            } else if (data_unit_parameter === 0x31) {  // 2-byte DRCS
+                readDRCS(data_unit_data, true, this.drcs_);
+            }
+        }
+
+        if (bodies.length === 0) {
+            return undefined;
+        }
+        if (bodies.length === 1) {
+            return bodies[0];
+        }
+
+        let length = bodies.reduce((total, body) => total + body.byteLength, 0);
+        let result = new Uint8Array(length);
+        bodies.reduce((position, body) => {
+            result.set(body, position);
+            return position + body.byteLength;
+        }, 0);
+        return result;
+    }
+
+}
@@ -4,13 +4,23 @@ import { SMPTE2038Data } from './smpte2038';
 import { SCTE35Data } from './scte35';
 import { KLVData } from './klv';
 import { PGSData } from './pgs-data';
+import { PGSSubtitleFrame } from './pgs-subtitle';
+import { TimedID3Metadata } from './id3';
+import { ProgramList, SectionCRCError, TrackList } from './pat-pmt-pes';
+import { TSAnalysisReport } from './ts-analyzer';
+import { TimestampDiscontinuity } from './timestamp-discontinuity';
+import { SDT, EIT, NIT, TDTTOT } from './dvb-si';
+import { ARIBCaptionData } from './arib-caption';
+import { DVBSubtitleFrame } from './dvb-subtitle';
+import { TeletextSubtitleData } from './teletext';
+import { ClosedCaptionData } from './closed-caption';
 
 type OnErrorCallback = (type: string, info: string) => void;
 type OnMediaInfoCallback = (mediaInfo: MediaInfo) => void;
 type OnMetaDataArrivedCallback = (metadata: any) => void;
 type OnTrackMetadataCallback = (type: string, metadata: any) => void;
 type OnDataAvailableCallback = (audioTrack: any, videoTrack: any) => void;
-type OnTimedID3MetadataCallback = (timed_id3_data: PESPrivateData) => void;
+type OnTimedID3MetadataCallback = (timed_id3_data: TimedID3Metadata) => void;
 type onPGSSubitleDataCallback = (pgs_data: PGSData) => void;
 type OnSynchronousKLVMetadataCallback = (synchronous_klv_data: KLVData) => void;
 type OnAsynchronousKLVMetadataCallback = (asynchronous_klv_data: PESPrivateData) => void;
@@ -18,6 +28,20 @@ type OnSMPTE2038MetadataCallback = (smpte2038_data: SMPTE2038Data) => void;
 type OnSCTE35MetadataCallback = (scte35_data: SCTE35Data) => void;
 type OnPESPrivateDataCallback = (private_data: PESPrivateData) => void;
 type OnPESPrivateDataDescriptorCallback = (private_data_descriptor: PESPrivateDataDescriptor) => void;
+type OnProgramListCallback = (program_list: ProgramList) => void;
+type OnTrackListCallback = (track_list: TrackList) => void;
+type OnSDTCallback = (sdt: SDT) => void;
+type OnEITCallback = (eit: EIT) => void;
+type OnNITCallback = (nit: NIT) => void;
+type OnTDTTOTCallback = (tdt_tot: TDTTOT) => void;
+type OnARIBCaptionDataCallback = (arib_caption_data: ARIBCaptionData) => void;
+type OnDVBSubtitleFrameCallback = (dvb_subtitle_frame: DVBSubtitleFrame) => void;
+type OnTeletextSubtitleDataCallback = (teletext_subtitle_data: TeletextSubtitleData) => void;
+type OnClosedCaptionDataCallback = (closed_caption_data: ClosedCaptionData) => void;
+type OnPGSSubtitleFrameCallback = (pgs_subtitle_frame: PGSSubtitleFrame) => void;
+type OnSectionCRCErrorCallback = (section_crc_error: SectionCRCError) => void;
+type OnTSAnalysisReportCallback = (report: TSAnalysisReport) => void;
+type OnTimestampDiscontinuityCallback = (discontinuity: TimestampDiscontinuity) => void;
 
 export default abstract class BaseDemuxer {
 
@@ -34,6 +58,20 @@ export default abstract class BaseDemuxer {
     public onSCTE35Metadata: OnSCTE35MetadataCallback;
     public onPESPrivateData: OnPESPrivateDataCallback;
     public onPESPrivateDataDescriptor: OnPESPrivateDataDescriptorCallback;
+    public onProgramList: OnProgramListCallback;
+    public onTrackList: OnTrackListCallback;
+    public onSDT: OnSDTCallback;
+    public onEIT: OnEITCallback;
+    public onNIT: OnNITCallback;
+    public onTDTTOT: OnTDTTOTCallback;
+    public onARIBCaptionData: OnARIBCaptionDataCallback;
+    public onDVBSubtitleFrame: OnDVBSubtitleFrameCallback;
+    public onTeletextSubtitleData: OnTeletextSubtitleDataCallback;
+    public onClosedCaptionData: OnClosedCaptionDataCallback;
+    public onPGSSubtitleFrame: OnPGSSubtitleFrameCallback;
+    public onSectionCRCError: OnSectionCRCErrorCallback;
+    public onTSAnalysisReport: OnTSAnalysisReportCallback;
+    public onTimestampDiscontinuity: OnTimestampDiscontinuityCallback;
 
     public constructor() {}
 
@@ -51,6 +89,20 @@ export default abstract class BaseDemuxer {
         this.onSCTE35Metadata = null;
         this.onPESPrivateData = null;
         this.onPESPrivateDataDescriptor = null;
+        this.onProgramList = null;
+        this.onTrackList = null;
+        this.onSDT = null;
+        this.onEIT = null;
+        this.onNIT = null;
+        this.onTDTTOT = null;
+        this.onARIBCaptionData = null;
+        this.onDVBSubtitleFrame = null;
+        this.onTeletextSubtitleData = null;
+        this.onClosedCaptionData = null;
+        this.onPGSSubtitleFrame = null;
+        this.onSectionCRCError = null;
+        this.onTSAnalysisReport = null;
+        this.onTimestampDiscontinuity = null;
     }
 
     abstract parseChunks(chunk: ArrayBuffer, byteStart: number): number;
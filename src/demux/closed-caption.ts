@@ -0,0 +1,682 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+
+// ATSC A/53 Part 4 cc_data() carried by SEI user_data_registered_itu_t_t35,
+// decoded as CEA-608 (Line 21 data services) and CEA-708 (Digital Television Closed Captioning)
+
+export type ClosedCaptionLine = {
+    // position in the 15 rows x 32 columns caption grid of CEA-608,
+    // CEA-708 windows are mapped to the grid approximately
+    row: number,
+    column: number,
+    text: string
+};
+
+export class ClosedCaptionData {
+    // 'CC1' ~ 'CC4' for CEA-608, 'SERVICE1' ~ 'SERVICE63' for CEA-708
+    channel: string;
+    pts: number;
+    // currently displayed text, empty for erasing previously displayed caption
+    text: string;
+    lines: ClosedCaptionLine[];
+}
+
+const kSEIPayloadTypeUserDataRegisteredITUTT35 = 4;
+const kUserIdentifierGA94 = 0x47413934;
+const kUserDataTypeCCData = 0x03;
+
+const removeEmulationPreventionBytes = (data: Uint8Array): Uint8Array => {
+    let result = new Uint8Array(data.byteLength);
+    let length = 0;
+    for (let i = 0; i < data.byteLength; i++) {
+        if (i >= 2 && data[i] === 0x03 && data[i - 1] === 0x00 && data[i - 2] === 0x00) {
+            continue;
+        }
+        result[length++] = data[i];
+    }
+    return result.subarray(0, length);
+};
+
+// Returns cc_data() structures found in SEI messages, `sei` is the SEI NAL unit without NAL header
+export const extractCCDataFromSEI = (sei: Uint8Array): Uint8Array[] => {
+    let data = removeEmulationPreventionBytes(sei);
+    let cc_data_list: Uint8Array[] = [];
+
+    let offset = 0;
+    // stop at rbsp_trailing_bits
+    while (offset + 2 <= data.byteLength && data[offset] !== 0x80) {
+        let payload_type = 0;
+        while (data[offset] === 0xFF) {
+            payload_type += 0xFF;
+            offset++;
+        }
+        payload_type += data[offset++];
+
+        let payload_size = 0;
+        while (data[offset] === 0xFF) {
+            payload_size += 0xFF;
+            offset++;
+        }
+        payload_size += data[offset++];
+
+        let payload = data.subarray(offset, offset + payload_size);
+        offset += payload_size;
+
+        if (payload_type !== kSEIPayloadTypeUserDataRegisteredITUTT35 || payload.byteLength < 10) {
+            continue;
+        }
+
+        let itu_t_t35_country_code = payload[0];
+        let itu_t_t35_provider_code = (payload[1] << 8) | payload[2];
+        let user_identifier = ((payload[3] << 24) | (payload[4] << 16) | (payload[5] << 8) | payload[6]) >>> 0;
+        let user_data_type_code = payload[7];
+
+        if (itu_t_t35_country_code === 0xB5 && itu_t_t35_provider_code === 0x0031
+                && user_identifier === kUserIdentifierGA94 && user_data_type_code === kUserDataTypeCCData) {
+            cc_data_list.push(payload.subarray(8));
+        }
+    }
+
+    return cc_data_list;
+};
+
+// CEA-608 character sets
+const kBasicCharacterOverrides: { [code: number]: string } = {
+    0x2A: 'á', 0x5C: 'é', 0x5E: 'í', 0x5F: 'ó', 0x60: 'ú', 0x7B: 'ç', 0x7C: '÷', 0x7D: 'Ñ', 0x7E: 'ñ', 0x7F: '█'
+};
+const kSpecialCharacters = [
+    '®', '°', '½', '¿', '™', '¢', '£', '♪', 'à', ' ', 'è', 'â', 'ê', 'î', 'ô', 'û'
+];
+const kExtendedCharacters12 = [
+    'Á', 'É', 'Ó', 'Ú', 'Ü', 'ü', '‘', '¡', '*', '’', '—', '©', '℠', '•', '“', '”',
+    'À', 'Â', 'Ç', 'È', 'Ê', 'Ë', 'ë', 'Î', 'Ï', 'ï', 'Ô', 'Ù', 'ù', 'Û', '«', '»'
+];
+const kExtendedCharacters13 = [
+    'Ã', 'ã', 'Í', 'Ì', 'ì', 'Ò', 'ò', 'Õ', 'õ', '{', '}', '\\', '^', '_', '|', '~',
+    'Ä', 'ä', 'Ö', 'ö', 'ß', '¥', '¤', '│', 'Å', 'å', 'Ø', 'ø', '┌', '┐', '└', '┘'
+];
+// First row (0-based) addressed by Preamble Address Codes, indexed by (first byte & 0x07)
+const kPACRows = [10, 0, 2, 11, 13, 4, 6, 8];
+
+const kCEA608Rows = 15;
+const kCEA608Columns = 32;
+
+type CEA608Mode = 'pop-on' | 'roll-up' | 'paint-on' | 'text';
+
+const createCaptionMemory = (): string[][] => {
+    let memory: string[][] = [];
+    for (let i = 0; i < kCEA608Rows; i++) {
+        memory.push(new Array(kCEA608Columns).fill(' '));
+    }
+    return memory;
+};
+
+const renderLines = (rows: string[][], row_offset: number = 0, column_offset: number = 0): ClosedCaptionLine[] => {
+    let lines: ClosedCaptionLine[] = [];
+    rows.forEach((row, index) => {
+        let text = row.join('');
+        let trimmed = text.trim();
+        if (trimmed.length > 0) {
+            lines.push({
+                row: row_offset + index,
+                column: column_offset + text.length - text.trimStart().length,
+                text: trimmed
+            });
+        }
+    });
+    return lines;
+};
+
+class CEA608Channel {
+
+    private mode_: CEA608Mode | undefined;
+    private displayed_: string[][] = createCaptionMemory();
+    private non_displayed_: string[][] = createCaptionMemory();
+    private row_ = kCEA608Rows - 1;
+    private column_ = 0;
+    private roll_up_rows_ = 2;
+
+    public get lines(): ClosedCaptionLine[] {
+        return renderLines(this.displayed_);
+    }
+
+    public processControl(code: number, data: number): void {
+        if (code === 0x11 && data >= 0x20 && data <= 0x2F) {  // Mid-row codes, displayed as space
+            this.putCharacter(' ');
+        } else if (code === 0x11 && data >= 0x30 && data <= 0x3F) {  // Special characters
+            this.putCharacter(kSpecialCharacters[data - 0x30]);
+        } else if ((code === 0x12 || code === 0x13) && data >= 0x20 && data <= 0x3F) {
+            // Extended characters replace the standard character sent before as fallback
+            this.backspace();
+            this.putCharacter(code === 0x12 ? kExtendedCharacters12[data - 0x20] : kExtendedCharacters13[data - 0x20]);
+        } else if ((code === 0x14 || code === 0x15) && data >= 0x20 && data <= 0x2F) {
+            this.processMiscellaneousControl(data);
+        } else if (code === 0x17 && data >= 0x21 && data <= 0x23) {  // Tab offsets
+            this.column_ = Math.min(kCEA608Columns - 1, this.column_ + data - 0x20);
+        } else if (data >= 0x40 && data <= 0x7F) {  // Preamble Address Codes
+            let row = kPACRows[code & 0x07] + ((code !== 0x10 && (data & 0x20)) ? 1 : 0);
+            let indent = (data & 0x10) ? ((data & 0x0E) >> 1) * 4 : 0;
+            if (this.mode_ === 'roll-up') {
+                this.moveRollUpWindow(row);
+            }
+            this.row_ = row;
+            this.column_ = indent;
+        }
+    }
+
+    public processCharacters(c1: number, c2: number): void {
+        if (this.mode_ === 'text' || this.mode_ == undefined) {
+            return;
+        }
+        for (let c of [c1, c2]) {
+            if (c >= 0x20) {
+                this.putCharacter(kBasicCharacterOverrides[c] ?? String.fromCharCode(c));
+            }
+        }
+    }
+
+    private processMiscellaneousControl(command: number): void {
+        switch (command) {
+            case 0x20:  // RCL: Resume Caption Loading
+                this.mode_ = 'pop-on';
+                break;
+            case 0x21:  // BS: Backspace
+                this.backspace();
+                break;
+            case 0x24:  // DER: Delete to End of Row
+                this.memory[this.row_].fill(' ', this.column_);
+                break;
+            case 0x25:  // RU2: Roll-Up Captions 2 rows
+            case 0x26:  // RU3
+            case 0x27:  // RU4
+                if (this.mode_ !== 'roll-up') {
+                    this.displayed_ = createCaptionMemory();
+                    this.non_displayed_ = createCaptionMemory();
+                    this.row_ = kCEA608Rows - 1;
+                }
+                this.mode_ = 'roll-up';
+                this.roll_up_rows_ = command - 0x23;
+                this.column_ = 0;
+                break;
+            case 0x29:  // RDC: Resume Direct Captioning
+                this.mode_ = 'paint-on';
+                break;
+            case 0x2A:  // TR: Text Restart
+            case 0x2B:  // RTD: Resume Text Display
+                this.mode_ = 'text';
+                break;
+            case 0x2C:  // EDM: Erase Displayed Memory
+                this.displayed_ = createCaptionMemory();
+                break;
+            case 0x2D:  // CR: Carriage Return
+                if (this.mode_ === 'roll-up') {
+                    this.rollUp();
+                }
+                this.column_ = 0;
+                break;
+            case 0x2E:  // ENM: Erase Non-Displayed Memory
+                this.non_displayed_ = createCaptionMemory();
+                break;
+            case 0x2F:  // EOC: End Of Caption (flip memories)
+                [this.displayed_, this.non_displayed_] = [this.non_displayed_, this.displayed_];
+                this.mode_ = 'pop-on';
+                break;
+            default:  // AOF, AON, FON are not used
+                break;
+        }
+    }
+
+    private get memory(): string[][] {
+        return this.mode_ === 'pop-on' ? this.non_displayed_ : this.displayed_;
+    }
+
+    private putCharacter(c: string): void {
+        if (this.mode_ === 'text' || this.mode_ == undefined) {
+            return;
+        }
+        this.memory[this.row_][this.column_] = c;
+        this.column_ = Math.min(kCEA608Columns - 1, this.column_ + 1);
+    }
+
+    private backspace(): void {
+        if (this.column_ > 0) {
+            this.column_--;
+            this.memory[this.row_][this.column_] = ' ';
+        }
+    }
+
+    private rollUp(): void {
+        let top = Math.max(0, this.row_ - this.roll_up_rows_ + 1);
+        for (let row = 0; row < this.row_; row++) {
+            this.displayed_[row] = row >= top ? this.displayed_[row + 1] : new Array(kCEA608Columns).fill(' ');
+        }
+        this.displayed_[this.row_] = new Array(kCEA608Columns).fill(' ');
+    }
+
+    private moveRollUpWindow(base_row: number): void {
+        if (base_row === this.row_) {
+            return;
+        }
+        let memory = createCaptionMemory();
+        for (let i = 0; i < this.roll_up_rows_; i++) {
+            let from = this.row_ - i, to = base_row - i;
+            if (from >= 0 && to >= 0) {
+                memory[to] = this.displayed_[from];
+            }
+        }
+        this.displayed_ = memory;
+    }
+
+}
+
+// CEA-708 G2 character set (accessed by EXT1)
+const kG2Characters: { [code: number]: string } = {
+    0x20: ' ', 0x21: ' ', 0x25: '…', 0x2A: 'Š', 0x2C: 'Œ', 0x30: '█', 0x31: '‘', 0x32: '’', 0x33: '“',
+    0x34: '”', 0x35: '•', 0x39: '™', 0x3A: 'š', 0x3C: 'œ', 0x3D: '℠', 0x3F: 'Ÿ', 0x76: '⅛', 0x77: '⅜',
+    0x78: '⅝', 0x79: '⅞', 0x7A: '│', 0x7B: '┐', 0x7C: '└', 0x7D: '─', 0x7E: '┘', 0x7F: '┌'
+};
+
+// Number of parameter bytes of C1 commands 0x80 ~ 0x9F
+const kC1ParameterLengths = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0,
+    2, 3, 2, 0, 0, 0, 0, 4, 6, 6, 6, 6, 6, 6, 6, 6
+];
+
+type CEA708Window = {
+    visible: boolean,
+    priority: number,
+    relative_positioning: boolean,
+    anchor_vertical: number,
+    anchor_horizontal: number,
+    anchor_point: number,
+    row_count: number,
+    column_count: number,
+    rows: string[][],
+    pen_row: number,
+    pen_column: number
+};
+
+class CEA708Service {
+
+    private windows_: (CEA708Window | undefined)[] = new Array(8).fill(undefined);
+    private current_window_ = 0;
+
+    public get lines(): ClosedCaptionLine[] {
+        let lines: ClosedCaptionLine[] = [];
+        let windows = this.windows_.filter((w) => w != undefined && w.visible);
+        windows.sort((a, b) => this.windowTopRow(a) - this.windowTopRow(b) || a.priority - b.priority);
+        for (let w of windows) {
+            lines.push(...renderLines(w.rows, this.windowTopRow(w), this.windowLeftColumn(w)));
+        }
+        return lines;
+    }
+
+    public processServiceBlock(data: Uint8Array): void {
+        let i = 0;
+        while (i < data.byteLength) {
+            let c = data[i++];
+
+            if (c === 0x10) {  // EXT1
+                let e = data[i++];
+                if (e < 0x20) {  // C2: skip parameters
+                    i += e < 0x08 ? 0 : e < 0x10 ? 1 : e < 0x18 ? 2 : 3;
+                } else if (e < 0x80) {  // G2
+                    this.putCharacter(kG2Characters[e] ?? '_');
+                } else if (e < 0xA0) {  // C3: skip parameters
+                    i += e < 0x88 ? 4 : e < 0x90 ? 5 : 1 + (data[i] & 0x3F);
+                } else if (e === 0xA0) {  // G3: [CC] icon
+                    this.putCharacter('[CC]');
+                }
+            } else if (c < 0x20) {  // C0
+                if (c >= 0x18) {
+                    if (c === 0x18) {  // P16
+                        this.putCharacter(String.fromCharCode((data[i] << 8) | data[i + 1]));
+                    }
+                    i += 2;
+                } else if (c >= 0x11) {
+                    i += 1;
+                } else {
+                    this.processC0(c);
+                }
+            } else if (c < 0x80) {  // G0
+                this.putCharacter(c === 0x7F ? '♪' : String.fromCharCode(c));
+            } else if (c < 0xA0) {  // C1
+                let parameters = data.subarray(i, i + kC1ParameterLengths[c - 0x80]);
+                i += parameters.byteLength;
+                this.processC1(c, parameters);
+            } else {  // G1
+                this.putCharacter(String.fromCharCode(c));
+            }
+        }
+    }
+
+    private processC0(c: number): void {
+        let w = this.windows_[this.current_window_];
+        if (w == undefined) {
+            return;
+        }
+        switch (c) {
+            case 0x08:  // BS
+                if (w.pen_column > 0) {
+                    w.pen_column--;
+                    w.rows[w.pen_row][w.pen_column] = ' ';
+                }
+                break;
+            case 0x0C:  // FF: clear window and move pen to the origin
+                w.rows = w.rows.map(() => new Array(w.column_count).fill(' '));
+                w.pen_row = w.pen_column = 0;
+                break;
+            case 0x0D:  // CR
+                w.pen_column = 0;
+                if (w.pen_row + 1 < w.row_count) {
+                    w.pen_row++;
+                } else {
+                    w.rows.shift();
+                    w.rows.push(new Array(w.column_count).fill(' '));
+                }
+                break;
+            case 0x0E:  // HCR: clear current row
+                w.rows[w.pen_row].fill(' ');
+                w.pen_column = 0;
+                break;
+            default:  // NUL, ETX
+                break;
+        }
+    }
+
+    private processC1(c: number, p: Uint8Array): void {
+        if (c <= 0x87) {  // CWx: SetCurrentWindow
+            this.current_window_ = c - 0x80;
+        } else if (c >= 0x88 && c <= 0x8C) {  // CLW, DSW, HDW, TGW, DLW with window bitmap
+            for (let id = 0; id < 8; id++) {
+                let w = this.windows_[id];
+                if (!(p[0] & (1 << id)) || w == undefined) {
+                    continue;
+                }
+                if (c === 0x88) {
+                    w.rows = w.rows.map(() => new Array(w.column_count).fill(' '));
+                } else if (c === 0x89) {
+                    w.visible = true;
+                } else if (c === 0x8A) {
+                    w.visible = false;
+                } else if (c === 0x8B) {
+                    w.visible = !w.visible;
+                } else {
+                    this.windows_[id] = undefined;
+                }
+            }
+        } else if (c === 0x8F) {  // RST: Reset
+            this.windows_.fill(undefined);
+        } else if (c === 0x92) {  // SPL: SetPenLocation
+            let w = this.windows_[this.current_window_];
+            if (w != undefined) {
+                w.pen_row = Math.min(p[0] & 0x0F, w.row_count - 1);
+                w.pen_column = Math.min(p[1] & 0x3F, w.column_count - 1);
+            }
+        } else if (c >= 0x98) {  // DFx: DefineWindow
+            this.defineWindow(c - 0x98, p);
+        }
+        // DLY, DLC, SPA, SPC, SWA only affect timing and styles
+    }
+
+    private defineWindow(id: number, p: Uint8Array): void {
+        let row_count = (p[3] & 0x0F) + 1;
+        let column_count = (p[4] & 0x3F) + 1;
+        let w = this.windows_[id];
+
+        if (w == undefined) {
+            w = this.windows_[id] = {
+                visible: false,
+                priority: 0,
+                relative_positioning: false,
+                anchor_vertical: 0,
+                anchor_horizontal: 0,
+                anchor_point: 0,
+                row_count: 0,
+                column_count: 0,
+                rows: [],
+                pen_row: 0,
+                pen_column: 0
+            };
+        }
+
+        w.visible = (p[0] & 0x20) !== 0;
+        w.priority = p[0] & 0x07;
+        w.relative_positioning = (p[1] & 0x80) !== 0;
+        w.anchor_vertical = p[1] & 0x7F;
+        w.anchor_horizontal = p[2];
+        w.anchor_point = p[3] >> 4;
+
+        // Redefining a window keeps its content
+        let rows = w.rows.slice(-row_count);
+        while (rows.length < row_count) {
+            rows.push([]);
+        }
+        w.rows = rows.map((row) => row.slice(0, column_count).concat(new Array(Math.max(0, column_count - row.length)).fill(' ')));
+        w.row_count = row_count;
+        w.column_count = column_count;
+        w.pen_row = Math.min(w.pen_row, row_count - 1);
+        w.pen_column = Math.min(w.pen_column, column_count - 1);
+
+        this.current_window_ = id;
+    }
+
+    private putCharacter(c: string): void {
+        let w = this.windows_[this.current_window_];
+        if (w == undefined) {
+            return;
+        }
+        if (w.pen_column >= w.column_count) {
+            // no column lock handling, extend the row
+            w.rows[w.pen_row].push(c);
+        } else {
+            w.rows[w.pen_row][w.pen_column] = c;
+        }
+        w.pen_column++;
+    }
+
+    // Anchor positions are in 75 x 210 (16:9) grid, or in percentage if relative_positioning is set
+    private windowTopRow(w: CEA708Window): number {
+        let anchor = w.relative_positioning ? w.anchor_vertical / 100 : w.anchor_vertical / 75;
+        let top = Math.round(anchor * kCEA608Rows);
+        if (w.anchor_point >= 6) {
+            top -= w.row_count;
+        } else if (w.anchor_point >= 3) {
+            top -= Math.floor(w.row_count / 2);
+        }
+        return Math.max(0, Math.min(kCEA608Rows - w.row_count, top));
+    }
+
+    private windowLeftColumn(w: CEA708Window): number {
+        let anchor = w.relative_positioning ? w.anchor_horizontal / 100 : w.anchor_horizontal / 210;
+        return Math.max(0, Math.min(kCEA608Columns - 1, Math.round(anchor * kCEA608Columns)));
+    }
+
+}
+
+type PendingFrame = {
+    pts: number,
+    cc_data_list: Uint8Array[]
+};
+
+// Decodes cc_data() of video frames in presentation order
+export class ClosedCaptionParser {
+
+    private readonly TAG: string = 'ClosedCaptionParser';
+
+    // frames in decode order are reordered by pts until no earlier frame can arrive
+    private pending_frames_: PendingFrame[] = [];
+
+    // per field state of CEA-608: data channel selected by the last control code, and the last control code
+    private cea608_field_channels_ = [0, 0];
+    private cea608_last_controls_: (number | null)[] = [null, null];
+    private cea608_channels_: CEA608Channel[] = [new CEA608Channel(), new CEA608Channel(), new CEA608Channel(), new CEA608Channel()];
+
+    private dtvcc_packet_: number[] | null = null;
+    private cea708_services_: Map<number, CEA708Service> = new Map();
+
+    private updated_channels_: Set<string> = new Set();
+    private last_texts_: Map<string, string> = new Map();
+
+    // `pts` and `dts` in milliseconds. Should be called for every video frame once cc_data has appeared
+    public push(pts: number, dts: number, cc_data_list: Uint8Array[]): ClosedCaptionData[] {
+        let index = this.pending_frames_.findIndex((frame) => frame.pts > pts);
+        this.pending_frames_.splice(index === -1 ? this.pending_frames_.length : index, 0, { pts, cc_data_list });
+
+        let captions: ClosedCaptionData[] = [];
+        // following frames in decode order have pts >= dts of this frame
+        while (this.pending_frames_.length > 0 && this.pending_frames_[0].pts <= dts) {
+            let frame = this.pending_frames_.shift();
+            captions.push(... this.processFrame(frame));
+        }
+        return captions;
+    }
+
+    public reset(): void {
+        this.pending_frames_ = [];
+        this.cea608_field_channels_ = [0, 0];
+        this.cea608_last_controls_ = [null, null];
+        this.cea608_channels_ = [new CEA608Channel(), new CEA608Channel(), new CEA608Channel(), new CEA608Channel()];
+        this.dtvcc_packet_ = null;
+        this.cea708_services_.clear();
+        this.last_texts_.clear();
+    }
+
+    private processFrame(frame: PendingFrame): ClosedCaptionData[] {
+        for (let cc_data of frame.cc_data_list) {
+            let process_cc_data_flag = (cc_data[0] & 0x40) !== 0;
+            let cc_count = cc_data[0] & 0x1F;
+            if (!process_cc_data_flag) {
+                continue;
+            }
+
+            for (let i = 0; i < cc_count && 2 + i * 3 + 3 <= cc_data.byteLength; i++) {
+                let offset = 2 + i * 3;
+                let cc_valid = (cc_data[offset] & 0x04) !== 0;
+                let cc_type = cc_data[offset] & 0x03;
+                let cc_data_1 = cc_data[offset + 1];
+                let cc_data_2 = cc_data[offset + 2];
+
+                if (cc_type === 0 || cc_type === 1) {
+                    if (cc_valid) {
+                        this.processCEA608(cc_type, cc_data_1 & 0x7F, cc_data_2 & 0x7F);
+                    }
+                } else if (cc_type === 3) {  // DTVCC_PACKET_START
+                    this.finishDTVCCPacket();
+                    if (cc_valid) {
+                        this.dtvcc_packet_ = [cc_data_1, cc_data_2];
+                    }
+                } else if (cc_valid && this.dtvcc_packet_ != null) {  // DTVCC_PACKET_DATA
+                    this.dtvcc_packet_.push(cc_data_1, cc_data_2);
+                    let packet_size_code = this.dtvcc_packet_[0] & 0x3F;
+                    if (this.dtvcc_packet_.length >= (packet_size_code === 0 ? 128 : packet_size_code * 2)) {
+                        this.finishDTVCCPacket();
+                    }
+                }
+            }
+        }
+
+        let captions: ClosedCaptionData[] = [];
+        this.updated_channels_.forEach((channel) => {
+            let lines = channel.startsWith('CC')
+                ? this.cea608_channels_[parseInt(channel.substring(2)) - 1].lines
+                : this.cea708_services_.get(parseInt(channel.substring(7))).lines;
+            let text = lines.map((line) => line.text).join('\n');
+
+            if (text !== (this.last_texts_.get(channel) ?? '')) {
+                this.last_texts_.set(channel, text);
+                let caption = new ClosedCaptionData();
+                caption.channel = channel;
+                caption.pts = frame.pts;
+                caption.text = text;
+                caption.lines = lines;
+                captions.push(caption);
+            }
+        });
+        this.updated_channels_.clear();
+        return captions;
+    }
+
+    private processCEA608(field: number, c1: number, c2: number): void {
+        if (c1 === 0 && c2 === 0) {  // padding
+            return;
+        }
+
+        if (c1 >= 0x10 && c1 <= 0x1F) {
+            let control = (c1 << 8) | c2;
+            // control codes are transmitted twice for redundancy
+            if (this.cea608_last_controls_[field] === control) {
+                this.cea608_last_controls_[field] = null;
+                return;
+            }
+            this.cea608_last_controls_[field] = control;
+            this.cea608_field_channels_[field] = (c1 & 0x08) ? 1 : 0;
+
+            let channel = field * 2 + this.cea608_field_channels_[field];
+            this.cea608_channels_[channel].processControl(c1 & 0xF7, c2);
+            this.updated_channels_.add(`CC${channel + 1}`);
+        } else if (c1 >= 0x20) {
+            this.cea608_last_controls_[field] = null;
+            let channel = field * 2 + this.cea608_field_channels_[field];
+            this.cea608_channels_[channel].processCharacters(c1, c2);
+            this.updated_channels_.add(`CC${channel + 1}`);
+        } else {
+            // XDS (Extended Data Services) packets on field 2 are not used
+            this.cea608_last_controls_[field] = null;
+        }
+    }
+
+    private finishDTVCCPacket(): void {
+        let packet = this.dtvcc_packet_;
+        this.dtvcc_packet_ = null;
+        if (packet == null) {
+            return;
+        }
+
+        let data = new Uint8Array(packet);
+        let packet_size_code = data[0] & 0x3F;
+        let packet_end = Math.min(data.byteLength, packet_size_code === 0 ? 128 : packet_size_code * 2);
+
+        for (let i = 1; i < packet_end; ) {
+            let service_number = data[i] >> 5;
+            let block_size = data[i] & 0x1F;
+            i++;
+            if (service_number === 7 && block_size !== 0) {  // extended service number
+                service_number = data[i] & 0x3F;
+                i++;
+            }
+            if (service_number === 0 || block_size === 0) {  // null service block
+                break;
+            }
+            if (i + block_size > packet_end) {
+                Log.v(this.TAG, `Truncated DTVCC service block of service ${service_number}`);
+                break;
+            }
+
+            let service = this.cea708_services_.get(service_number);
+            if (service == undefined) {
+                service = new CEA708Service();
+                this.cea708_services_.set(service_number, service);
+            }
+            service.processServiceBlock(data.subarray(i, i + block_size));
+            this.updated_channels_.add(`SERVICE${service_number}`);
+            i += block_size;
+        }
+    }
+
+}
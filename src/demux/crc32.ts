@@ -0,0 +1,42 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// CRC_32 of ISO/IEC 13818-1 Annex A (polynomial 0x04C11DB7, initial value 0xFFFFFFFF, no reflection)
+
+const kCRC32Table = (() => {
+    let table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 0x80000000) ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+export const crc32mpeg2 = (data: Uint8Array): number => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.byteLength; i++) {
+        crc = (crc << 8) ^ kCRC32Table[((crc >>> 24) ^ data[i]) & 0xFF];
+    }
+    return crc >>> 0;
+};
+
+// Calculating over a whole section including its CRC_32 field results in 0 if not corrupted
+export const verifySectionCRC32 = (section: Uint8Array): boolean => {
+    return section.byteLength >= 4 && crc32mpeg2(section) === 0;
+};
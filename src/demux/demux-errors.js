@@ -20,7 +20,8 @@ const DemuxErrors = {
     OK: 'OK',
     FORMAT_ERROR: 'FormatError',
     FORMAT_UNSUPPORTED: 'FormatUnsupported',
-    CODEC_UNSUPPORTED: 'CodecUnsupported'
+    CODEC_UNSUPPORTED: 'CodecUnsupported',
+    DECRYPTION_ERROR: 'DecryptionError'
 };
 
 export default DemuxErrors;
\ No newline at end of file
@@ -0,0 +1,505 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { decodeDVBText } from './dvb-text';
+import { decodeARIBText } from './arib-b24';
+
+// ETSI EN 300 468 / ARIB STD-B10 service information tables
+
+export enum SITableId {
+    kNITActual = 0x40,
+    kNITOther = 0x41,
+    kSDTActual = 0x42,
+    kSDTOther = 0x46,
+    kEITPresentFollowingActual = 0x4E,
+    kEITPresentFollowingOther = 0x4F,
+    kEITScheduleActualFirst = 0x50,
+    kEITScheduleOtherLast = 0x6F,
+    kTDT = 0x70,
+    kTOT = 0x73,
+}
+
+export enum SIPID {
+    kNIT = 0x10,
+    kSDT = 0x11,
+    kEIT = 0x12,
+    kTDT = 0x14,
+}
+
+export type SIDescriptor = {
+    descriptor_tag: number,
+    data: Uint8Array
+};
+
+export type SDTService = {
+    service_id: number,
+    EIT_schedule_flag: boolean,
+    EIT_present_following_flag: boolean,
+    running_status: number,
+    free_CA_mode: boolean,
+    service_type?: number,
+    service_provider_name?: string,
+    service_name?: string,
+    descriptors: SIDescriptor[]
+};
+
+export type SDT = {
+    table_id: number,
+    transport_stream_id: number,
+    version_number: number,
+    section_number: number,
+    last_section_number: number,
+    original_network_id: number,
+    services: SDTService[]
+};
+
+export type EITContentGenre = {
+    content_nibble_level_1: number,
+    content_nibble_level_2: number,
+    user_byte: number
+};
+
+export type EITEvent = {
+    event_id: number,
+    // UTC, in milliseconds since epoch
+    start_time?: number,
+    // in seconds
+    duration?: number,
+    running_status: number,
+    free_CA_mode: boolean,
+    language?: string,
+    event_name?: string,
+    text?: string,
+    extended_items?: { description: string, item: string }[],
+    extended_text?: string,
+    content_genres?: EITContentGenre[],
+    descriptors: SIDescriptor[]
+};
+
+export type EIT = {
+    table_id: number,
+    service_id: number,
+    version_number: number,
+    section_number: number,
+    last_section_number: number,
+    transport_stream_id: number,
+    original_network_id: number,
+    segment_last_section_number: number,
+    last_table_id: number,
+    events: EITEvent[]
+};
+
+export type NITTransportStream = {
+    transport_stream_id: number,
+    original_network_id: number,
+    services?: { service_id: number, service_type: number }[],
+    descriptors: SIDescriptor[]
+};
+
+export type NIT = {
+    table_id: number,
+    network_id: number,
+    version_number: number,
+    section_number: number,
+    last_section_number: number,
+    network_name?: string,
+    transport_streams: NITTransportStream[],
+    descriptors: SIDescriptor[]
+};
+
+export type LocalTimeOffset = {
+    country_code: string,
+    country_region_id: number,
+    // in minutes, negative for local_time_offset_polarity = 1
+    local_time_offset: number,
+    time_of_change?: number,
+    next_time_offset: number
+};
+
+export type TDTTOT = {
+    table_id: SITableId.kTDT
+    utc_time?: number
+} | {
+    table_id: SITableId.kTOT
+    utc_time?: number
+    local_time_offsets: LocalTimeOffset[]
+    descriptors: SIDescriptor[]
+};
+
+// ISDB networks code times in JST (UTC+9) and text in ARIB STD-B24
+export const isARIBNetworkId = (network_id: number): boolean => {
+    return network_id === 0x0001 || network_id === 0x0003 || network_id === 0x0004
+        || network_id === 0x0006 || network_id === 0x0007 || network_id === 0x000A
+        || (network_id >= 0x7880 && network_id <= 0x7FE8);
+};
+
+const kJSTOffset = 9 * 60 * 60 * 1000;
+
+const decodeText = (data: Uint8Array, is_arib: boolean): string => {
+    return is_arib ? decodeARIBText(data) : decodeDVBText(data);
+};
+
+const decodeLanguage = (data: Uint8Array, offset: number): string => {
+    return String.fromCharCode(data[offset], data[offset + 1], data[offset + 2]);
+};
+
+const bcd = (byte: number): number => {
+    return (byte >> 4) * 10 + (byte & 0x0F);
+};
+
+// 16 bit MJD followed by 24 bit BCD hh:mm:ss, returns milliseconds since epoch
+const readMJDTime = (data: Uint8Array, offset: number, is_arib: boolean): number | undefined => {
+    if (data[offset] === 0xFF && data[offset + 1] === 0xFF && data[offset + 2] === 0xFF
+            && data[offset + 3] === 0xFF && data[offset + 4] === 0xFF) {
+        return undefined;
+    }
+
+    let mjd = (data[offset] << 8) | data[offset + 1];
+    let time = (mjd - 40587) * 86400 * 1000
+        + (bcd(data[offset + 2]) * 3600 + bcd(data[offset + 3]) * 60 + bcd(data[offset + 4])) * 1000;
+
+    return is_arib ? time - kJSTOffset : time;
+};
+
+// 24 bit BCD hh:mm:ss, returns seconds
+const readBCDDuration = (data: Uint8Array, offset: number): number | undefined => {
+    if (data[offset] === 0xFF && data[offset + 1] === 0xFF && data[offset + 2] === 0xFF) {
+        return undefined;
+    }
+    return bcd(data[offset]) * 3600 + bcd(data[offset + 1]) * 60 + bcd(data[offset + 2]);
+};
+
+const readDescriptors = (data: Uint8Array, offset: number, end: number): SIDescriptor[] => {
+    let descriptors: SIDescriptor[] = [];
+
+    while (offset + 2 <= end) {
+        let descriptor_tag = data[offset + 0];
+        let descriptor_length = data[offset + 1];
+        if (offset + 2 + descriptor_length > end) {
+            break;
+        }
+        descriptors.push({
+            descriptor_tag,
+            data: data.slice(offset + 2, offset + 2 + descriptor_length)
+        });
+        offset += 2 + descriptor_length;
+    }
+
+    return descriptors;
+};
+
+const concatBytes = (a: Uint8Array, b: Uint8Array): Uint8Array => {
+    let result = new Uint8Array(a.byteLength + b.byteLength);
+    result.set(a, 0);
+    result.set(b, a.byteLength);
+    return result;
+};
+
+// Returns the end offset of section payload (excluding CRC_32)
+const sectionPayloadEnd = (data: Uint8Array): number => {
+    let section_length = ((data[1] & 0x0F) << 8) | data[2];
+    return Math.min(data.byteLength, 3 + section_length) - 4;
+};
+
+export const readSDT = (data: Uint8Array): SDT => {
+    let table_id = data[0];
+    let transport_stream_id = (data[3] << 8) | data[4];
+    let version_number = (data[5] & 0x3E) >>> 1;
+    let section_number = data[6];
+    let last_section_number = data[7];
+    let original_network_id = (data[8] << 8) | data[9];
+    let is_arib = isARIBNetworkId(original_network_id);
+
+    let services: SDTService[] = [];
+    let end = sectionPayloadEnd(data);
+    let offset = 11;
+
+    while (offset + 5 <= end) {
+        let service_id = (data[offset] << 8) | data[offset + 1];
+        let EIT_schedule_flag = (data[offset + 2] & 0x02) !== 0;
+        let EIT_present_following_flag = (data[offset + 2] & 0x01) !== 0;
+        let running_status = data[offset + 3] >>> 5;
+        let free_CA_mode = (data[offset + 3] & 0x10) !== 0;
+        let descriptors_loop_length = ((data[offset + 3] & 0x0F) << 8) | data[offset + 4];
+        let descriptors = readDescriptors(data, offset + 5, Math.min(end, offset + 5 + descriptors_loop_length));
+
+        let service: SDTService = {
+            service_id,
+            EIT_schedule_flag,
+            EIT_present_following_flag,
+            running_status,
+            free_CA_mode,
+            descriptors
+        };
+
+        for (let descriptor of descriptors) {
+            if (descriptor.descriptor_tag === 0x48) {  // service_descriptor
+                let d = descriptor.data;
+                service.service_type = d[0];
+                let provider_name_length = d[1];
+                service.service_provider_name = decodeText(d.subarray(2, 2 + provider_name_length), is_arib);
+                let service_name_length = d[2 + provider_name_length];
+                let name_offset = 3 + provider_name_length;
+                service.service_name = decodeText(d.subarray(name_offset, name_offset + service_name_length), is_arib);
+            }
+        }
+
+        services.push(service);
+        offset += 5 + descriptors_loop_length;
+    }
+
+    return {
+        table_id,
+        transport_stream_id,
+        version_number,
+        section_number,
+        last_section_number,
+        original_network_id,
+        services
+    };
+};
+
+const fillEventDescriptors = (event: EITEvent, is_arib: boolean): void => {
+    let extended_items: { description: Uint8Array, item: Uint8Array }[] = [];
+    let extended_text: Uint8Array | undefined = undefined;
+
+    for (let descriptor of event.descriptors) {
+        let d = descriptor.data;
+
+        if (descriptor.descriptor_tag === 0x4D && d.byteLength >= 5) {  // short_event_descriptor
+            event.language = decodeLanguage(d, 0);
+            let event_name_length = d[3];
+            event.event_name = decodeText(d.subarray(4, 4 + event_name_length), is_arib);
+            let text_length = d[4 + event_name_length];
+            let text_offset = 5 + event_name_length;
+            event.text = decodeText(d.subarray(text_offset, text_offset + text_length), is_arib);
+        } else if (descriptor.descriptor_tag === 0x4E && d.byteLength >= 6) {  // extended_event_descriptor
+            if (event.language == undefined) {
+                event.language = decodeLanguage(d, 1);
+            }
+            let length_of_items = d[4];
+            let offset = 5;
+            let items_end = Math.min(d.byteLength, 5 + length_of_items);
+
+            while (offset + 1 <= items_end) {
+                let item_description_length = d[offset];
+                let description = d.subarray(offset + 1, offset + 1 + item_description_length);
+                offset += 1 + item_description_length;
+                let item_length = d[offset];
+                let item = d.subarray(offset + 1, offset + 1 + item_length);
+                offset += 1 + item_length;
+
+                // Item text may continue in the next descriptor with an empty description
+                if (item_description_length === 0 && extended_items.length > 0) {
+                    let last = extended_items[extended_items.length - 1];
+                    last.item = concatBytes(last.item, item);
+                } else {
+                    extended_items.push({ description, item });
+                }
+            }
+
+            let text_length = d[items_end];
+            let text = d.subarray(items_end + 1, items_end + 1 + text_length);
+            if (text.byteLength > 0) {
+                extended_text = extended_text == undefined ? text : concatBytes(extended_text, text);
+            }
+        } else if (descriptor.descriptor_tag === 0x54) {  // content_descriptor
+            event.content_genres = [];
+            for (let i = 0; i + 2 <= d.byteLength; i += 2) {
+                event.content_genres.push({
+                    content_nibble_level_1: d[i] >>> 4,
+                    content_nibble_level_2: d[i] & 0x0F,
+                    user_byte: d[i + 1]
+                });
+            }
+        }
+    }
+
+    if (extended_items.length > 0) {
+        event.extended_items = extended_items.map((entry) => {
+            return {
+                description: decodeText(entry.description, is_arib),
+                item: decodeText(entry.item, is_arib)
+            };
+        });
+    }
+    if (extended_text != undefined) {
+        event.extended_text = decodeText(extended_text, is_arib);
+    }
+};
+
+export const readEIT = (data: Uint8Array): EIT => {
+    let table_id = data[0];
+    let service_id = (data[3] << 8) | data[4];
+    let version_number = (data[5] & 0x3E) >>> 1;
+    let section_number = data[6];
+    let last_section_number = data[7];
+    let transport_stream_id = (data[8] << 8) | data[9];
+    let original_network_id = (data[10] << 8) | data[11];
+    let segment_last_section_number = data[12];
+    let last_table_id = data[13];
+    let is_arib = isARIBNetworkId(original_network_id);
+
+    let events: EITEvent[] = [];
+    let end = sectionPayloadEnd(data);
+    let offset = 14;
+
+    while (offset + 12 <= end) {
+        let event_id = (data[offset] << 8) | data[offset + 1];
+        let start_time = readMJDTime(data, offset + 2, is_arib);
+        let duration = readBCDDuration(data, offset + 7);
+        let running_status = data[offset + 10] >>> 5;
+        let free_CA_mode = (data[offset + 10] & 0x10) !== 0;
+        let descriptors_loop_length = ((data[offset + 10] & 0x0F) << 8) | data[offset + 11];
+        let descriptors = readDescriptors(data, offset + 12, Math.min(end, offset + 12 + descriptors_loop_length));
+
+        let event: EITEvent = {
+            event_id,
+            start_time,
+            duration,
+            running_status,
+            free_CA_mode,
+            descriptors
+        };
+        fillEventDescriptors(event, is_arib);
+
+        events.push(event);
+        offset += 12 + descriptors_loop_length;
+    }
+
+    return {
+        table_id,
+        service_id,
+        version_number,
+        section_number,
+        last_section_number,
+        transport_stream_id,
+        original_network_id,
+        segment_last_section_number,
+        last_table_id,
+        events
+    };
+};
+
+export const readNIT = (data: Uint8Array): NIT => {
+    let table_id = data[0];
+    let network_id = (data[3] << 8) | data[4];
+    let version_number = (data[5] & 0x3E) >>> 1;
+    let section_number = data[6];
+    let last_section_number = data[7];
+    let is_arib = isARIBNetworkId(network_id);
+
+    let end = sectionPayloadEnd(data);
+    let network_descriptors_length = ((data[8] & 0x0F) << 8) | data[9];
+    let descriptors = readDescriptors(data, 10, Math.min(end, 10 + network_descriptors_length));
+
+    let network_name: string | undefined = undefined;
+    for (let descriptor of descriptors) {
+        if (descriptor.descriptor_tag === 0x40) {  // network_name_descriptor
+            network_name = decodeText(descriptor.data, is_arib);
+        }
+    }
+
+    let transport_streams: NITTransportStream[] = [];
+    let offset = 10 + network_descriptors_length;
+    let transport_stream_loop_length = ((data[offset] & 0x0F) << 8) | data[offset + 1];
+    let loop_end = Math.min(end, offset + 2 + transport_stream_loop_length);
+    offset += 2;
+
+    while (offset + 6 <= loop_end) {
+        let transport_stream_id = (data[offset] << 8) | data[offset + 1];
+        let original_network_id = (data[offset + 2] << 8) | data[offset + 3];
+        let transport_descriptors_length = ((data[offset + 4] & 0x0F) << 8) | data[offset + 5];
+        let ts_descriptors = readDescriptors(data, offset + 6, Math.min(loop_end, offset + 6 + transport_descriptors_length));
+
+        let transport_stream: NITTransportStream = {
+            transport_stream_id,
+            original_network_id,
+            descriptors: ts_descriptors
+        };
+
+        for (let descriptor of ts_descriptors) {
+            if (descriptor.descriptor_tag === 0x41) {  // service_list_descriptor
+                let d = descriptor.data;
+                transport_stream.services = [];
+                for (let i = 0; i + 3 <= d.byteLength; i += 3) {
+                    transport_stream.services.push({
+                        service_id: (d[i] << 8) | d[i + 1],
+                        service_type: d[i + 2]
+                    });
+                }
+            }
+        }
+
+        transport_streams.push(transport_stream);
+        offset += 6 + transport_descriptors_length;
+    }
+
+    return {
+        table_id,
+        network_id,
+        version_number,
+        section_number,
+        last_section_number,
+        network_name,
+        transport_streams,
+        descriptors
+    };
+};
+
+// TDT / TOT carry no network id, is_arib should come from previously received tables
+export const readTDTTOT = (data: Uint8Array, is_arib: boolean): TDTTOT => {
+    let table_id = data[0];
+    let utc_time = readMJDTime(data, 3, is_arib);
+
+    if (table_id === SITableId.kTDT) {
+        return {
+            table_id: SITableId.kTDT,
+            utc_time
+        };
+    }
+
+    let end = sectionPayloadEnd(data);
+    let descriptors_loop_length = ((data[8] & 0x0F) << 8) | data[9];
+    let descriptors = readDescriptors(data, 10, Math.min(end, 10 + descriptors_loop_length));
+    let local_time_offsets: LocalTimeOffset[] = [];
+
+    for (let descriptor of descriptors) {
+        if (descriptor.descriptor_tag !== 0x58) {  // local_time_offset_descriptor
+            continue;
+        }
+        let d = descriptor.data;
+        for (let i = 0; i + 13 <= d.byteLength; i += 13) {
+            let polarity = d[i + 3] & 0x01;
+            let offset = bcd(d[i + 4]) * 60 + bcd(d[i + 5]);
+            let next_offset = bcd(d[i + 11]) * 60 + bcd(d[i + 12]);
+            local_time_offsets.push({
+                country_code: decodeLanguage(d, i),
+                country_region_id: d[i + 3] >>> 2,
+                local_time_offset: polarity ? -offset : offset,
+                time_of_change: readMJDTime(d, i + 6, is_arib),
+                next_time_offset: polarity ? -next_offset : next_offset
+            });
+        }
+    }
+
+    return {
+        table_id: SITableId.kTOT,
+        utc_time,
+        local_time_offsets,
+        descriptors
+    };
+};
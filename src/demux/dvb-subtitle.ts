@@ -0,0 +1,654 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+
+// ETSI EN 300 743: Digital Video Broadcasting (DVB); Subtitling systems
+
+// An entry of subtitling_descriptor (0x59) in PMT
+export class DVBSubtitleStream {
+    pid: number;
+    language: string;
+    subtitling_type: number;
+    composition_page_id: number;
+    ancillary_page_id: number;
+}
+
+export type DVBSubtitleRegion = {
+    // position in display, in pixels
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    // RGBA pixels of width * height
+    rgba: Uint8ClampedArray
+};
+
+export class DVBSubtitleFrame {
+    pid: number;
+    stream_id: number;
+    language: string;
+    subtitling_type: number;
+    pts?: number;
+    nearest_pts?: number;
+    // seconds after which the frame should be erased if not updated
+    page_time_out: number;
+    display_width: number;
+    display_height: number;
+    // empty for erasing previously displayed subtitle
+    regions: DVBSubtitleRegion[];
+}
+
+export type DVBSubtitleDisplaySet = {
+    page_time_out: number,
+    display_width: number,
+    display_height: number,
+    regions: DVBSubtitleRegion[]
+};
+
+enum DVBSubtitleSegmentType {
+    kPageComposition = 0x10,
+    kRegionComposition = 0x11,
+    kCLUTDefinition = 0x12,
+    kObjectData = 0x13,
+    kDisplayDefinition = 0x14,
+    kEndOfDisplaySet = 0x80
+}
+
+enum PixelDataType {
+    k2BitPixelCodeString = 0x10,
+    k4BitPixelCodeString = 0x11,
+    k8BitPixelCodeString = 0x12,
+    k2To4BitMapTable = 0x20,
+    k2To8BitMapTable = 0x21,
+    k4To8BitMapTable = 0x22,
+    kEndOfObjectLine = 0xF0
+}
+
+type PageRegion = {
+    region_id: number,
+    x: number,
+    y: number
+};
+
+type RegionObject = {
+    object_id: number,
+    x: number,
+    y: number
+};
+
+type Region = {
+    width: number,
+    height: number,
+    // 2, 4 or 8 bits per pixel
+    depth: number,
+    clut_id: number,
+    objects: RegionObject[],
+    // pixel codes of width * height
+    pixels: Uint8Array
+};
+
+// RGBA entries of 2-bit, 4-bit and 8-bit CLUT
+type CLUT = {
+    [depth: number]: Uint8ClampedArray
+};
+
+const kDefaultDisplayWidth = 720;
+const kDefaultDisplayHeight = 576;
+
+const kDefault2To4BitMap = [0x0, 0x7, 0x8, 0xF];
+const kDefault2To8BitMap = [0x00, 0x77, 0x88, 0xFF];
+const kDefault4To8BitMap = [
+    0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88, 0x99, 0xAA, 0xBB, 0xCC, 0xDD, 0xEE, 0xFF
+];
+
+// Default CLUTs of EN 300 743 clause 10
+const createDefaultCLUT = (): CLUT => {
+    let clut2 = new Uint8ClampedArray(4 * 4);
+    clut2.set([0, 0, 0, 0, 255, 255, 255, 255, 0, 0, 0, 255, 127, 127, 127, 255]);
+
+    let clut4 = new Uint8ClampedArray(16 * 4);
+    for (let i = 1; i < 16; i++) {
+        let level = i < 8 ? 255 : 127;
+        clut4.set([i & 1 ? level : 0, i & 2 ? level : 0, i & 4 ? level : 0, 255], i * 4);
+    }
+
+    let clut8 = new Uint8ClampedArray(256 * 4);
+    for (let i = 1; i < 256; i++) {
+        let r: number, g: number, b: number, a = 255;
+        if (i < 8) {
+            r = i & 0x01 ? 255 : 0;
+            g = i & 0x02 ? 255 : 0;
+            b = i & 0x04 ? 255 : 0;
+            a = 63;
+        } else if ((i & 0x88) === 0x00 || (i & 0x88) === 0x08) {
+            r = (i & 0x01 ? 85 : 0) + (i & 0x10 ? 170 : 0);
+            g = (i & 0x02 ? 85 : 0) + (i & 0x20 ? 170 : 0);
+            b = (i & 0x04 ? 85 : 0) + (i & 0x40 ? 170 : 0);
+            a = (i & 0x88) === 0x08 ? 127 : 255;
+        } else if ((i & 0x88) === 0x80) {
+            r = 127 + (i & 0x01 ? 43 : 0) + (i & 0x10 ? 85 : 0);
+            g = 127 + (i & 0x02 ? 43 : 0) + (i & 0x20 ? 85 : 0);
+            b = 127 + (i & 0x04 ? 43 : 0) + (i & 0x40 ? 85 : 0);
+        } else {
+            r = (i & 0x01 ? 43 : 0) + (i & 0x10 ? 85 : 0);
+            g = (i & 0x02 ? 43 : 0) + (i & 0x20 ? 85 : 0);
+            b = (i & 0x04 ? 43 : 0) + (i & 0x40 ? 85 : 0);
+        }
+        clut8.set([r, g, b, a], i * 4);
+    }
+
+    return { 2: clut2, 4: clut4, 8: clut8 };
+};
+
+class BitReader {
+
+    private data_: Uint8Array;
+    private bit_offset_: number = 0;
+
+    public constructor(data: Uint8Array) {
+        this.data_ = data;
+    }
+
+    public get eof(): boolean {
+        return this.bit_offset_ >= this.data_.byteLength * 8;
+    }
+
+    public readBits(bits: number): number {
+        let result = 0;
+        for (let i = 0; i < bits; i++) {
+            let byte = this.data_[this.bit_offset_ >> 3] ?? 0;
+            result = (result << 1) | ((byte >> (7 - (this.bit_offset_ & 7))) & 1);
+            this.bit_offset_++;
+        }
+        return result;
+    }
+
+    public peekBits(bits: number): number {
+        let offset = this.bit_offset_;
+        let result = this.readBits(bits);
+        this.bit_offset_ = offset;
+        return result;
+    }
+
+    public alignByte(): void {
+        this.bit_offset_ = (this.bit_offset_ + 7) & ~7;
+    }
+
+    public get byteOffset(): number {
+        return this.bit_offset_ >> 3;
+    }
+
+}
+
+// Decodes subtitling segments of a subtitle page (with its ancillary page) into display sets
+export class DVBSubtitleParser {
+
+    private readonly TAG: string = 'DVBSubtitleParser';
+
+    private composition_page_id_: number;
+    private ancillary_page_id_: number;
+
+    private display_width_ = kDefaultDisplayWidth;
+    private display_height_ = kDefaultDisplayHeight;
+    private page_time_out_ = 0;
+    private page_version_: number | undefined;
+    private page_regions_: PageRegion[] = [];
+    private page_updated_ = false;
+    private regions_: Map<number, Region> = new Map();
+    private cluts_: Map<number, CLUT> = new Map();
+
+    public constructor(composition_page_id: number, ancillary_page_id: number) {
+        this.composition_page_id_ = composition_page_id;
+        this.ancillary_page_id_ = ancillary_page_id;
+    }
+
+    public reset(): void {
+        this.page_version_ = undefined;
+        this.page_regions_ = [];
+        this.page_updated_ = false;
+        this.regions_.clear();
+        this.cluts_.clear();
+    }
+
+    public parse(payload: Uint8Array): DVBSubtitleDisplaySet[] {
+        let display_sets: DVBSubtitleDisplaySet[] = [];
+
+        let data_identifier = payload[0];
+        let subtitle_stream_id = payload[1];
+        if (data_identifier !== 0x20 || subtitle_stream_id !== 0x00) {
+            Log.v(this.TAG, `Unknown data_identifier ${data_identifier} / subtitle_stream_id ${subtitle_stream_id}`);
+            return display_sets;
+        }
+
+        let offset = 2;
+        while (offset + 6 <= payload.byteLength && payload[offset] === 0x0F) {
+            let segment_type = payload[offset + 1];
+            let page_id = (payload[offset + 2] << 8) | payload[offset + 3];
+            let segment_length = (payload[offset + 4] << 8) | payload[offset + 5];
+            let segment = payload.subarray(offset + 6, offset + 6 + segment_length);
+            offset += 6 + segment_length;
+
+            if (page_id !== this.composition_page_id_ && page_id !== this.ancillary_page_id_) {
+                continue;
+            }
+
+            switch (segment_type) {
+                case DVBSubtitleSegmentType.kPageComposition:
+                    this.parsePageComposition(segment);
+                    break;
+                case DVBSubtitleSegmentType.kRegionComposition:
+                    this.parseRegionComposition(segment);
+                    break;
+                case DVBSubtitleSegmentType.kCLUTDefinition:
+                    this.parseCLUTDefinition(segment);
+                    break;
+                case DVBSubtitleSegmentType.kObjectData:
+                    this.parseObjectData(segment);
+                    break;
+                case DVBSubtitleSegmentType.kDisplayDefinition:
+                    this.parseDisplayDefinition(segment);
+                    break;
+                case DVBSubtitleSegmentType.kEndOfDisplaySet:
+                    if (this.page_updated_) {
+                        display_sets.push(this.composeDisplaySet());
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        // end_of_display_set_segment is optional in early revisions of EN 300 743
+        if (this.page_updated_) {
+            display_sets.push(this.composeDisplaySet());
+        }
+
+        return display_sets;
+    }
+
+    private parsePageComposition(data: Uint8Array): void {
+        if (data.byteLength < 2) {
+            return;
+        }
+
+        let page_time_out = data[0];
+        let page_version_number = data[1] >> 4;
+        let page_state = (data[1] >> 2) & 0x03;
+
+        if (page_state === 0x01 || page_state === 0x02) {
+            // acquisition point / mode change, a new epoch starts
+            this.regions_.clear();
+            this.cluts_.clear();
+        } else if (this.page_version_ == undefined) {
+            // normal case, but the beginning of epoch has not been received
+            return;
+        }
+
+        this.page_time_out_ = page_time_out;
+        this.page_version_ = page_version_number;
+        this.page_regions_ = [];
+        for (let i = 2; i + 6 <= data.byteLength; i += 6) {
+            this.page_regions_.push({
+                region_id: data[i],
+                x: (data[i + 2] << 8) | data[i + 3],
+                y: (data[i + 4] << 8) | data[i + 5]
+            });
+        }
+        this.page_updated_ = true;
+    }
+
+    private parseRegionComposition(data: Uint8Array): void {
+        if (data.byteLength < 10 || this.page_version_ == undefined) {
+            return;
+        }
+
+        let region_id = data[0];
+        let region_fill_flag = (data[1] >> 3) & 0x01;
+        let width = (data[2] << 8) | data[3];
+        let height = (data[4] << 8) | data[5];
+        let depth = [0, 2, 4, 8][(data[6] >> 2) & 0x07] ?? 0;
+        let clut_id = data[7];
+        let pixel_code = depth === 8 ? data[8] : depth === 4 ? data[9] >> 4 : (data[9] >> 2) & 0x03;
+
+        if (depth === 0 || width === 0 || height === 0) {
+            Log.v(this.TAG, `Invalid region ${region_id}: ${width}x${height}, ${depth} bits per pixel`);
+            return;
+        }
+
+        let region = this.regions_.get(region_id);
+        if (region == undefined || region.width !== width || region.height !== height || region.depth !== depth) {
+            region = {
+                width,
+                height,
+                depth,
+                clut_id,
+                objects: [],
+                pixels: new Uint8Array(width * height)
+            };
+            region_fill_flag = 1;
+            this.regions_.set(region_id, region);
+        }
+        region.clut_id = clut_id;
+        if (region_fill_flag) {
+            region.pixels.fill(pixel_code);
+        }
+
+        region.objects = [];
+        for (let i = 10; i + 6 <= data.byteLength; ) {
+            let object_id = (data[i] << 8) | data[i + 1];
+            let object_type = data[i + 2] >> 6;
+            region.objects.push({
+                object_id,
+                x: ((data[i + 2] & 0x0F) << 8) | data[i + 3],
+                y: ((data[i + 4] & 0x0F) << 8) | data[i + 5]
+            });
+            // character objects carry foreground / background pixel codes
+            i += (object_type === 0x01 || object_type === 0x02) ? 8 : 6;
+        }
+    }
+
+    private parseCLUTDefinition(data: Uint8Array): void {
+        if (data.byteLength < 2 || this.page_version_ == undefined) {
+            return;
+        }
+
+        let clut_id = data[0];
+        let clut = this.cluts_.get(clut_id);
+        if (clut == undefined) {
+            clut = createDefaultCLUT();
+            this.cluts_.set(clut_id, clut);
+        }
+
+        for (let i = 2; i + 2 <= data.byteLength; ) {
+            let entry_id = data[i];
+            let flags = data[i + 1];
+            let y: number, cr: number, cb: number, t: number;
+
+            if (flags & 0x01) {  // full_range_flag
+                if (i + 6 > data.byteLength) {
+                    break;
+                }
+                [y, cr, cb, t] = [data[i + 2], data[i + 3], data[i + 4], data[i + 5]];
+                i += 6;
+            } else {
+                if (i + 4 > data.byteLength) {
+                    break;
+                }
+                let value = (data[i + 2] << 8) | data[i + 3];
+                y = (value >> 10) << 2;
+                cr = ((value >> 6) & 0x0F) << 4;
+                cb = ((value >> 2) & 0x0F) << 4;
+                t = (value & 0x03) << 6;
+                i += 4;
+            }
+
+            // ITU-R BT.601, Y = 0 indicates full transparency
+            let rgba = y === 0 ? [0, 0, 0, 0] : [
+                y + 1.402 * (cr - 128),
+                y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+                y + 1.772 * (cb - 128),
+                255 - t
+            ];
+
+            if ((flags & 0x80) && entry_id < 4) {
+                clut[2].set(rgba, entry_id * 4);
+            }
+            if ((flags & 0x40) && entry_id < 16) {
+                clut[4].set(rgba, entry_id * 4);
+            }
+            if (flags & 0x20) {
+                clut[8].set(rgba, entry_id * 4);
+            }
+        }
+    }
+
+    private parseObjectData(data: Uint8Array): void {
+        if (data.byteLength < 3 || this.page_version_ == undefined) {
+            return;
+        }
+
+        let object_id = (data[0] << 8) | data[1];
+        let object_coding_method = (data[2] >> 2) & 0x03;
+        let non_modifying_colour_flag = (data[2] >> 1) & 0x01;
+
+        if (object_coding_method !== 0x00) {
+            // coding as a string of characters is not supported
+            return;
+        }
+        if (data.byteLength < 7) {
+            return;
+        }
+
+        let top_field_data_block_length = (data[3] << 8) | data[4];
+        let bottom_field_data_block_length = (data[5] << 8) | data[6];
+        let top_field = data.subarray(7, 7 + top_field_data_block_length);
+        let bottom_field = bottom_field_data_block_length > 0
+            ? data.subarray(7 + top_field_data_block_length, 7 + top_field_data_block_length + bottom_field_data_block_length)
+            : top_field;  // bottom field shall be coded as a copy of top field
+
+        this.regions_.forEach((region) => {
+            region.objects.filter((object) => object.object_id === object_id).forEach((object) => {
+                this.drawPixelDataSubBlocks(region, object, top_field, 0, non_modifying_colour_flag === 1);
+                this.drawPixelDataSubBlocks(region, object, bottom_field, 1, non_modifying_colour_flag === 1);
+            });
+        });
+    }
+
+    private drawPixelDataSubBlocks(region: Region, object: RegionObject, data: Uint8Array,
+                                   field: number, non_modifying_colour: boolean): void {
+        let map_2_to_4 = kDefault2To4BitMap;
+        let map_2_to_8 = kDefault2To8BitMap;
+        let map_4_to_8 = kDefault4To8BitMap;
+
+        let x = object.x;
+        let y = object.y + field;
+
+        const putPixels = (code: number, count: number, bits: number) => {
+            let pixel_code = code;
+            if (bits < region.depth) {
+                if (bits === 2) {
+                    pixel_code = region.depth === 4 ? map_2_to_4[code] : map_2_to_8[code];
+                } else {
+                    pixel_code = map_4_to_8[code];
+                }
+            } else if (bits > region.depth) {
+                pixel_code = code >> (bits - region.depth);
+            }
+
+            if (y >= region.height) {
+                x += count;
+                return;
+            }
+            let skip = non_modifying_colour && bits < 8 && code === 1;
+            let end = Math.min(x + count, region.width);
+            if (!skip && x < end) {
+                region.pixels.fill(pixel_code, y * region.width + x, y * region.width + end);
+            }
+            x += count;
+        };
+
+        let i = 0;
+        while (i < data.byteLength) {
+            let data_type = data[i++];
+            let reader = new BitReader(data.subarray(i));
+
+            switch (data_type) {
+                case PixelDataType.k2BitPixelCodeString:
+                    this.read2BitPixelCodeString(reader, putPixels);
+                    break;
+                case PixelDataType.k4BitPixelCodeString:
+                    this.read4BitPixelCodeString(reader, putPixels);
+                    break;
+                case PixelDataType.k8BitPixelCodeString:
+                    this.read8BitPixelCodeString(reader, putPixels);
+                    break;
+                case PixelDataType.k2To4BitMapTable:
+                    map_2_to_4 = [0, 1, 2, 3].map(() => reader.readBits(4));
+                    break;
+                case PixelDataType.k2To8BitMapTable:
+                    map_2_to_8 = [0, 1, 2, 3].map(() => reader.readBits(8));
+                    break;
+                case PixelDataType.k4To8BitMapTable:
+                    map_4_to_8 = kDefault4To8BitMap.map(() => reader.readBits(8));
+                    break;
+                case PixelDataType.kEndOfObjectLine:
+                    x = object.x;
+                    y += 2;
+                    break;
+                default:
+                    Log.v(this.TAG, `Unknown pixel data type ${data_type} in object ${object.object_id}`);
+                    return;
+            }
+
+            reader.alignByte();
+            i += reader.byteOffset;
+        }
+    }
+
+    private read2BitPixelCodeString(reader: BitReader, putPixels: (code: number, count: number, bits: number) => void): void {
+        while (!reader.eof) {
+            let code = reader.readBits(2);
+            if (code !== 0) {
+                putPixels(code, 1, 2);
+            } else if (reader.readBits(1) === 1) {  // switch_1
+                let run_length = reader.readBits(3) + 3;
+                putPixels(reader.readBits(2), run_length, 2);
+            } else if (reader.readBits(1) === 1) {  // switch_2
+                putPixels(0, 1, 2);
+            } else {
+                let switch_3 = reader.readBits(2);
+                if (switch_3 === 0x00) {  // end of string
+                    return;
+                } else if (switch_3 === 0x01) {
+                    putPixels(0, 2, 2);
+                } else if (switch_3 === 0x02) {
+                    let run_length = reader.readBits(4) + 12;
+                    putPixels(reader.readBits(2), run_length, 2);
+                } else {
+                    let run_length = reader.readBits(8) + 29;
+                    putPixels(reader.readBits(2), run_length, 2);
+                }
+            }
+        }
+    }
+
+    private read4BitPixelCodeString(reader: BitReader, putPixels: (code: number, count: number, bits: number) => void): void {
+        while (!reader.eof) {
+            let code = reader.readBits(4);
+            if (code !== 0) {
+                putPixels(code, 1, 4);
+            } else if (reader.readBits(1) === 0) {  // switch_1
+                let run_length = reader.readBits(3);
+                if (run_length === 0) {  // end of string
+                    return;
+                }
+                putPixels(0, run_length + 2, 4);
+            } else if (reader.readBits(1) === 0) {  // switch_2
+                let run_length = reader.readBits(2) + 4;
+                putPixels(reader.readBits(4), run_length, 4);
+            } else {
+                let switch_3 = reader.readBits(2);
+                if (switch_3 === 0x00) {
+                    putPixels(0, 1, 4);
+                } else if (switch_3 === 0x01) {
+                    putPixels(0, 2, 4);
+                } else if (switch_3 === 0x02) {
+                    let run_length = reader.readBits(4) + 9;
+                    putPixels(reader.readBits(4), run_length, 4);
+                } else {
+                    let run_length = reader.readBits(8) + 25;
+                    putPixels(reader.readBits(4), run_length, 4);
+                }
+            }
+        }
+    }
+
+    private read8BitPixelCodeString(reader: BitReader, putPixels: (code: number, count: number, bits: number) => void): void {
+        while (!reader.eof) {
+            let code = reader.readBits(8);
+            if (code !== 0) {
+                putPixels(code, 1, 8);
+            } else if (reader.readBits(1) === 0) {  // switch_1
+                let run_length = reader.readBits(7);
+                if (run_length === 0) {  // end of string
+                    return;
+                }
+                putPixels(0, run_length, 8);
+            } else {
+                let run_length = reader.readBits(7);
+                putPixels(reader.readBits(8), run_length, 8);
+            }
+        }
+    }
+
+    private parseDisplayDefinition(data: Uint8Array): void {
+        if (data.byteLength < 5) {
+            return;
+        }
+        this.display_width_ = ((data[1] << 8) | data[2]) + 1;
+        this.display_height_ = ((data[3] << 8) | data[4]) + 1;
+        // display_window is not applied, regions are positioned in the full display
+    }
+
+    private composeDisplaySet(): DVBSubtitleDisplaySet {
+        this.page_updated_ = false;
+
+        let regions: DVBSubtitleRegion[] = [];
+        for (let page_region of this.page_regions_) {
+            let region = this.regions_.get(page_region.region_id);
+            if (region == undefined) {
+                continue;
+            }
+
+            let clut = this.cluts_.get(region.clut_id);
+            if (clut == undefined) {
+                clut = createDefaultCLUT();
+                this.cluts_.set(region.clut_id, clut);
+            }
+            let palette = clut[region.depth];
+
+            let rgba = new Uint8ClampedArray(region.width * region.height * 4);
+            let opaque = false;
+            for (let i = 0; i < region.pixels.length; i++) {
+                let entry = region.pixels[i] * 4;
+                rgba[i * 4 + 0] = palette[entry + 0];
+                rgba[i * 4 + 1] = palette[entry + 1];
+                rgba[i * 4 + 2] = palette[entry + 2];
+                rgba[i * 4 + 3] = palette[entry + 3];
+                opaque = opaque || palette[entry + 3] !== 0;
+            }
+
+            if (opaque) {
+                regions.push({
+                    x: page_region.x,
+                    y: page_region.y,
+                    width: region.width,
+                    height: region.height,
+                    rgba
+                });
+            }
+        }
+
+        return {
+            page_time_out: this.page_time_out_,
+            display_width: this.display_width_,
+            display_height: this.display_height_,
+            regions
+        };
+    }
+
+}
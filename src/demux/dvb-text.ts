@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import decodeUTF8 from '../utils/utf8-conv.js';
+
+// ETSI EN 300 468 Annex A: text strings in DVB service information
+
+// Character code table 00 (ISO/IEC 6937 based), code points 0xA0 - 0xFF.
+// Entries of 0xC1 - 0xCF are non-spacing diacritical marks which prefix the base character.
+const latin_table_00: string[] = [
+    '\u00A0', '¡', '¢', '£', '$', '¥', '#', '§',
+    '¤', '‘', '“', '«', '←', '↑', '→', '↓',
+    '°', '±', '²', '³', '×', 'µ', '¶', '·',
+    '÷', '’', '”', '»', '¼', '½', '¾', '¿',
+    '', '\u0300', '\u0301', '\u0302', '\u0303', '\u0304', '\u0306', '\u0307',
+    '\u0308', '', '\u030A', '\u0327', '', '\u030B', '\u0328', '\u030C',
+    '―', '¹', '®', '©', '™', '♪', '¬', '¦',
+    '', '', '', '', '⅛', '⅜', '⅝', '⅞',
+    'Ω', 'Æ', 'Đ', 'ª', 'Ħ', '', 'Ĳ', 'Ŀ',
+    'Ł', 'Ø', 'Œ', 'º', 'Þ', 'Ŧ', 'Ŋ', 'ŉ',
+    'ĸ', 'æ', 'đ', 'ð', 'ħ', 'ı', 'ĳ', 'ŀ',
+    'ł', 'ø', 'œ', 'ß', 'þ', 'ŧ', 'ŋ', '\u00AD'
+];
+
+const isCombiningDiacritic = (code: number): boolean => {
+    return code >= 0xC1 && code <= 0xCF && latin_table_00[code - 0xA0] !== '';
+};
+
+const normalize = (text: string): string => {
+    return typeof text.normalize === 'function' ? text.normalize('NFC') : text;
+};
+
+const decodeWithTextDecoder = (data: Uint8Array, encoding: string): string | undefined => {
+    if (typeof TextDecoder === 'undefined') {
+        return undefined;
+    }
+    try {
+        return new TextDecoder(encoding).decode(data);
+    } catch (e) {
+        // encoding label not supported by the runtime
+        return undefined;
+    }
+};
+
+const decodeLatin1 = (data: Uint8Array): string => {
+    let out = '';
+    for (let i = 0; i < data.length; i++) {
+        out += String.fromCharCode(data[i]);
+    }
+    return out;
+};
+
+// Single byte tables: strip emphasis (0x86, 0x87) and map CR/LF (0x8A) in the C1 range
+const stripSingleByteControlCodes = (data: Uint8Array): Uint8Array => {
+    let out = new Uint8Array(data.length);
+    let length = 0;
+    for (let i = 0; i < data.length; i++) {
+        let code = data[i];
+        if (code === 0x8A) {
+            out[length++] = 0x0A;
+        } else if (code >= 0x80 && code <= 0x9F) {
+            continue;
+        } else {
+            out[length++] = code;
+        }
+    }
+    return out.subarray(0, length);
+};
+
+const decodeLatinTable00 = (data: Uint8Array): string => {
+    let out = '';
+    for (let i = 0; i < data.length; i++) {
+        let code = data[i];
+        if (code < 0x20) {
+            continue;
+        } else if (code < 0x80) {
+            out += String.fromCharCode(code);
+        } else if (code === 0x8A) {
+            out += '\n';
+        } else if (code < 0xA0) {
+            continue;
+        } else if (isCombiningDiacritic(code)) {
+            let diacritic = latin_table_00[code - 0xA0];
+            if (i + 1 < data.length && data[i + 1] >= 0x20 && data[i + 1] < 0x80) {
+                out += String.fromCharCode(data[++i]) + diacritic;
+            }
+        } else {
+            out += latin_table_00[code - 0xA0];
+        }
+    }
+    return normalize(out);
+};
+
+const decodeUCS2 = (data: Uint8Array): string => {
+    let out = '';
+    for (let i = 0; i + 1 < data.length; i += 2) {
+        let code = (data[i] << 8) | data[i + 1];
+        if (code === 0xE08A) {
+            out += '\n';
+        } else if (code >= 0xE080 && code <= 0xE09F) {
+            continue;
+        } else {
+            out += String.fromCharCode(code);
+        }
+    }
+    return out;
+};
+
+const decodeMultiByte = (data: Uint8Array, encoding: string): string => {
+    let text = decodeWithTextDecoder(data, encoding);
+    return text != undefined ? text : decodeLatin1(data);
+};
+
+const decodeISO8859 = (data: Uint8Array, part: number): string => {
+    let stripped = stripSingleByteControlCodes(data);
+    let text = decodeWithTextDecoder(stripped, `iso-8859-${part}`);
+    return text != undefined ? text : decodeLatin1(stripped);
+};
+
+export const decodeDVBText = (data: Uint8Array): string => {
+    if (data.length === 0) {
+        return '';
+    }
+
+    let first_byte = data[0];
+
+    if (first_byte >= 0x20) {
+        return decodeLatinTable00(data);
+    } else if (first_byte >= 0x01 && first_byte <= 0x0B) {
+        // ISO/IEC 8859-5 ~ ISO/IEC 8859-15 (8859-12 does not exist)
+        return decodeISO8859(data.subarray(1), first_byte + 4);
+    } else if (first_byte === 0x10) {
+        if (data.length < 3) {
+            return '';
+        }
+        let part = (data[1] << 8) | data[2];
+        return decodeISO8859(data.subarray(3), part);
+    } else if (first_byte === 0x11) {
+        return decodeUCS2(data.subarray(1));
+    } else if (first_byte === 0x12) {
+        return decodeMultiByte(data.subarray(1), 'euc-kr');
+    } else if (first_byte === 0x13) {
+        return decodeMultiByte(data.subarray(1), 'gbk');
+    } else if (first_byte === 0x14) {
+        return decodeMultiByte(data.subarray(1), 'big5');
+    } else if (first_byte === 0x15) {
+        return decodeUTF8(data.subarray(1));
+    } else if (first_byte === 0x1F) {
+        // encoding_type_id based compression schemes are not supported, skip the id byte
+        return decodeLatinTable00(data.subarray(2));
+    }
+
+    // reserved selector, treat remaining bytes as table 00
+    return decodeLatinTable00(data.subarray(1));
+};
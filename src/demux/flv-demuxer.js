@@ -21,11 +21,17 @@ import AMF from './amf-parser.js';
 import SPSParser from './sps-parser.js';
 import DemuxErrors from './demux-errors.js';
 import MediaInfo from '../core/media-info.js';
+import KeyframesIndex from '../core/keyframes-index.js';
 import {IllegalStateException} from '../utils/exception.js';
 import H265Parser from './h265-parser.js';
 import buffersAreEqual from '../utils/typedarray-equality.ts';
 import AV1OBUParser from './av1-parser.ts';
+import VP9Parser from './vp9-parser.ts';
 import ExpGolomb from './exp-golomb.js';
+import { AudioSpecificConfig, parseAudioSpecificConfig } from './aac.ts';
+import { AC3Config, AC3Parser, EAC3Config, EAC3Parser } from './ac3.ts';
+import { ClosedCaptionParser, extractCCDataFromSEI } from './closed-caption.ts';
+import { checkTimestampJump, TimestampDiscontinuity } from './timestamp-discontinuity.ts';
 
 function Swap16(src) {
     return (((src >>> 8) & 0xFF) |
@@ -47,6 +53,13 @@ function ReadBig32(array, index) {
 }
 
 
+// AudioChannel of Enhanced RTMP MultichannelConfig -> speaker position (OutputChannelPosition) of ISO/IEC 23091-3
+const AudioChannelSpeakerPositions = [
+    0, 1, 2, 3, 8, 9, 6, 7,  // FL, FR, FC, LFE1, BL, BR, FLC, FRC
+    10, 4, 5, 25, 17, 19, 18, 20,  // BC, SL, SR, TC, TFL, TFC, TFR, TBL
+    22, 21, 26, 23, 24, 29, 27, 28  // TBC, TBR, LFE2, TSL, TSR, BFC, BFL, BFR
+];
+
 class FLVDemuxer {
 
     constructor(probeData, config) {
@@ -58,8 +71,15 @@ class FLVDemuxer {
         this._onMediaInfo = null;
         this._onMetaDataArrived = null;
         this._onScriptDataArrived = null;
+        this._onCuePointArrived = null;
+        this._onTextDataArrived = null;
+        this._onCaptionDataArrived = null;
+        this._onTimecodeInfoArrived = null;
         this._onTrackMetadata = null;
         this._onDataAvailable = null;
+        this._onClosedCaptionData = null;
+        this._onTimestampDiscontinuity = null;
+        this._onTrackList = null;
 
         this._dataOffset = probeData.dataOffset;
         this._firstParse = true;
@@ -77,12 +97,34 @@ class FLVDemuxer {
         this._mediaInfo = new MediaInfo();
         this._mediaInfo.hasAudio = this._hasAudio;
         this._mediaInfo.hasVideo = this._hasVideo;
+        // keyframes from onMetaData, imported index and parsed video tags, not built for live stream
+        this._keyframesIndex = new KeyframesIndex();
+        this._mediaInfo.keyframesIndex = this._keyframesIndex;
+        // added to dts of keyframes after rebased timestamp discontinuities, set by the transmuxer
+        this._keyframesTimeOffset = 0;
         this._metadata = null;
         this._audioMetadata = null;
         this._videoMetadata = null;
 
         this._naluLengthSize = 4;
+        this._vp9MetadataPending = false;  // VPCodecConfigurationRecord received, waiting for frame size of a key frame
+
+        // Tracks of Enhanced FLV multitrack stream ([{track_id, codec}]), legacy FLV tags are track 0.
+        // Only the selected track of each type is fed to remuxer, the first one seen if not selected.
+        this._videoTrackList = [];
+        this._audioTrackList = [];
+        this._videoTrackId = null;
+        this._audioTrackId = null;
+        // track_id -> the last sequence header, replayed on switching since it's sent only once
+        this._videoTrackConfigs = {};
+        this._audioTrackConfigs = {};
+        this._videoWaitKeyframe = false;  // drop frames of switched video track until a key frame
+        // track_id -> {channelCount, speakerPositions} from MultichannelConfig
+        this._audioChannelLayouts = {};
+        this._closedCaptionParser = null;  // created when the first cc_data in SEI arrives
         this._timestampBase = 0;  // int32, in milliseconds
+        this._lastAudioDts = undefined;  // for detecting timestamp discontinuities
+        this._lastVideoDts = undefined;
         this._timescale = 1000;
         this._duration = 0;  // int32, in milliseconds
         this._durationOverrided = false;
@@ -120,18 +162,30 @@ class FLVDemuxer {
 
     destroy() {
         this._mediaInfo = null;
+        this._keyframesIndex = null;
         this._metadata = null;
         this._audioMetadata = null;
         this._videoMetadata = null;
         this._videoTrack = null;
         this._audioTrack = null;
+        this._closedCaptionParser = null;
 
         this._onError = null;
         this._onMediaInfo = null;
         this._onMetaDataArrived = null;
         this._onScriptDataArrived = null;
+        this._onCuePointArrived = null;
+        this._onTextDataArrived = null;
+        this._onCaptionDataArrived = null;
+        this._onTimecodeInfoArrived = null;
         this._onTrackMetadata = null;
         this._onDataAvailable = null;
+        this._onClosedCaptionData = null;
+        this._onTimestampDiscontinuity = null;
+        this._onTrackList = null;
+        this._videoTrackConfigs = null;
+        this._audioTrackConfigs = null;
+        this._audioChannelLayouts = null;
     }
 
     static probe(buffer) {
@@ -203,6 +257,69 @@ class FLVDemuxer {
         this._onScriptDataArrived = callback;
     }
 
+    // prototype: function(data: {pts: number, data: any}): void, for onCuePoint tags
+    get onCuePointArrived() {
+        return this._onCuePointArrived;
+    }
+
+    set onCuePointArrived(callback) {
+        this._onCuePointArrived = callback;
+    }
+
+    // prototype: function(data: {pts: number, data: any}): void, for onTextData tags
+    get onTextDataArrived() {
+        return this._onTextDataArrived;
+    }
+
+    set onTextDataArrived(callback) {
+        this._onTextDataArrived = callback;
+    }
+
+    // prototype: function(data: {pts: number, data: any}): void, for onCaption tags
+    get onCaptionDataArrived() {
+        return this._onCaptionDataArrived;
+    }
+
+    set onCaptionDataArrived(callback) {
+        this._onCaptionDataArrived = callback;
+    }
+
+    // prototype: function(data: {pts: number, data: any}): void, for onFI tags
+    get onTimecodeInfoArrived() {
+        return this._onTimecodeInfoArrived;
+    }
+
+    set onTimecodeInfoArrived(callback) {
+        this._onTimecodeInfoArrived = callback;
+    }
+
+    // prototype: function(closedCaptionData: ClosedCaptionData): void
+    get onClosedCaptionData() {
+        return this._onClosedCaptionData;
+    }
+
+    set onClosedCaptionData(callback) {
+        this._onClosedCaptionData = callback;
+    }
+
+    // prototype: function(discontinuity: TimestampDiscontinuity): void
+    get onTimestampDiscontinuity() {
+        return this._onTimestampDiscontinuity;
+    }
+
+    set onTimestampDiscontinuity(callback) {
+        this._onTimestampDiscontinuity = callback;
+    }
+
+    // prototype: function(trackList: {video_track_id, audio_track_id, video_tracks, audio_tracks}): void
+    get onTrackList() {
+        return this._onTrackList;
+    }
+
+    set onTrackList(callback) {
+        this._onTrackList = callback;
+    }
+
     // prototype: function(type: number, info: string): void
     get onError() {
         return this._onError;
@@ -230,6 +347,39 @@ class FLVDemuxer {
         this._timestampBase = base;
     }
 
+    get keyframesIndex() {
+        return this._keyframesIndex;
+    }
+
+    // Keyframes index of the segment, which is kept after resetMediaInfo()
+    set keyframesIndex(index) {
+        this._keyframesIndex = index;
+        this._mediaInfo.keyframesIndex = index;
+    }
+
+    // Preloads a complete index {times, filepositions}, times are in milliseconds from the segment start
+    importKeyframesIndex(index) {
+        this._keyframesIndex.merge(index, this._timestampBase);
+        this._mediaInfo.hasKeyframesIndex = true;
+    }
+
+    // For FLVSeeker, which locates keyframes in ranges not loaded yet
+    getTagScanParams() {
+        return {
+            first_tag_offset: this._dataOffset + 4,  // after PreviousTagSize0
+            has_video: this._hasVideo
+        };
+    }
+
+    exportKeyframesIndex() {
+        return this._keyframesIndex.export(-this._timestampBase);
+    }
+
+    // Keyframes are indexed on the rebased timeline, which keeps increasing across backward timestamp jumps
+    set keyframesTimeOffset(offset) {
+        this._keyframesTimeOffset = offset;
+    }
+
     get overridedDuration() {
         return this._duration;
     }
@@ -255,8 +405,212 @@ class FLVDemuxer {
         this._mediaInfo.hasVideo = hasVideo;
     }
 
+    // Data after seeking is not continuous with previous data, timestamp jumps shouldn't be regarded as discontinuities
+    insertDiscontinuity() {
+        this._lastAudioDts = this._lastVideoDts = undefined;
+    }
+
     resetMediaInfo() {
         this._mediaInfo = new MediaInfo();
+        this._mediaInfo.keyframesIndex = this._keyframesIndex;
+    }
+
+    // Selects the audio / video track of Enhanced FLV multitrack stream which is fed to remuxer
+    switchTrack(type, trackId) {
+        if (type !== 'video' && type !== 'audio') {
+            Log.w(this.TAG, `switchTrack: Unknown track type ${type}`);
+            return;
+        }
+
+        let trackList = type === 'video' ? this._videoTrackList : this._audioTrackList;
+        let currentTrackId = type === 'video' ? this._videoTrackId : this._audioTrackId;
+        if (trackList.filter((track) => track.track_id === trackId).length === 0) {
+            Log.w(this.TAG, `switchTrack: ${type} track ${trackId} does not exist`);
+            return;
+        }
+        if (trackId === currentTrackId) {
+            return;
+        }
+
+        Log.v(this.TAG, `Switching ${type} track from ${currentTrackId} to ${trackId}`);
+
+        // flush parsed frames of previous track, then re-initialize by the sequence header of new track
+        if (this._isInitialMetadataDispatched() && (this._audioTrack.length || this._videoTrack.length)) {
+            this._onDataAvailable(this._audioTrack, this._videoTrack);
+        }
+
+        let config = null;
+        if (type === 'video') {
+            this._videoTrackId = trackId;
+            this._videoMetadata = null;
+            this._vp9MetadataPending = false;
+            this._videoWaitKeyframe = true;
+            this._videoTrack.samples = [];
+            this._videoTrack.length = 0;
+            config = this._videoTrackConfigs[trackId];
+        } else {
+            this._audioTrackId = trackId;
+            this._audioMetadata = null;
+            this._audioTrack.samples = [];
+            this._audioTrack.length = 0;
+            config = this._audioTrackConfigs[trackId];
+        }
+
+        if (config) {
+            // parsing may modify the data in place (e.g. OpusSequenceHeader), keep the cached one intact
+            let data = config.data.slice();
+            if (config.legacy) {
+                type === 'video' ? this._parseVideoData(data.buffer, 0, data.byteLength, 0, 0)
+                                 : this._parseAudioData(data.buffer, 0, data.byteLength, 0);
+            } else {
+                type === 'video' ? this._parseEnhancedVideoTrack(data.buffer, 0, data.byteLength, 0, 0, 1, 0, config.fourcc)
+                                 : this._parseEnhancedAudioTrack(data.buffer, 0, data.byteLength, 0, 0, config.fourcc);
+            }
+        }
+
+        this._dispatchTrackList();
+    }
+
+    // Returns whether the track is the selected one, the track list is dispatched when a new track is found
+    _registerTrack(type, trackId, codec) {
+        let trackList = type === 'video' ? this._videoTrackList : this._audioTrackList;
+        let track = trackList.filter((t) => t.track_id === trackId)[0];
+
+        if (track == undefined || track.codec !== codec) {
+            if (track == undefined) {
+                trackList.push({track_id: trackId, codec: codec});
+            } else {
+                track.codec = codec;
+            }
+            if (type === 'video' && this._videoTrackId == null) {
+                this._videoTrackId = trackId;
+            } else if (type === 'audio' && this._audioTrackId == null) {
+                this._audioTrackId = trackId;
+            }
+            this._dispatchTrackList();
+        }
+
+        return trackId === (type === 'video' ? this._videoTrackId : this._audioTrackId);
+    }
+
+    // The sequence header is cached for every track, as it's not repeated in the stream
+    _cacheTrackConfig(type, trackId, fourcc, arrayBuffer, dataOffset, dataSize, legacy) {
+        let configs = type === 'video' ? this._videoTrackConfigs : this._audioTrackConfigs;
+        configs[trackId] = {
+            fourcc: fourcc,
+            legacy: legacy,
+            data: new Uint8Array(arrayBuffer, dataOffset, dataSize).slice()
+        };
+    }
+
+    _dispatchTrackList() {
+        let mi = this._mediaInfo;
+        mi.videoTracks = this._videoTrackList.slice();
+        mi.audioTracks = this._audioTrackList.slice();
+        mi.currentVideoTrackId = this._videoTrackId;
+        mi.currentAudioTrackId = this._audioTrackId;
+
+        if (this._onTrackList) {
+            this._onTrackList({
+                video_track_id: this._videoTrackId,
+                audio_track_id: this._audioTrackId,
+                video_tracks: this._videoTrackList.slice(),
+                audio_tracks: this._audioTrackList.slice()
+            });
+        }
+    }
+
+    // ExHeader of Enhanced FLV: skips ModEx packets, and splits Multitrack packet into the payload of every track.
+    // Returns {packetType, tracks: [{trackId, fourcc, dataOffset, dataSize}]}, or null if invalid.
+    _parseExHeader(arrayBuffer, dataOffset, dataSize, packetType, multitrackPacketType) {
+        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let offset = 1;
+
+        // ModEx packets carry modifiers (e.g. nanosecond timestamp offset) followed by the actual packet type
+        while (packetType === 7) {
+            if (offset >= dataSize) {
+                Log.w(this.TAG, 'Flv: Invalid Enhanced FLV packet, missing ModEx data!');
+                return null;
+            }
+            let modExDataSize = array[offset] + 1;
+            offset += 1;
+            if (modExDataSize === 256) {
+                modExDataSize = ((array[offset] << 8) | array[offset + 1]) + 1;
+                offset += 2;
+            }
+            offset += modExDataSize;
+            if (offset >= dataSize) {
+                Log.w(this.TAG, 'Flv: Invalid Enhanced FLV packet, ModEx exceeds the tag!');
+                return null;
+            }
+            packetType = array[offset] & 0x0F;
+            offset += 1;
+        }
+
+        let multitrackType = -1;  // 0: OneTrack, 1: ManyTracks, 2: ManyTracksManyCodecs
+        if (packetType === multitrackPacketType) {
+            if (offset >= dataSize) {
+                Log.w(this.TAG, 'Flv: Invalid Enhanced FLV packet, missing AvMultitrackType!');
+                return null;
+            }
+            multitrackType = array[offset] >>> 4;
+            packetType = array[offset] & 0x0F;
+            offset += 1;
+        }
+
+        let fourcc = null;
+        if (multitrackType !== 2) {
+            if (offset + 4 > dataSize) {
+                Log.w(this.TAG, 'Flv: Invalid Enhanced FLV packet, missing FourCC!');
+                return null;
+            }
+            fourcc = String.fromCharCode(... array.slice(offset, offset + 4));
+            offset += 4;
+        }
+
+        if (multitrackType === -1) {
+            return {
+                packetType: packetType,
+                tracks: [{trackId: 0, fourcc: fourcc, dataOffset: dataOffset + offset, dataSize: dataSize - offset}]
+            };
+        }
+
+        let tracks = [];
+        while (offset < dataSize) {
+            if (multitrackType === 2) {
+                if (offset + 4 > dataSize) {
+                    Log.w(this.TAG, 'Flv: Invalid Enhanced FLV multitrack packet, missing FourCC!');
+                    break;
+                }
+                fourcc = String.fromCharCode(... array.slice(offset, offset + 4));
+                offset += 4;
+            }
+            if (offset >= dataSize) {
+                Log.w(this.TAG, 'Flv: Invalid Enhanced FLV multitrack packet, missing trackId!');
+                break;
+            }
+            let trackId = array[offset];
+            offset += 1;
+
+            let trackDataSize = dataSize - offset;
+            if (multitrackType !== 0) {
+                if (offset + 3 > dataSize) {
+                    Log.w(this.TAG, 'Flv: Invalid Enhanced FLV multitrack packet, missing sizeOfTrack!');
+                    break;
+                }
+                trackDataSize = (array[offset] << 16) | (array[offset + 1] << 8) | array[offset + 2];
+                offset += 3;
+                if (offset + trackDataSize > dataSize) {
+                    Log.w(this.TAG, `Flv: Invalid Enhanced FLV multitrack packet, track ${trackId} exceeds the tag!`);
+                    break;
+                }
+            }
+
+            tracks.push({trackId: trackId, fourcc: fourcc, dataOffset: dataOffset + offset, dataSize: trackDataSize});
+            offset += trackDataSize;
+        }
+
+        return {packetType: packetType, tracks: tracks};
     }
 
     _isInitialMetadataDispatched() {
@@ -322,7 +676,7 @@ class FLVDemuxer {
                 break;
             }
 
-            if (tagType !== 8 && tagType !== 9 && tagType !== 18) {
+            if (tagType !== 8 && tagType !== 9 && tagType !== 15 && tagType !== 18) {
                 Log.w(this.TAG, `Unsupported tag type ${tagType}, skipped`);
                 // consume the whole tag (skip it)
                 offset += 11 + dataSize + 4;
@@ -350,8 +704,11 @@ class FLVDemuxer {
                 case 9:  // Video
                     this._parseVideoData(chunk, dataOffset, dataSize, timestamp, byteStart + offset);
                     break;
+                case 15:  // AMF3 data message of RTMP, recorded as is
+                    this._parseScriptData(chunk, dataOffset, dataSize, timestamp, true);
+                    break;
                 case 18:  // ScriptDataObject
-                    this._parseScriptData(chunk, dataOffset, dataSize);
+                    this._parseScriptData(chunk, dataOffset, dataSize, timestamp, false);
                     break;
             }
 
@@ -373,7 +730,47 @@ class FLVDemuxer {
         return offset;  // consumed bytes, just equals latest offset index
     }
 
-    _parseScriptData(arrayBuffer, dataOffset, dataSize) {
+    _detectTimestampDiscontinuity(type, dts) {
+        let lastDts = type === 'video' ? this._lastVideoDts : this._lastAudioDts;
+        if (type === 'video') {
+            this._lastVideoDts = dts;
+        } else {
+            this._lastAudioDts = dts;
+        }
+        if (lastDts == undefined) {
+            return;
+        }
+
+        let reason = checkTimestampJump(lastDts, dts);
+        if (reason == null) {
+            return;
+        }
+
+        Log.w(this.TAG, `Timestamp discontinuity (${reason}) of ${type}: ${lastDts}ms -> ${dts}ms`);
+
+        // Samples before the discontinuity shouldn't be remuxed together with the following ones
+        if (this._isInitialMetadataDispatched()) {
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack);
+            }
+        }
+
+        if (this._onTimestampDiscontinuity) {
+            let discontinuity = new TimestampDiscontinuity();
+            discontinuity.track = type;
+            discontinuity.reason = reason;
+            discontinuity.previous_timestamp = lastDts;
+            discontinuity.timestamp = dts;
+            this._onTimestampDiscontinuity(discontinuity);
+        }
+    }
+
+    _parseScriptData(arrayBuffer, dataOffset, dataSize, tagTimestamp, isAMF3Message) {
+        if (isAMF3Message && dataSize > 0 && new Uint8Array(arrayBuffer, dataOffset, 1)[0] === 0) {
+            // AMF3 data messages begin with a format byte, values are AMF0 switching to AMF3 by AVM+ markers
+            dataOffset += 1;
+            dataSize -= 1;
+        }
         let scriptData = AMF.parseScriptData(arrayBuffer, dataOffset, dataSize);
 
         if (scriptData.hasOwnProperty('onMetaData')) {
@@ -438,9 +835,9 @@ class FLVDemuxer {
             if (typeof onMetaData.keyframes === 'object') {  // keyframes
                 this._mediaInfo.hasKeyframesIndex = true;
                 let keyframes = onMetaData.keyframes;
-                this._mediaInfo.keyframesIndex = this._parseKeyframesIndex(keyframes);
+                this._keyframesIndex.merge(this._parseKeyframesIndex(keyframes));
                 onMetaData.keyframes = null;  // keyframes has been extracted, remove it
-            } else {
+            } else if (this._mediaInfo.hasKeyframesIndex !== true) {  // may be imported
                 this._mediaInfo.hasKeyframesIndex = false;
             }
             this._dispatch = false;
@@ -451,6 +848,21 @@ class FLVDemuxer {
             }
         }
 
+        let timedCallbacks = {
+            onCuePoint: this._onCuePointArrived,
+            onTextData: this._onTextDataArrived,
+            onCaption: this._onCaptionDataArrived,
+            onFI: this._onTimecodeInfoArrived
+        };
+        for (let name in timedCallbacks) {
+            if (scriptData.hasOwnProperty(name) && timedCallbacks[name]) {
+                timedCallbacks[name]({
+                    pts: this._timestampBase + tagTimestamp,
+                    data: scriptData[name]
+                });
+            }
+        }
+
         if (Object.keys(scriptData).length > 0) {
             if (this._onScriptDataArrived) {
                 this._onScriptDataArrived(Object.assign({}, scriptData));
@@ -494,22 +906,24 @@ class FLVDemuxer {
 
         let soundFormat = soundSpec >>> 4;
         if (soundFormat === 9) { // Enhanced FLV
-            if (dataSize <= 5) {
-                Log.w(this.TAG, 'Flv: Invalid audio packet, missing AudioFourCC in Ehnanced FLV payload!');
+            let header = this._parseExHeader(arrayBuffer, dataOffset, dataSize, soundSpec & 0x0F, 5);
+            if (header == null) {
                 return;
             }
-            let packetType = soundSpec & 0x0F;
-            let fourcc = String.fromCharCode(... (new Uint8Array(arrayBuffer, dataOffset, dataSize)).slice(1, 5));
+            let packetType = header.packetType;
 
-            switch(fourcc){
-            case 'Opus':
-                this._parseOpusAudioPacket(arrayBuffer, dataOffset + 5, dataSize - 5, tagTimestamp, packetType);
-                break;
-            case 'fLaC':
-                this._parseFlacAudioPacket(arrayBuffer, dataOffset + 5, dataSize - 5, tagTimestamp, packetType);
-                break;
-            default:
-                this._onError(DemuxErrors.CODEC_UNSUPPORTED, 'Flv: Unsupported audio codec: ' + fourcc);
+            for (let i = 0; i < header.tracks.length; i++) {
+                let track = header.tracks[i];
+                let selected = this._registerTrack('audio', track.trackId, track.fourcc);
+                if (packetType === 0) {  // SequenceStart
+                    this._cacheTrackConfig('audio', track.trackId, track.fourcc, arrayBuffer, track.dataOffset, track.dataSize, false);
+                } else if (packetType === 4) {  // MultichannelConfig
+                    this._parseAudioMultichannelConfig(arrayBuffer, track.dataOffset, track.dataSize, track.trackId);
+                    continue;
+                }
+                if (selected) {
+                    this._parseEnhancedAudioTrack(arrayBuffer, track.dataOffset, track.dataSize, tagTimestamp, packetType, track.fourcc);
+                }
             }
 
             return;
@@ -521,6 +935,14 @@ class FLVDemuxer {
             return;
         }
 
+        let legacyCodec = soundFormat === 10 ? 'mp4a' : (soundFormat === 2 ? '.mp3' : 'ipcm');
+        if (soundFormat === 10 && v.getUint8(1) === 0) {  // AAC sequence header
+            this._cacheTrackConfig('audio', 0, legacyCodec, arrayBuffer, dataOffset, dataSize, true);
+        }
+        if (!this._registerTrack('audio', 0, legacyCodec)) {
+            return;
+        }
+
         let soundRate = 0;
         let soundRateIndex = (soundSpec & 12) >>> 2;
         if (soundRateIndex >= 0 && soundRateIndex <= 4) {
@@ -573,8 +995,8 @@ class FLVDemuxer {
                 meta.codec = misc.codec;
                 meta.originalCodec = misc.originalCodec;
                 meta.config = misc.config;
-                // The decode result of an aac sample is 1024 PCM samples
-                meta.refSampleDuration = 1024 / meta.audioSampleRate * meta.timescale;
+                // The decode result of an aac sample is 1024 PCM samples, or 2048 with SBR
+                meta.refSampleDuration = misc.samplesPerFrame / meta.audioSampleRate * meta.timescale;
                 Log.v(this.TAG, 'Parsed AudioSpecificConfig');
 
                 if (this._isInitialMetadataDispatched()) {
@@ -605,6 +1027,7 @@ class FLVDemuxer {
                 }
             } else if (aacData.packetType === 1) {  // AAC raw frame data
                 let dts = this._timestampBase + tagTimestamp;
+                this._detectTimestampDiscontinuity('audio', dts);
                 let aacSample = {unit: aacData.data, length: aacData.data.byteLength, dts: dts, pts: dts};
                 track.samples.push(aacSample);
                 track.length += aacData.data.length;
@@ -652,6 +1075,7 @@ class FLVDemuxer {
                 return;
             }
             let dts = this._timestampBase + tagTimestamp;
+            this._detectTimestampDiscontinuity('audio', dts);
             let mp3Sample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
             track.samples.push(mp3Sample);
             track.length += data.length;
@@ -685,12 +1109,276 @@ class FLVDemuxer {
 
             let data = new Uint8Array(arrayBuffer, dataOffset + 1, dataSize - 1);
             let dts = this._timestampBase + tagTimestamp;
+            this._detectTimestampDiscontinuity('audio', dts);
             let pcmSample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
             track.samples.push(pcmSample);
             track.length += data.length;
         }
     }
 
+    _parseEnhancedAudioTrack(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType, fourcc) {
+        switch (fourcc) {
+            case 'Opus':
+                this._parseOpusAudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType);
+                break;
+            case 'fLaC':
+                this._parseFlacAudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType);
+                break;
+            case 'mp4a':
+                this._parseEnhancedAACAudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType);
+                break;
+            case '.mp3':
+                this._parseEnhancedMP3AudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType);
+                break;
+            case 'ac-3':
+            case 'ec-3':
+                this._parseEnhancedAC3AudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType, fourcc);
+                break;
+            default:
+                this._onError(DemuxErrors.CODEC_UNSUPPORTED, 'Flv: Unsupported audio codec: ' + fourcc);
+        }
+    }
+
+    // Creates initial metadata of audio track if absent
+    _prepareAudioMetadata() {
+        let meta = this._audioMetadata;
+        if (!meta) {
+            if (this._hasAudio === false && this._hasAudioFlagOverrided === false) {
+                this._hasAudio = true;
+                this._mediaInfo.hasAudio = true;
+            }
+
+            meta = this._audioMetadata = {};
+            meta.type = 'audio';
+            meta.id = this._audioTrack.id;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+        }
+        return meta;
+    }
+
+    // Applies the channel layout from MultichannelConfig, notifies new metadata and updates MediaInfo
+    _dispatchAudioMetadata(meta) {
+        let layout = this._audioChannelLayouts[this._audioTrackId];
+        if (layout) {
+            meta.channelCount = layout.channelCount;
+            meta.channelLayout = layout.speakerPositions;
+        }
+
+        if (this._isInitialMetadataDispatched()) {
+            // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack);
+            }
+        } else {
+            this._audioInitialMetadataDispatched = true;
+        }
+        // then notify new metadata
+        this._dispatch = false;
+        this._onTrackMetadata('audio', meta);
+
+        let mi = this._mediaInfo;
+        mi.audioCodec = meta.originalCodec;
+        mi.audioSampleRate = meta.audioSampleRate;
+        mi.audioChannelCount = meta.channelCount;
+        if (mi.hasVideo) {
+            if (mi.videoCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+            }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
+        }
+    }
+
+    // MultichannelConfig: AudioChannelOrder and channel count, followed by AudioChannel of every channel (Custom)
+    // or AudioChannelMask (Native). Speaker positions are unknown for Unspecified order.
+    _parseAudioMultichannelConfig(arrayBuffer, dataOffset, dataSize, trackId) {
+        if (dataSize < 2) {
+            Log.w(this.TAG, 'Flv: Invalid MultichannelConfig, lack of data!');
+            return;
+        }
+
+        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let channelOrder = array[0];
+        let channelCount = array[1];
+        let channels = null;
+
+        if (channelOrder === 1) {  // Native
+            if (dataSize < 6) {
+                Log.w(this.TAG, 'Flv: Invalid MultichannelConfig, missing AudioChannelMask!');
+                return;
+            }
+            let mask = ((array[2] << 24) | (array[3] << 16) | (array[4] << 8) | array[5]) >>> 0;
+            channels = [];
+            for (let i = 0; i < 32; i++) {
+                if ((mask >>> i) & 1) {
+                    channels.push(i);
+                }
+            }
+        } else if (channelOrder === 2) {  // Custom
+            if (dataSize < 2 + channelCount) {
+                Log.w(this.TAG, 'Flv: Invalid MultichannelConfig, missing AudioChannelMapping!');
+                return;
+            }
+            channels = Array.prototype.slice.call(array, 2, 2 + channelCount);
+        }
+
+        if (channelCount === 0) {
+            return;
+        }
+
+        let speakerPositions = null;
+        if (channels != null && channels.length === channelCount) {
+            speakerPositions = channels.map((channel) => AudioChannelSpeakerPositions[channel]);
+            if (speakerPositions.some((position) => position == undefined)) {
+                // Unused / Unknown channels
+                speakerPositions = null;
+            }
+        }
+
+        let layout = {channelCount: channelCount, speakerPositions: speakerPositions};
+        let previous = this._audioChannelLayouts[trackId];
+        if (previous && JSON.stringify(previous) === JSON.stringify(layout)) {
+            return;
+        }
+        this._audioChannelLayouts[trackId] = layout;
+        Log.v(this.TAG, `Parsed MultichannelConfig of audio track ${trackId}, ${channelCount} channels`);
+
+        let meta = this._audioMetadata;
+        if (trackId === this._audioTrackId && meta && meta.codec) {
+            // metadata has been dispatched, re-generate initialization segment with the layout
+            this._dispatchAudioMetadata(meta);
+        }
+    }
+
+    _parseEnhancedAACAudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType) {
+        if (packetType === 0) {  // AudioSpecificConfig
+            let misc = this._parseAACAudioSpecificConfig(arrayBuffer, dataOffset, dataSize);
+            if (misc == undefined) {
+                return;
+            }
+
+            let meta = this._prepareAudioMetadata();
+            if (meta.config) {
+                if (buffersAreEqual(misc.config, meta.config)) {
+                    // If AudioSpecificConfig is not changed, ignore it to avoid generating initialization segment repeatedly
+                    return;
+                } else {
+                    Log.w(this.TAG, 'AudioSpecificConfig has been changed, re-generate initialization segment');
+                }
+            }
+            meta.audioSampleRate = misc.samplingRate;
+            meta.channelCount = misc.channelCount;
+            meta.codec = misc.codec;
+            meta.originalCodec = misc.originalCodec;
+            meta.config = misc.config;
+            meta.refSampleDuration = misc.samplesPerFrame / meta.audioSampleRate * meta.timescale;
+            Log.v(this.TAG, 'Parsed AudioSpecificConfig');
+
+            this._dispatchAudioMetadata(meta);
+        } else if (packetType === 1) {  // AAC raw frame data
+            let track = this._audioTrack;
+            let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+            let dts = this._timestampBase + tagTimestamp;
+            this._detectTimestampDiscontinuity('audio', dts);
+            let aacSample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
+            track.samples.push(aacSample);
+            track.length += data.length;
+        } else if (packetType === 2) {
+            // empty, AAC end of sequence
+        } else {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid AAC audio packet type ${packetType}`);
+            return;
+        }
+    }
+
+    // MP3 has no sequence header, parameters are extracted from the frame header
+    _parseEnhancedMP3AudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType) {
+        if (packetType === 0 || packetType === 2) {
+            return;
+        } else if (packetType !== 1) {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid MP3 audio packet type ${packetType}`);
+            return;
+        }
+
+        let meta = this._prepareAudioMetadata();
+        if (!meta.codec) {
+            let misc = this._parseMP3AudioData(arrayBuffer, dataOffset, dataSize, true);
+            if (misc == undefined) {
+                return;
+            }
+            meta.audioSampleRate = misc.samplingRate;
+            meta.channelCount = misc.channelCount;
+            meta.codec = misc.codec;
+            meta.originalCodec = misc.originalCodec;
+            // The decode result of an mp3 sample is 1152 PCM samples
+            meta.refSampleDuration = 1152 / meta.audioSampleRate * meta.timescale;
+            Log.v(this.TAG, 'Parsed MPEG Audio Frame Header');
+
+            this._mediaInfo.audioDataRate = misc.bitRate;
+            this._dispatchAudioMetadata(meta);
+        }
+
+        let data = this._parseMP3AudioData(arrayBuffer, dataOffset, dataSize, false);
+        if (data == undefined) {
+            return;
+        }
+        let track = this._audioTrack;
+        let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('audio', dts);
+        let mp3Sample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
+        track.samples.push(mp3Sample);
+        track.length += data.length;
+    }
+
+    // AC-3 / E-AC-3 have no sequence header, parameters are extracted from syncframes.
+    // A packet may carry several syncframes, which are split into samples.
+    _parseEnhancedAC3AudioPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, packetType, fourcc) {
+        if (packetType === 0 || packetType === 2) {
+            return;
+        } else if (packetType !== 1) {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid ${fourcc} audio packet type ${packetType}`);
+            return;
+        }
+
+        let meta = this._prepareAudioMetadata();
+        let track = this._audioTrack;
+        let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let isAC3 = fourcc === 'ac-3';
+        let parser = isAC3 ? new AC3Parser(data) : new EAC3Parser(data);
+
+        let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('audio', dts);
+
+        let frame = null;
+        while ((frame = isAC3 ? parser.readNextAC3Frame() : parser.readNextEAC3Frame()) != null) {
+            let config = isAC3 ? new AC3Config(frame) : new EAC3Config(frame);
+            let samplesPerFrame = isAC3 ? 1536 : 256 * config.num_blks;
+
+            if (meta.codec !== config.codec_mimetype || meta.audioSampleRate !== config.sampling_rate
+                    || !buffersAreEqual(config.config, meta.config)) {
+                meta.audioSampleRate = config.sampling_rate;
+                meta.channelCount = config.channel_count;
+                meta.codec = config.codec_mimetype;
+                meta.originalCodec = config.original_codec_mimetype;
+                meta.config = config.config;
+                meta.refSampleDuration = samplesPerFrame / meta.audioSampleRate * meta.timescale;
+                Log.v(this.TAG, `Parsed ${fourcc} syncframe header`);
+
+                this._dispatchAudioMetadata(meta);
+            }
+
+            let sampleDts = Math.floor(dts);
+            let ac3Sample = {unit: frame.data, length: frame.data.byteLength, dts: sampleDts, pts: sampleDts};
+            track.samples.push(ac3Sample);
+            track.length += frame.data.byteLength;
+            dts += samplesPerFrame / config.sampling_rate * meta.timescale;
+        }
+    }
+
     _parseAACAudioData(arrayBuffer, dataOffset, dataSize) {
         if (dataSize <= 1) {
             Log.w(this.TAG, 'Flv: Invalid AAC packet, missing AACPacketType or/and Data!');
@@ -713,102 +1401,27 @@ class FLVDemuxer {
 
     _parseAACAudioSpecificConfig(arrayBuffer, dataOffset, dataSize) {
         let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
-        let config = null;
 
-        /* Audio Object Type:
-           0: Null
-           1: AAC Main
-           2: AAC LC
-           3: AAC SSR (Scalable Sample Rate)
-           4: AAC LTP (Long Term Prediction)
-           5: HE-AAC / SBR (Spectral Band Replication)
-           6: AAC Scalable
-        */
-
-        let audioObjectType = 0;
-        let originalAudioObjectType = 0;
-        let audioExtensionObjectType = null;
-        let samplingIndex = 0;
-        let extensionSamplingIndex = null;
-
-        // 5 bits
-        audioObjectType = originalAudioObjectType = array[0] >>> 3;
-        // 4 bits
-        samplingIndex = ((array[0] & 0x07) << 1) | (array[1] >>> 7);
-        if (samplingIndex < 0 || samplingIndex >= this._mpegSamplingRates.length) {
-            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid sampling frequency index!');
+        // Explicitly signaled SBR / PS and program_config_element() are parsed, the config is re-generated
+        let frame = parseAudioSpecificConfig(array);
+        if (frame == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid or unsupported AudioSpecificConfig!');
             return;
         }
-
-        let samplingFrequence = this._mpegSamplingRates[samplingIndex];
-
-        // 4 bits
-        let channelConfig = (array[1] & 0x78) >>> 3;
-        if (channelConfig < 0 || channelConfig >= 8) {
+        if (frame.channel_config >= 8) {
             this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid channel configuration');
             return;
         }
 
-        if (audioObjectType === 5) {  // HE-AAC?
-            // 4 bits
-            extensionSamplingIndex = ((array[1] & 0x07) << 1) | (array[2] >>> 7);
-            // 5 bits
-            audioExtensionObjectType = (array[2] & 0x7C) >>> 2;
-        }
-
-        // workarounds for various browsers
-        let userAgent = self.navigator.userAgent.toLowerCase();
-
-        if (userAgent.indexOf('firefox') !== -1) {
-            // firefox: use SBR (HE-AAC) if freq less than 24kHz
-            if (samplingIndex >= 6) {
-                audioObjectType = 5;
-                config = new Array(4);
-                extensionSamplingIndex = samplingIndex - 3;
-            } else {  // use LC-AAC
-                audioObjectType = 2;
-                config = new Array(2);
-                extensionSamplingIndex = samplingIndex;
-            }
-        } else if (userAgent.indexOf('android') !== -1) {
-            // android: always use LC-AAC
-            audioObjectType = 2;
-            config = new Array(2);
-            extensionSamplingIndex = samplingIndex;
-        } else {
-            // for other browsers, e.g. chrome...
-            // Always use HE-AAC to make it easier to switch aac codec profile
-            audioObjectType = 5;
-            extensionSamplingIndex = samplingIndex;
-            config = new Array(4);
-
-            if (samplingIndex >= 6) {
-                extensionSamplingIndex = samplingIndex - 3;
-            } else if (channelConfig === 1) {  // Mono channel
-                audioObjectType = 2;
-                config = new Array(2);
-                extensionSamplingIndex = samplingIndex;
-            }
-        }
-
-        config[0]  = audioObjectType << 3;
-        config[0] |= (samplingIndex & 0x0F) >>> 1;
-        config[1]  = (samplingIndex & 0x0F) << 7;
-        config[1] |= (channelConfig & 0x0F) << 3;
-        if (audioObjectType === 5) {
-            config[1] |= ((extensionSamplingIndex & 0x0F) >>> 1);
-            config[2]  = (extensionSamplingIndex & 0x01) << 7;
-            // extended audio object type: force to 2 (LC-AAC)
-            config[2] |= (2 << 2);
-            config[3]  = 0;
-        }
+        let audioSpecificConfig = new AudioSpecificConfig(frame);
 
         return {
-            config: config,
-            samplingRate: samplingFrequence,
-            channelCount: channelConfig,
-            codec: 'mp4a.40.' + audioObjectType,
-            originalCodec: 'mp4a.40.' + originalAudioObjectType
+            config: audioSpecificConfig.config,
+            samplingRate: audioSpecificConfig.sampling_rate,
+            channelCount: audioSpecificConfig.channel_count,
+            samplesPerFrame: audioSpecificConfig.samples_per_frame,
+            codec: audioSpecificConfig.codec_mimetype,
+            originalCodec: audioSpecificConfig.original_codec_mimetype
         };
     }
 
@@ -956,32 +1569,7 @@ class FLVDemuxer {
         meta.refSampleDuration = 20;
         Log.v(this.TAG, 'Parsed OpusSequenceHeader');
 
-        if (this._isInitialMetadataDispatched()) {
-            // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
-            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
-                this._onDataAvailable(this._audioTrack, this._videoTrack);
-            }
-        } else {
-            this._audioInitialMetadataDispatched = true;
-        }
-        // then notify new metadata
-        this._dispatch = false;
-        this._onTrackMetadata('audio', meta);
-
-        let mi = this._mediaInfo;
-        mi.audioCodec = meta.originalCodec;
-        mi.audioSampleRate = meta.audioSampleRate;
-        mi.audioChannelCount = meta.channelCount;
-        if (mi.hasVideo) {
-            if (mi.videoCodec != null) {
-                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
-            }
-        } else {
-            mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
-        }
-        if (mi.isComplete()) {
-            this._onMediaInfo(mi);
-        }
+        this._dispatchAudioMetadata(meta);
     }
 
     _parseOpusAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp) {
@@ -989,6 +1577,7 @@ class FLVDemuxer {
 
         let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
         let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('audio', dts);
         let opusSample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
 
         track.samples.push(opusSample);
@@ -1072,32 +1661,7 @@ class FLVDemuxer {
 
         Log.v(this.TAG, 'Parsed FlacSequenceHeader');
 
-        if (this._isInitialMetadataDispatched()) {
-            // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
-            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
-                this._onDataAvailable(this._audioTrack, this._videoTrack);
-            }
-        } else {
-            this._audioInitialMetadataDispatched = true;
-        }
-        // then notify new metadata
-        this._dispatch = false;
-        this._onTrackMetadata('audio', meta);
-
-        let mi = this._mediaInfo;
-        mi.audioCodec = meta.originalCodec;
-        mi.audioSampleRate = meta.audioSampleRate;
-        mi.audioChannelCount = meta.channelCount;
-        if (mi.hasVideo) {
-            if (mi.videoCodec != null) {
-                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
-            }
-        } else {
-            mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
-        }
-        if (mi.isComplete()) {
-            this._onMediaInfo(mi);
-        }
+        this._dispatchAudioMetadata(meta);
     }
 
     _parseFlacAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp) {
@@ -1105,6 +1669,7 @@ class FLVDemuxer {
 
         let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
         let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('audio', dts);
         let flacSample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
 
         track.samples.push(flacSample);
@@ -1130,26 +1695,87 @@ class FLVDemuxer {
 
         if (!isExHeader) {
             let codecId = spec & 0b00001111;
+            if (codecId !== 7 && codecId !== 12) {
+                this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in video frame: ${codecId}`);
+                return;
+            }
+
+            let legacyCodec = codecId === 7 ? 'avc1' : 'hvc1';
+            let packetType = (new Uint8Array(arrayBuffer, dataOffset, dataSize))[1];
+            if (packetType === 0) {  // DecoderConfigurationRecord
+                this._cacheTrackConfig('video', 0, legacyCodec, arrayBuffer, dataOffset, dataSize, true);
+            }
+            if (!this._registerTrack('video', 0, legacyCodec)) {
+                return;
+            }
+            if (this._videoWaitKeyframe && packetType === 1) {
+                if (frameType !== 1) {
+                    return;
+                }
+                this._videoWaitKeyframe = false;
+            }
+
             if (codecId === 7) { // AVC
                 this._parseAVCVideoPacket(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp, tagPosition, frameType);
-            } else if (codecId === 12) { // HEVC
+            } else { // HEVC
                 this._parseHEVCVideoPacket(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp, tagPosition, frameType);
-            } else {
-                this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in video frame: ${codecId}`);
-                return;
             }
         } else {
-            let packetType = spec & 0b00001111;
-            let fourcc = String.fromCharCode(... (new Uint8Array(arrayBuffer, dataOffset, dataSize)).slice(1, 5));
+            let header = this._parseExHeader(arrayBuffer, dataOffset, dataSize, spec & 0b00001111, 6);
+            if (header == null) {
+                return;
+            }
+            let packetType = header.packetType;
 
-            if (fourcc === 'hvc1') { // HEVC
-                this._parseEnhancedHEVCVideoPacket(arrayBuffer, dataOffset + 5, dataSize - 5, tagTimestamp, tagPosition, frameType, packetType);
-            } else if (fourcc === 'av01') { // HEVC
-                this._parseEnhancedAV1VideoPacket(arrayBuffer, dataOffset + 5, dataSize - 5, tagTimestamp, tagPosition, frameType, packetType);
-            } else {
-                this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in video frame: ${fourcc}`);
+            for (let i = 0; i < header.tracks.length; i++) {
+                let track = header.tracks[i];
+                let selected = this._registerTrack('video', track.trackId, track.fourcc);
+                if (packetType === 0) {  // SequenceStart
+                    this._cacheTrackConfig('video', track.trackId, track.fourcc, arrayBuffer, track.dataOffset, track.dataSize, false);
+                }
+                if (selected) {
+                    this._parseEnhancedVideoTrack(arrayBuffer, track.dataOffset, track.dataSize, tagTimestamp, tagPosition, frameType, packetType, track.fourcc);
+                }
+            }
+        }
+    }
+
+    _parseEnhancedVideoTrack(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType, fourcc) {
+        if (frameType === 5 && packetType !== 4) {
+            // Command frame (e.g. start / end of seeking) carries no video data
+            return;
+        }
+        if (packetType === 4) {  // Metadata
+            this._parseVideoMetadataPacket(arrayBuffer, dataOffset, dataSize);
+            return;
+        }
+        if (this._videoWaitKeyframe && (packetType === 1 || packetType === 3)) {  // CodedFrames, CodedFramesX
+            if (frameType !== 1) {
                 return;
             }
+            this._videoWaitKeyframe = false;
+        }
+
+        if (fourcc === 'avc1') { // AVC
+            this._parseEnhancedAVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType);
+        } else if (fourcc === 'hvc1') { // HEVC
+            this._parseEnhancedHEVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType);
+        } else if (fourcc === 'av01') { // AV1
+            this._parseEnhancedAV1VideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType);
+        } else if (fourcc === 'vp09') { // VP9
+            this._parseEnhancedVP9VideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType);
+        } else {
+            this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in video frame: ${fourcc}`);
+            return;
+        }
+    }
+
+    // colorInfo (color config and HDR metadata) as AMF encoded name and object
+    _parseVideoMetadataPacket(arrayBuffer, dataOffset, dataSize) {
+        let metadata = AMF.parseScriptData(arrayBuffer, dataOffset, dataSize);
+        if (typeof metadata.colorInfo === 'object') {
+            this._mediaInfo.videoColorInfo = metadata.colorInfo;
+            Log.v(this.TAG, 'Parsed video colorInfo metadata');
         }
     }
 
@@ -1203,6 +1829,31 @@ class FLVDemuxer {
         }
     }
 
+    _parseEnhancedAVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType) {
+        let le = this._littleEndian;
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+
+        if (packetType === 0) {  // AVCDecoderConfigurationRecord
+            this._parseAVCDecoderConfigurationRecord(arrayBuffer, dataOffset, dataSize);
+        } else if (packetType === 1) {  // One or more Nalus
+            if (dataSize < 4) {
+                Log.w(this.TAG, 'Flv: Invalid AVC packet, missing CompositionTime');
+                return;
+            }
+            let cts_unsigned = v.getUint32(0, !le) & 0xFFFFFF00;
+            let cts = cts_unsigned >> 8;  // convert to 24-bit signed int
+
+            this._parseAVCVideoData(arrayBuffer, dataOffset + 3, dataSize - 3, tagTimestamp, tagPosition, frameType, cts);
+        } else if (packetType === 3) {  // One or more Nalus, CompositionTime is zero
+            this._parseAVCVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, 0);
+        } else if (packetType === 2) {
+            // empty, AVC end of sequence
+        } else {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid video packet type ${packetType}`);
+            return;
+        }
+    }
+
     _parseEnhancedHEVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType) {
         let le = this._littleEndian;
         let v = new DataView(arrayBuffer, dataOffset, dataSize);
@@ -1230,7 +1881,7 @@ class FLVDemuxer {
 
         if (packetType === 0) {  // AV1CodecConfigurationRecord
             this._parseAV1CodecConfigurationRecord(arrayBuffer, dataOffset, dataSize);
-        } else if (packetType === 1) {  // One or more OBUs
+        } else if (packetType === 1 || packetType === 3) {  // One or more OBUs, there is no CompositionTime for AV1
             this._parseAV1VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, 0);
         } else if (packetType === 5) {
             this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Not Supported MP2T AV1 video packet type ${packetType}`);
@@ -1243,6 +1894,19 @@ class FLVDemuxer {
         }
     }
 
+
+    _parseEnhancedVP9VideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, packetType) {
+        if (packetType === 0) {  // VPCodecConfigurationRecord
+            this._parseVPCodecConfigurationRecord(arrayBuffer, dataOffset, dataSize);
+        } else if (packetType === 1 || packetType === 3) {  // A frame, there is no CompositionTime for VP9
+            this._parseVP9VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType);
+        } else if (packetType === 2) {
+            // empty, VP9 end of sequence
+        } else {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid video packet type ${packetType}`);
+            return;
+        }
+    }
     _parseAVCDecoderConfigurationRecord(arrayBuffer, dataOffset, dataSize) {
         if (dataSize < 7) {
             Log.w(this.TAG, 'Flv: Invalid AVCDecoderConfigurationRecord, lack of data!');
@@ -1636,6 +2300,66 @@ class FLVDemuxer {
         Log.v(this.TAG, 'Preparing AV1CodecConfigurationRecord');
     }
 
+    _parseVPCodecConfigurationRecord(arrayBuffer, dataOffset, dataSize) {
+        let meta = this._videoMetadata;
+        let track = this._videoTrack;
+
+        const config = VP9Parser.parseVPCodecConfigurationRecord(new Uint8Array(arrayBuffer, dataOffset, dataSize));
+        if (config == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid VPCodecConfigurationRecord');
+            return;
+        }
+
+        if (!meta) {
+            if (this._hasVideo === false && this._hasVideoFlagOverrided === false) {
+                this._hasVideo = true;
+                this._mediaInfo.hasVideo = true;
+            }
+
+            meta = this._videoMetadata = {};
+            meta.type = 'video';
+            meta.id = track.id;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+        } else {
+            if (typeof meta.vpcc !== 'undefined') {
+                Log.w(this.TAG, 'Found another VPCodecConfigurationRecord!');
+            }
+        }
+
+        meta.profile = config.profile;
+        meta.level = config.level;
+        meta.bitDepth = config.bit_depth;
+        meta.chromaFormat = config.chroma_subsampling;
+        // VP9 bitstream carries no timing info
+        meta.frameRate = this._referenceFrameRate;
+        let fps_den = meta.frameRate.fps_den;
+        let fps_num = meta.frameRate.fps_num;
+        meta.refSampleDuration = meta.timescale * (fps_den / fps_num);
+        meta.codec = config.codec_mimetype;
+        meta.vpcc = config.record;
+
+        let mi = this._mediaInfo;
+        mi.fps = meta.frameRate.fps;
+        mi.profile = meta.profile;
+        mi.level = meta.level;
+        mi.refFrames = 8;  // NUM_REF_FRAMES
+        mi.chromaFormat = config.chroma_format_string;
+        mi.videoCodec = config.codec_mimetype;
+
+        if (mi.hasAudio) {
+            if (mi.audioCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+            }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + '"';
+        }
+
+        // Frame size is known from the next key frame, track metadata is dispatched then
+        this._vp9MetadataPending = true;
+        Log.v(this.TAG, 'Preparing VPCodecConfigurationRecord');
+    }
+
     _parseAVCVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, cts) {
         let le = this._littleEndian;
         let v = new DataView(arrayBuffer, dataOffset, dataSize);
@@ -1645,7 +2369,9 @@ class FLVDemuxer {
         let offset = 0;
         const lengthSize = this._naluLengthSize;
         let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('video', dts);
         let keyframe = (frameType === 1);  // from FLV Frame Type constants
+        let ccDataList = [];
 
         while (offset < dataSize) {
             if (offset + 4 >= dataSize) {
@@ -1666,6 +2392,10 @@ class FLVDemuxer {
 
             if (unitType === 5) {  // IDR
                 keyframe = true;
+            } else if (unitType === 6) {  // SEI
+                // Skip length-header and 1 byte NAL unit header
+                let sei = new Uint8Array(arrayBuffer, dataOffset + offset + lengthSize + 1, naluSize - 1);
+                ccDataList.push(...extractCCDataFromSEI(sei));
             }
 
             let data = new Uint8Array(arrayBuffer, dataOffset + offset, lengthSize + naluSize);
@@ -1676,6 +2406,8 @@ class FLVDemuxer {
             offset += lengthSize + naluSize;
         }
 
+        this._parseClosedCaptionData(ccDataList, dts + cts, dts);
+
         if (units.length) {
             let track = this._videoTrack;
             let avcSample = {
@@ -1688,6 +2420,9 @@ class FLVDemuxer {
             };
             if (keyframe) {
                 avcSample.fileposition = tagPosition;
+                if (!this._config.isLive) {
+                    this._keyframesIndex.addKeyframe(dts + this._keyframesTimeOffset, tagPosition);
+                }
             }
             track.samples.push(avcSample);
             track.length += length;
@@ -1703,7 +2438,9 @@ class FLVDemuxer {
         let offset = 0;
         const lengthSize = this._naluLengthSize;
         let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('video', dts);
         let keyframe = (frameType === 1);  // from FLV Frame Type constants
+        let ccDataList = [];
 
         while (offset < dataSize) {
             if (offset + 4 >= dataSize) {
@@ -1724,6 +2461,10 @@ class FLVDemuxer {
 
             if (unitType === 19 || unitType === 20 || unitType === 21) {  // IRAP
                 keyframe = true;
+            } else if (unitType === 39 || unitType === 40) {  // Prefix / Suffix SEI
+                // Skip length-header and 2 bytes NAL unit header
+                let sei = new Uint8Array(arrayBuffer, dataOffset + offset + lengthSize + 2, naluSize - 2);
+                ccDataList.push(...extractCCDataFromSEI(sei));
             }
 
             let data = new Uint8Array(arrayBuffer, dataOffset + offset, lengthSize + naluSize);
@@ -1734,6 +2475,8 @@ class FLVDemuxer {
             offset += lengthSize + naluSize;
         }
 
+        this._parseClosedCaptionData(ccDataList, dts + cts, dts);
+
         if (units.length) {
             let track = this._videoTrack;
             let hevcSample = {
@@ -1746,12 +2489,32 @@ class FLVDemuxer {
             };
             if (keyframe) {
                 hevcSample.fileposition = tagPosition;
+                if (!this._config.isLive) {
+                    this._keyframesIndex.addKeyframe(dts + this._keyframesTimeOffset, tagPosition);
+                }
             }
             track.samples.push(hevcSample);
             track.length += length;
         }
     }
 
+    _parseClosedCaptionData(ccDataList, pts, dts) {
+        if (this._closedCaptionParser == null) {
+            if (ccDataList.length === 0) {
+                return;
+            }
+            this._closedCaptionParser = new ClosedCaptionParser();
+        }
+
+        // Frames without cc_data are also pushed to release reordered frames
+        let captions = this._closedCaptionParser.push(pts, dts, ccDataList);
+        for (let caption of captions) {
+            if (this._onClosedCaptionData) {
+                this._onClosedCaptionData(caption);
+            }
+        }
+    }
+
     _parseAV1VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, cts) {
         let le = this._littleEndian;
         let v = new DataView(arrayBuffer, dataOffset, dataSize);
@@ -1760,6 +2523,7 @@ class FLVDemuxer {
 
         let offset = 0;
         let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('video', dts);
         let keyframe = (frameType === 1);  // from FLV Frame Type constants
 
         if (keyframe) {
@@ -1770,7 +2534,6 @@ class FLVDemuxer {
                 this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid AV1 VideoData');
                 return;
             }
-            console.log(config);
             meta.codecWidth = config.codec_size.width;
             meta.codecHeight = config.codec_size.height;
             meta.presentWidth = config.present_size.width;
@@ -1782,6 +2545,9 @@ class FLVDemuxer {
             mi.height = meta.codecHeight;
             mi.sarNum = meta.sarRatio.width;
             mi.sarDen = meta.sarRatio.height;
+            if (mi.isComplete()) {
+                this._onMediaInfo(mi);
+            }
 
             Log.v(this.TAG, 'Parsed AV1DecoderConfigurationRecord');
 
@@ -1817,11 +2583,88 @@ class FLVDemuxer {
             };
             if (keyframe) {
                 av1Sample.fileposition = tagPosition;
+                if (!this._config.isLive) {
+                    this._keyframesIndex.addKeyframe(dts + this._keyframesTimeOffset, tagPosition);
+                }
             }
             track.samples.push(av1Sample);
             track.length += length;
         }
     }
+
+    _parseVP9VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType) {
+        let meta = this._videoMetadata;
+        if (!meta || typeof meta.vpcc === 'undefined') {
+            Log.w(this.TAG, 'Flv: VP9 frame before VPCodecConfigurationRecord, dropped');
+            return;
+        }
+
+        let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let dts = this._timestampBase + tagTimestamp;
+        this._detectTimestampDiscontinuity('video', dts);
+
+        const frame = VP9Parser.parseFrameSize(data);
+        if (frame == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid VP9 VideoData');
+            return;
+        }
+        let keyframe = frame.keyframe;
+
+        if (keyframe && (this._vp9MetadataPending ||
+                         meta.codecWidth !== frame.codec_size.width ||
+                         meta.codecHeight !== frame.codec_size.height)) {
+            this._vp9MetadataPending = false;
+            meta.codecWidth = frame.codec_size.width;
+            meta.codecHeight = frame.codec_size.height;
+            meta.presentWidth = frame.present_size.width;
+            meta.presentHeight = frame.present_size.height;
+            meta.sarRatio = {width: 1, height: 1};
+
+            let mi = this._mediaInfo;
+            mi.width = meta.codecWidth;
+            mi.height = meta.codecHeight;
+            mi.sarNum = 1;
+            mi.sarDen = 1;
+            if (mi.isComplete()) {
+                this._onMediaInfo(mi);
+            }
+
+            Log.v(this.TAG, 'Parsed VP9 frame size from key frame');
+
+            if (this._isInitialMetadataDispatched()) {
+                // flush parsed frames
+                if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                    this._onDataAvailable(this._audioTrack, this._videoTrack);
+                }
+            } else {
+                this._videoInitialMetadataDispatched = true;
+            }
+            // notify new metadata
+            this._dispatch = false;
+            this._onTrackMetadata('video', meta);
+        } else if (this._vp9MetadataPending) {
+            // Not decodable until the first key frame
+            return;
+        }
+
+        let track = this._videoTrack;
+        let vp9Sample = {
+            units: [{unitType: 0, data: data}],
+            length: dataSize,
+            isKeyframe: keyframe,
+            dts: dts,
+            cts: 0,
+            pts: dts
+        };
+        if (keyframe) {
+            vp9Sample.fileposition = tagPosition;
+            if (!this._config.isLive) {
+                this._keyframesIndex.addKeyframe(dts + this._keyframesTimeOffset, tagPosition);
+            }
+        }
+        track.samples.push(vp9Sample);
+        track.length += dataSize;
+    }
 }
 
 export default FLVDemuxer;
@@ -0,0 +1,112 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Locates tags and their timestamps in arbitrary byte ranges of a FLV file, without demuxing it
+
+export type FLVTagScanParams = {
+    // byte offset of the first tag in the file, after FLV header and PreviousTagSize0
+    first_tag_offset: number;
+    // random access points are video keyframes if video exists, otherwise every audio tag
+    has_video: boolean;
+};
+
+export class FLVTagSample {
+    // byte offset in the file where the tag header starts
+    file_position: number;
+    tag_type: number;
+    // in milliseconds, including TimestampExtended
+    timestamp: number;
+    random_access: boolean;
+}
+
+const readUint32 = (data: Uint8Array, pos: number): number => {
+    return ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3]) >>> 0;
+};
+
+// Returns the tag whose header is at offset of data, or null if the header is invalid.
+// data_size is the size of tag body, which may exceed data.
+export const parseTagHeader = (data: Uint8Array, offset: number, byte_start: number, params: FLVTagScanParams)
+        : { sample: FLVTagSample, data_size: number } | null => {
+    if (offset + 12 > data.byteLength) {
+        return null;
+    }
+    // Reserved bits must be 0, Filter bit is ignored
+    let tag_type = data[offset] & 0x1F;
+    if ((data[offset] & 0xC0) !== 0 || (tag_type !== 8 && tag_type !== 9 && tag_type !== 18)) {
+        return null;
+    }
+    let data_size = (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+    let stream_id = (data[offset + 8] << 16) | (data[offset + 9] << 8) | data[offset + 10];
+    if (data_size === 0 || stream_id !== 0) {
+        return null;
+    }
+
+    let timestamp = data[offset + 6] | (data[offset + 5] << 8) | (data[offset + 4] << 16) | (data[offset + 7] << 24);
+
+    let random_access = false;
+    if (tag_type === 9) {
+        // FrameType of legacy and Enhanced FLV, IsExHeader bit excluded
+        random_access = ((data[offset + 11] >>> 4) & 0x07) === 1;
+    } else if (tag_type === 8) {
+        random_access = !params.has_video;
+    }
+
+    return {
+        sample: { file_position: byte_start + offset, tag_type, timestamp, random_access },
+        data_size
+    };
+};
+
+// Scans data which starts at byte_start of the file, returns audio / video / script tags.
+// The first tag is located by a valid header followed by the matching PreviousTagSize,
+// subsequent tags are walked through by DataSize, the last one may be incomplete.
+export const scanFLVTags = (data: Uint8Array, byte_start: number, params: FLVTagScanParams): FLVTagSample[] => {
+    let samples: FLVTagSample[] = [];
+    let offset = Math.max(params.first_tag_offset - byte_start, 0);
+    let synced = byte_start + offset === params.first_tag_offset;
+
+    while (offset + 12 <= data.byteLength) {
+        let tag = parseTagHeader(data, offset, byte_start, params);
+        if (tag == null) {
+            synced = false;
+            offset++;
+            continue;
+        }
+
+        let end = offset + 11 + tag.data_size;
+        if (!synced) {
+            if (end + 4 > data.byteLength || readUint32(data, end) !== 11 + tag.data_size) {
+                offset++;
+                continue;
+            }
+            synced = true;
+        }
+
+        samples.push(tag.sample);
+        offset = end + 4;
+    }
+
+    return samples;
+};
+
+// Returns the size of the previous tag told by PreviousTagSize at offset of data, or null if it's implausible
+export const readPreviousTagSize = (data: Uint8Array, offset: number): number | null => {
+    if (offset + 4 > data.byteLength) {
+        return null;
+    }
+    let size = readUint32(data, offset);
+    return size > 11 ? size : null;
+};
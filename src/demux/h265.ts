@@ -8,6 +8,8 @@ export enum H265NaluType {
     kSliceSPS = 33,
     kSlicePPS = 34,
     kSliceAUD = 35,
+    kSlicePrefixSEI = 39,
+    kSliceSuffixSEI = 40,
 }
 
 export class H265NaluPayload {
@@ -0,0 +1,300 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import decodeUTF8 from '../utils/utf8-conv.js';
+import { PESPrivateData } from './pes-private-data';
+
+// ID3 tag version 2.3.0 / 2.4.0 (https://id3.org/id3v2.3.0, https://id3.org/id3v2.4.0-structure)
+
+const TAG = 'ID3';
+
+export class ID3Frame {
+    // 4 characters frame ID, e.g. TIT2, TXXX, PRIV
+    id: string;
+    // frame content after removing unsynchronisation and frame header additions
+    data: Uint8Array;
+    // Text information frames (T*** except TXXX), values are separated by null in v2.4
+    text?: string[];
+    // TXXX, WXXX, GEOB, APIC, COMM
+    description?: string;
+    // TXXX
+    value?: string;
+    // URL link frames (W***) and WXXX
+    url?: string;
+    // PRIV
+    owner?: string;
+    // GEOB, APIC
+    mime_type?: string;
+    // GEOB
+    filename?: string;
+    // APIC
+    picture_type?: number;
+    // COMM, ISO 639-2 language code
+    language?: string;
+    // binary payload of PRIV, GEOB and APIC
+    object?: Uint8Array;
+}
+
+export class ID3Tag {
+    // major version, 3 or 4
+    version: number;
+    revision: number;
+    frames: ID3Frame[];
+}
+
+export class TimedID3Metadata extends PESPrivateData {
+    // ID3v2 tags parsed from data, which is kept as is
+    tags: ID3Tag[];
+}
+
+const enum ID3TextEncoding {
+    kISO88591 = 0,
+    kUTF16 = 1,
+    kUTF16BE = 2,
+    kUTF8 = 3
+}
+
+const readSyncsafeInteger = (data: Uint8Array, offset: number): number => {
+    return ((data[offset] & 0x7F) << 21) | ((data[offset + 1] & 0x7F) << 14)
+         | ((data[offset + 2] & 0x7F) << 7) | (data[offset + 3] & 0x7F);
+};
+
+const readUint32 = (data: Uint8Array, offset: number): number => {
+    return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+};
+
+// Unsynchronisation inserts 0x00 after every 0xFF
+const removeUnsynchronisation = (data: Uint8Array): Uint8Array => {
+    let result = new Uint8Array(data.byteLength);
+    let length = 0;
+    for (let i = 0; i < data.byteLength; i++) {
+        result[length++] = data[i];
+        if (data[i] === 0xFF && data[i + 1] === 0x00) {
+            i++;
+        }
+    }
+    return result.subarray(0, length);
+};
+
+const decodeText = (data: Uint8Array, encoding: number): string => {
+    if (encoding === ID3TextEncoding.kUTF8) {
+        return decodeUTF8(data);
+    } else if (encoding === ID3TextEncoding.kUTF16 || encoding === ID3TextEncoding.kUTF16BE) {
+        let little_endian = false;
+        let offset = 0;
+        if (encoding === ID3TextEncoding.kUTF16 && data.byteLength >= 2) {
+            if (data[0] === 0xFF && data[1] === 0xFE) {
+                little_endian = true;
+                offset = 2;
+            } else if (data[0] === 0xFE && data[1] === 0xFF) {
+                offset = 2;
+            }
+        }
+        let code_units: number[] = [];
+        for (; offset + 1 < data.byteLength; offset += 2) {
+            code_units.push(little_endian ? (data[offset + 1] << 8) | data[offset] : (data[offset] << 8) | data[offset + 1]);
+        }
+        return String.fromCharCode(... code_units);
+    }
+    return String.fromCharCode(... Array.from(data));
+};
+
+// Returns the end of null-terminated string which starts from offset, and the offset after terminator
+const findTerminator = (data: Uint8Array, offset: number, encoding: number): [number, number] => {
+    if (encoding === ID3TextEncoding.kUTF16 || encoding === ID3TextEncoding.kUTF16BE) {
+        for (let i = offset; i + 1 < data.byteLength; i += 2) {
+            if (data[i] === 0 && data[i + 1] === 0) {
+                return [i, i + 2];
+            }
+        }
+    } else {
+        for (let i = offset; i < data.byteLength; i++) {
+            if (data[i] === 0) {
+                return [i, i + 1];
+            }
+        }
+    }
+    return [data.byteLength, data.byteLength];
+};
+
+// Reads a null-terminated string, returns the string and the offset after it
+const readString = (data: Uint8Array, offset: number, encoding: number): [string, number] => {
+    let [end, next] = findTerminator(data, offset, encoding);
+    return [decodeText(data.subarray(offset, end), encoding), next];
+};
+
+const decodeFrameContent = (frame: ID3Frame): void => {
+    let data = frame.data;
+    let id = frame.id;
+
+    if (id === 'TXXX' || id === 'WXXX') {
+        if (data.byteLength < 1) {
+            return;
+        }
+        let encoding = data[0];
+        let [description, offset] = readString(data, 1, encoding);
+        frame.description = description;
+        if (id === 'TXXX') {
+            frame.value = readString(data, offset, encoding)[0];
+        } else {
+            // URL is always ISO-8859-1
+            frame.url = readString(data, offset, ID3TextEncoding.kISO88591)[0];
+        }
+    } else if (id[0] === 'T') {
+        if (data.byteLength < 1) {
+            return;
+        }
+        let encoding = data[0];
+        let text: string[] = [];
+        for (let offset = 1; offset < data.byteLength; ) {
+            let [value, next] = readString(data, offset, encoding);
+            text.push(value);
+            offset = next;
+        }
+        frame.text = text;
+    } else if (id[0] === 'W') {
+        frame.url = readString(data, 0, ID3TextEncoding.kISO88591)[0];
+    } else if (id === 'PRIV') {
+        let [owner, offset] = readString(data, 0, ID3TextEncoding.kISO88591);
+        frame.owner = owner;
+        frame.object = data.subarray(offset);
+    } else if (id === 'GEOB') {
+        if (data.byteLength < 1) {
+            return;
+        }
+        let encoding = data[0];
+        let offset = 1;
+        [frame.mime_type, offset] = readString(data, offset, ID3TextEncoding.kISO88591);
+        [frame.filename, offset] = readString(data, offset, encoding);
+        [frame.description, offset] = readString(data, offset, encoding);
+        frame.object = data.subarray(offset);
+    } else if (id === 'APIC') {
+        if (data.byteLength < 1) {
+            return;
+        }
+        let encoding = data[0];
+        let offset = 1;
+        [frame.mime_type, offset] = readString(data, offset, ID3TextEncoding.kISO88591);
+        frame.picture_type = data[offset++];
+        [frame.description, offset] = readString(data, offset, encoding);
+        frame.object = data.subarray(offset);
+    } else if (id === 'COMM' || id === 'USLT') {
+        if (data.byteLength < 4) {
+            return;
+        }
+        let encoding = data[0];
+        frame.language = String.fromCharCode(data[1], data[2], data[3]);
+        let [description, offset] = readString(data, 4, encoding);
+        frame.description = description;
+        frame.text = [readString(data, offset, encoding)[0]];
+    }
+};
+
+const parseFrames = (data: Uint8Array, version: number, tag_unsynchronisation: boolean): ID3Frame[] => {
+    let frames: ID3Frame[] = [];
+
+    for (let offset = 0; offset + 10 <= data.byteLength; ) {
+        // Padding
+        if (data[offset] === 0) {
+            break;
+        }
+
+        let id = String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+        let size = version === 4 ? readSyncsafeInteger(data, offset + 4) : readUint32(data, offset + 4);
+        let format_flags = data[offset + 9];
+        let content = data.subarray(offset + 10, offset + 10 + size);
+        offset += 10 + size;
+
+        if (!/^[A-Z0-9]{4}$/.test(id) || content.byteLength < size) {
+            Log.w(TAG, `Malformed ID3v2.${version} frame ${JSON.stringify(id)}, size = ${size}`);
+            break;
+        }
+
+        let compressed: boolean, encrypted: boolean;
+        if (version === 4) {
+            compressed = (format_flags & 0x08) !== 0;
+            encrypted = (format_flags & 0x04) !== 0;
+            // Group identifier and data length indicator are added before frame content
+            let skip = ((format_flags & 0x40) ? 1 : 0) + ((format_flags & 0x01) ? 4 : 0);
+            content = content.subarray(skip);
+            if (tag_unsynchronisation || (format_flags & 0x02)) {
+                content = removeUnsynchronisation(content);
+            }
+        } else {
+            compressed = (format_flags & 0x80) !== 0;
+            encrypted = (format_flags & 0x40) !== 0;
+            // Decompressed size, encryption method and group identifier are added before frame content
+            let skip = (compressed ? 4 : 0) + (encrypted ? 1 : 0) + ((format_flags & 0x20) ? 1 : 0);
+            content = content.subarray(skip);
+        }
+
+        let frame = new ID3Frame();
+        frame.id = id;
+        frame.data = content;
+        if (!compressed && !encrypted) {
+            decodeFrameContent(frame);
+        }
+        frames.push(frame);
+    }
+
+    return frames;
+};
+
+// Parses ID3v2 tags placed one after another, e.g. payload of a timed ID3 PES packet
+export const parseID3v2 = (data: Uint8Array): ID3Tag[] => {
+    let tags: ID3Tag[] = [];
+
+    for (let offset = 0; offset + 10 <= data.byteLength; ) {
+        // 'ID3'
+        if (data[offset] !== 0x49 || data[offset + 1] !== 0x44 || data[offset + 2] !== 0x33) {
+            break;
+        }
+
+        let version = data[offset + 3];
+        let revision = data[offset + 4];
+        let flags = data[offset + 5];
+        let size = readSyncsafeInteger(data, offset + 6);
+        let has_footer = version === 4 && (flags & 0x10) !== 0;
+        let body = data.subarray(offset + 10, offset + 10 + size);
+        offset += 10 + size + (has_footer ? 10 : 0);
+
+        if (version !== 3 && version !== 4) {
+            Log.w(TAG, `Unsupported ID3v2.${version} tag`);
+            continue;
+        }
+
+        let tag_unsynchronisation = (flags & 0x80) !== 0;
+        if (version === 3 && tag_unsynchronisation) {
+            // In v2.3, unsynchronisation is applied to the whole tag
+            body = removeUnsynchronisation(body);
+        }
+
+        if (flags & 0x40) {
+            // Extended header, its size excludes the size field itself in v2.3
+            let extended_header_size = version === 4 ? readSyncsafeInteger(body, 0) : readUint32(body, 0) + 4;
+            body = body.subarray(extended_header_size);
+        }
+
+        let tag = new ID3Tag();
+        tag.version = version;
+        tag.revision = revision;
+        tag.frames = parseFrames(body, version, version === 4 && tag_unsynchronisation);
+        tags.push(tag);
+    }
+
+    return tags;
+};
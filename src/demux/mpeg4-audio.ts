@@ -7,6 +7,10 @@ export enum MPEG4AudioObjectTypes {
     kAAC_SBR,  // HE-AAC
     kAAC_Scalable,
 
+    kAAC_PS = 29,  // HE-AACv2
+    kER_AAC_ELD = 39,
+    kUSAC = 42,  // xHE-AAC
+
     kLayer1 = 32,
     kLayer2,
     kLayer3,   // MP3
@@ -1,14 +1,27 @@
+import { DVBSubtitleStream } from './dvb-subtitle';
+import { TeletextPage } from './teletext';
+
 interface ProgramToPMTPIDMap {
     [program: number]: number;
 }
 
 export class PAT {
     version_number: number;
+    transport_stream_id: number;
     network_pid: number;
     // program_number -> pmt_pid
     program_pmt_pid: ProgramToPMTPIDMap = {};
 }
 
+export class ProgramList {
+    transport_stream_id: number;
+    current_program: number;
+    programs: {
+        program_number: number,
+        pmt_pid: number
+    }[] = [];
+}
+
 export enum StreamType {
     kMPEG1Audio = 0x03,
     kMPEG2Audio = 0x04,
@@ -21,13 +34,39 @@ export enum StreamType {
     kSCTE35 = 0x86,
     kPGS = 0x90,
     kH264 = 0x1b,
-    kH265 = 0x24
+    kH265 = 0x24,
+    // SAMPLE-AES encrypted streams of HLS
+    kSampleAESH264 = 0xdb,
+    kSampleAESADTSAAC = 0xcf,
+    kSampleAESAC3 = 0xc1,
+    kSampleAESEAC3 = 0xc2
 }
 
 interface PIDToStreamTypeMap {
     [pid: number]: StreamType;
 }
 
+export type ElementaryStreamCodec = 'h264' | 'h265' | 'av1' | 'adts_aac' | 'loas_aac' | 'opus' | 'ac3' | 'eac3' | 'mp3';
+
+export class ElementaryStream {
+    pid: number;
+    stream_type: StreamType;
+    codec: ElementaryStreamCodec;
+    // from ISO_639_language_descriptor (0x0A)
+    language: string | undefined;
+    audio_type: number | undefined;
+}
+
+export class TrackList {
+    program_number: number;
+    video_pid: number | undefined;
+    audio_pid: number | undefined;
+    video_tracks: ElementaryStream[] = [];
+    audio_tracks: ElementaryStream[] = [];
+    subtitle_language: string | undefined;
+    subtitle_tracks: DVBSubtitleStream[] = [];
+}
+
 export class PMT {
     program_number: number;
     version_number: number;
@@ -57,6 +96,9 @@ export class PMT {
         mp3: undefined
     };
 
+    video_streams: ElementaryStream[] = [];
+    audio_streams: ElementaryStream[] = [];
+
     pes_private_data_pids: {
         [pid: number]: boolean
     } = {};
@@ -87,6 +129,26 @@ export class PMT {
     smpte2038_pids: {
         [oid: number]: boolean
     } = {};
+
+    arib_caption_pids: {
+        [pid: number]: boolean
+    } = {};
+
+    dvb_subtitle_pids: {
+        [pid: number]: boolean
+    } = {};
+    // from subtitling_descriptor (0x59), one entry per subtitle page
+    dvb_subtitle_streams: DVBSubtitleStream[] = [];
+
+    teletext_pids: {
+        [pid: number]: boolean
+    } = {};
+    // from teletext_descriptor (0x56) / VBI_teletext_descriptor (0x46)
+    teletext_pages: TeletextPage[] = [];
+
+    sample_aes_pids: {
+        [pid: number]: boolean
+    } = {};
 }
 
 export interface ProgramToPMTMap {
@@ -108,6 +170,14 @@ export class SectionData {
     random_access_indicator: number;
 }
 
+// Reported for each section dropped due to CRC_32 mismatch
+export class SectionCRCError {
+    pid: number;
+    table_id: number;
+    // accumulated count of CRC_32 mismatches in this demuxer
+    crc_error_count: number;
+}
+
 export class SliceQueue {
     slices: Uint8Array[] = [];
     total_length: number = 0;
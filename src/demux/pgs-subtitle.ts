@@ -0,0 +1,425 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+
+// Presentation Graphic Stream (Blu-ray Disc subtitles, stream_type 0x90)
+
+export type PGSSubtitleRegion = {
+    // position in display, in pixels
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    // RGBA pixels of width * height
+    rgba: Uint8ClampedArray
+};
+
+export class PGSSubtitleFrame {
+    pid: number;
+    stream_id: number;
+    lang: string;
+    pts?: number;
+    nearest_pts?: number;
+    composition_number: number;
+    // forced subtitles should be displayed even if subtitles are turned off
+    forced: boolean;
+    display_width: number;
+    display_height: number;
+    // empty for erasing previously displayed subtitle
+    regions: PGSSubtitleRegion[];
+}
+
+export type PGSDisplaySet = {
+    // pts of Presentation Composition Segment in 90kHz, undefined if the PES has no PTS
+    pts: number | undefined,
+    composition_number: number,
+    forced: boolean,
+    display_width: number,
+    display_height: number,
+    regions: PGSSubtitleRegion[]
+};
+
+enum PGSSegmentType {
+    kPaletteDefinition = 0x14,
+    kObjectDefinition = 0x15,
+    kPresentationComposition = 0x16,
+    kWindowDefinition = 0x17,
+    kEndOfDisplaySet = 0x80
+}
+
+enum PGSCompositionState {
+    kNormal = 0x00,
+    kAcquisitionPoint = 0x40,
+    kEpochStart = 0x80
+}
+
+type PGSCompositionObject = {
+    object_id: number,
+    window_id: number,
+    forced: boolean,
+    x: number,
+    y: number,
+    // cropping rectangle in the object, undefined if not cropped
+    crop?: { x: number, y: number, width: number, height: number }
+};
+
+type PGSPresentationComposition = {
+    pts: number | undefined,
+    width: number,
+    height: number,
+    composition_number: number,
+    composition_state: PGSCompositionState,
+    palette_update: boolean,
+    palette_id: number,
+    objects: PGSCompositionObject[]
+};
+
+type PGSWindow = {
+    x: number,
+    y: number,
+    width: number,
+    height: number
+};
+
+type PGSObject = {
+    version: number,
+    width: number,
+    height: number,
+    // run-length encoded data, may be split into several segments
+    rle: Uint8Array,
+    rle_length: number,
+    // palette indexes of width * height, decoded when the object is complete
+    pixels: Uint8Array | null
+};
+
+const readUint16 = (data: Uint8Array, offset: number): number => {
+    return (data[offset] << 8) | data[offset + 1];
+};
+
+// Blu-ray palettes are defined in BT.709 for HD and BT.601 for SD, with limited range
+const convertYCrCbToRGB = (y: number, cr: number, cb: number, bt709: boolean): [number, number, number] => {
+    let l = 1.164 * (y - 16);
+    let v = cr - 128, u = cb - 128;
+    if (bt709) {
+        return [l + 1.793 * v, l - 0.213 * u - 0.533 * v, l + 2.112 * u];
+    }
+    return [l + 1.596 * v, l - 0.392 * u - 0.813 * v, l + 2.017 * u];
+};
+
+export class PGSParser {
+
+    private readonly TAG: string = 'PGSParser';
+
+    // states of current epoch
+    private palettes_: Map<number, { version: number, rgba: Uint8ClampedArray }> = new Map();
+    private objects_: Map<number, PGSObject> = new Map();
+    private windows_: Map<number, PGSWindow> = new Map();
+
+    private composition_: PGSPresentationComposition | null = null;
+    // waiting for Epoch Start or Acquisition Point after starting in the middle of stream
+    private acquired_ = false;
+
+    public reset(): void {
+        this.palettes_.clear();
+        this.objects_.clear();
+        this.windows_.clear();
+        this.composition_ = null;
+        this.acquired_ = false;
+    }
+
+    // `payload` is PES payload with one or more segments, `pts` is in 90kHz
+    public parse(payload: Uint8Array, pts: number | undefined): PGSDisplaySet[] {
+        let display_sets: PGSDisplaySet[] = [];
+
+        for (let offset = 0; offset + 3 <= payload.byteLength; ) {
+            let segment_type = payload[offset];
+            let segment_length = readUint16(payload, offset + 1);
+            let segment = payload.subarray(offset + 3, offset + 3 + segment_length);
+            offset += 3 + segment_length;
+
+            if (segment.byteLength < segment_length) {
+                Log.w(this.TAG, `Truncated segment 0x${segment_type.toString(16)}, length = ${segment_length}`);
+                break;
+            }
+
+            switch (segment_type) {
+                case PGSSegmentType.kPresentationComposition:
+                    this.parsePresentationComposition(segment, pts);
+                    break;
+                case PGSSegmentType.kWindowDefinition:
+                    if (this.composition_ != null) {
+                        this.parseWindowDefinition(segment);
+                    }
+                    break;
+                case PGSSegmentType.kPaletteDefinition:
+                    if (this.composition_ != null) {
+                        this.parsePaletteDefinition(segment);
+                    }
+                    break;
+                case PGSSegmentType.kObjectDefinition:
+                    if (this.composition_ != null) {
+                        this.parseObjectDefinition(segment);
+                    }
+                    break;
+                case PGSSegmentType.kEndOfDisplaySet:
+                    if (this.composition_ != null) {
+                        display_sets.push(this.compose(this.composition_));
+                        this.composition_ = null;
+                    }
+                    break;
+                default:
+                    Log.v(this.TAG, `Unsupported segment type 0x${segment_type.toString(16)}`);
+                    break;
+            }
+        }
+
+        return display_sets;
+    }
+
+    private parsePresentationComposition(data: Uint8Array, pts: number | undefined): void {
+        if (data.byteLength < 11) {
+            return;
+        }
+
+        let composition: PGSPresentationComposition = {
+            pts,
+            width: readUint16(data, 0),
+            height: readUint16(data, 2),
+            // data[4]: frame_rate, fixed to 0x10
+            composition_number: readUint16(data, 5),
+            composition_state: data[7] & 0xC0,
+            palette_update: (data[8] & 0x80) !== 0,
+            palette_id: data[9],
+            objects: []
+        };
+
+        let number_of_composition_objects = data[10];
+        for (let i = 0, offset = 11; i < number_of_composition_objects && offset + 8 <= data.byteLength; i++) {
+            let cropped = (data[offset + 3] & 0x80) !== 0;
+            let object: PGSCompositionObject = {
+                object_id: readUint16(data, offset),
+                window_id: data[offset + 2],
+                forced: (data[offset + 3] & 0x40) !== 0,
+                x: readUint16(data, offset + 4),
+                y: readUint16(data, offset + 6)
+            };
+            offset += 8;
+            if (cropped) {
+                object.crop = {
+                    x: readUint16(data, offset),
+                    y: readUint16(data, offset + 2),
+                    width: readUint16(data, offset + 4),
+                    height: readUint16(data, offset + 6)
+                };
+                offset += 8;
+            }
+            composition.objects.push(object);
+        }
+
+        if (composition.composition_state !== PGSCompositionState.kNormal) {
+            if (composition.composition_state === PGSCompositionState.kEpochStart) {
+                // a new epoch discards all palettes, objects and windows
+                this.palettes_.clear();
+                this.objects_.clear();
+                this.windows_.clear();
+            }
+            this.acquired_ = true;
+        } else if (!this.acquired_) {
+            // Normal case display set relies on states which have not been received
+            return;
+        }
+
+        this.composition_ = composition;
+    }
+
+    private parseWindowDefinition(data: Uint8Array): void {
+        let number_of_windows = data[0];
+        for (let i = 0, offset = 1; i < number_of_windows && offset + 9 <= data.byteLength; i++, offset += 9) {
+            this.windows_.set(data[offset], {
+                x: readUint16(data, offset + 1),
+                y: readUint16(data, offset + 3),
+                width: readUint16(data, offset + 5),
+                height: readUint16(data, offset + 7)
+            });
+        }
+    }
+
+    private parsePaletteDefinition(data: Uint8Array): void {
+        if (data.byteLength < 2) {
+            return;
+        }
+
+        let palette_id = data[0];
+        let palette_version = data[1];
+        let palette = this.palettes_.get(palette_id);
+        if (palette == undefined) {
+            // undefined entries are fully transparent
+            palette = { version: palette_version, rgba: new Uint8ClampedArray(256 * 4) };
+            this.palettes_.set(palette_id, palette);
+        }
+        palette.version = palette_version;
+
+        let bt709 = this.composition_.height > 576;
+        for (let offset = 2; offset + 5 <= data.byteLength; offset += 5) {
+            let entry = data[offset];
+            let [r, g, b] = convertYCrCbToRGB(data[offset + 1], data[offset + 2], data[offset + 3], bt709);
+            palette.rgba[entry * 4 + 0] = r;
+            palette.rgba[entry * 4 + 1] = g;
+            palette.rgba[entry * 4 + 2] = b;
+            palette.rgba[entry * 4 + 3] = data[offset + 4];
+        }
+    }
+
+    private parseObjectDefinition(data: Uint8Array): void {
+        if (data.byteLength < 4) {
+            return;
+        }
+
+        let object_id = readUint16(data, 0);
+        let object_version = data[2];
+        let first_in_sequence = (data[3] & 0x80) !== 0;
+        let last_in_sequence = (data[3] & 0x40) !== 0;
+        let object = this.objects_.get(object_id);
+
+        if (first_in_sequence) {
+            if (data.byteLength < 11) {
+                return;
+            }
+            // object_data_length includes 4 bytes of width and height
+            let object_data_length = (data[4] << 16) | (data[5] << 8) | data[6];
+            object = {
+                version: object_version,
+                width: readUint16(data, 7),
+                height: readUint16(data, 9),
+                rle: new Uint8Array(Math.max(0, object_data_length - 4)),
+                rle_length: 0,
+                pixels: null
+            };
+            this.objects_.set(object_id, object);
+            this.appendObjectData(object, data.subarray(11));
+        } else if (object != undefined && object.pixels == null) {
+            this.appendObjectData(object, data.subarray(4));
+        } else {
+            return;
+        }
+
+        if (last_in_sequence) {
+            object.pixels = this.decodeRunLength(object);
+        }
+    }
+
+    private appendObjectData(object: PGSObject, data: Uint8Array): void {
+        let length = Math.min(data.byteLength, object.rle.byteLength - object.rle_length);
+        object.rle.set(data.subarray(0, length), object.rle_length);
+        object.rle_length += length;
+    }
+
+    private decodeRunLength(object: PGSObject): Uint8Array {
+        let { width, height, rle } = object;
+        let pixels = new Uint8Array(width * height);
+        let x = 0, y = 0;
+
+        for (let i = 0; i < object.rle_length && y < height; ) {
+            let color = 0, run = 1;
+            let b = rle[i++];
+
+            if (b !== 0) {
+                color = b;
+            } else {
+                let flags = rle[i++];
+                if (flags === 0) {  // end of line
+                    x = 0;
+                    y++;
+                    continue;
+                }
+                run = flags & 0x3F;
+                if (flags & 0x40) {
+                    run = (run << 8) | rle[i++];
+                }
+                if (flags & 0x80) {
+                    color = rle[i++];
+                }
+            }
+
+            let count = Math.min(run, width - x);
+            pixels.fill(color, y * width + x, y * width + x + count);
+            x += count;
+        }
+
+        return pixels;
+    }
+
+    private compose(composition: PGSPresentationComposition): PGSDisplaySet {
+        let regions: PGSSubtitleRegion[] = [];
+        let palette = this.palettes_.get(composition.palette_id);
+
+        for (let composition_object of composition.objects) {
+            let object = this.objects_.get(composition_object.object_id);
+            if (object == undefined || object.pixels == null || palette == undefined) {
+                Log.v(this.TAG, `Object ${composition_object.object_id} or palette ${composition.palette_id} is not available`);
+                continue;
+            }
+
+            // Source rectangle in the object
+            let crop = composition_object.crop ?? { x: 0, y: 0, width: object.width, height: object.height };
+            let left = composition_object.x, top = composition_object.y;
+            let right = left + Math.min(crop.width, object.width - crop.x);
+            let bottom = top + Math.min(crop.height, object.height - crop.y);
+
+            // Objects are only visible inside their windows
+            let window = this.windows_.get(composition_object.window_id);
+            if (window != undefined) {
+                left = Math.max(left, window.x);
+                top = Math.max(top, window.y);
+                right = Math.min(right, window.x + window.width);
+                bottom = Math.min(bottom, window.y + window.height);
+            }
+
+            let width = right - left, height = bottom - top;
+            if (width <= 0 || height <= 0) {
+                continue;
+            }
+
+            let rgba = new Uint8ClampedArray(width * height * 4);
+            let source_x = crop.x + left - composition_object.x;
+            let source_y = crop.y + top - composition_object.y;
+            for (let y = 0; y < height; y++) {
+                let source = (source_y + y) * object.width + source_x;
+                for (let x = 0; x < width; x++) {
+                    let index = object.pixels[source + x] * 4;
+                    let dest = (y * width + x) * 4;
+                    rgba[dest + 0] = palette.rgba[index + 0];
+                    rgba[dest + 1] = palette.rgba[index + 1];
+                    rgba[dest + 2] = palette.rgba[index + 2];
+                    rgba[dest + 3] = palette.rgba[index + 3];
+                }
+            }
+
+            regions.push({ x: left, y: top, width, height, rgba });
+        }
+
+        return {
+            pts: composition.pts,
+            composition_number: composition.composition_number,
+            forced: composition.objects.length > 0 && composition.objects.every((object) => object.forced),
+            display_width: composition.width,
+            display_height: composition.height,
+            regions
+        };
+    }
+
+}
@@ -0,0 +1,174 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { AESDecryptor } from '../utils/aes-decryptor';
+
+// SAMPLE-AES of HLS (MPEG-2 Stream Encryption Format for HTTP Live Streaming).
+// Only parts of H.264 slices and audio frames are encrypted by AES-128-CBC,
+// the IV is reset to the one of the key at the beginning of every NAL unit / audio frame.
+export class SampleAESDecryptor {
+
+    private decryptor_: AESDecryptor;
+    private iv_: Uint8Array;
+
+    public constructor(key: Uint8Array, iv: Uint8Array) {
+        this.decryptor_ = new AESDecryptor(key);
+        this.iv_ = iv;
+    }
+
+    // nalu: NAL unit without start code, including emulation prevention bytes.
+    // Only slices (nal_unit_type 1 and 5) longer than 48 bytes are encrypted: 32 bytes leader in clear,
+    // then every 16 bytes encrypted block is followed by up to 144 bytes in clear.
+    // Emulation prevention is applied after encryption, the result keeps the original ones.
+    public decryptH264NALUnit(nalu: Uint8Array): Uint8Array {
+        let nal_unit_type = nalu[0] & 0x1F;
+        if ((nal_unit_type !== 1 && nal_unit_type !== 5) || nalu.byteLength <= 48) {
+            return nalu;
+        }
+
+        let data = removeEmulationPrevention(nalu);
+        // encrypted blocks start at 32, 192, 352, ... while more than 16 bytes remain after them
+        let count = Math.ceil((data.byteLength - 48) / 160);
+        if (count <= 0) {
+            return data;
+        }
+
+        let blocks = new Uint8Array(count * 16);
+        for (let i = 0; i < count; i++) {
+            blocks.set(data.subarray(32 + i * 160, 32 + i * 160 + 16), i * 16);
+        }
+
+        let decrypted = this.decryptor_.decryptCBC(blocks, new Uint8Array(this.iv_));
+        for (let i = 0; i < count; i++) {
+            data.set(decrypted.subarray(i * 16, i * 16 + 16), 32 + i * 160);
+        }
+        return data;
+    }
+
+    // frame: AAC raw_data_block after the ADTS header, or the whole AC-3 / E-AC-3 syncframe.
+    // 16 bytes leader in clear, then all complete blocks are encrypted. Decrypted in place.
+    public decryptAudioFrame(frame: Uint8Array): void {
+        let length = frame.byteLength - 16;
+        length -= length % 16;
+        if (length <= 0) {
+            return;
+        }
+        let encrypted = frame.subarray(16, 16 + length);
+        this.decryptor_.decryptCBC(encrypted, new Uint8Array(this.iv_), encrypted);
+    }
+
+}
+
+const removeEmulationPrevention = (nalu: Uint8Array): Uint8Array => {
+    let data = new Uint8Array(nalu.byteLength);
+    let length = 0;
+    let zeros = 0;
+
+    for (let i = 0; i < nalu.byteLength; i++) {
+        let byte = nalu[i];
+        if (zeros >= 2 && byte === 0x03) {
+            zeros = 0;
+            continue;
+        }
+        zeros = byte === 0x00 ? zeros + 1 : 0;
+        data[length++] = byte;
+    }
+    return data.subarray(0, length);
+};
+
+// BytesOfClearData / BytesOfProtectedData of a subsample in CENC (ISO/IEC 23001-7)
+export type SubsampleEntry = { clearBytes: number, protectedBytes: number };
+
+// sample_info_size of saiz is 8 bits, which holds senc entries of up to 42 subsamples (2 + 6 * 42 = 254 bytes)
+export const kMaxSubsampleCount = 42;
+
+// Appends a subsample, clear data longer than 16 bits is split into subsamples without protected data
+export const appendSubsample = (subsamples: SubsampleEntry[], clear_bytes: number, protected_bytes: number): void => {
+    while (clear_bytes > 0xFFFF) {
+        subsamples.push({ clearBytes: 0xFFFF, protectedBytes: 0 });
+        clear_bytes -= 0xFFFF;
+    }
+    subsamples.push({ clearBytes: clear_bytes, protectedBytes: protected_bytes });
+};
+
+// For Encrypted Media Extensions, SAMPLE-AES encrypted samples are kept encrypted and decrypted by the CDM.
+// The layout of SAMPLE-AES matches the 'cbcs' scheme with the key's IV as the constant IV:
+// 1:9 pattern from the 32nd byte of H.264 slices, and all complete blocks after 16 bytes of audio frames.
+export class SampleAESEncryption {
+
+    public readonly key_id: Uint8Array;
+    public readonly iv: Uint8Array;
+
+    public constructor(key_id: Uint8Array, iv: Uint8Array) {
+        this.key_id = key_id;
+        this.iv = iv;
+    }
+
+    public static equals(a: SampleAESEncryption | null, b: SampleAESEncryption | null): boolean {
+        if (a == null || b == null) {
+            return a === b;
+        }
+        return bytesEqual(a.key_id, b.key_id) && bytesEqual(a.iv, b.iv);
+    }
+
+    // Returns the NAL unit with emulation prevention bytes inserted after encryption removed,
+    // and the length of its protected range which begins at the 32nd byte, 0 if in clear
+    public unescapeH264NALUnit(nalu: Uint8Array): { data: Uint8Array, protected_bytes: number } {
+        let nal_unit_type = nalu[0] & 0x1F;
+        if ((nal_unit_type !== 1 && nal_unit_type !== 5) || nalu.byteLength <= 48) {
+            return { data: nalu, protected_bytes: 0 };
+        }
+
+        let data = removeEmulationPrevention(nalu);
+        let count = Math.ceil((data.byteLength - 48) / 160);
+        if (count <= 0) {
+            return { data, protected_bytes: 0 };
+        }
+        // ends with the last encrypted block, the following bytes are in clear anyway
+        return { data, protected_bytes: (count - 1) * 160 + 16 };
+    }
+
+    public getAudioFrameSubsamples(length: number): SubsampleEntry[] {
+        if (length <= 16) {
+            return [{ clearBytes: length, protectedBytes: 0 }];
+        }
+        return [{ clearBytes: 16, protectedBytes: length - 16 }];
+    }
+
+    // Described by tenc box in the init segment
+    public getTrackEncryption(type: 'video' | 'audio'): any {
+        return {
+            scheme: 'cbcs',
+            keyId: this.key_id,
+            iv: this.iv,
+            cryptByteBlock: type === 'video' ? 1 : 0,
+            skipByteBlock: type === 'video' ? 9 : 0
+        };
+    }
+
+}
+
+const bytesEqual = (a: Uint8Array, b: Uint8Array): boolean => {
+    if (a.byteLength !== b.byteLength) {
+        return false;
+    }
+    for (let i = 0; i < a.byteLength; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+};
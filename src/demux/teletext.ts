@@ -0,0 +1,367 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+
+// ETSI EN 300 472: Specification for conveying ITU-R System B Teletext in DVB bitstreams
+// ETSI EN 300 706: Enhanced Teletext specification
+
+export enum TeletextType {
+    kInitialPage = 0x01,
+    kSubtitlePage = 0x02,
+    kAdditionalInformationPage = 0x03,
+    kProgrammeSchedulePage = 0x04,
+    kHearingImpairedSubtitlePage = 0x05
+}
+
+// An entry of teletext_descriptor (0x56) or VBI_teletext_descriptor (0x46) in PMT
+export class TeletextPage {
+    pid: number;
+    language: string;
+    teletext_type: TeletextType;
+    // decimal page number as shown to viewers, e.g. 888
+    page_number: number;
+}
+
+export type TeletextRun = {
+    text: string,
+    foreground_color: string,
+    background_color: string
+};
+
+export type TeletextLine = {
+    // row 1 ~ 23 and column 0 ~ 39 of the first character
+    row: number,
+    column: number,
+    runs: TeletextRun[]
+};
+
+export class TeletextSubtitleData {
+    pid: number;
+    stream_id: number;
+    page_number: number;
+    language: string;
+    teletext_type: TeletextType;
+    pts?: number;
+    nearest_pts?: number;
+    // empty for erasing previously displayed subtitle
+    text: string;
+    lines: TeletextLine[];
+}
+
+export type TeletextSubtitlePage = {
+    page: TeletextPage,
+    // PTS (in 90kHz) of the PES which carried the page header
+    pts: number | undefined,
+    text: string,
+    lines: TeletextLine[]
+};
+
+enum DataUnitId {
+    kEBUTeletextNonSubtitle = 0x02,
+    kEBUTeletextSubtitle = 0x03
+}
+
+const kRows = 24;
+const kColumns = 40;
+
+const kColors = ['#000000', '#ff0000', '#00ff00', '#ffff00', '#0000ff', '#ff00ff', '#00ffff', '#ffffff'];
+
+// Character positions of G0 Latin set replaced by national option sub-sets (EN 300 706 Table 36)
+const kNationalOptionPositions = [0x23, 0x24, 0x40, 0x5B, 0x5C, 0x5D, 0x5E, 0x5F, 0x60, 0x7B, 0x7C, 0x7D, 0x7E];
+
+// Indexed by national option selection bits C12 ~ C14 of page header, for the default (Western Europe) group
+const kNationalOptionSubsets: string[][] = [
+    // English
+    ['£', '$', '@', '←', '½', '→', '↑', '#', '–', '¼', '‖', '¾', '÷'],
+    // German
+    ['#', '$', '§', 'Ä', 'Ö', 'Ü', '^', '_', '°', 'ä', 'ö', 'ü', 'ß'],
+    // Swedish / Finnish / Hungarian
+    ['#', '¤', 'É', 'Ä', 'Ö', 'Å', 'Ü', '_', 'é', 'ä', 'ö', 'å', 'ü'],
+    // Italian
+    ['£', '$', 'é', '°', 'ç', '→', '↑', '#', 'ù', 'à', 'ò', 'è', 'ì'],
+    // French
+    ['é', 'ï', 'à', 'ë', 'ê', 'ù', 'î', '#', 'è', 'â', 'ô', 'û', 'ç'],
+    // Portuguese / Spanish
+    ['ç', '$', '¡', 'á', 'é', 'í', 'ó', 'ú', '¿', 'ü', 'ñ', 'è', 'à'],
+    // Czech / Slovak
+    ['#', 'ů', 'č', 'ť', 'ž', 'ý', 'í', 'ř', 'é', 'á', 'ě', 'ú', 'š'],
+    // Reserved, fall back to English
+    ['£', '$', '@', '←', '½', '→', '↑', '#', '–', '¼', '‖', '¾', '÷']
+];
+
+const reverseBits = (byte: number): number => {
+    byte = ((byte & 0xF0) >> 4) | ((byte & 0x0F) << 4);
+    byte = ((byte & 0xCC) >> 2) | ((byte & 0x33) << 2);
+    byte = ((byte & 0xAA) >> 1) | ((byte & 0x55) << 1);
+    return byte;
+};
+
+// Hamming 8/4 decoding table with single bit error correction, -1 for uncorrectable errors
+const kHamming84Table: Int8Array = (() => {
+    let table = new Int8Array(256).fill(-1);
+    for (let d = 0; d < 16; d++) {
+        let d1 = d & 1, d2 = (d >> 1) & 1, d3 = (d >> 2) & 1, d4 = (d >> 3) & 1;
+        let p1 = 1 ^ d1 ^ d3 ^ d4;
+        let p2 = 1 ^ d1 ^ d2 ^ d4;
+        let p3 = 1 ^ d1 ^ d2 ^ d3;
+        let p4 = 1 ^ p1 ^ d1 ^ p2 ^ d2 ^ p3 ^ d3 ^ d4;
+        // transmission order P1 D1 P2 D2 P3 D3 P4 D4, from LSB
+        let code = p1 | (d1 << 1) | (p2 << 2) | (d2 << 3) | (p3 << 4) | (d3 << 5) | (p4 << 6) | (d4 << 7);
+        table[code] = d;
+        for (let bit = 0; bit < 8; bit++) {
+            table[code ^ (1 << bit)] = d;
+        }
+    }
+    return table;
+})();
+
+const hasOddParity = (byte: number): boolean => {
+    byte ^= byte >> 4;
+    byte ^= byte >> 2;
+    byte ^= byte >> 1;
+    return (byte & 1) === 1;
+};
+
+type MagazineState = {
+    // page address (magazine << 8 | page number in hex) being received, undefined if not a selected page
+    page_address: number | undefined,
+    serial_mode: boolean
+};
+
+type PageBuffer = {
+    page: TeletextPage,
+    rows: Uint8Array[],
+    national_option: number,
+    // subtitle / newsflash pages only display characters inside boxes
+    boxed: boolean,
+    pts: number | undefined,
+    updated: boolean
+};
+
+// Reassembles the selected Teletext pages of a PID from EBU Teletext data units
+export class TeletextParser {
+
+    private readonly TAG: string = 'TeletextParser';
+
+    private magazines_: MagazineState[] = [];
+    private pages_: Map<number, PageBuffer> = new Map();
+
+    public constructor(pages: TeletextPage[]) {
+        for (let i = 0; i <= 8; i++) {
+            this.magazines_.push({ page_address: undefined, serial_mode: false });
+        }
+        for (let page of pages) {
+            let address = parseInt(String(page.page_number), 16);
+            this.pages_.set(address, {
+                page,
+                rows: [],
+                national_option: 0,
+                boxed: true,
+                pts: undefined,
+                updated: false
+            });
+        }
+    }
+
+    public parse(payload: Uint8Array, pts: number | undefined): TeletextSubtitlePage[] {
+        let data_identifier = payload[0];
+        if (data_identifier < 0x10 || data_identifier > 0x1F) {
+            Log.v(this.TAG, `Unsupported data_identifier ${data_identifier}`);
+            return [];
+        }
+
+        for (let offset = 1; offset + 2 <= payload.byteLength; ) {
+            let data_unit_id = payload[offset];
+            let data_unit_length = payload[offset + 1];
+            let data_field = payload.subarray(offset + 2, offset + 2 + data_unit_length);
+            offset += 2 + data_unit_length;
+
+            if ((data_unit_id === DataUnitId.kEBUTeletextNonSubtitle || data_unit_id === DataUnitId.kEBUTeletextSubtitle)
+                    && data_field.byteLength >= 44 && data_field[1] === 0xE4) {
+                this.parsePacket(data_field.subarray(2, 44), pts);
+            }
+        }
+
+        let pages: TeletextSubtitlePage[] = [];
+        this.pages_.forEach((buffer) => {
+            if (buffer.updated) {
+                buffer.updated = false;
+                pages.push(this.renderPage(buffer));
+            }
+        });
+        return pages;
+    }
+
+    private parsePacket(field: Uint8Array, pts: number | undefined): void {
+        // bits are transmitted in LSB first order in the data field
+        let packet = field.map(reverseBits);
+
+        let address_low = kHamming84Table[packet[0]];
+        let address_high = kHamming84Table[packet[1]];
+        if (address_low < 0 || address_high < 0) {
+            return;
+        }
+        let magazine = (address_low & 0x07) || 8;
+        let packet_number = (address_high << 1) | (address_low >> 3);
+        let data = packet.subarray(2);
+
+        if (packet_number === 0) {
+            this.parsePageHeader(magazine, data, pts);
+            return;
+        }
+
+        let state = this.magazines_[magazine];
+        if (packet_number >= kRows || state.page_address == undefined) {
+            // packets X/24 ~ X/31 (enhancements, links, broadcast service data) are not used for subtitles
+            return;
+        }
+
+        let buffer = this.pages_.get(state.page_address);
+        buffer.rows[packet_number] = data.slice(0, kColumns);
+        buffer.updated = true;
+    }
+
+    private parsePageHeader(magazine: number, data: Uint8Array, pts: number | undefined): void {
+        let nibbles = Array.from(data.subarray(0, 8)).map((byte) => kHamming84Table[byte]);
+        if (nibbles.some((nibble) => nibble < 0)) {
+            return;
+        }
+
+        let page_number = (nibbles[1] << 4) | nibbles[0];
+        let erase_page = (nibbles[3] & 0x08) !== 0;  // C4
+        let newsflash = (nibbles[5] & 0x04) !== 0;  // C5
+        let subtitle = (nibbles[5] & 0x08) !== 0;  // C6
+        let serial_mode = (nibbles[7] & 0x01) !== 0;  // C11
+        let national_option = (nibbles[7] >> 1) & 0x07;  // C12 ~ C14
+
+        // A page is terminated by the next page header of the same magazine (parallel mode) or any magazine (serial mode)
+        if (serial_mode) {
+            this.magazines_.forEach((state) => state.page_address = undefined);
+        }
+        let state = this.magazines_[magazine];
+        state.serial_mode = serial_mode;
+        state.page_address = undefined;
+
+        // page number 0xFF is used for time filling headers, which only terminate the previous page
+        let address = (magazine << 8) | page_number;
+        let buffer = this.pages_.get(address);
+        if (buffer == undefined) {
+            return;
+        }
+
+        state.page_address = address;
+        if (erase_page) {
+            buffer.rows = [];
+        }
+        buffer.national_option = national_option;
+        buffer.boxed = subtitle || newsflash;
+        buffer.pts = pts;
+        buffer.updated = true;
+    }
+
+    private renderPage(buffer: PageBuffer): TeletextSubtitlePage {
+        let lines: TeletextLine[] = [];
+
+        for (let row = 1; row < kRows; row++) {
+            let line = this.renderRow(buffer, buffer.rows[row]);
+            if (line != undefined) {
+                line.row = row;
+                lines.push(line);
+            }
+        }
+
+        return {
+            page: buffer.page,
+            pts: buffer.pts,
+            text: lines.map((line) => line.runs.map((run) => run.text).join('')).join('\n'),
+            lines
+        };
+    }
+
+    private renderRow(buffer: PageBuffer, row: Uint8Array | undefined): TeletextLine | undefined {
+        if (row == undefined) {
+            return undefined;
+        }
+
+        let subset = kNationalOptionSubsets[buffer.national_option];
+        let foreground = 7;
+        let background = 0;
+        let mosaic = false;
+        let in_box = !buffer.boxed;
+
+        let cells: { c: string, fg: number, bg: number, visible: boolean }[] = [];
+        for (let column = 0; column < kColumns; column++) {
+            let byte = row[column];
+            let c = hasOddParity(byte) ? byte & 0x7F : 0x20;
+            let ch = ' ';
+            let next_foreground = foreground;
+
+            // Spacing attributes are displayed as space, "Set-After" codes take effect from the next character
+            if (c <= 0x07) {  // Alpha colour codes
+                next_foreground = c;
+                mosaic = false;
+            } else if (c >= 0x10 && c <= 0x17) {  // Mosaic colour codes
+                next_foreground = c - 0x10;
+                mosaic = true;
+            } else if (c === 0x0A) {  // End Box
+                in_box = !buffer.boxed;
+            } else if (c === 0x0B) {  // Start Box, transmitted twice
+                in_box = true;
+            } else if (c === 0x1C) {  // Black Background
+                background = 0;
+            } else if (c === 0x1D) {  // New Background
+                background = foreground;
+            } else if (c >= 0x20) {
+                if (mosaic && (c < 0x40 || c >= 0x60)) {
+                    ch = ' ';  // block mosaic characters are not representable in text
+                } else if (c === 0x7F) {
+                    ch = '■';
+                } else {
+                    let position = kNationalOptionPositions.indexOf(c);
+                    ch = position >= 0 ? subset[position] : String.fromCharCode(c);
+                }
+            }
+
+            cells.push({ c: ch, fg: foreground, bg: background, visible: in_box });
+            foreground = next_foreground;
+        }
+
+        let first = cells.findIndex((cell) => cell.visible && cell.c !== ' ');
+        if (first === -1) {
+            return undefined;
+        }
+        let last = cells.length - 1;
+        while (!(cells[last].visible && cells[last].c !== ' ')) {
+            last--;
+        }
+
+        let runs: TeletextRun[] = [];
+        for (let i = first; i <= last; i++) {
+            let cell = cells[i];
+            let text = cell.visible ? cell.c : ' ';
+            let run = runs[runs.length - 1];
+            if (run != undefined && (text === ' ' || (run.foreground_color === kColors[cell.fg] && run.background_color === kColors[cell.bg]))) {
+                run.text += text;
+            } else {
+                runs.push({ text, foreground_color: kColors[cell.fg], background_color: kColors[cell.bg] });
+            }
+        }
+
+        return { row: 0, column: first, runs };
+    }
+
+}
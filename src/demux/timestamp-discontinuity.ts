@@ -0,0 +1,50 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export type TimestampDiscontinuityReason =
+    // PCR discontinuity (discontinuity_indicator or PCR jump) signalled before the timestamp change, MPEG-TS only
+    'pcr_discontinuity'
+    | 'backward_jump'
+    | 'forward_jump';
+
+export class TimestampDiscontinuity {
+    track: 'audio' | 'video';
+    reason: TimestampDiscontinuityReason;
+    // dts of the last sample before and the first sample after the discontinuity on the original clock, in milliseconds
+    previous_timestamp: number;
+    timestamp: number;
+    // dts in the output timeline where the track continues, in milliseconds, filled by the transmuxer
+    output_timestamp?: number;
+}
+
+// Gaps larger than these are regarded as a change of the original clock rather than lost data
+const kMaxBackwardTimestampJump = 1000;
+const kMaxForwardTimestampJump = 5000;
+// Tolerance after a signalled PCR discontinuity
+const kMaxTimestampJumpAfterPCRDiscontinuity = 200;
+
+// Checks whether dts (in milliseconds) is discontinuous with last_dts of the same track
+export const checkTimestampJump = (last_dts: number, dts: number, pcr_discontinuity: boolean = false): TimestampDiscontinuityReason | null => {
+    let delta = dts - last_dts;
+    if (pcr_discontinuity && Math.abs(delta) > kMaxTimestampJumpAfterPCRDiscontinuity) {
+        return 'pcr_discontinuity';
+    } else if (delta < -kMaxBackwardTimestampJump) {
+        return 'backward_jump';
+    } else if (delta > kMaxForwardTimestampJump) {
+        return 'forward_jump';
+    }
+    return null;
+};
@@ -0,0 +1,465 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ETSI TR 101 290 priority 1 and 2 measurements on transport stream packets
+
+export type TR101290Indicator =
+    // Priority 1
+    'ts_sync_loss' | 'sync_byte_error' | 'pat_error' | 'continuity_count_error' | 'pmt_error' | 'pid_error'
+    // Priority 2
+    | 'transport_error' | 'crc_error' | 'pcr_repetition_error' | 'pcr_discontinuity_indicator_error'
+    | 'pcr_accuracy_error' | 'pts_error' | 'cat_error';
+
+export type TR101290Counts = { [indicator in TR101290Indicator]: number };
+
+export type TR101290Breach = {
+    indicator: TR101290Indicator,
+    pid?: number,
+    // analyzer time in milliseconds
+    time: number,
+    description: string
+};
+
+export type TSPIDStatistics = {
+    pid: number,
+    packets: number,
+    // bits per second in the report period
+    bitrate: number,
+    continuity_count_errors: number
+};
+
+export class TSAnalysisReport {
+    // Times are in milliseconds on the PCR clock of current program, starting from 0 at the first PCR
+    start_time: number;
+    duration: number;
+    // bits per second of the whole transport stream in the report period
+    bitrate: number;
+    // occurrences in the report period
+    errors: TR101290Counts;
+    // occurrences since the analyzer started
+    total_errors: TR101290Counts;
+    pids: TSPIDStatistics[];
+    // details of occurrences in the report period, at most kMaxBreachesPerReport
+    breaches: TR101290Breach[];
+}
+
+// Thresholds from TR 101 290 (DVB values)
+const kPATInterval = 500;
+const kPMTInterval = 500;
+const kPIDInterval = 5000;
+const kPCRRepetitionInterval = 40;
+const kPCRDiscontinuityInterval = 100;
+const kPCRAccuracyNanoseconds = 500;
+const kPTSInterval = 700;
+
+const kMaxBreachesPerReport = 100;
+// PCR intervals required for a stable bitrate estimation before checking PCR accuracy
+const kPCRAccuracyWarmUpIntervals = 10;
+const kPCRModulus = 8589934592 * 300;  // 2^33 * 300
+const kNullPID = 0x1FFF;
+
+const createCounts = (): TR101290Counts => ({
+    ts_sync_loss: 0,
+    sync_byte_error: 0,
+    pat_error: 0,
+    continuity_count_error: 0,
+    pmt_error: 0,
+    pid_error: 0,
+    transport_error: 0,
+    crc_error: 0,
+    pcr_repetition_error: 0,
+    pcr_discontinuity_indicator_error: 0,
+    pcr_accuracy_error: 0,
+    pts_error: 0,
+    cat_error: 0
+});
+
+export class TSAnalyzer {
+
+    private report_interval_: number;
+
+    private packet_index_ = 0;
+
+    // per pid states, indexed by pid
+    private last_cc_ = new Int8Array(8192).fill(-1);
+    private cc_duplicated_ = new Uint8Array(8192);
+    private period_packets_ = new Uint32Array(8192);
+    private period_cc_errors_ = new Uint32Array(8192);
+
+    // PSI and referenced pids from PAT / PMT of current program
+    private pmt_pids_: Set<number> = new Set();
+    private pcr_pid_: number | undefined;
+    private referenced_pids_: Set<number> = new Set();
+    private cat_received_ = false;
+    private cat_error_reported_ = false;
+
+    // last arrival times of tables / pids / PTS, for repetition checks
+    private pat_time_: number | undefined;
+    private pmt_times_: Map<number, number> = new Map();
+    private pid_times_: Map<number, number> = new Map();
+    private pts_times_: Map<number, number> = new Map();
+
+    // PCR clock of current program
+    private clock_: number | undefined;
+    private last_pcr_: number | undefined;
+    private last_pcr_packet_index_ = 0;
+    private bitrate_: number | undefined;
+    private bitrate_samples_ = 0;
+
+    private period_start_: number | undefined;
+    private period_start_packet_index_ = 0;
+    private period_errors_: TR101290Counts = createCounts();
+    private total_errors_: TR101290Counts = createCounts();
+    private breaches_: TR101290Breach[] = [];
+    private reports_: TSAnalysisReport[] = [];
+
+    public constructor(report_interval: number) {
+        this.report_interval_ = report_interval;
+    }
+
+    public setPAT(program_pmt_pid: { [program: number]: number }): void {
+        let now = this.currentTime();
+        let pmt_pids = new Set(Object.values(program_pmt_pid));
+        pmt_pids.forEach((pid) => {
+            if (!this.pmt_times_.has(pid)) {
+                this.pmt_times_.set(pid, now);
+            }
+        });
+        this.pmt_times_.forEach((time, pid) => {
+            if (!pmt_pids.has(pid)) {
+                this.pmt_times_.delete(pid);
+            }
+        });
+        this.pmt_pids_ = pmt_pids;
+    }
+
+    public setPMT(pcr_pid: number, elementary_pids: number[]): void {
+        let now = this.currentTime();
+        if (pcr_pid !== this.pcr_pid_) {
+            this.pcr_pid_ = pcr_pid;
+            this.last_pcr_ = undefined;
+            this.bitrate_samples_ = 0;
+        }
+
+        this.referenced_pids_ = new Set([pcr_pid, ... elementary_pids]);
+        this.referenced_pids_.forEach((pid) => {
+            if (!this.pid_times_.has(pid)) {
+                this.pid_times_.set(pid, now);
+            }
+        });
+        this.pid_times_.forEach((time, pid) => {
+            if (!this.referenced_pids_.has(pid)) {
+                this.pid_times_.delete(pid);
+                this.pts_times_.delete(pid);
+            }
+        });
+    }
+
+    public reportSyncLoss(skipped_bytes: number): void {
+        this.raise('ts_sync_loss', undefined, `Lost sync, skipped ${skipped_bytes} bytes to the next sync_byte`);
+        this.raise('sync_byte_error', undefined, 'sync_byte is not 0x47');
+    }
+
+    public reportCRCError(pid: number, table_id: number): void {
+        this.raise('crc_error', pid, `CRC_32 mismatch in section of table_id 0x${table_id.toString(16)}`);
+    }
+
+    // `packet` is 188 bytes transport packet beginning with sync_byte
+    public analyzePacket(packet: Uint8Array): void {
+        this.packet_index_++;
+
+        let transport_error_indicator = (packet[1] & 0x80) !== 0;
+        let payload_unit_start_indicator = (packet[1] & 0x40) !== 0;
+        let pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        let transport_scrambling_control = packet[3] >>> 6;
+        let adaptation_field_control = (packet[3] & 0x30) >>> 4;
+        let continuity_counter = packet[3] & 0x0F;
+
+        this.period_packets_[pid]++;
+
+        if (transport_error_indicator) {
+            this.raise('transport_error', pid, 'transport_error_indicator is set');
+            // other fields of the packet can't be trusted
+            return;
+        }
+        if (pid === kNullPID) {
+            return;
+        }
+
+        let now = this.currentTime();
+        let has_payload = (adaptation_field_control & 0x01) !== 0;
+        let payload_start = 4;
+        let discontinuity_indicator = false;
+
+        if (adaptation_field_control & 0x02) {
+            let adaptation_field_length = packet[4];
+            payload_start = 5 + adaptation_field_length;
+            if (adaptation_field_length > 0) {
+                discontinuity_indicator = (packet[5] & 0x80) !== 0;
+                let PCR_flag = (packet[5] & 0x10) !== 0;
+                if (PCR_flag && adaptation_field_length >= 7 && pid === this.pcr_pid_) {
+                    let pcr_base = packet[6] * 33554432 + packet[7] * 131072 + packet[8] * 512 + packet[9] * 2 + (packet[10] >>> 7);
+                    let pcr_extension = ((packet[10] & 0x01) << 8) | packet[11];
+                    this.handlePCR(pcr_base * 300 + pcr_extension, discontinuity_indicator);
+                    now = this.currentTime();
+                }
+            }
+        }
+
+        this.checkContinuityCounter(pid, continuity_counter, has_payload, discontinuity_indicator, adaptation_field_control);
+
+        if (this.pid_times_.has(pid)) {
+            this.pid_times_.set(pid, now);
+        }
+
+        if (transport_scrambling_control !== 0) {
+            if (pid === 0x00) {
+                this.raise('pat_error', pid, 'PAT is scrambled');
+            } else if (this.pmt_pids_.has(pid)) {
+                this.raise('pmt_error', pid, 'PMT is scrambled');
+            } else if (!this.cat_received_ && !this.cat_error_reported_) {
+                // reported once for each report period
+                this.cat_error_reported_ = true;
+                this.raise('cat_error', pid, 'Scrambled packets without CAT');
+            }
+        }
+
+        if (payload_unit_start_indicator && has_payload && payload_start < 188) {
+            if (pid === 0x00 || pid === 0x01 || this.pmt_pids_.has(pid)) {
+                let table_id_offset = payload_start + 1 + packet[payload_start];
+                if (table_id_offset < 188) {
+                    this.checkTable(pid, packet[table_id_offset], now);
+                }
+            } else if (this.referenced_pids_.has(pid) && payload_start + 9 < 188
+                    && packet[payload_start] === 0x00 && packet[payload_start + 1] === 0x00 && packet[payload_start + 2] === 0x01) {
+                let PTS_DTS_flags = packet[payload_start + 7] >>> 6;
+                if (PTS_DTS_flags & 0x02) {
+                    this.pts_times_.set(pid, now);
+                }
+            }
+        }
+
+        if (now != undefined) {
+            this.checkRepetitions(now);
+            this.checkReportPeriod(now);
+        }
+    }
+
+    public pollReports(): TSAnalysisReport[] {
+        let reports = this.reports_;
+        this.reports_ = [];
+        return reports;
+    }
+
+    private currentTime(): number | undefined {
+        if (this.clock_ == undefined) {
+            return undefined;
+        }
+        // extrapolate from the last PCR by transport rate
+        if (this.bitrate_ != undefined) {
+            return this.clock_ + (this.packet_index_ - this.last_pcr_packet_index_) * 188 * 8 / this.bitrate_ * 1000;
+        }
+        return this.clock_;
+    }
+
+    private handlePCR(pcr: number, discontinuity_indicator: boolean): void {
+        if (this.last_pcr_ == undefined) {
+            if (this.clock_ == undefined) {
+                this.clock_ = 0;
+                this.startPeriod(0);
+                this.resetRepetitionTimes(0);
+            } else {
+                this.clock_ = this.currentTime();
+            }
+            this.last_pcr_ = pcr;
+            this.last_pcr_packet_index_ = this.packet_index_;
+            return;
+        }
+
+        let delta = pcr - this.last_pcr_;
+        if (delta < -kPCRModulus / 2) {
+            delta += kPCRModulus;
+        }
+        let delta_ms = delta / 27000;
+        let bytes = (this.packet_index_ - this.last_pcr_packet_index_) * 188;
+
+        if (discontinuity_indicator || delta <= 0 || delta_ms > kPCRDiscontinuityInterval) {
+            if (!discontinuity_indicator) {
+                this.raise('pcr_discontinuity_indicator_error', this.pcr_pid_,
+                           `PCR jumped by ${delta_ms.toFixed(1)}ms without discontinuity_indicator`);
+            }
+            // keep the clock continuous across the jump
+            this.clock_ = this.currentTime();
+            this.bitrate_samples_ = 0;
+        } else {
+            if (delta_ms > kPCRRepetitionInterval) {
+                this.raise('pcr_repetition_error', this.pcr_pid_, `PCR interval ${delta_ms.toFixed(1)}ms > ${kPCRRepetitionInterval}ms`);
+            }
+
+            if (this.bitrate_ != undefined && this.bitrate_samples_ >= kPCRAccuracyWarmUpIntervals) {
+                let expected = bytes * 8 / this.bitrate_ * 27000000;
+                let inaccuracy = Math.abs(delta - expected) / 27;  // in microseconds
+                if (inaccuracy * 1000 > kPCRAccuracyNanoseconds) {
+                    this.raise('pcr_accuracy_error', this.pcr_pid_, `PCR inaccuracy ${Math.round(inaccuracy * 1000)}ns > ${kPCRAccuracyNanoseconds}ns`);
+                }
+            }
+
+            let bitrate = bytes * 8 * 27000000 / delta;
+            this.bitrate_ = this.bitrate_ == undefined ? bitrate : this.bitrate_ * 0.9 + bitrate * 0.1;
+            this.bitrate_samples_++;
+            this.clock_ += delta_ms;
+        }
+
+        this.last_pcr_ = pcr;
+        this.last_pcr_packet_index_ = this.packet_index_;
+    }
+
+    private checkContinuityCounter(pid: number, cc: number, has_payload: boolean, discontinuity_indicator: boolean, adaptation_field_control: number): void {
+        let last_cc = this.last_cc_[pid];
+        this.last_cc_[pid] = cc;
+
+        if (adaptation_field_control === 0x00) {
+            this.raise('continuity_count_error', pid, 'Reserved adaptation_field_control 00');
+            return;
+        }
+        if (last_cc === -1 || discontinuity_indicator) {
+            this.cc_duplicated_[pid] = 0;
+            return;
+        }
+
+        if (!has_payload) {
+            // continuity_counter shall not be incremented without payload
+            if (cc !== last_cc) {
+                this.period_cc_errors_[pid]++;
+                this.raise('continuity_count_error', pid, `continuity_counter changed from ${last_cc} to ${cc} without payload`);
+            }
+        } else if (cc === last_cc) {
+            // a packet may be sent twice, but not more
+            if (this.cc_duplicated_[pid]) {
+                this.period_cc_errors_[pid]++;
+                this.raise('continuity_count_error', pid, `Packet with continuity_counter ${cc} sent more than twice`);
+            }
+            this.cc_duplicated_[pid] = 1;
+        } else {
+            this.cc_duplicated_[pid] = 0;
+            if (cc !== ((last_cc + 1) & 0x0F)) {
+                this.period_cc_errors_[pid]++;
+                this.raise('continuity_count_error', pid, `continuity_counter jumped from ${last_cc} to ${cc}`);
+            }
+        }
+    }
+
+    private checkTable(pid: number, table_id: number, now: number | undefined): void {
+        if (table_id === 0xFF) {
+            return;  // stuffing
+        }
+        if (pid === 0x00) {
+            if (table_id !== 0x00) {
+                this.raise('pat_error', pid, `Section with table_id 0x${table_id.toString(16)} on PAT pid`);
+            } else {
+                this.pat_time_ = now;
+            }
+        } else if (pid === 0x01) {
+            if (table_id !== 0x01) {
+                this.raise('cat_error', pid, `Section with table_id 0x${table_id.toString(16)} on CAT pid`);
+            } else {
+                this.cat_received_ = true;
+            }
+        } else if (table_id === 0x02) {
+            this.pmt_times_.set(pid, now);
+        }
+    }
+
+    private checkRepetitions(now: number): void {
+        if (this.pat_time_ != undefined && now - this.pat_time_ > kPATInterval) {
+            this.raise('pat_error', 0, `PAT not received for ${Math.round(now - this.pat_time_)}ms`);
+            this.pat_time_ = now;
+        }
+        this.pmt_times_.forEach((time, pid) => {
+            if (time != undefined && now - time > kPMTInterval) {
+                this.raise('pmt_error', pid, `PMT not received for ${Math.round(now - time)}ms`);
+                this.pmt_times_.set(pid, now);
+            }
+        });
+        this.pid_times_.forEach((time, pid) => {
+            if (time != undefined && now - time > kPIDInterval) {
+                this.raise('pid_error', pid, `Referenced pid not received for ${Math.round(now - time)}ms`);
+                this.pid_times_.set(pid, now);
+            }
+        });
+        this.pts_times_.forEach((time, pid) => {
+            if (time != undefined && now - time > kPTSInterval) {
+                this.raise('pts_error', pid, `PTS not received for ${Math.round(now - time)}ms`);
+                this.pts_times_.set(pid, now);
+            }
+        });
+    }
+
+    // tables / pids announced before the clock started are measured from the first PCR
+    private resetRepetitionTimes(now: number): void {
+        this.pat_time_ = now;
+        this.pmt_pids_.forEach((pid) => this.pmt_times_.set(pid, now));
+        this.referenced_pids_.forEach((pid) => this.pid_times_.set(pid, now));
+    }
+
+    private checkReportPeriod(now: number): void {
+        let duration = now - this.period_start_;
+        if (duration < this.report_interval_) {
+            return;
+        }
+
+        let report = new TSAnalysisReport();
+        report.start_time = this.period_start_;
+        report.duration = duration;
+        report.bitrate = (this.packet_index_ - this.period_start_packet_index_) * 188 * 8 / duration * 1000;
+        report.errors = this.period_errors_;
+        report.total_errors = Object.assign({}, this.total_errors_);
+        report.breaches = this.breaches_;
+        report.pids = [];
+        for (let pid = 0; pid < 8192; pid++) {
+            if (this.period_packets_[pid] > 0) {
+                report.pids.push({
+                    pid,
+                    packets: this.period_packets_[pid],
+                    bitrate: this.period_packets_[pid] * 188 * 8 / duration * 1000,
+                    continuity_count_errors: this.period_cc_errors_[pid]
+                });
+            }
+        }
+        this.reports_.push(report);
+
+        this.startPeriod(now);
+    }
+
+    private startPeriod(now: number): void {
+        this.period_start_ = now;
+        this.period_start_packet_index_ = this.packet_index_;
+        this.period_packets_.fill(0);
+        this.period_cc_errors_.fill(0);
+        this.period_errors_ = createCounts();
+        this.breaches_ = [];
+        this.cat_error_reported_ = false;
+    }
+
+    private raise(indicator: TR101290Indicator, pid: number | undefined, description: string): void {
+        this.period_errors_[indicator]++;
+        this.total_errors_[indicator]++;
+        if (this.breaches_.length < kMaxBreachesPerReport) {
+            this.breaches_.push({ indicator, pid, time: this.currentTime() ?? 0, description });
+        }
+    }
+
+}
@@ -19,12 +19,13 @@
 import Log from '../utils/logger';
 import DemuxErrors from './demux-errors';
 import MediaInfo from '../core/media-info';
+import KeyframesIndex from '../core/keyframes-index';
 import {IllegalStateException} from '../utils/exception';
 import BaseDemuxer from './base-demuxer';
-import { PAT, PESData, SectionData, SliceQueue, PIDToSliceQueues, PMT, ProgramToPMTMap, StreamType } from './pat-pmt-pes';
+import { PAT, PESData, SectionData, SectionCRCError, SliceQueue, PIDToSliceQueues, PMT, ProgramList, ProgramToPMTMap, StreamType, ElementaryStream, ElementaryStreamCodec, TrackList } from './pat-pmt-pes';
 import { AVCDecoderConfigurationRecord, H264AnnexBParser, H264NaluAVC1, H264NaluPayload, H264NaluType } from './h264';
 import SPSParser from './sps-parser';
-import { AACADTSParser, AACFrame, AACLOASParser, AudioSpecificConfig, LOASAACFrame } from './aac';
+import { AACADTSParser, AACFrame, AACLOASParser, AudioSpecificConfig, LOASAACFrame, ProgramConfigElement } from './aac';
 import { MPEG4AudioObjectTypes, MPEG4SamplingFrequencyIndex } from './mpeg4-audio';
 import { PESPrivateData, PESPrivateDataDescriptor } from './pes-private-data';
 import { readSCTE35, SCTE35Data } from './scte35';
@@ -37,6 +38,18 @@ import { KLVData, klv_parse } from './klv';
 import AV1OBUInMpegTsParser from './av1';
 import AV1OBUParser from './av1-parser';
 import { PGSData } from './pgs-data';
+import { PGSParser, PGSSubtitleFrame } from './pgs-subtitle';
+import { TSAnalyzer } from './ts-analyzer';
+import { checkTimestampJump, TimestampDiscontinuity } from './timestamp-discontinuity';
+import { TSTimestampScanParams } from './ts-timestamp-scanner';
+import { SampleAESDecryptor, SampleAESEncryption, SubsampleEntry, appendSubsample, kMaxSubsampleCount } from './sample-aes';
+import { parseID3v2, TimedID3Metadata } from './id3';
+import { verifySectionCRC32 } from './crc32';
+import { ARIBCaptionData, ARIBCaptionDataIdentifier, ARIBCaptionParser } from './arib-caption';
+import { DVBSubtitleFrame, DVBSubtitleParser, DVBSubtitleStream } from './dvb-subtitle';
+import { TeletextPage, TeletextParser, TeletextSubtitleData, TeletextType } from './teletext';
+import { ClosedCaptionParser, extractCCDataFromSEI } from './closed-caption';
+import { SIPID, SITableId, isARIBNetworkId, readEIT, readNIT, readSDT, readTDTTOT } from './dvb-si';
 
 type AdaptationFieldInfo = {
     discontinuity_indicator?: number;
@@ -105,6 +118,14 @@ class TSDemuxer extends BaseDemuxer {
     private first_parse_: boolean = true;
 
     private media_info_ = new MediaInfo();
+    // dts of video keyframes -> file positions of their PES, from imported index and parsed frames, not built for live stream
+    private keyframes_index_ = new KeyframesIndex();
+    // dts in milliseconds of the first audio / video PES of the segment, imported / exported index is relative to it
+    private keyframes_time_base_: number | undefined;
+    // imported before keyframes_time_base_ is known
+    private pending_keyframes_index_: { times: number[], filepositions: number[] } | null = null;
+    // added to dts of keyframes after rebased timestamp discontinuities, set by the transmuxer
+    private keyframes_time_offset_ = 0;
 
     private timescale_ = 90;
     private duration_ = 0;
@@ -112,11 +133,34 @@ class TSDemuxer extends BaseDemuxer {
     private pat_: PAT;
     private current_program_: number;
     private current_pmt_pid_: number = -1;
+    private preferred_program_: number | undefined;
+    private preferred_video_pid_: number | undefined;
+    private preferred_audio_pid_: number | undefined;
+    private preferred_subtitle_language_: string | undefined;
     private pmt_: PMT;
     private program_pmt_map_: ProgramToPMTMap = {};
 
     private pes_slice_queues_: PIDToSliceQueues = {};
     private section_slice_queues_: PIDToSliceQueues = {};
+    // pid -> ARIB caption / superimpose parser, which keeps caption management and DRCS states
+    private arib_caption_parsers_: { [pid: number]: ARIBCaptionParser } = {};
+    // selected DVB subtitle page, only one page is decoded at a time
+    private dvb_subtitle_stream_: DVBSubtitleStream | undefined;
+    private dvb_subtitle_parser_: DVBSubtitleParser | undefined;
+    // pid -> Teletext parser of subtitle pages, which keeps the pages being received
+    private teletext_parsers_: { [pid: number]: TeletextParser } = {};
+    // pid -> PGS decoder, which keeps palettes, objects and windows of current epoch
+    private pgs_parsers_: { [pid: number]: PGSParser } = {};
+    // CEA-608/708 decoder of cc_data in video SEI, created when the first cc_data arrives
+    private closed_caption_parser_: ClosedCaptionParser | undefined;
+
+    // (pid, table_id, table_id_extension, section_number, ...) -> version_number of parsed SI sections
+    private si_section_versions_: { [key: string]: number } = {};
+    // count of sections dropped due to CRC_32 mismatch
+    private crc_error_count_: number = 0;
+    // TR 101 290 measurements, only created when config.enableTSAnalyzer is set
+    private ts_analyzer_: TSAnalyzer | undefined;
+    private is_arib_network_: boolean = false;
 
     private video_metadata_: {
         vps: H265NaluHVC1 | undefined,
@@ -141,11 +185,30 @@ class TSDemuxer extends BaseDemuxer {
     };
 
     private last_pcr_: number | undefined;
-    private last_pcr_base_: number = NaN;
-    private timestamp_offset_: number = 0;
+    // latest unwrapped PCR base / audio / video dts in 90kHz, as the reference for unwrapping 33-bit timestamps
+    private timestamp_reference_: number | undefined;
+
+    // dts (in milliseconds) of the last audio / video PES, for detecting timestamp discontinuities
+    private last_dts_ms_: { audio?: number, video?: number } = {};
+    // set when a PCR discontinuity is found, until the next audio / video PES
+    private pcr_discontinuity_: { audio: boolean, video: boolean } = { audio: false, video: false };
+
+    // set by seek() until the first video keyframe after the new position arrives
+    private seeking_ = false;
+
+    // for SAMPLE-AES encrypted elementary streams, set by setSampleAESKey()
+    private sample_aes_decryptor_: SampleAESDecryptor | null = null;
+    // or kept encrypted for EME, set by setSampleAESEncryption()
+    private sample_aes_encryption_: SampleAESEncryption | null = null;
+    private sample_aes_key_missing_reported_ = false;
+    // encryption described in the dispatched init segments
+    private video_encryption_: SampleAESEncryption | null = null;
+    private audio_encryption_: SampleAESEncryption | null = null;
 
     private audio_last_sample_pts_: number = undefined;
     private aac_last_incomplete_data_: Uint8Array = null;
+    // program_config_element() of channel_config 0 ADTS, which may be carried by only some of the frames
+    private aac_program_config_: ProgramConfigElement = null;
 
     private has_video_ = false;
     private has_audio_ = false;
@@ -164,10 +227,16 @@ class TSDemuxer extends BaseDemuxer {
         this.ts_packet_size_ = probe_data.ts_packet_size;
         this.sync_offset_ = probe_data.sync_offset;
         this.config_ = config;
+
+        if (config.enableTSAnalyzer) {
+            this.ts_analyzer_ = new TSAnalyzer(config.tsAnalysisReportInterval);
+        }
+        this.media_info_.keyframesIndex = this.keyframes_index_;
     }
 
     public destroy() {
         this.media_info_ = null;
+        this.keyframes_index_ = null;
         this.pes_slice_queues_ = null;
         this.section_slice_queues_ = null;
 
@@ -240,13 +309,228 @@ class TSDemuxer extends BaseDemuxer {
         };
     }
 
+    public get crcErrorCount(): number {
+        return this.crc_error_count_;
+    }
+
     public bindDataSource(loader) {
         loader.onDataArrival = this.parseChunks.bind(this);
         return this;
     }
 
+    // Data after seeking is not continuous with previous data, timestamp jumps shouldn't be regarded as discontinuities
+    public insertDiscontinuity() {
+        this.last_dts_ms_ = {};
+        this.pcr_discontinuity_ = { audio: false, video: false };
+    }
+
+    // Parsing will be resumed from another byte position of the file,
+    // drop partially received PES / sections and wait for a random access point
+    public seek() {
+        this.pes_slice_queues_ = {};
+        this.section_slice_queues_ = {};
+        this.last_pcr_ = undefined;
+
+        this.audio_last_sample_pts_ = undefined;
+        this.aac_last_incomplete_data_ = null;
+        this.loas_previous_frame = null;
+
+        this.video_track_.samples = [];
+        this.video_track_.length = 0;
+        this.audio_track_.samples = [];
+        this.audio_track_.length = 0;
+        this.seeking_ = true;
+    }
+
+    // Packet layout and the pid whose timestamps are used for locating byte positions by time,
+    // undefined if PMT hasn't been parsed yet
+    public getTimestampScanParams(): TSTimestampScanParams | undefined {
+        if (this.pmt_ == undefined) {
+            return undefined;
+        }
+        let video_pid = this.getCurrentVideoPID();
+        let pid = video_pid != undefined ? video_pid : this.getCurrentAudioPID();
+        if (pid == undefined) {
+            return undefined;
+        }
+        return {
+            ts_packet_size: this.ts_packet_size_,
+            sync_offset: this.sync_offset_,
+            pid,
+            is_audio: video_pid == undefined
+        };
+    }
+
+    public get keyframesIndex(): KeyframesIndex {
+        return this.keyframes_index_;
+    }
+
+    // Keyframes index of the segment, which is kept after resetMediaInfo()
+    public set keyframesIndex(index: KeyframesIndex) {
+        this.keyframes_index_ = index;
+        this.media_info_.keyframesIndex = index;
+    }
+
+    // Preloads a complete index {times, filepositions}, times are in milliseconds from the segment start
+    public importKeyframesIndex(index: { times: number[], filepositions: number[] }): void {
+        if (this.keyframes_time_base_ == undefined) {
+            this.pending_keyframes_index_ = index;
+        } else {
+            this.keyframes_index_.merge(index, this.keyframes_time_base_);
+        }
+        this.media_info_.hasKeyframesIndex = true;
+    }
+
+    public exportKeyframesIndex(): { times: number[], filepositions: number[] } {
+        return this.keyframes_index_.export(-(this.keyframes_time_base_ || 0));
+    }
+
+    // Keyframes are indexed on the rebased timeline, which keeps increasing across backward timestamp jumps
+    public set keyframesTimeOffset(offset: number) {
+        this.keyframes_time_offset_ = offset;
+    }
+
+    // Key and IV (16 bytes each) of SAMPLE-AES encrypted streams, null if not encrypted
+    public setSampleAESKey(key: Uint8Array | null, iv?: Uint8Array): void {
+        this.sample_aes_decryptor_ = key != null ? new SampleAESDecryptor(key, iv) : null;
+        this.sample_aes_encryption_ = null;
+        this.sample_aes_key_missing_reported_ = false;
+    }
+
+    // Keeps SAMPLE-AES encrypted streams as they are for decryption by EME, described as 'cbcs' with key_id (16 bytes).
+    // Init segments are regenerated from the next SPS / audio frame if key_id or iv is changed
+    public setSampleAESEncryption(key_id: Uint8Array, iv: Uint8Array): void {
+        this.sample_aes_decryptor_ = null;
+        this.sample_aes_encryption_ = new SampleAESEncryption(key_id, iv);
+        this.sample_aes_key_missing_reported_ = false;
+    }
+
     public resetMediaInfo() {
         this.media_info_ = new MediaInfo();
+        this.media_info_.keyframesIndex = this.keyframes_index_;
+        this.fillMediaInfoPrograms();
+        this.fillMediaInfoTracks();
+    }
+
+    public switchProgram(program_number: number): void {
+        this.preferred_program_ = program_number;
+
+        if (this.pat_ == undefined) {
+            // PAT not arrived yet, preferred program will be selected in parsePAT()
+            return;
+        }
+
+        if (this.pat_.program_pmt_pid[program_number] == undefined) {
+            Log.w(this.TAG, `switchProgram: program_number ${program_number} does not exist in PAT`);
+            return;
+        }
+
+        if (program_number !== this.current_program_) {
+            this.setCurrentProgram(program_number);
+            this.dispatchProgramList();
+        }
+    }
+
+    public switchTrack(type: string, pid: number): void {
+        if (type !== 'video' && type !== 'audio') {
+            Log.w(this.TAG, `switchTrack: Unknown track type ${type}`);
+            return;
+        }
+
+        if (this.pmt_ == undefined) {
+            // PMT not arrived yet, preferred track will be selected in parsePMT()
+            if (type === 'video') {
+                this.preferred_video_pid_ = pid;
+            } else {
+                this.preferred_audio_pid_ = pid;
+            }
+            return;
+        }
+
+        let streams = type === 'video' ? this.pmt_.video_streams : this.pmt_.audio_streams;
+        let target = streams.filter((es) => es.pid === pid)[0];
+        if (target == undefined) {
+            Log.w(this.TAG, `switchTrack: ${type} pid ${pid} does not exist in PMT of program ${this.current_program_}`);
+            return;
+        }
+
+        let common_pids = this.pmt_.common_pids;
+        let current_pid = type === 'video' ? this.getCurrentVideoPID() : this.getCurrentAudioPID();
+
+        if (type === 'video') {
+            this.preferred_video_pid_ = pid;
+        } else {
+            this.preferred_audio_pid_ = pid;
+        }
+
+        if (pid === current_pid) {
+            return;
+        }
+
+        Log.v(this.TAG, `Switching ${type} track from pid ${current_pid} to ${pid}`);
+
+        // flush parsed frames of previous track, then wait for the codec config of new track
+        this.dispatchAudioVideoMediaSegment();
+        delete this.pes_slice_queues_[current_pid];
+
+        if (type === 'video') {
+            common_pids.h264 = common_pids.h265 = common_pids.av1 = undefined;
+            common_pids[target.codec] = pid;
+
+            this.video_metadata_ = {
+                vps: undefined,
+                sps: undefined,
+                pps: undefined,
+                av1c: undefined,
+                details: undefined
+            };
+            this.video_init_segment_dispatched_ = false;
+            this.video_metadata_changed_ = false;
+            this.video_track_.samples = [];
+            this.video_track_.length = 0;
+        } else {
+            common_pids.adts_aac = common_pids.loas_aac = common_pids.ac3 = undefined;
+            common_pids.eac3 = common_pids.opus = common_pids.mp3 = undefined;
+            common_pids[target.codec] = pid;
+
+            this.audio_metadata_ = {
+                codec: undefined,
+                audio_object_type: undefined,
+                sampling_freq_index: undefined,
+                sampling_frequency: undefined,
+                channel_config: undefined
+            };
+            this.audio_last_sample_pts_ = undefined;
+            this.aac_last_incomplete_data_ = null;
+            this.aac_program_config_ = null;
+            this.loas_previous_frame = null;
+            this.last_dts_ms_.audio = undefined;
+            this.audio_init_segment_dispatched_ = false;
+            this.audio_metadata_changed_ = false;
+            this.audio_track_.samples = [];
+            this.audio_track_.length = 0;
+        }
+
+        this.dispatchTrackList();
+    }
+
+    public switchSubtitleLanguage(language: string): void {
+        this.preferred_subtitle_language_ = language;
+
+        if (this.pmt_ == undefined) {
+            // PMT not arrived yet, preferred subtitle will be selected in parsePMT()
+            return;
+        }
+
+        if (!this.pmt_.dvb_subtitle_streams.some((stream) => stream.language === language)
+                && !Object.values(this.pmt_.pgs_langs).includes(language)) {
+            Log.w(this.TAG, `switchSubtitleLanguage: subtitle of language ${language} does not exist in PMT of program ${this.current_program_}`);
+            return;
+        }
+
+        if (this.selectDVBSubtitleStream()) {
+            this.dispatchTrackList();
+        }
     }
 
     public parseChunks(chunk: ArrayBuffer, byte_start: number): number {
@@ -276,8 +560,21 @@ class TSDemuxer extends BaseDemuxer {
 
             let sync_byte = data[0];
             if (sync_byte !== 0x47) {
-                Log.e(this.TAG, `sync_byte = ${sync_byte}, not 0x47`);
-                break;
+                let sync_position = this.findNextSyncByte(chunk, offset + 1);
+                if (sync_position === -1) {
+                    Log.e(this.TAG, `sync_byte = ${sync_byte}, not 0x47`);
+                    break;
+                }
+                Log.w(this.TAG, `sync_byte = ${sync_byte}, not 0x47, skipped ${sync_position - offset} bytes to resync`);
+                if (this.ts_analyzer_) {
+                    this.ts_analyzer_.reportSyncLoss(sync_position - offset);
+                }
+                offset = sync_position - (this.ts_packet_size_ === 192 ? 4 : 0);
+                continue;
+            }
+
+            if (this.ts_analyzer_) {
+                this.ts_analyzer_.analyzePacket(data);
             }
 
             let payload_unit_start_indicator = (data[1] & 0x40) >>> 6;
@@ -304,6 +601,9 @@ class TSDemuxer extends BaseDemuxer {
                         let pcr_base = this.getPcrBase(data);
                         let pcr_extension = ((data[10] & 0x01) << 8) | data[11];
                         let pcr = pcr_base * 300 + pcr_extension;
+                        if (is_pcr_pid) {
+                            this.detectPCRDiscontinuity(pcr, adaptation_field_info.discontinuity_indicator);
+                        }
                         this.last_pcr_ = pcr;
                     }
                 }
@@ -324,7 +624,8 @@ class TSDemuxer extends BaseDemuxer {
             if (adaptation_field_control == 0x01 || adaptation_field_control == 0x03) {
                 if (pid === 0 ||                      // PAT (pid === 0)
                     pid === this.current_pmt_pid_ ||  // PMT
-                    (this.pmt_ != undefined && this.pmt_.pid_stream_type[pid] === StreamType.kSCTE35)) {  // SCTE35
+                    (this.pmt_ != undefined && this.pmt_.pid_stream_type[pid] === StreamType.kSCTE35) ||  // SCTE35
+                    this.isSIPID(pid)) {  // DVB / ARIB service information
                     let ts_payload_length = 188 - ts_payload_start_index;
 
                     this.handleSectionSlice(chunk,
@@ -384,9 +685,25 @@ class TSDemuxer extends BaseDemuxer {
         // dispatch parsed frames to the remuxer (consumer)
         this.dispatchAudioVideoMediaSegment();
 
+        if (this.ts_analyzer_ && this.onTSAnalysisReport) {
+            this.ts_analyzer_.pollReports().forEach((report) => this.onTSAnalysisReport(report));
+        }
+
         return offset;  // consumed bytes
     }
 
+    // Returns position of the next sync_byte followed by another one a packet later, or -1 if not found in chunk
+    private findNextSyncByte(chunk: ArrayBuffer, start: number): number {
+        let data = new Uint8Array(chunk);
+        let packet_size = this.ts_packet_size_;
+        for (let i = start; i + 188 <= data.byteLength; i++) {
+            if (data[i] === 0x47 && (i + packet_size >= data.byteLength || data[i + packet_size] === 0x47)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
     private handleSectionSlice(buffer: ArrayBuffer, offset: number, length: number, misc: any): void {
         let data = new Uint8Array(buffer, offset, length);
         let slice_queue = this.section_slice_queues_[misc.pid];
@@ -543,12 +860,34 @@ class TSDemuxer extends BaseDemuxer {
         let data = section_data.data;
         let pid = section_data.pid;
 
+        let table_id = data[0];
+        let section_syntax_indicator = (data[1] & 0x80) >>> 7;
+        // CRC_32 follows sections with long syntax, TOT and SCTE-35 splice_info_section, but not TDT
+        if ((section_syntax_indicator === 1 || table_id === 0x73 || table_id === 0xFC) && !verifySectionCRC32(data)) {
+            this.crc_error_count_++;
+            if (this.ts_analyzer_) {
+                this.ts_analyzer_.reportCRCError(pid, table_id);
+            }
+            Log.w(this.TAG, `CRC_32 mismatch in section of table_id 0x${table_id.toString(16)} on pid ${pid}, dropped`);
+
+            if (this.onSectionCRCError) {
+                let error = new SectionCRCError();
+                error.pid = pid;
+                error.table_id = table_id;
+                error.crc_error_count = this.crc_error_count_;
+                this.onSectionCRCError(error);
+            }
+            return;
+        }
+
         if (pid === 0x00) {
             this.parsePAT(data);
         } else if (pid === this.current_pmt_pid_) {
             this.parsePMT(data);
         } else if (this.pmt_ != undefined && this.pmt_.scte_35_pids[pid]) {
             this.parseSCTE35(data);
+        } else if (this.isSIPID(pid)) {
+            this.parseSI(pid, data);
         }
     }
 
@@ -598,6 +937,31 @@ class TSDemuxer extends BaseDemuxer {
 
             let payload = data.subarray(payload_start_index, payload_start_index + payload_length);
 
+            let track_type = this.getTrackType(pes_data.pid);
+            if (track_type != undefined && dts != undefined) {
+                this.timestamp_reference_ = dts;
+                if (this.keyframes_time_base_ == undefined) {
+                    this.keyframes_time_base_ = Math.floor(dts / this.timescale_);
+                    if (this.pending_keyframes_index_ != null) {
+                        this.keyframes_index_.merge(this.pending_keyframes_index_, this.keyframes_time_base_);
+                        this.pending_keyframes_index_ = null;
+                    }
+                }
+                this.detectTimestampDiscontinuity(track_type, dts);
+            }
+
+            let sample_aes: SampleAESDecryptor | SampleAESEncryption | null = null;
+            if (this.pmt_.sample_aes_pids[pes_data.pid]) {
+                sample_aes = this.sample_aes_decryptor_ || this.sample_aes_encryption_;
+                if (sample_aes == null) {
+                    if (!this.sample_aes_key_missing_reported_) {
+                        this.sample_aes_key_missing_reported_ = true;
+                        this.onError(DemuxErrors.DECRYPTION_ERROR, 'SAMPLE-AES encrypted stream without key');
+                    }
+                    return;
+                }
+            }
+
             switch (pes_data.stream_type) {
                 case StreamType.kMPEG1Audio:
                 case StreamType.kMPEG2Audio:
@@ -612,25 +976,37 @@ class TSDemuxer extends BaseDemuxer {
                         this.parseAC3Payload(payload, pts);
                     } else if (this.pmt_.common_pids.eac3 === pes_data.pid) {
                         this.parseEAC3Payload(payload, pts);
+                    } else if (this.pmt_.common_pids.adts_aac === pes_data.pid) {
+                        this.parseADTSAACPayload(payload, pts);
                     } else if (this.pmt_.asynchronous_klv_pids[pes_data.pid]) {
                         this.parseAsynchronousKLVMetadataPayload(payload, pes_data.pid, stream_id);
                     } else if (this.pmt_.smpte2038_pids[pes_data.pid]) {
                         this.parseSMPTE2038MetadataPayload(payload, pts, dts, pes_data.pid, stream_id);
                     } else {
+                        if (this.pmt_.arib_caption_pids[pes_data.pid]) {
+                            this.parseARIBCaptionPayload(payload, pts, pes_data.pid, stream_id);
+                        } else if (this.dvb_subtitle_stream_ != undefined && this.dvb_subtitle_stream_.pid === pes_data.pid) {
+                            this.parseDVBSubtitlePayload(payload, pts, pes_data.pid, stream_id);
+                        } else if (this.pmt_.teletext_pids[pes_data.pid]) {
+                            this.parseTeletextPayload(payload, pts, pes_data.pid, stream_id);
+                        }
                         this.parsePESPrivateDataPayload(payload, pts, dts, pes_data.pid, stream_id);
                     }
                     break;
                 case StreamType.kADTSAAC:
-                    this.parseADTSAACPayload(payload, pts);
+                case StreamType.kSampleAESADTSAAC:
+                    this.parseADTSAACPayload(payload, pts, sample_aes);
                     break;
                 case StreamType.kLOASAAC:
                     this.parseLOASAACPayload(payload, pts);
                     break;
                 case StreamType.kAC3:
-                    this.parseAC3Payload(payload, pts);
+                case StreamType.kSampleAESAC3:
+                    this.parseAC3Payload(payload, pts, sample_aes);
                     break;
                 case StreamType.kEAC3:
-                    this.parseEAC3Payload(payload, pts);
+                case StreamType.kSampleAESEAC3:
+                    this.parseEAC3Payload(payload, pts, sample_aes);
                     break;
                 case StreamType.kMetadata:
                     if (this.pmt_.timed_id3_pids[pes_data.pid]) {
@@ -641,9 +1017,11 @@ class TSDemuxer extends BaseDemuxer {
                     break;
                 case StreamType.kPGS:
                     this.parsePGSPayload(payload, pts, dts, pes_data.pid, stream_id, this.pmt_.pgs_langs[pes_data.pid]);
+                    this.parsePGSSubtitlePayload(payload, pts, pes_data.pid, stream_id, this.pmt_.pgs_langs[pes_data.pid]);
                     break;
                 case StreamType.kH264:
-                    this.parseH264Payload(payload, pts, dts, pes_data.file_position, pes_data.random_access_indicator);
+                case StreamType.kSampleAESH264:
+                    this.parseH264Payload(payload, pts, dts, pes_data.file_position, pes_data.random_access_indicator, sample_aes);
                     break;
                 case StreamType.kH265:
                     this.parseH265Payload(payload, pts, dts, pes_data.file_position, pes_data.random_access_indicator);
@@ -669,6 +1047,11 @@ class TSDemuxer extends BaseDemuxer {
                 }
 
                 let payload = data.subarray(payload_start_index, payload_start_index + payload_length);
+                if (this.pmt_.arib_caption_pids[pes_data.pid]) {
+                    // Some superimpose streams carry private_stream_2 with a PES header anyway
+                    let caption_payload = (payload[0] & 0xC0) === 0x80 ? payload.subarray(3 + payload[2]) : payload;
+                    this.parseARIBCaptionPayload(caption_payload, undefined, pes_data.pid, stream_id);
+                }
                 this.parsePESPrivateDataPayload(payload, undefined, undefined, pes_data.pid, stream_id);
             }
         }
@@ -694,6 +1077,7 @@ class TSDemuxer extends BaseDemuxer {
         if (current_next_indicator === 1 && section_number === 0) {
             pat = new PAT();
             pat.version_number = version_number;
+            pat.transport_stream_id = transport_stream_id;
         } else {
             pat = this.pat_;
             if (pat == undefined) {
@@ -704,7 +1088,7 @@ class TSDemuxer extends BaseDemuxer {
         let program_start_index = 8;
         let program_bytes = section_length - 5 - 4;  // section_length - (headers + crc)
         let first_program_number = -1;
-        let first_pmt_pid = -1;
+        let program_list_changed = false;
 
         for (let i = program_start_index; i < program_start_index + program_bytes; i += 4) {
             let program_number = (data[i] << 8) | data[i + 1];
@@ -715,26 +1099,149 @@ class TSDemuxer extends BaseDemuxer {
                 pat.network_pid = pid;
             } else {
                 // program_map_PID
+                if (this.pat_ == undefined || this.pat_.program_pmt_pid[program_number] !== pid) {
+                    program_list_changed = true;
+                }
                 pat.program_pmt_pid[program_number] = pid;
 
                 if (first_program_number === -1) {
                     first_program_number = program_number;
                 }
-
-                if (first_pmt_pid === -1) {
-                    first_pmt_pid = pid;
-                }
             }
         }
 
-        // Currently we only deal with first appeared PMT pid
         if (current_next_indicator === 1 && section_number === 0) {
             if (this.pat_ == undefined) {
                 Log.v(this.TAG, `Parsed first PAT: ${JSON.stringify(pat)}`);
+            } else if (this.pat_.version_number !== version_number) {
+                program_list_changed = true;
             }
             this.pat_ = pat;
-            this.current_program_ = first_program_number;
-            this.current_pmt_pid_ = first_pmt_pid;
+            if (this.ts_analyzer_) {
+                this.ts_analyzer_.setPAT(pat.program_pmt_pid);
+            }
+        }
+
+        // Prefer the program specified by user, then keep current program if it still exists,
+        // otherwise fallback to the first appeared program
+        let program_number = this.current_program_;
+        if (this.preferred_program_ != undefined && pat.program_pmt_pid[this.preferred_program_] != undefined) {
+            program_number = this.preferred_program_;
+        } else if (program_number == undefined || pat.program_pmt_pid[program_number] == undefined) {
+            program_number = first_program_number;
+        }
+
+        if (program_number !== -1 && program_number != undefined
+                && (program_number !== this.current_program_
+                    || pat.program_pmt_pid[program_number] !== this.current_pmt_pid_)) {
+            this.setCurrentProgram(program_number);
+            program_list_changed = true;
+        }
+
+        if (program_list_changed) {
+            if (this.preferred_program_ != undefined && pat.program_pmt_pid[this.preferred_program_] == undefined) {
+                Log.w(this.TAG, `Preferred program_number ${this.preferred_program_} does not exist in PAT, ` +
+                                `use program_number ${this.current_program_} instead`);
+            }
+            this.dispatchProgramList();
+        }
+    }
+
+    private setCurrentProgram(program_number: number): void {
+        if (this.current_program_ != undefined) {
+            Log.v(this.TAG, `Switching program_number from ${this.current_program_} to ${program_number}`);
+            this.resetProgramState();
+        }
+
+        this.current_program_ = program_number;
+        this.current_pmt_pid_ = this.pat_.program_pmt_pid[program_number];
+    }
+
+    private resetProgramState(): void {
+        // flush parsed frames of previous program before dropping its states
+        this.dispatchAudioVideoMediaSegment();
+
+        this.pmt_ = undefined;
+        this.pes_slice_queues_ = {};
+        this.arib_caption_parsers_ = {};
+        this.dvb_subtitle_stream_ = undefined;
+        this.dvb_subtitle_parser_ = undefined;
+        this.teletext_parsers_ = {};
+        this.pgs_parsers_ = {};
+        this.closed_caption_parser_ = undefined;
+        this.preferred_video_pid_ = undefined;
+        this.preferred_audio_pid_ = undefined;
+
+        this.video_metadata_ = {
+            vps: undefined,
+            sps: undefined,
+            pps: undefined,
+            av1c: undefined,
+            details: undefined
+        };
+        this.audio_metadata_ = {
+            codec: undefined,
+            audio_object_type: undefined,
+            sampling_freq_index: undefined,
+            sampling_frequency: undefined,
+            channel_config: undefined
+        };
+
+        this.audio_last_sample_pts_ = undefined;
+        this.aac_last_incomplete_data_ = null;
+        this.aac_program_config_ = null;
+        this.loas_previous_frame = null;
+        this.last_dts_ms_ = {};
+        this.pcr_discontinuity_ = { audio: false, video: false };
+
+        this.has_video_ = false;
+        this.has_audio_ = false;
+        this.video_init_segment_dispatched_ = false;
+        this.audio_init_segment_dispatched_ = false;
+        this.video_metadata_changed_ = false;
+        this.audio_metadata_changed_ = false;
+
+        this.video_track_.samples = [];
+        this.video_track_.length = 0;
+        this.audio_track_.samples = [];
+        this.audio_track_.length = 0;
+
+        // file positions of keyframes in another program are useless
+        this.media_info_ = new MediaInfo();
+        this.keyframes_index_ = new KeyframesIndex();
+        this.media_info_.keyframesIndex = this.keyframes_index_;
+    }
+
+    private fillMediaInfoPrograms(): void {
+        if (this.pat_ == undefined) {
+            return;
+        }
+
+        let mi = this.media_info_;
+        mi.currentProgram = this.current_program_;
+        mi.programs = this.getProgramList().programs;
+    }
+
+    private getProgramList(): ProgramList {
+        let program_list = new ProgramList();
+        program_list.transport_stream_id = this.pat_.transport_stream_id;
+        program_list.current_program = this.current_program_;
+
+        for (let program_number in this.pat_.program_pmt_pid) {
+            program_list.programs.push({
+                program_number: parseInt(program_number),
+                pmt_pid: this.pat_.program_pmt_pid[program_number]
+            });
+        }
+
+        return program_list;
+    }
+
+    private dispatchProgramList(): void {
+        this.fillMediaInfoPrograms();
+
+        if (this.onProgramList) {
+            this.onProgramList(this.getProgramList());
         }
     }
 
@@ -773,6 +1280,15 @@ class TSDemuxer extends BaseDemuxer {
         let info_start_index = 12 + program_info_length;
         let info_bytes = section_length - 9 - program_info_length - 4;
 
+        // Pre-scan elementary PIDs to check whether the tracks selected by user still exist
+        let elementary_pids: { [pid: number]: boolean } = {};
+        for (let i = info_start_index; i < info_start_index + info_bytes; ) {
+            elementary_pids[((data[i + 1] & 0x1F) << 8) | data[i + 2]] = true;
+            i += 5 + (((data[i + 3] & 0x0F) << 8) | data[i + 4]);
+        }
+        let preferred_video_pid = elementary_pids[this.preferred_video_pid_] ? this.preferred_video_pid_ : undefined;
+        let preferred_audio_pid = elementary_pids[this.preferred_audio_pid_] ? this.preferred_audio_pid_ : undefined;
+
         for (let i = info_start_index; i < info_start_index + info_bytes; ) {
             let stream_type = data[i] as StreamType;
             let elementary_PID = ((data[i + 1] & 0x1F) << 8) | data[i + 2];
@@ -780,23 +1296,46 @@ class TSDemuxer extends BaseDemuxer {
 
             pmt.pid_stream_type[elementary_PID] = stream_type;
 
-            let already_has_video =  pmt.common_pids.h264 || pmt.common_pids.h265;
+            let already_has_video =  pmt.common_pids.h264 || pmt.common_pids.h265 || pmt.common_pids.av1;
             let already_has_audio = pmt.common_pids.adts_aac || pmt.common_pids.loas_aac || pmt.common_pids.ac3 || pmt.common_pids.eac3 || pmt.common_pids.opus || pmt.common_pids.mp3;
 
-            if (stream_type === StreamType.kH264 && !already_has_video) {
-                pmt.common_pids.h264 = elementary_PID;
-            } else if (stream_type === StreamType.kH265 && !already_has_video) {
-                pmt.common_pids.h265 = elementary_PID;
-            } else if (stream_type === StreamType.kADTSAAC && !already_has_audio) {
-                pmt.common_pids.adts_aac = elementary_PID;
-            } else if (stream_type === StreamType.kLOASAAC && !already_has_audio) {
-                pmt.common_pids.loas_aac = elementary_PID;
-            } else if (stream_type === StreamType.kAC3 && !already_has_audio) {
-                pmt.common_pids.ac3 = elementary_PID; // ATSC AC-3
-            } else if (stream_type === StreamType.kEAC3 && !already_has_audio) {
-                pmt.common_pids.eac3 = elementary_PID; // ATSC EAC-3
-            } else if ((stream_type === StreamType.kMPEG1Audio || stream_type === StreamType.kMPEG2Audio) && !already_has_audio) {
-                pmt.common_pids.mp3 = elementary_PID;
+            // Select the track specified by user if exists, otherwise the first appeared one
+            let select_video = preferred_video_pid != undefined ? elementary_PID === preferred_video_pid : !already_has_video;
+            let select_audio = preferred_audio_pid != undefined ? elementary_PID === preferred_audio_pid : !already_has_audio;
+
+            let language: string | undefined;
+            let audio_type: number | undefined;
+            for (let offset = i + 5; offset < i + 5 + ES_info_length; ) {
+                let tag = data[offset + 0];
+                let length = data[offset + 1];
+                if (tag === 0x0a && length >= 4) { // ISO_639_LANGUAGE_DESCRIPTOR
+                    language = String.fromCharCode(... Array.from(data.subarray(offset + 2, offset + 5)));
+                    audio_type = data[offset + 5];
+                }
+                offset += 2 + length;
+            }
+
+            let es_codec: ElementaryStreamCodec | undefined;
+
+            if (stream_type === StreamType.kSampleAESH264 || stream_type === StreamType.kSampleAESADTSAAC
+                    || stream_type === StreamType.kSampleAESAC3 || stream_type === StreamType.kSampleAESEAC3) {
+                pmt.sample_aes_pids[elementary_PID] = true;
+            }
+
+            if (stream_type === StreamType.kH264 || stream_type === StreamType.kSampleAESH264) {
+                es_codec = 'h264';
+            } else if (stream_type === StreamType.kH265) {
+                es_codec = 'h265';
+            } else if (stream_type === StreamType.kADTSAAC || stream_type === StreamType.kSampleAESADTSAAC) {
+                es_codec = 'adts_aac';
+            } else if (stream_type === StreamType.kLOASAAC) {
+                es_codec = 'loas_aac';
+            } else if (stream_type === StreamType.kAC3 || stream_type === StreamType.kSampleAESAC3) {
+                es_codec = 'ac3'; // ATSC AC-3
+            } else if (stream_type === StreamType.kEAC3 || stream_type === StreamType.kSampleAESEAC3) {
+                es_codec = 'eac3'; // ATSC EAC-3
+            } else if (stream_type === StreamType.kMPEG1Audio || stream_type === StreamType.kMPEG2Audio) {
+                es_codec = 'mp3';
             } else if (stream_type === StreamType.kPESPrivateData) {
                 pmt.pes_private_data_pids[elementary_PID] = true;
                 if (ES_info_length > 0) {
@@ -809,18 +1348,62 @@ class TSDemuxer extends BaseDemuxer {
 
                             if (registration === 'VANC') {
                                 pmt.smpte2038_pids[elementary_PID] = true;
-                            } /* else if (registration === 'AC-3' && !already_has_audio) {
-                                pmt.common_pids.ac3 = elementary_PID; // DVB AC-3 (FIXME: NEED VERIFY)
-                            } */ /* else if (registration === 'EC-3' && !alrady_has_audio) {
-                                pmt.common_pids.eac3 = elementary_PID; // DVB EAC-3 (FIXME: NEED VERIFY)
-                            } */
-                            else if (registration === 'AV01') {
-                                pmt.common_pids.av1 = elementary_PID;
+                            } else if (registration === 'AC-3') {
+                                es_codec = 'ac3';
+                            } else if (registration === 'EC-3') {
+                                es_codec = 'eac3';
+                            } else if (registration === 'AV01') {
+                                es_codec = 'av1';
+                                // assign in advance, following descriptors (e.g. av1c) depend on it
+                                if (select_video) {
+                                    pmt.common_pids.av1 = elementary_PID;
+                                }
                             } else if (registration === 'Opus') {
-                                pmt.common_pids.opus = elementary_PID;
+                                es_codec = 'opus';
+                                if (select_audio) {
+                                    pmt.common_pids.opus = elementary_PID;
+                                }
                             } else if (registration === 'KLVA') {
                                 pmt.asynchronous_klv_pids[elementary_PID] = true;
                             }
+                        } else if (tag === 0x6A) {  // DVB AC-3_descriptor
+                            es_codec = 'ac3';
+                        } else if (tag === 0x7A) {  // DVB enhanced_AC-3_descriptor
+                            es_codec = 'eac3';
+                        } else if (tag === 0x7C) {  // DVB AAC_descriptor, in ADTS
+                            es_codec = 'adts_aac';
+                        } else if (tag === 0xFD && length >= 2) {  // ARIB data_component_descriptor
+                            let data_component_id = (data[offset + 2] << 8) | data[offset + 3];
+                            if (data_component_id === 0x0008) {  // ARIB caption / superimpose
+                                pmt.arib_caption_pids[elementary_PID] = true;
+                            }
+                        } else if (tag === 0x59) {  // DVB subtitling_descriptor
+                            for (let entry = offset + 2; entry + 8 <= offset + 2 + length; entry += 8) {
+                                let stream = new DVBSubtitleStream();
+                                stream.pid = elementary_PID;
+                                stream.language = String.fromCharCode(... Array.from(data.subarray(entry, entry + 3)));
+                                stream.subtitling_type = data[entry + 3];
+                                stream.composition_page_id = (data[entry + 4] << 8) | data[entry + 5];
+                                stream.ancillary_page_id = (data[entry + 6] << 8) | data[entry + 7];
+                                pmt.dvb_subtitle_streams.push(stream);
+                                pmt.dvb_subtitle_pids[elementary_PID] = true;
+                            }
+                        } else if (tag === 0x56 || tag === 0x46) {  // DVB teletext_descriptor / VBI_teletext_descriptor
+                            for (let entry = offset + 2; entry + 5 <= offset + 2 + length; entry += 5) {
+                                let teletext_type = data[entry + 3] >> 3;
+                                if (teletext_type !== TeletextType.kSubtitlePage && teletext_type !== TeletextType.kHearingImpairedSubtitlePage) {
+                                    continue;
+                                }
+                                let page = new TeletextPage();
+                                page.pid = elementary_PID;
+                                page.language = String.fromCharCode(... Array.from(data.subarray(entry, entry + 3)));
+                                page.teletext_type = teletext_type;
+                                // magazine 0 stands for magazine 8, page number is coded in BCD
+                                page.page_number = ((data[entry + 3] & 0x07) || 8) * 100
+                                                   + (data[entry + 4] >> 4) * 10 + (data[entry + 4] & 0x0F);
+                                pmt.teletext_pages.push(page);
+                                pmt.teletext_pids[elementary_PID] = true;
+                            }
                         } else if (tag === 0x7F) {  // DVB extension descriptor
                             if (elementary_PID === pmt.common_pids.opus) {
                                 let ext_desc_tag = data[offset + 2];
@@ -916,20 +1499,129 @@ class TSDemuxer extends BaseDemuxer {
                 pmt.pgs_pids[elementary_PID] = true;
             }
 
+            if (es_codec != undefined) {
+                let es = new ElementaryStream();
+                es.pid = elementary_PID;
+                es.stream_type = stream_type;
+                es.codec = es_codec;
+                es.language = language;
+                es.audio_type = audio_type;
+
+                if (es_codec === 'h264' || es_codec === 'h265' || es_codec === 'av1') {
+                    pmt.video_streams.push(es);
+                    if (select_video) {
+                        pmt.common_pids[es_codec] = elementary_PID;
+                    }
+                } else {
+                    pmt.audio_streams.push(es);
+                    if (select_audio) {
+                        pmt.common_pids[es_codec] = elementary_PID;
+                    }
+                }
+            }
+
             i += 5 + ES_info_length;
         }
 
         if (program_number === this.current_program_) {
+            let track_list_changed = false;
             if (this.pmt_ == undefined) {
                 Log.v(this.TAG, `Parsed first PMT: ${JSON.stringify(pmt)}`);
+                track_list_changed = true;
+            } else if (this.pmt_.version_number !== pmt.version_number) {
+                track_list_changed = true;
             }
             this.pmt_ = pmt;
+            if (this.ts_analyzer_) {
+                this.ts_analyzer_.setPMT(pmt.pcr_pid, Object.keys(pmt.pid_stream_type).map(Number));
+            }
             if (pmt.common_pids.h264 || pmt.common_pids.h265 || pmt.common_pids.av1) {
                 this.has_video_ = true;
             }
-            if (pmt.common_pids.adts_aac || pmt.common_pids.loas_aac || pmt.common_pids.ac3 || pmt.common_pids.opus || pmt.common_pids.mp3) {
+            if (pmt.common_pids.adts_aac || pmt.common_pids.loas_aac || pmt.common_pids.ac3 || pmt.common_pids.eac3
+                    || pmt.common_pids.opus || pmt.common_pids.mp3) {
                 this.has_audio_ = true;
             }
+            this.selectDVBSubtitleStream();
+            if (track_list_changed) {
+                this.dispatchTrackList();
+            }
+        }
+    }
+
+    private getCurrentVideoPID(): number | undefined {
+        if (this.pmt_ == undefined) {
+            return undefined;
+        }
+        let common_pids = this.pmt_.common_pids;
+        return common_pids.h264 || common_pids.h265 || common_pids.av1;
+    }
+
+    private getCurrentAudioPID(): number | undefined {
+        if (this.pmt_ == undefined) {
+            return undefined;
+        }
+        let common_pids = this.pmt_.common_pids;
+        return common_pids.adts_aac || common_pids.loas_aac || common_pids.ac3 || common_pids.eac3 || common_pids.opus || common_pids.mp3;
+    }
+
+    // Select the subtitle page of preferred language if exists, otherwise the first one. Returns whether changed
+    private selectDVBSubtitleStream(): boolean {
+        let streams = this.pmt_.dvb_subtitle_streams;
+        let stream = streams.filter((s) => s.language === this.preferred_subtitle_language_)[0] ?? streams[0];
+        let current = this.dvb_subtitle_stream_;
+
+        if (stream != undefined && current != undefined
+                && stream.pid === current.pid
+                && stream.composition_page_id === current.composition_page_id
+                && stream.ancillary_page_id === current.ancillary_page_id) {
+            this.dvb_subtitle_stream_ = stream;
+            return false;
+        } else if (stream == undefined && current == undefined) {
+            return false;
+        }
+
+        if (stream != undefined) {
+            Log.v(this.TAG, `Selected DVB subtitle of language ${stream.language} on pid ${stream.pid}, page ${stream.composition_page_id}`);
+        }
+        this.dvb_subtitle_stream_ = stream;
+        this.dvb_subtitle_parser_ = stream != undefined
+            ? new DVBSubtitleParser(stream.composition_page_id, stream.ancillary_page_id)
+            : undefined;
+        return true;
+    }
+
+    private getTrackList(): TrackList {
+        let track_list = new TrackList();
+        track_list.program_number = this.pmt_.program_number;
+        track_list.video_pid = this.getCurrentVideoPID();
+        track_list.audio_pid = this.getCurrentAudioPID();
+        track_list.video_tracks = this.pmt_.video_streams;
+        track_list.audio_tracks = this.pmt_.audio_streams;
+        track_list.subtitle_language = this.dvb_subtitle_stream_?.language;
+        track_list.subtitle_tracks = this.pmt_.dvb_subtitle_streams;
+        return track_list;
+    }
+
+    private fillMediaInfoTracks(): void {
+        if (this.pmt_ == undefined) {
+            return;
+        }
+
+        let mi = this.media_info_;
+        mi.videoTracks = this.pmt_.video_streams;
+        mi.audioTracks = this.pmt_.audio_streams;
+        mi.currentVideoPid = this.getCurrentVideoPID();
+        mi.currentAudioPid = this.getCurrentAudioPID();
+        mi.subtitleTracks = this.pmt_.dvb_subtitle_streams;
+        mi.currentSubtitleLanguage = this.dvb_subtitle_stream_?.language;
+    }
+
+    private dispatchTrackList(): void {
+        this.fillMediaInfoTracks();
+
+        if (this.onTrackList) {
+            this.onTrackList(this.getTrackList());
         }
     }
 
@@ -937,7 +1629,8 @@ class TSDemuxer extends BaseDemuxer {
         const scte35 = readSCTE35(data);
 
         if (scte35.pts != undefined) {
-            let pts_ms = Math.floor(scte35.pts / this.timescale_);
+            // pts_time + pts_adjustment is modulo 2^33
+            let pts_ms = Math.floor(this.unwrapTimestamp(scte35.pts) / this.timescale_);
             scte35.pts = pts_ms;
         } else {
             scte35.nearest_pts = this.getNearestTimestampMilliseconds();
@@ -948,6 +1641,74 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
+    private isSIPID(pid: number): boolean {
+        let network_pid = this.pat_ != undefined && this.pat_.network_pid != undefined ? this.pat_.network_pid : SIPID.kNIT;
+        return pid === network_pid || pid === SIPID.kSDT || pid === SIPID.kEIT || pid === SIPID.kTDT;
+    }
+
+    private parseSI(pid: number, data: Uint8Array): void {
+        let table_id = data[0];
+
+        if (table_id === SITableId.kTDT || table_id === SITableId.kTOT) {
+            if (data.byteLength < 8) {
+                return;
+            }
+            let tdt_tot = readTDTTOT(data, this.is_arib_network_);
+            if (this.onTDTTOT) {
+                this.onTDTTOT(tdt_tot);
+            }
+            return;
+        }
+
+        let is_nit = (pid !== SIPID.kSDT && pid !== SIPID.kEIT)
+            && (table_id === SITableId.kNITActual || table_id === SITableId.kNITOther);
+        let is_sdt = pid === SIPID.kSDT
+            && (table_id === SITableId.kSDTActual || table_id === SITableId.kSDTOther);
+        let is_eit = pid === SIPID.kEIT
+            && (table_id >= SITableId.kEITPresentFollowingActual && table_id <= SITableId.kEITScheduleOtherLast);
+
+        if (!is_nit && !is_sdt && !is_eit) {
+            return;
+        }
+
+        let section_syntax_indicator = (data[1] & 0x80) >>> 7;
+        let current_next_indicator = data[5] & 0x01;
+        if (section_syntax_indicator !== 1 || current_next_indicator !== 1 || data.byteLength < 16) {
+            return;
+        }
+
+        // Skip sections which have already been parsed, SI tables are repeated frequently
+        let version_number = (data[5] & 0x3E) >>> 1;
+        let key = `${pid}/${table_id}/${(data[3] << 8) | data[4]}/${data[6]}/${(data[8] << 8) | data[9]}/${(data[10] << 8) | data[11]}`;
+        if (this.si_section_versions_[key] === version_number) {
+            return;
+        }
+        this.si_section_versions_[key] = version_number;
+
+        if (is_nit) {
+            let nit = readNIT(data);
+            if (table_id === SITableId.kNITActual) {
+                this.is_arib_network_ = isARIBNetworkId(nit.network_id);
+            }
+            if (this.onNIT) {
+                this.onNIT(nit);
+            }
+        } else if (is_sdt) {
+            let sdt = readSDT(data);
+            if (table_id === SITableId.kSDTActual) {
+                this.is_arib_network_ = isARIBNetworkId(sdt.original_network_id);
+            }
+            if (this.onSDT) {
+                this.onSDT(sdt);
+            }
+        } else if (is_eit) {
+            let eit = readEIT(data);
+            if (this.onEIT) {
+                this.onEIT(eit);
+            }
+        }
+    }
+
     private parseAV1Payload(data: Uint8Array, pts: number, dts: number, file_position: number, random_access_indicator: number) {
         let av1_in_ts_parser = new AV1OBUInMpegTsParser(data);
         let payload: Uint8Array | null = null;
@@ -1006,17 +1767,32 @@ class TSDemuxer extends BaseDemuxer {
             };
             track.samples.push(av1_sample);
             track.length += length;
+            if (keyframe && !this.config_.isLive) {
+                this.keyframes_index_.addKeyframe(dts_ms + this.keyframes_time_offset_, file_position);
+            }
         }
     }
 
-    private parseH264Payload(data: Uint8Array, pts: number, dts: number, file_position: number, random_access_indicator: number) {
+    private parseH264Payload(data: Uint8Array, pts: number, dts: number, file_position: number, random_access_indicator: number, sample_aes: SampleAESDecryptor | SampleAESEncryption | null = null) {
         let annexb_parser = new H264AnnexBParser(data);
         let nalu_payload: H264NaluPayload = null;
         let units: {type: H264NaluType, data: Uint8Array}[] = [];
         let length = 0;
         let keyframe = false;
+        let cc_data_list: Uint8Array[] = [];
+        // subsamples of the sample kept encrypted, and clear bytes not assigned to them yet
+        let subsamples: SubsampleEntry[] = sample_aes instanceof SampleAESEncryption ? [] : null;
+        let clear_bytes = 0;
 
         while ((nalu_payload = annexb_parser.readNextNaluPayload()) != null) {
+            let protected_bytes = 0;
+            if (sample_aes instanceof SampleAESDecryptor) {
+                nalu_payload.data = sample_aes.decryptH264NALUnit(nalu_payload.data);
+            } else if (sample_aes != null) {
+                let unescaped = sample_aes.unescapeH264NALUnit(nalu_payload.data);
+                nalu_payload.data = unescaped.data;
+                protected_bytes = unescaped.protected_bytes;
+            }
             let nalu_avc1 = new H264NaluAVC1(nalu_payload);
 
             if (nalu_avc1.type === H264NaluType.kSliceSPS) {
@@ -1025,7 +1801,7 @@ class TSDemuxer extends BaseDemuxer {
                 if (!this.video_init_segment_dispatched_) {
                     this.video_metadata_.sps = nalu_avc1;
                     this.video_metadata_.details = details;
-                } else if (this.detectVideoMetadataChange(nalu_avc1, details) === true) {
+                } else if (this.detectVideoMetadataChange(nalu_avc1, details) === true || this.detectVideoEncryptionChange()) {
                     Log.v(this.TAG, `H264: Critical h264 metadata has been changed, attempt to re-generate InitSegment`);
                     this.video_metadata_changed_ = true;
                     this.video_metadata_ = {vps: undefined, sps: nalu_avc1, pps: undefined, av1c: undefined, details: details};
@@ -1047,21 +1823,34 @@ class TSDemuxer extends BaseDemuxer {
             } else if (nalu_avc1.type === H264NaluType.kSliceNonIDR && random_access_indicator === 1) {
                 // For open-gop stream, use random_access_indicator to identify keyframe
                 keyframe = true;
+            } else if (nalu_avc1.type === H264NaluType.kSliceSEI) {
+                // Skip 1 byte NAL unit header
+                cc_data_list.push(... extractCCDataFromSEI(nalu_payload.data.subarray(1)));
             }
 
             // Push samples to remuxer only if initialization metadata has been dispatched
             if (this.video_init_segment_dispatched_) {
                 units.push(nalu_avc1);
                 length += nalu_avc1.data.byteLength;
+
+                if (subsamples != null && protected_bytes > 0) {
+                    // 4 bytes NAL unit length and 32 bytes leader in clear
+                    appendSubsample(subsamples, clear_bytes + 4 + 32, protected_bytes);
+                    clear_bytes = nalu_payload.data.byteLength - 32 - protected_bytes;
+                } else if (subsamples != null) {
+                    clear_bytes += nalu_avc1.data.byteLength;
+                }
             }
         }
 
         let pts_ms = Math.floor(pts / this.timescale_);
         let dts_ms = Math.floor(dts / this.timescale_);
 
+        this.parseClosedCaptionData(cc_data_list, pts_ms, dts_ms);
+
         if (units.length) {
             let track = this.video_track_;
-            let avc_sample = {
+            let avc_sample: any = {
                 units,
                 length,
                 isKeyframe: keyframe,
@@ -1070,8 +1859,21 @@ class TSDemuxer extends BaseDemuxer {
                 cts: pts_ms - dts_ms,
                 file_position
             };
+            if (subsamples != null) {
+                if (clear_bytes > 0) {
+                    appendSubsample(subsamples, clear_bytes, 0);
+                }
+                if (subsamples.length > kMaxSubsampleCount) {
+                    Log.w(this.TAG, `H264: Dropped encrypted frame at ${dts_ms}ms, ${subsamples.length} subsamples can't be described by saiz`);
+                    return;
+                }
+                avc_sample.subsamples = subsamples;
+            }
             track.samples.push(avc_sample);
             track.length += length;
+            if (keyframe && !this.config_.isLive) {
+                this.keyframes_index_.addKeyframe(dts_ms + this.keyframes_time_offset_, file_position);
+            }
         }
     }
 
@@ -1081,6 +1883,7 @@ class TSDemuxer extends BaseDemuxer {
         let units: {type: H265NaluType, data: Uint8Array}[] = [];
         let length = 0;
         let keyframe = false;
+        let cc_data_list: Uint8Array[] = [];
 
         while ((nalu_payload = annexb_parser.readNextNaluPayload()) != null) {
             let nalu_hvc1 = new H265NaluHVC1(nalu_payload);
@@ -1127,6 +1930,9 @@ class TSDemuxer extends BaseDemuxer {
                 }
             } else if (nalu_hvc1.type === H265NaluType.kSliceIDR_W_RADL || nalu_hvc1.type === H265NaluType.kSliceIDR_N_LP || nalu_hvc1.type === H265NaluType.kSliceCRA_NUT) {
                 keyframe = true;
+            } else if (nalu_hvc1.type === H265NaluType.kSlicePrefixSEI || nalu_hvc1.type === H265NaluType.kSliceSuffixSEI) {
+                // Skip 2 bytes NAL unit header
+                cc_data_list.push(... extractCCDataFromSEI(nalu_payload.data.subarray(2)));
             }
 
             // Push samples to remuxer only if initialization metadata has been dispatched
@@ -1139,6 +1945,8 @@ class TSDemuxer extends BaseDemuxer {
         let pts_ms = Math.floor(pts / this.timescale_);
         let dts_ms = Math.floor(dts / this.timescale_);
 
+        this.parseClosedCaptionData(cc_data_list, pts_ms, dts_ms);
+
         if (units.length) {
             let track = this.video_track_;
             let hvc_sample = {
@@ -1152,9 +1960,30 @@ class TSDemuxer extends BaseDemuxer {
             };
             track.samples.push(hvc_sample);
             track.length += length;
+            if (keyframe && !this.config_.isLive) {
+                this.keyframes_index_.addKeyframe(dts_ms + this.keyframes_time_offset_, file_position);
+            }
         }
     }
 
+    // Encryption of the SAMPLE-AES stream of the track, if it's kept encrypted for EME
+    private getTrackEncryption(type: 'video' | 'audio'): SampleAESEncryption | null {
+        let pids = this.pmt_.common_pids;
+        let pid = type === 'video' ? pids.h264 : [pids.adts_aac, pids.ac3, pids.eac3].find((pid) => pid != undefined);
+        if (pid == undefined || !this.pmt_.sample_aes_pids[pid]) {
+            return null;
+        }
+        return this.sample_aes_encryption_;
+    }
+
+    private detectVideoEncryptionChange(): boolean {
+        if (!SampleAESEncryption.equals(this.getTrackEncryption('video'), this.video_encryption_)) {
+            Log.v(this.TAG, `Video: Key ID or IV of the encrypted stream changed`);
+            return true;
+        }
+        return false;
+    }
+
     private detectVideoMetadataChange(new_sps: H264NaluAVC1 | H265NaluHVC1, new_details: any): boolean {
         if (new_details.codec_mimetype !== this.video_metadata_.details.codec_mimetype) {
             Log.v(this.TAG, `Video: Codec mimeType changed from ` +
@@ -1245,6 +2074,11 @@ class TSDemuxer extends BaseDemuxer {
                 Log.v(this.TAG, `Generated first AVCDecoderConfigurationRecord for mimeType: ${meta.codec}`);
             }
         }
+        this.video_encryption_ = this.getTrackEncryption('video');
+        if (this.video_encryption_ != null) {
+            meta.encryption = this.video_encryption_.getTrackEncryption('video');
+        }
+
         this.onTrackMetadata('video', meta);
         this.video_init_segment_dispatched_ = true;
         this.video_metadata_changed_ = false;
@@ -1274,8 +2108,35 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
+    // After seeking, frames before the first video keyframe can't be decoded, and audio is trimmed to start with it.
+    // Returns false if the keyframe hasn't arrived yet, samples shouldn't be dispatched until then
+    private skipToRandomAccessPoint(): boolean {
+        if (!this.seeking_) {
+            return true;
+        }
+
+        if (this.has_video_) {
+            let video_samples = this.video_track_.samples;
+            let keyframe_index = video_samples.findIndex((sample) => sample.isKeyframe);
+            if (keyframe_index === -1) {
+                this.video_track_.samples = [];
+                this.video_track_.length = 0;
+                return false;
+            }
+
+            let keyframe_dts = video_samples[keyframe_index].dts;
+            this.video_track_.samples = video_samples.slice(keyframe_index);
+            this.video_track_.length = this.video_track_.samples.reduce((length, sample) => length + sample.length, 0);
+            this.audio_track_.samples = this.audio_track_.samples.filter((sample) => sample.dts >= keyframe_dts);
+            this.audio_track_.length = this.audio_track_.samples.reduce((length, sample) => length + sample.length, 0);
+        }
+
+        this.seeking_ = false;
+        return true;
+    }
+
     private dispatchVideoMediaSegment() {
-        if (this.isInitSegmentDispatched()) {
+        if (this.isInitSegmentDispatched() && this.skipToRandomAccessPoint()) {
             if (this.video_track_.length) {
                 this.onDataAvailable(null, this.video_track_);
             }
@@ -1283,22 +2144,80 @@ class TSDemuxer extends BaseDemuxer {
     }
 
     private dispatchAudioMediaSegment() {
-        if (this.isInitSegmentDispatched()) {
+        if (this.isInitSegmentDispatched() && this.skipToRandomAccessPoint()) {
             if (this.audio_track_.length) {
                 this.onDataAvailable(this.audio_track_, null);
             }
         }
     }
 
+    private detectPCRDiscontinuity(pcr: number, discontinuity_indicator: number): void {
+        if (this.last_pcr_ == undefined) {
+            return;
+        }
+        let delta_ms = (pcr - this.last_pcr_) / 300 / this.timescale_;
+        // PCR shall be sent at least every 100ms
+        if (discontinuity_indicator === 1 || delta_ms < 0 || delta_ms > 1000) {
+            Log.w(this.TAG, `PCR discontinuity: ${discontinuity_indicator === 1 ? 'discontinuity_indicator set' : `jumped by ${Math.round(delta_ms)}ms`}`);
+            this.pcr_discontinuity_.audio = this.pcr_discontinuity_.video = true;
+        }
+    }
+
+    private getTrackType(pid: number): 'audio' | 'video' | undefined {
+        let common_pids = this.pmt_.common_pids;
+        if (pid === common_pids.h264 || pid === common_pids.h265 || pid === common_pids.av1) {
+            return 'video';
+        } else if (pid === common_pids.adts_aac || pid === common_pids.loas_aac || pid === common_pids.ac3
+                || pid === common_pids.eac3 || pid === common_pids.opus || pid === common_pids.mp3) {
+            return 'audio';
+        }
+        return undefined;
+    }
+
+    private detectTimestampDiscontinuity(track: 'audio' | 'video', dts: number): void {
+        let dts_ms = Math.floor(dts / this.timescale_);
+        let last_dts_ms = this.last_dts_ms_[track];
+        let pcr_discontinuity = this.pcr_discontinuity_[track];
+        this.last_dts_ms_[track] = dts_ms;
+        this.pcr_discontinuity_[track] = false;
+
+        if (last_dts_ms == undefined) {
+            return;
+        }
+        let reason = checkTimestampJump(last_dts_ms, dts_ms, pcr_discontinuity);
+        if (reason == null) {
+            return;
+        }
+
+        Log.w(this.TAG, `Timestamp discontinuity (${reason}) of ${track}: ${last_dts_ms}ms -> ${dts_ms}ms`);
+
+        // Samples before the discontinuity shouldn't be remuxed together with the following ones
+        this.dispatchAudioVideoMediaSegment();
+        if (track === 'audio') {
+            this.audio_last_sample_pts_ = undefined;
+            this.aac_last_incomplete_data_ = null;
+            this.loas_previous_frame = null;
+        }
+
+        if (this.onTimestampDiscontinuity) {
+            let discontinuity = new TimestampDiscontinuity();
+            discontinuity.track = track;
+            discontinuity.reason = reason;
+            discontinuity.previous_timestamp = last_dts_ms;
+            discontinuity.timestamp = dts_ms;
+            this.onTimestampDiscontinuity(discontinuity);
+        }
+    }
+
     private dispatchAudioVideoMediaSegment() {
-        if (this.isInitSegmentDispatched()) {
+        if (this.isInitSegmentDispatched() && this.skipToRandomAccessPoint()) {
             if (this.audio_track_.length || this.video_track_.length) {
                 this.onDataAvailable(this.audio_track_, this.video_track_);
             }
         }
     }
 
-    private parseADTSAACPayload(data: Uint8Array, pts: number) {
+    private parseADTSAACPayload(data: Uint8Array, pts: number, sample_aes: SampleAESDecryptor | SampleAESEncryption | null = null) {
         if (this.has_video_ && !this.video_init_segment_dispatched_) {
             // If first video IDR frame hasn't been detected,
             // Wait for first IDR frame and video init segment being dispatched
@@ -1345,12 +2264,28 @@ class TSDemuxer extends BaseDemuxer {
         let last_sample_pts_ms: number;
 
         while ((aac_frame = adts_parser.readNextAACFrame()) != null) {
+            if (sample_aes instanceof SampleAESDecryptor) {
+                sample_aes.decryptAudioFrame(aac_frame.data);
+            }
             ref_sample_duration = 1024 / aac_frame.sampling_frequency * 1000;
             const audio_sample = {
                 codec: 'aac',
                 data: aac_frame
             } as const;
 
+            if (aac_frame.channel_config === 0) {
+                if (aac_frame.program_config) {
+                    this.aac_program_config_ = aac_frame.program_config;
+                } else {
+                    aac_frame.program_config = this.aac_program_config_;
+                }
+            }
+            if (this.audio_init_segment_dispatched_ == false && aac_frame.channel_config === 0 && aac_frame.program_config == null) {
+                // Channels are unknown until a frame carrying program_config_element() arrives
+                sample_pts_ms += ref_sample_duration;
+                continue;
+            }
+
             if (this.audio_init_segment_dispatched_ == false) {
                 this.audio_metadata_ = {
                     codec: 'aac',
@@ -1370,12 +2305,15 @@ class TSDemuxer extends BaseDemuxer {
             last_sample_pts_ms = sample_pts_ms;
             let sample_pts_ms_int = Math.floor(sample_pts_ms);
 
-            let aac_sample = {
+            let aac_sample: any = {
                 unit: aac_frame.data,
                 length: aac_frame.data.byteLength,
                 pts: sample_pts_ms_int,
                 dts: sample_pts_ms_int
             };
+            if (sample_aes instanceof SampleAESEncryption) {
+                aac_sample.subsamples = sample_aes.getAudioFrameSubsamples(aac_frame.data.byteLength);
+            }
             this.audio_track_.samples.push(aac_sample);
             this.audio_track_.length += aac_frame.data.byteLength;
 
@@ -1413,7 +2351,7 @@ class TSDemuxer extends BaseDemuxer {
         }
         if (this.audio_metadata_.codec === 'aac') {
             if (pts == undefined && this.audio_last_sample_pts_ != undefined) {
-                ref_sample_duration = 1024 / this.audio_metadata_.sampling_frequency * 1000;
+                ref_sample_duration = (this.loas_previous_frame?.frame_length ?? 1024) / this.audio_metadata_.sampling_frequency * 1000;
                 base_pts_ms = this.audio_last_sample_pts_ + ref_sample_duration;
             } else if (pts == undefined){
                 Log.w(this.TAG, `AAC: Unknown pts`);
@@ -1421,7 +2359,7 @@ class TSDemuxer extends BaseDemuxer {
             }
 
             if (this.aac_last_incomplete_data_ && this.audio_last_sample_pts_) {
-                ref_sample_duration = 1024 / this.audio_metadata_.sampling_frequency * 1000;
+                ref_sample_duration = (this.loas_previous_frame?.frame_length ?? 1024) / this.audio_metadata_.sampling_frequency * 1000;
                 let new_pts_ms = this.audio_last_sample_pts_ + ref_sample_duration;
 
                 if (Math.abs(new_pts_ms - base_pts_ms) > 1) {
@@ -1439,7 +2377,7 @@ class TSDemuxer extends BaseDemuxer {
 
         while ((aac_frame = loas_parser.readNextAACFrame(this.loas_previous_frame ?? undefined)) != null) {
             this.loas_previous_frame = aac_frame;
-            ref_sample_duration = 1024 / aac_frame.sampling_frequency * 1000;
+            ref_sample_duration = (aac_frame.frame_length ?? 1024) / aac_frame.sampling_frequency * 1000;
             const audio_sample = {
                 codec: 'aac',
                 data: aac_frame
@@ -1485,7 +2423,7 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
-    private parseAC3Payload(data: Uint8Array, pts: number) {
+    private parseAC3Payload(data: Uint8Array, pts: number, sample_aes: SampleAESDecryptor | SampleAESEncryption | null = null) {
         if (this.has_video_ && !this.video_init_segment_dispatched_) {
             // If first video IDR frame hasn't been detected,
             // Wait for first IDR frame and video init segment being dispatched
@@ -1515,6 +2453,9 @@ class TSDemuxer extends BaseDemuxer {
         let last_sample_pts_ms: number;
 
         while ((ac3_frame = adts_parser.readNextAC3Frame()) != null) {
+            if (sample_aes instanceof SampleAESDecryptor) {
+                sample_aes.decryptAudioFrame(ac3_frame.data);
+            }
             ref_sample_duration = 1536 / ac3_frame.sampling_frequency * 1000;
             const audio_sample = {
                 codec: 'ac-3',
@@ -1541,12 +2482,15 @@ class TSDemuxer extends BaseDemuxer {
             last_sample_pts_ms = sample_pts_ms;
             let sample_pts_ms_int = Math.floor(sample_pts_ms);
 
-            let ac3_sample = {
+            let ac3_sample: any = {
                 unit: ac3_frame.data,
                 length: ac3_frame.data.byteLength,
                 pts: sample_pts_ms_int,
                 dts: sample_pts_ms_int
             };
+            if (sample_aes instanceof SampleAESEncryption) {
+                ac3_sample.subsamples = sample_aes.getAudioFrameSubsamples(ac3_frame.data.byteLength);
+            }
 
             this.audio_track_.samples.push(ac3_sample);
             this.audio_track_.length += ac3_frame.data.byteLength;
@@ -1559,7 +2503,7 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
-    private parseEAC3Payload(data: Uint8Array, pts: number) {
+    private parseEAC3Payload(data: Uint8Array, pts: number, sample_aes: SampleAESDecryptor | SampleAESEncryption | null = null) {
         if (this.has_video_ && !this.video_init_segment_dispatched_) {
             // If first video IDR frame hasn't been detected,
             // Wait for first IDR frame and video init segment being dispatched
@@ -1589,6 +2533,9 @@ class TSDemuxer extends BaseDemuxer {
         let last_sample_pts_ms: number;
 
         while ((eac3_frame = adts_parser.readNextEAC3Frame()) != null) {
+            if (sample_aes instanceof SampleAESDecryptor) {
+                sample_aes.decryptAudioFrame(eac3_frame.data);
+            }
             ref_sample_duration = 1536 / eac3_frame.sampling_frequency * 1000; // TODO: EAC3 BLK
             const audio_sample = {
                 codec: 'ec-3',
@@ -1615,12 +2562,15 @@ class TSDemuxer extends BaseDemuxer {
             last_sample_pts_ms = sample_pts_ms;
             let sample_pts_ms_int = Math.floor(sample_pts_ms);
 
-            let ac3_sample = {
+            let ac3_sample: any = {
                 unit: eac3_frame.data,
                 length: eac3_frame.data.byteLength,
                 pts: sample_pts_ms_int,
                 dts: sample_pts_ms_int
             };
+            if (sample_aes instanceof SampleAESEncryption) {
+                ac3_sample.subsamples = sample_aes.getAudioFrameSubsamples(eac3_frame.data.byteLength);
+            }
 
             this.audio_track_.samples.push(ac3_sample);
             this.audio_track_.length += eac3_frame.data.byteLength;
@@ -1794,6 +2744,11 @@ class TSDemuxer extends BaseDemuxer {
     }
 
     private detectAudioMetadataChange(sample: AudioData): boolean {
+        if (!SampleAESEncryption.equals(this.getTrackEncryption('audio'), this.audio_encryption_)) {
+            Log.v(this.TAG, `Audio: Key ID or IV of the encrypted stream changed`);
+            return true;
+        }
+
         if (sample.codec !== this.audio_metadata_.codec) {
             Log.v(this.TAG, `Audio: Audio Codecs changed from ` +
                                 `${this.audio_metadata_.codec} to ${sample.codec}`);
@@ -1897,14 +2852,14 @@ class TSDemuxer extends BaseDemuxer {
 
         if (this.audio_metadata_.codec === 'aac') {
             let aac_frame = sample.codec === 'aac' ? sample.data : null;
-            let audio_specific_config = new AudioSpecificConfig(aac_frame);
+            let audio_specific_config = new AudioSpecificConfig(aac_frame, this.config_.enableAACImplicitSBRDetection);
 
             meta.audioSampleRate = audio_specific_config.sampling_rate;
             meta.channelCount = audio_specific_config.channel_count;
             meta.codec = audio_specific_config.codec_mimetype;
             meta.originalCodec = audio_specific_config.original_codec_mimetype;
             meta.config = audio_specific_config.config;
-            meta.refSampleDuration = 1024 / meta.audioSampleRate * meta.timescale;
+            meta.refSampleDuration = audio_specific_config.samples_per_frame / meta.audioSampleRate * meta.timescale;
         } else if (this.audio_metadata_.codec === 'ac-3') {
             let ac3_frame = sample.codec === 'ac-3' ? sample.data : null;
             let ac3_config = new AC3Config(ac3_frame);
@@ -1943,6 +2898,11 @@ class TSDemuxer extends BaseDemuxer {
             Log.v(this.TAG, `Generated first AudioSpecificConfig for mimeType: ${meta.codec}`);
         }
 
+        this.audio_encryption_ = this.getTrackEncryption('audio');
+        if (this.audio_encryption_ != null) {
+            meta.encryption = this.audio_encryption_.getTrackEncryption('audio');
+        }
+
         this.onTrackMetadata('audio', meta);
         this.audio_init_segment_dispatched_ = true;
         this.video_metadata_changed_ = false;
@@ -2001,13 +2961,111 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
+    private parseARIBCaptionPayload(data: Uint8Array, pts: number, pid: number, stream_id: number) {
+        let parser = this.arib_caption_parsers_[pid];
+        if (parser == undefined) {
+            parser = this.arib_caption_parsers_[pid] = new ARIBCaptionParser();
+        }
+
+        let statements = parser.parse(data);
+        for (let statement of statements) {
+            let arib_caption_data = Object.assign(new ARIBCaptionData(), statement);
+            arib_caption_data.pid = pid;
+            arib_caption_data.stream_id = stream_id;
+
+            if (pts != undefined && statement.data_identifier === ARIBCaptionDataIdentifier.kCaption) {
+                arib_caption_data.pts = Math.floor(pts / this.timescale_);
+            } else {
+                arib_caption_data.nearest_pts = this.getNearestTimestampMilliseconds();
+            }
+
+            if (this.onARIBCaptionData) {
+                this.onARIBCaptionData(arib_caption_data);
+            }
+        }
+    }
+
+    private parseDVBSubtitlePayload(data: Uint8Array, pts: number, pid: number, stream_id: number) {
+        let stream = this.dvb_subtitle_stream_;
+        let display_sets = this.dvb_subtitle_parser_.parse(data);
+
+        for (let display_set of display_sets) {
+            let frame = Object.assign(new DVBSubtitleFrame(), display_set);
+            frame.pid = pid;
+            frame.stream_id = stream_id;
+            frame.language = stream.language;
+            frame.subtitling_type = stream.subtitling_type;
+
+            if (pts != undefined) {
+                frame.pts = Math.floor(pts / this.timescale_);
+            } else {
+                frame.nearest_pts = this.getNearestTimestampMilliseconds();
+            }
+
+            if (this.onDVBSubtitleFrame) {
+                this.onDVBSubtitleFrame(frame);
+            }
+        }
+    }
+
+    private parseTeletextPayload(data: Uint8Array, pts: number, pid: number, stream_id: number) {
+        let parser = this.teletext_parsers_[pid];
+        if (parser == undefined) {
+            let pages = this.pmt_.teletext_pages.filter((page) => page.pid === pid);
+            parser = this.teletext_parsers_[pid] = new TeletextParser(pages);
+        }
+
+        let subtitle_pages = parser.parse(data, pts);
+        for (let subtitle_page of subtitle_pages) {
+            let teletext_data = new TeletextSubtitleData();
+            teletext_data.pid = pid;
+            teletext_data.stream_id = stream_id;
+            teletext_data.page_number = subtitle_page.page.page_number;
+            teletext_data.language = subtitle_page.page.language;
+            teletext_data.teletext_type = subtitle_page.page.teletext_type;
+            teletext_data.text = subtitle_page.text;
+            teletext_data.lines = subtitle_page.lines;
+
+            if (subtitle_page.pts != undefined) {
+                teletext_data.pts = Math.floor(subtitle_page.pts / this.timescale_);
+            } else {
+                teletext_data.nearest_pts = this.getNearestTimestampMilliseconds();
+            }
+
+            if (this.onTeletextSubtitleData) {
+                this.onTeletextSubtitleData(teletext_data);
+            }
+        }
+    }
+
+    private parseClosedCaptionData(cc_data_list: Uint8Array[], pts_ms: number, dts_ms: number) {
+        if (this.closed_caption_parser_ == undefined) {
+            if (cc_data_list.length === 0) {
+                return;
+            }
+            this.closed_caption_parser_ = new ClosedCaptionParser();
+        }
+        if (Number.isNaN(pts_ms) || Number.isNaN(dts_ms)) {
+            return;
+        }
+
+        // Frames without cc_data are also pushed to release reordered frames
+        let captions = this.closed_caption_parser_.push(pts_ms, dts_ms, cc_data_list);
+        for (let caption of captions) {
+            if (this.onClosedCaptionData) {
+                this.onClosedCaptionData(caption);
+            }
+        }
+    }
+
     private parseTimedID3MetadataPayload(data: Uint8Array, pts: number, dts: number, pid: number, stream_id: number) {
-        let timed_id3_metadata = new PESPrivateData();
+        let timed_id3_metadata = new TimedID3Metadata();
 
         timed_id3_metadata.pid = pid;
         timed_id3_metadata.stream_id = stream_id;
         timed_id3_metadata.len = data.byteLength;
         timed_id3_metadata.data = data;
+        timed_id3_metadata.tags = parseID3v2(data);
 
         if (pts != undefined) {
             let pts_ms = Math.floor(pts / this.timescale_);
@@ -2048,6 +3106,36 @@ class TSDemuxer extends BaseDemuxer {
         }
     }
 
+    private parsePGSSubtitlePayload(data: Uint8Array, pts: number, pid: number, stream_id: number, lang: string) {
+        let parser = this.pgs_parsers_[pid];
+        if (parser == undefined) {
+            parser = this.pgs_parsers_[pid] = new PGSParser();
+        }
+
+        let display_sets = parser.parse(data, pts);
+        for (let display_set of display_sets) {
+            let frame = new PGSSubtitleFrame();
+            frame.pid = pid;
+            frame.stream_id = stream_id;
+            frame.lang = lang;
+            frame.composition_number = display_set.composition_number;
+            frame.forced = display_set.forced;
+            frame.display_width = display_set.display_width;
+            frame.display_height = display_set.display_height;
+            frame.regions = display_set.regions;
+
+            if (display_set.pts != undefined) {
+                frame.pts = Math.floor(display_set.pts / this.timescale_);
+            } else {
+                frame.nearest_pts = this.getNearestTimestampMilliseconds();
+            }
+
+            if (this.onPGSSubtitleFrame) {
+                this.onPGSSubtitleFrame(frame);
+            }
+        }
+    }
+
     private parseSynchronousKLVMetadataPayload(data: Uint8Array, pts: number, dts: number, pid: number, stream_id: number) {
         let synchronous_klv_metadata = new KLVData();
 
@@ -2128,13 +3216,9 @@ class TSDemuxer extends BaseDemuxer {
             + data[7] * 131072 // 1 << 17
             + data[8] * 512 // 1 << 9
             + data[9] * 2 // 1 << 1
-            + (data[10] & 0x80) / 128 // 1 >> 7
-            + this.timestamp_offset_;
-        if (pcr_base + 0x100000000 < this.last_pcr_base_) {
-            pcr_base += 0x200000000; // pcr_base wraparound
-            this.timestamp_offset_ += 0x200000000;
-        }
-        this.last_pcr_base_ = pcr_base;
+            + (data[10] & 0x80) / 128; // 1 >> 7
+        pcr_base = this.unwrapTimestamp(pcr_base);
+        this.timestamp_reference_ = pcr_base;
         return pcr_base;
     }
 
@@ -2143,12 +3227,18 @@ class TSDemuxer extends BaseDemuxer {
             + (data[pos + 1] & 0xFF) * 4194304 // 1 << 22
             + (data[pos + 2] & 0xFE) * 16384 // 1 << 14
             + (data[pos + 3] & 0xFF) * 128 // 1 << 7
-            + (data[pos + 4] & 0xFE) / 2
-            + this.timestamp_offset_;
-        if (timestamp + 0x100000000 < this.last_pcr_base_) {
-            timestamp += 0x200000000; // pts/dts wraparound
+            + (data[pos + 4] & 0xFE) / 2;
+        return this.unwrapTimestamp(timestamp);
+    }
+
+    // 33-bit PCR base / PTS / DTS wrap around every 26.5 hours,
+    // take the value closest to the reference among timestamp + n * 2^33 to keep the timeline increasing
+    private unwrapTimestamp(timestamp: number): number {
+        if (this.timestamp_reference_ == undefined) {
+            return timestamp;
         }
-        return timestamp;
+        let periods = Math.round((this.timestamp_reference_ - timestamp) / 0x200000000);
+        return timestamp + periods * 0x200000000;
     }
 
 }
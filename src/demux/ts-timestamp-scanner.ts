@@ -0,0 +1,112 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Locates PES timestamps in arbitrary byte ranges of a MPEG-TS file, without demuxing it
+
+export type TSTimestampScanParams = {
+    ts_packet_size: number;
+    // byte offset of the first packet in the file, including the 4 bytes ATS of m2ts
+    sync_offset: number;
+    // elementary stream whose timestamps are used, video pid if exists, otherwise audio pid
+    pid: number;
+    // every PES of audio stream is a random access point
+    is_audio: boolean;
+};
+
+export class TSTimestampSample {
+    // byte offset in the file of the packet where the PES starts, aligned to packet boundary
+    file_position: number;
+    // dts (pts if dts is absent) in 90kHz, not unwrapped
+    timestamp: number;
+    random_access: boolean;
+}
+
+const readTimestamp = (data: Uint8Array, pos: number): number => {
+    return (data[pos] & 0x0E) * 536870912 // 1 << 29
+        + (data[pos + 1] & 0xFF) * 4194304 // 1 << 22
+        + (data[pos + 2] & 0xFE) * 16384 // 1 << 14
+        + (data[pos + 3] & 0xFF) * 128 // 1 << 7
+        + (data[pos + 4] & 0xFE) / 2;
+};
+
+// Returns the byte offset in the file of the first packet boundary at or after file_position
+export const alignToPacket = (file_position: number, params: TSTimestampScanParams): number => {
+    let { ts_packet_size, sync_offset } = params;
+    if (file_position <= sync_offset) {
+        return sync_offset;
+    }
+    return sync_offset + Math.ceil((file_position - sync_offset) / ts_packet_size) * ts_packet_size;
+};
+
+// Scans data which starts at byte_start of the file, returns starting positions and timestamps of PES on params.pid
+export const scanPESTimestamps = (data: Uint8Array, byte_start: number, params: TSTimestampScanParams): TSTimestampSample[] => {
+    let samples: TSTimestampSample[] = [];
+    let { ts_packet_size, pid } = params;
+    let header_size = ts_packet_size === 192 ? 4 : 0;
+    let offset = alignToPacket(byte_start, params) - byte_start;
+
+    while (offset + ts_packet_size <= data.byteLength) {
+        let packet = data.subarray(offset + header_size, offset + header_size + 188);
+
+        if (packet[0] !== 0x47) {
+            // Lost sync, find the next position followed by another sync byte
+            let next = offset + 1;
+            while (next + ts_packet_size + header_size < data.byteLength
+                    && !(data[next + header_size] === 0x47 && data[next + header_size + ts_packet_size] === 0x47)) {
+                next++;
+            }
+            offset = next;
+            continue;
+        }
+
+        let file_position = byte_start + offset;
+        offset += ts_packet_size;
+
+        let payload_unit_start_indicator = (packet[1] & 0x40) >>> 6;
+        let packet_pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        let adaptation_field_control = (packet[3] & 0x30) >>> 4;
+
+        if (packet_pid !== pid || !payload_unit_start_indicator || adaptation_field_control === 0x02) {
+            continue;
+        }
+
+        let random_access_indicator = 0;
+        let payload_start = 4;
+        if (adaptation_field_control === 0x03) {
+            let adaptation_field_length = packet[4];
+            if (adaptation_field_length > 0) {
+                random_access_indicator = (packet[5] & 0x40) >>> 6;
+            }
+            payload_start = 5 + adaptation_field_length;
+        }
+
+        // PES header with PTS (and DTS) should be contained in the first packet
+        let pes = packet.subarray(payload_start);
+        if (pes.byteLength < 14 || pes[0] !== 0x00 || pes[1] !== 0x00 || pes[2] !== 0x01) {
+            continue;
+        }
+
+        let PTS_DTS_flags = (pes[7] & 0xC0) >>> 6;
+        if (PTS_DTS_flags === 0x03 && pes.byteLength >= 19) {
+            // dts is monotonic in decoding order while pts is not
+            samples.push({ file_position, timestamp: readTimestamp(pes, 14), random_access: params.is_audio || random_access_indicator === 1 });
+        } else if (PTS_DTS_flags === 0x02 || PTS_DTS_flags === 0x03) {
+            samples.push({ file_position, timestamp: readTimestamp(pes, 9), random_access: params.is_audio || random_access_indicator === 1 });
+        }
+    }
+
+    return samples;
+};
@@ -0,0 +1,161 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+
+// VPCodecConfigurationRecord of VP Codec ISO Media File Format Binding
+type VPCodecConfiguration = {
+    codec_mimetype: string;
+    profile: number;
+    level: number;
+    bit_depth: number;
+    chroma_subsampling: number;
+    chroma_format_string: string;
+    video_full_range_flag: number;
+    colour_primaries: number;
+    transfer_characteristics: number;
+    matrix_coefficients: number;
+    // the record, which is the payload of vpcC box after version and flags
+    record: Uint8Array;
+};
+
+type VP9FrameSize = {
+    keyframe: boolean;
+    codec_size?: { width: number, height: number };
+    present_size?: { width: number, height: number };
+};
+
+class VP9Parser {
+
+    // The record may be prefixed by version and flags of vpcC box, which is told by codecInitializationDataSize
+    static parseVPCodecConfigurationRecord(uint8array: Uint8Array): VPCodecConfiguration | null {
+        let record: Uint8Array = null;
+        for (let offset of [0, 4]) {
+            let data = uint8array.subarray(offset);
+            if (data.byteLength >= 8 && 8 + ((data[6] << 8) | data[7]) === data.byteLength) {
+                record = data;
+                break;
+            }
+        }
+        if (record == null) {
+            return null;
+        }
+
+        let profile = record[0];
+        let level = record[1];
+        let bit_depth = record[2] >>> 4;
+        let chroma_subsampling = (record[2] >>> 1) & 0x07;
+        let video_full_range_flag = record[2] & 0x01;
+        let colour_primaries = record[3];
+        let transfer_characteristics = record[4];
+        let matrix_coefficients = record[5];
+
+        let pad = (value: number) => value.toString(10).padStart(2, '0');
+        let codec_mimetype = `vp09.${pad(profile)}.${pad(level)}.${pad(bit_depth)}.${pad(chroma_subsampling)}.` +
+                             `${pad(colour_primaries)}.${pad(transfer_characteristics)}.${pad(matrix_coefficients)}.` +
+                             `${pad(video_full_range_flag)}`;
+
+        return {
+            codec_mimetype,
+            profile,
+            level,
+            bit_depth,
+            chroma_subsampling,
+            chroma_format_string: VP9Parser.getChromaFormatString(chroma_subsampling),
+            video_full_range_flag,
+            colour_primaries,
+            transfer_characteristics,
+            matrix_coefficients,
+            record: new Uint8Array(record)
+        };
+    }
+
+    static getChromaFormatString(chroma_subsampling: number): string {
+        switch (chroma_subsampling) {
+            case 0:
+            case 1:
+                return '4:2:0';
+            case 2:
+                return '4:2:2';
+            case 3:
+                return '4:4:4';
+            default:
+                return 'Unknown';
+        }
+    }
+
+    // uncompressed_header() of the first frame, frame size is present in key frames only
+    static parseFrameSize(uint8array: Uint8Array): VP9FrameSize | null {
+        let gb = new ExpGolomb(uint8array);
+        try {
+            if (gb.readBits(2) !== 2) {  // frame_marker
+                return null;
+            }
+            let profile = gb.readBits(1);
+            profile |= gb.readBits(1) << 1;
+            if (profile === 3) {
+                gb.readBits(1);  // reserved_zero
+            }
+            if (gb.readBool()) {  // show_existing_frame
+                return { keyframe: false };
+            }
+            let frame_type = gb.readBits(1);
+            gb.readBits(2);  // show_frame, error_resilient_mode
+            if (frame_type !== 0) {  // not KEY_FRAME
+                return { keyframe: false };
+            }
+            if (gb.readBits(24) !== 0x498342) {  // frame_sync_code
+                return null;
+            }
+
+            // color_config()
+            if (profile >= 2) {
+                gb.readBits(1);  // ten_or_twelve_bit
+            }
+            let color_space = gb.readBits(3);
+            if (color_space !== 7) {  // not CS_RGB
+                gb.readBits(1);  // color_range
+                if (profile === 1 || profile === 3) {
+                    gb.readBits(3);  // subsampling_x, subsampling_y, reserved_zero
+                }
+            } else if (profile === 1 || profile === 3) {
+                gb.readBits(1);  // reserved_zero
+            }
+
+            // frame_size(), render_size()
+            let width = gb.readBits(16) + 1;
+            let height = gb.readBits(16) + 1;
+            let present_width = width, present_height = height;
+            if (gb.readBool()) {  // render_and_frame_size_different
+                present_width = gb.readBits(16) + 1;
+                present_height = gb.readBits(16) + 1;
+            }
+
+            return {
+                keyframe: true,
+                codec_size: { width, height },
+                present_size: { width: present_width, height: present_height }
+            };
+        } catch (e) {
+            return null;
+        } finally {
+            gb.destroy();
+        }
+    }
+
+}
+
+export default VP9Parser;
@@ -216,6 +216,11 @@ class IOController {
         return this._loader.type;
     }
 
+    // File size from filesize of DataSource or Content-Length of full request, null if unknown
+    get totalLength() {
+        return this._totalLength;
+    }
+
     _selectSeekHandler() {
         let config = this._config;
 
@@ -264,14 +269,18 @@ class IOController {
         this._loader.onError = this._onLoaderError.bind(this);
     }
 
-    open(optionalFrom) {
+    open(optionalFrom, optionalTo) {
         this._currentRange = {from: 0, to: -1};
         if (optionalFrom) {
             this._currentRange.from = optionalFrom;
         }
+        if (optionalTo != undefined) {
+            // load a limited range only, inclusive
+            this._currentRange.to = optionalTo;
+        }
 
         this._speedSampler.reset();
-        if (!optionalFrom) {
+        if (!optionalFrom && optionalTo == undefined) {
             this._fullRequestFlag = true;
         }
 
@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import type { ARIBCaptionData } from '../demux/arib-caption';
+
+// ARIB captions stay on screen until erased by the next statement
+const kMaxCueDuration = 60 * 60;
+// Cues which ended earlier than this (in seconds) before the latest caption will be removed
+const kCueRetainDuration = 5 * 60;
+
+// Publishes decoded ARIB captions / superimposes as cues of `captions` TextTracks on the media element
+class ARIBCaptionTextTrack {
+
+    private readonly TAG: string = 'ARIBCaptionTextTrack';
+
+    private _media_element: HTMLMediaElement = null;
+    private _tracks: Map<string, TextTrack> = new Map();
+    private _last_cues: Map<string, VTTCue> = new Map();
+
+    public constructor(media_element: HTMLMediaElement) {
+        this._media_element = media_element;
+    }
+
+    public destroy(): void {
+        this._tracks.clear();
+        this._last_cues.clear();
+        this._media_element = null;
+    }
+
+    public appendCaption(caption: ARIBCaptionData): void {
+        let timestamp = caption.pts != undefined ? caption.pts : caption.nearest_pts;
+        if (timestamp == undefined || typeof VTTCue === 'undefined') {
+            return;
+        }
+
+        let key = `${caption.kind}/${caption.language_tag}`;
+        let track = this._getTrack(key, caption);
+        if (track == null) {
+            return;
+        }
+
+        let start = timestamp / 1000;
+        let last_cue = this._last_cues.get(key);
+        let text = caption.text;
+
+        if (last_cue != undefined && last_cue.startTime <= start && last_cue.endTime > start) {
+            // Statements without CS are drawn over the previous screen
+            if (!caption.clear_screen && last_cue.text.length > 0 && text.length > 0) {
+                text = last_cue.text + '\n' + text;
+            }
+            last_cue.endTime = start;
+        }
+        this._last_cues.delete(key);
+
+        if (text.length === 0) {
+            return;
+        }
+
+        if (track.cues != null) {
+            for (let i = 0; i < track.cues.length; i++) {
+                let cue = track.cues[i] as VTTCue;
+                if (cue.startTime === start && cue.text === text) {
+                    // Duplicated caption after seeking back
+                    return;
+                }
+            }
+        }
+
+        let cue = new VTTCue(start, start + kMaxCueDuration, text);
+        let lines = caption.lines;
+        if (lines.length > 0) {
+            // Place the bottom of cue box at the bottom of the last line
+            cue.snapToLines = false;
+            cue.line = Math.min(100, Math.max(0, lines[lines.length - 1].y / caption.plane_height * 100));
+            cue.lineAlign = 'end';
+            cue.position = Math.min(100, Math.max(0, lines[0].x / caption.plane_width * 100));
+            cue.positionAlign = 'line-left';
+            cue.align = 'left';
+        }
+
+        track.addCue(cue);
+        this._last_cues.set(key, cue);
+        this._removeExpiredCues(track, start);
+    }
+
+    private _getTrack(key: string, caption: ARIBCaptionData): TextTrack | null {
+        let track = this._tracks.get(key);
+        if (track != undefined) {
+            return track;
+        }
+
+        let label = caption.kind === 'caption'
+            ? `ARIB Caption ${caption.language_tag + 1}`
+            : `ARIB Superimpose ${caption.language_tag + 1}`;
+
+        // Reuse the track created by previous loading since TextTracks can't be removed
+        let text_tracks = this._media_element.textTracks;
+        for (let i = 0; i < text_tracks.length; i++) {
+            if (text_tracks[i].kind === 'captions' && text_tracks[i].label === label) {
+                track = text_tracks[i];
+                break;
+            }
+        }
+
+        if (track == undefined) {
+            try {
+                track = this._media_element.addTextTrack('captions', label, caption.language ?? 'jpn');
+            } catch (e) {
+                Log.w(this.TAG, `Failed to create TextTrack: ${e.message}`);
+                return null;
+            }
+        }
+
+        this._tracks.set(key, track);
+        return track;
+    }
+
+    private _removeExpiredCues(track: TextTrack, current: number): void {
+        if (track.cues == null) {
+            return;
+        }
+        let expired: TextTrackCue[] = [];
+        for (let i = 0; i < track.cues.length; i++) {
+            let cue = track.cues[i];
+            if (cue.endTime < current - kCueRetainDuration) {
+                expired.push(cue);
+            }
+        }
+        expired.forEach((cue) => track.removeCue(cue));
+    }
+
+}
+
+export default ARIBCaptionTextTrack;
@@ -0,0 +1,155 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import type { DVBSubtitleFrame } from '../demux/dvb-subtitle';
+import type { PGSSubtitleFrame } from '../demux/pgs-subtitle';
+
+// Frames which ended earlier than this (in seconds) before the latest frame will be removed
+const kFrameRetainDuration = 5 * 60;
+
+type TimedFrame = {
+    start: number,
+    end: number,
+    frame: DVBSubtitleFrame | PGSSubtitleFrame
+};
+
+// Draws decoded DVB / PGS subtitle frames onto a canvas in sync with currentTime of the media element
+class BitmapSubtitleRenderer {
+
+    private readonly TAG: string = 'BitmapSubtitleRenderer';
+
+    private _canvas: HTMLCanvasElement = null;
+    private _context: CanvasRenderingContext2D = null;
+    private _media_element: HTMLMediaElement = null;
+    private _frames: TimedFrame[] = [];
+    private _displayed: TimedFrame | null = null;
+    private _animation_frame_id: number | null = null;
+
+    public constructor(canvas: HTMLCanvasElement) {
+        this._canvas = canvas;
+        this._context = canvas.getContext('2d');
+        if (this._context == null) {
+            Log.w(this.TAG, 'Failed to get 2d context of canvas, subtitles will not be rendered');
+        }
+    }
+
+    public destroy(): void {
+        this.detachMediaElement();
+        this._frames = [];
+        this._context = null;
+        this._canvas = null;
+    }
+
+    public attachMediaElement(media_element: HTMLMediaElement): void {
+        this.detachMediaElement();
+        this._media_element = media_element;
+        this._animation_frame_id = requestAnimationFrame(this._onAnimationFrame.bind(this));
+    }
+
+    public detachMediaElement(): void {
+        if (this._animation_frame_id != null) {
+            cancelAnimationFrame(this._animation_frame_id);
+            this._animation_frame_id = null;
+        }
+        this._media_element = null;
+        this._render(null);
+    }
+
+    public clear(): void {
+        this._frames = [];
+        this._render(null);
+    }
+
+    public appendFrame(frame: DVBSubtitleFrame | PGSSubtitleFrame): void {
+        let timestamp = frame.pts != undefined ? frame.pts : frame.nearest_pts;
+        if (timestamp == undefined) {
+            return;
+        }
+
+        let start = timestamp / 1000;
+        let timed_frame: TimedFrame = {
+            start,
+            // PGS frames are displayed until the next (maybe empty) frame
+            end: 'page_time_out' in frame && frame.page_time_out > 0 ? start + frame.page_time_out : Number.POSITIVE_INFINITY,
+            frame
+        };
+
+        // Keep frames sorted by start time, frames with same start time (e.g. after seeking back) are replaced
+        let index = this._frames.findIndex((f) => f.start >= start);
+        if (index === -1) {
+            index = this._frames.length;
+        }
+        let replace = index < this._frames.length && this._frames[index].start === start;
+        this._frames.splice(index, replace ? 1 : 0, timed_frame);
+
+        let expired = this._frames.findIndex((f, i) => {
+            let next = this._frames[i + 1];
+            return next == undefined || Math.min(f.end, next.start) >= start - kFrameRetainDuration;
+        });
+        if (expired > 0) {
+            this._frames.splice(0, expired);
+        }
+    }
+
+    private _onAnimationFrame(): void {
+        this._animation_frame_id = requestAnimationFrame(this._onAnimationFrame.bind(this));
+
+        let current_time = this._media_element.currentTime;
+        let active: TimedFrame | null = null;
+        for (let i = 0; i < this._frames.length && this._frames[i].start <= current_time; i++) {
+            let next = this._frames[i + 1];
+            let end = next != undefined ? Math.min(this._frames[i].end, next.start) : this._frames[i].end;
+            if (current_time < end) {
+                active = this._frames[i];
+            }
+        }
+
+        if (active !== this._displayed) {
+            this._render(active);
+        }
+    }
+
+    private _render(timed_frame: TimedFrame | null): void {
+        this._displayed = timed_frame;
+        if (this._context == null) {
+            return;
+        }
+
+        let context = this._context;
+        if (timed_frame == null) {
+            context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+            return;
+        }
+
+        let frame = timed_frame.frame;
+        if (this._canvas.width !== frame.display_width || this._canvas.height !== frame.display_height) {
+            // Resizing also clears the canvas
+            this._canvas.width = frame.display_width;
+            this._canvas.height = frame.display_height;
+        } else {
+            context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+        }
+
+        for (let region of frame.regions) {
+            let image_data = new ImageData(region.rgba, region.width, region.height);
+            context.putImageData(image_data, region.x, region.y);
+        }
+    }
+
+}
+
+export default BitmapSubtitleRenderer;
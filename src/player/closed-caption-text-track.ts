@@ -0,0 +1,139 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import type { ClosedCaptionData } from '../demux/closed-caption';
+
+// Captions stay on screen until the displayed memory is changed or erased
+const kMaxCueDuration = 60 * 60;
+// Cues which ended earlier than this (in seconds) before the latest caption will be removed
+const kCueRetainDuration = 5 * 60;
+// CEA-608 caption grid has 15 rows
+const kRows = 15;
+
+// Publishes decoded CEA-608/708 captions as cues of `captions` TextTracks on the media element
+class ClosedCaptionTextTrack {
+
+    private readonly TAG: string = 'ClosedCaptionTextTrack';
+
+    private _media_element: HTMLMediaElement = null;
+    private _tracks: Map<string, TextTrack> = new Map();
+    private _last_cues: Map<string, VTTCue> = new Map();
+
+    public constructor(media_element: HTMLMediaElement) {
+        this._media_element = media_element;
+    }
+
+    public destroy(): void {
+        this._tracks.clear();
+        this._last_cues.clear();
+        this._media_element = null;
+    }
+
+    public appendCaption(caption: ClosedCaptionData): void {
+        if (typeof VTTCue === 'undefined') {
+            return;
+        }
+
+        let track = this._getTrack(caption.channel);
+        if (track == null) {
+            return;
+        }
+
+        let start = caption.pts / 1000;
+        let last_cue = this._last_cues.get(caption.channel);
+
+        if (last_cue != undefined && last_cue.startTime === start) {
+            // Roll-up and paint-on captions may change several times at the same frame
+            track.removeCue(last_cue);
+        } else if (last_cue != undefined && last_cue.startTime < start && last_cue.endTime > start) {
+            last_cue.endTime = start;
+        }
+        this._last_cues.delete(caption.channel);
+
+        if (caption.text.length === 0) {
+            return;
+        }
+
+        if (track.cues != null) {
+            for (let i = 0; i < track.cues.length; i++) {
+                let cue = track.cues[i] as VTTCue;
+                if (cue.startTime === start && cue.text === caption.text) {
+                    // Duplicated caption after seeking back
+                    return;
+                }
+            }
+        }
+
+        let cue = new VTTCue(start, start + kMaxCueDuration, caption.text);
+        let lines = caption.lines;
+        // Place the bottom of cue box at the bottom of the last row
+        cue.snapToLines = false;
+        cue.line = Math.min(100, (lines[lines.length - 1].row + 1) / kRows * 100);
+        cue.lineAlign = 'end';
+
+        track.addCue(cue);
+        this._last_cues.set(caption.channel, cue);
+        this._removeExpiredCues(track, start);
+    }
+
+    private _getTrack(channel: string): TextTrack | null {
+        let track = this._tracks.get(channel);
+        if (track != undefined) {
+            return track;
+        }
+
+        let label = channel.startsWith('SERVICE') ? `Service ${channel.substring(7)}` : channel;
+
+        // Reuse the track created by previous loading since TextTracks can't be removed
+        let text_tracks = this._media_element.textTracks;
+        for (let i = 0; i < text_tracks.length; i++) {
+            if (text_tracks[i].kind === 'captions' && text_tracks[i].label === label) {
+                track = text_tracks[i];
+                break;
+            }
+        }
+
+        if (track == undefined) {
+            try {
+                track = this._media_element.addTextTrack('captions', label);
+            } catch (e) {
+                Log.w(this.TAG, `Failed to create TextTrack: ${e.message}`);
+                return null;
+            }
+        }
+
+        this._tracks.set(channel, track);
+        return track;
+    }
+
+    private _removeExpiredCues(track: TextTrack, current: number): void {
+        if (track.cues == null) {
+            return;
+        }
+        let expired: TextTrackCue[] = [];
+        for (let i = 0; i < track.cues.length; i++) {
+            let cue = track.cues[i];
+            if (cue.endTime < current - kCueRetainDuration) {
+                expired.push(cue);
+            }
+        }
+        expired.forEach((cue) => track.removeCue(cue));
+    }
+
+}
+
+export default ClosedCaptionTextTrack;
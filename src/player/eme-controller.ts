@@ -0,0 +1,278 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import MediaInfo from '../core/media-info';
+
+type KeySystemConfig = {
+    licenseUrl?: string;
+    licenseHeaders?: { [name: string]: string };
+    serverCertificate?: ArrayBuffer | ArrayBufferView;
+    // org.w3.clearkey only, key ID -> key in hex, the license is generated locally
+    clearKeys?: { [key_id: string]: string };
+};
+
+const hexToBase64Url = (hex: string): string => {
+    let binary = '';
+    for (let i = 0; i < hex.length; i += 2) {
+        binary += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlToHex = (base64url: string): string => {
+    let binary = atob(base64url.replace(/-/g, '+').replace(/_/g, '/'));
+    let hex = '';
+    for (let i = 0; i < binary.length; i++) {
+        hex += ('0' + binary.charCodeAt(i).toString(16)).slice(-2);
+    }
+    return hex;
+};
+
+const bytesToHex = (bytes: Uint8Array): string => {
+    let hex = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        hex += ('0' + bytes[i].toString(16)).slice(-2);
+    }
+    return hex;
+};
+
+// Drives Encrypted Media Extensions for encrypted init segments (cbcs) appended to MediaSource:
+// selects a key system from config.emeKeySystems, attaches MediaKeys and requests licenses
+// for the initialization data of 'encrypted' events.
+class EMEController {
+
+    private readonly TAG: string = 'EMEController';
+
+    private _key_systems: { [key_system: string]: KeySystemConfig };
+    private _media_element: HTMLMediaElement = null;
+    private _on_error: (info: string) => void = null;
+
+    // Codecs are required by requestMediaKeySystemAccess, init data is pending until MediaInfo arrives
+    private _video_codec: string = null;
+    private _audio_codec: string = null;
+    private _media_info_received: boolean = false;
+    private _pending_init_data: { type: string, data: ArrayBuffer }[] = [];
+    private _received_init_data: { [hex: string]: boolean } = {};
+
+    private _media_keys_promise: Promise<{ key_system: string, media_keys: MediaKeys }> = null;
+    private _sessions: MediaKeySession[] = [];
+
+    private e: any = null;
+
+    public constructor(config: any, media_element: HTMLMediaElement, on_error: (info: string) => void) {
+        this._key_systems = config.emeKeySystems;
+        this._media_element = media_element;
+        this._on_error = on_error;
+
+        this.e = {
+            onMediaEncrypted: this._onMediaEncrypted.bind(this),
+        };
+
+        this._media_element.addEventListener('encrypted', this.e.onMediaEncrypted);
+    }
+
+    public destroy(): void {
+        this._media_element.removeEventListener('encrypted', this.e.onMediaEncrypted);
+
+        this._sessions.forEach((session) => {
+            session.close().catch(() => {});
+        });
+        this._sessions = [];
+        if (this._media_keys_promise) {
+            this._media_element.setMediaKeys(null).catch(() => {});
+            this._media_keys_promise = null;
+        }
+
+        this._pending_init_data = [];
+        this._media_element = null;
+        this._on_error = null;
+        this.e = null;
+    }
+
+    public updateMediaInfo(media_info: MediaInfo): void {
+        this._video_codec = media_info.hasVideo ? media_info.videoCodec : null;
+        this._audio_codec = media_info.hasAudio ? media_info.audioCodec : null;
+        this._media_info_received = true;
+        this._processPendingInitData();
+    }
+
+    private _onMediaEncrypted(e: MediaEncryptedEvent): void {
+        if (e.initData == null) {
+            return;
+        }
+        // pssh boxes are the same in every init segment of the track
+        let hex = bytesToHex(new Uint8Array(e.initData));
+        if (this._received_init_data[hex]) {
+            return;
+        }
+        this._received_init_data[hex] = true;
+
+        Log.v(this.TAG, `Received encrypted event, initDataType: ${e.initDataType}`);
+        this._pending_init_data.push({ type: e.initDataType, data: e.initData });
+        this._processPendingInitData();
+    }
+
+    private _processPendingInitData(): void {
+        if (!this._media_info_received || this._pending_init_data.length === 0) {
+            return;
+        }
+        let pending = this._pending_init_data;
+        this._pending_init_data = [];
+
+        if (this._media_keys_promise == null) {
+            this._media_keys_promise = this._createMediaKeys();
+        }
+        let media_keys_promise = this._media_keys_promise;
+        media_keys_promise.then(({ key_system, media_keys }) => {
+            if (this._media_element == null) {
+                // Destroyed during setting up
+                return;
+            }
+            pending.forEach((init_data) => this._createSession(key_system, media_keys, init_data.type, init_data.data));
+        }, (error) => {
+            if (this._media_element == null) {
+                return;
+            }
+            // Init data is kept and retried by the next updateMediaInfo() or encrypted event,
+            // instead of reusing the rejected promise
+            if (this._media_keys_promise === media_keys_promise) {
+                this._media_keys_promise = null;
+            }
+            this._pending_init_data = pending.concat(this._pending_init_data);
+            this._reportError(`Failed to set up MediaKeys: ${error && error.message ? error.message : error}`);
+        });
+    }
+
+    // Key systems are tried in the order of config.emeKeySystems
+    private _createMediaKeys(): Promise<{ key_system: string, media_keys: MediaKeys }> {
+        if (!navigator.requestMediaKeySystemAccess) {
+            return Promise.reject(new Error('Encrypted Media Extensions is unsupported'));
+        }
+
+        let configuration: MediaKeySystemConfiguration = {
+            initDataTypes: ['cenc'],
+            videoCapabilities: this._video_codec ? [{ contentType: `video/mp4; codecs="${this._video_codec}"` }] : [],
+            audioCapabilities: this._audio_codec ? [{ contentType: `audio/mp4; codecs="${this._audio_codec}"` }] : []
+        };
+
+        let key_systems = Object.keys(this._key_systems);
+        let request = (index: number): Promise<MediaKeySystemAccess> => {
+            if (index >= key_systems.length) {
+                return Promise.reject(new Error(`None of key systems is supported: ${key_systems.join(', ')}`));
+            }
+            return navigator.requestMediaKeySystemAccess(key_systems[index], [configuration]).catch(() => {
+                Log.v(this.TAG, `Key system ${key_systems[index]} is unsupported`);
+                return request(index + 1);
+            });
+        };
+
+        let key_system: string = null;
+        let media_keys: MediaKeys = null;
+
+        return request(0).then((access) => {
+            key_system = access.keySystem;
+            Log.v(this.TAG, `Selected key system: ${key_system}`);
+            return access.createMediaKeys();
+        }).then((keys) => {
+            media_keys = keys;
+            let certificate = this._key_systems[key_system].serverCertificate;
+            if (certificate) {
+                return media_keys.setServerCertificate(certificate).then(() => undefined);
+            }
+        }).then(() => {
+            return this._media_element.setMediaKeys(media_keys);
+        }).then(() => {
+            return { key_system, media_keys };
+        });
+    }
+
+    private _createSession(key_system: string, media_keys: MediaKeys, init_data_type: string, init_data: ArrayBuffer): void {
+        let session = media_keys.createSession('temporary');
+        this._sessions.push(session);
+
+        session.addEventListener('message', (e: MediaKeyMessageEvent) => {
+            this._onSessionMessage(key_system, session, e);
+        });
+        session.generateRequest(init_data_type, init_data).catch((error) => {
+            this._reportError(`Failed to generate license request: ${error && error.message ? error.message : error}`);
+        });
+    }
+
+    private _onSessionMessage(key_system: string, session: MediaKeySession, e: MediaKeyMessageEvent): void {
+        let config = this._key_systems[key_system];
+        let license: Promise<ArrayBuffer>;
+
+        if (key_system === 'org.w3.clearkey' && config.clearKeys) {
+            license = Promise.resolve().then(() => this._generateClearKeyLicense(config.clearKeys, e.message));
+        } else {
+            license = this._requestLicense(config, e.message);
+        }
+
+        license.then((response) => {
+            return session.update(response);
+        }).catch((error) => {
+            if (this._media_element) {
+                this._reportError(`Failed to update license: ${error && error.message ? error.message : error}`);
+            }
+        });
+    }
+
+    private _requestLicense(config: KeySystemConfig, message: ArrayBuffer): Promise<ArrayBuffer> {
+        if (!config.licenseUrl) {
+            return Promise.reject(new Error('licenseUrl is not specified'));
+        }
+        return fetch(config.licenseUrl, {
+            method: 'POST',
+            headers: config.licenseHeaders,
+            body: message
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error(`License server responded with status ${response.status}`);
+            }
+            return response.arrayBuffer();
+        });
+    }
+
+    // The request is a JSON with base64url encoded key IDs, see W3C Encrypted Media Extensions 9.1.3
+    private _generateClearKeyLicense(clear_keys: { [key_id: string]: string }, message: ArrayBuffer): ArrayBuffer {
+        let request = JSON.parse(new TextDecoder().decode(message));
+        let keys = [];
+
+        for (let i = 0; i < request.kids.length; i++) {
+            let kid = request.kids[i];
+            let hex = base64UrlToHex(kid);
+            let key = Object.keys(clear_keys).find((key_id) => key_id.replace(/-/g, '').toLowerCase() === hex);
+            if (key == undefined) {
+                throw new Error(`Key for key ID ${hex} is not found in clearKeys`);
+            }
+            keys.push({ kty: 'oct', kid, k: hexToBase64Url(clear_keys[key]) });
+        }
+
+        let license = JSON.stringify({ keys, type: request.type || 'temporary' });
+        return new TextEncoder().encode(license).buffer;
+    }
+
+    private _reportError(info: string): void {
+        Log.e(this.TAG, info);
+        if (this._on_error) {
+            this._on_error(info);
+        }
+    }
+
+}
+
+export default EMEController;
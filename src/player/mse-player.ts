@@ -21,6 +21,11 @@ import MediaInfo from '../core/media-info';
 import PlayerEngine from './player-engine';
 import PlayerEngineMainThread from './player-engine-main-thread';
 import PlayerEngineDedicatedThread from './player-engine-dedicated-thread';
+import PlayerEvents from './player-events';
+import BitmapSubtitleRenderer from './bitmap-subtitle-renderer';
+import type { DVBSubtitleFrame } from '../demux/dvb-subtitle';
+import type { PGSSubtitleFrame } from '../demux/pgs-subtitle';
+import type { ServiceInformationTables } from './service-information';
 import {InvalidArgumentException} from '../utils/exception';
 
 class MSEPlayer {
@@ -31,6 +36,12 @@ class MSEPlayer {
 
     private _media_element: HTMLMediaElement = null;
     private _player_engine: PlayerEngine = null;
+    private _subtitle_renderer: BitmapSubtitleRenderer = null;
+    private _subtitle_language: string | undefined;
+    // only one PGS stream is rendered: the one of selected language, otherwise the first one arrived
+    private _pgs_subtitle_pid: number | undefined;
+
+    private e?: any = null;
 
     public constructor(mediaDataSource: any, config?: any) {
         const typeLowerCase: string = mediaDataSource.type.toLowerCase();
@@ -52,9 +63,17 @@ class MSEPlayer {
         } else {
             this._player_engine = new PlayerEngineMainThread(mediaDataSource, config);
         }
+
+        this._subtitle_language = mediaDataSource.subtitleLanguage;
+
+        this.e = {
+            onDVBSubtitleArrived: this._onDVBSubtitleArrived.bind(this),
+            onPGSSubtitleFrameArrived: this._onPGSSubtitleFrameArrived.bind(this),
+        };
     }
 
     public destroy(): void {
+        this.detachSubtitleCanvas();
         this._player_engine.destroy();
         this._player_engine = null;
         this._media_element = null;
@@ -71,9 +90,11 @@ class MSEPlayer {
     public attachMediaElement(mediaElement: HTMLMediaElement): void {
         this._media_element = mediaElement;
         this._player_engine.attachMediaElement(mediaElement);
+        this._subtitle_renderer?.attachMediaElement(mediaElement);
     }
 
     public detachMediaElement(): void {
+        this._subtitle_renderer?.detachMediaElement();
         this._media_element = null;
         this._player_engine.detachMediaElement();
     }
@@ -83,6 +104,8 @@ class MSEPlayer {
     }
 
     public unload(): void {
+        this._subtitle_renderer?.clear();
+        this._pgs_subtitle_pid = undefined;
         this._player_engine.unload();
     }
 
@@ -94,6 +117,44 @@ class MSEPlayer {
         this._player_engine.pause();
     }
 
+    public switchProgram(program_number: number): void {
+        this._player_engine.switchProgram(program_number);
+    }
+
+    public switchVideoTrack(pid: number): void {
+        this._player_engine.switchTrack('video', pid);
+    }
+
+    public switchAudioTrack(pid: number): void {
+        this._player_engine.switchTrack('audio', pid);
+    }
+
+    public switchSubtitleLanguage(language: string): void {
+        this._subtitle_renderer?.clear();
+        this._subtitle_language = language;
+        this._pgs_subtitle_pid = undefined;
+        this._player_engine.switchSubtitleLanguage(language);
+    }
+
+    public attachSubtitleCanvas(canvas: HTMLCanvasElement): void {
+        this.detachSubtitleCanvas();
+        this._subtitle_renderer = new BitmapSubtitleRenderer(canvas);
+        if (this._media_element) {
+            this._subtitle_renderer.attachMediaElement(this._media_element);
+        }
+        this._player_engine.on(PlayerEvents.DVB_SUBTITLE_ARRIVED, this.e.onDVBSubtitleArrived);
+        this._player_engine.on(PlayerEvents.PGS_SUBTITLE_FRAME_ARRIVED, this.e.onPGSSubtitleFrameArrived);
+    }
+
+    public detachSubtitleCanvas(): void {
+        if (this._subtitle_renderer) {
+            this._player_engine.off(PlayerEvents.DVB_SUBTITLE_ARRIVED, this.e.onDVBSubtitleArrived);
+            this._player_engine.off(PlayerEvents.PGS_SUBTITLE_FRAME_ARRIVED, this.e.onPGSSubtitleFrameArrived);
+            this._subtitle_renderer.destroy();
+            this._subtitle_renderer = null;
+        }
+    }
+
     public get type(): string {
         return this._type;
     }
@@ -141,6 +202,24 @@ class MSEPlayer {
         return this._player_engine.statisticsInfo;
     }
 
+    public get serviceInformation(): ServiceInformationTables {
+        return this._player_engine.serviceInformation;
+    }
+
+    private _onDVBSubtitleArrived(frame: DVBSubtitleFrame): void {
+        this._subtitle_renderer.appendFrame(frame);
+    }
+
+    private _onPGSSubtitleFrameArrived(frame: PGSSubtitleFrame): void {
+        if (this._pgs_subtitle_pid == undefined
+                && (this._subtitle_language == undefined || this._subtitle_language === frame.lang)) {
+            this._pgs_subtitle_pid = frame.pid;
+        }
+        if (frame.pid === this._pgs_subtitle_pid) {
+            this._subtitle_renderer.appendFrame(frame);
+        }
+    }
+
 }
 
 export default MSEPlayer;
@@ -31,13 +31,22 @@ import LoadingController from './loading-controller';
 import StartupStallJumper from './startup-stall-jumper';
 import LiveLatencyChaser from './live-latency-chaser';
 import LiveLatencySynchronizer from './live-latency-synchronizer';
+import ServiceInformation, { ServiceInformationTables } from './service-information';
+import ARIBCaptionTextTrack from './arib-caption-text-track';
+import TeletextTextTrack from './teletext-text-track';
+import ClosedCaptionTextTrack from './closed-caption-text-track';
+import EMEController from './eme-controller';
+import { ErrorTypes, ErrorDetails } from './player-errors';
 import {
     WorkerCommandPacket,
     WorkerCommandPacketInit,
     WorkerCommandPacketLoggingConfig,
     WorkerCommandPacketTimeUpdate,
     WorkerCommandPacketReadyStateChange,
-    WorkerCommandPacketUnbufferedSeek
+    WorkerCommandPacketUnbufferedSeek,
+    WorkerCommandPacketSwitchProgram,
+    WorkerCommandPacketSwitchTrack,
+    WorkerCommandPacketSwitchSubtitleLanguage
 } from './player-engine-worker-cmd-def.js';
 import {
     WorkerMessagePacket,
@@ -71,11 +80,16 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
     private _startup_stall_jumper?: StartupStallJumper = null;
     private _live_latency_chaser?: LiveLatencyChaser = null;
     private _live_latency_synchronizer?: LiveLatencySynchronizer = null;
+    private _arib_caption_text_track?: ARIBCaptionTextTrack = null;
+    private _teletext_text_track?: TeletextTextTrack = null;
+    private _closed_caption_text_track?: ClosedCaptionTextTrack = null;
+    private _eme_controller?: EMEController = null;
 
     private _pending_seek_time?: number = null;
 
     private _media_info?: MediaInfo = null;
     private _statistics_info?: any = null;
+    private _service_information: ServiceInformation = new ServiceInformation();
 
     private e?: any = null;
 
@@ -177,6 +191,13 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
         this._media_element.addEventListener('timeupdate', this.e.onMediaTimeUpdate);
         this._media_element.addEventListener('readystatechange', this.e.onMediaReadyStateChanged);
 
+        if (this._config.emeKeySystems) {
+            this._eme_controller = new EMEController(this._config, mediaElement, this._onEMEError.bind(this));
+            if (this._media_info) {
+                this._eme_controller.updateMediaInfo(this._media_info);
+            }
+        }
+
         this._worker.postMessage({
             cmd: 'initialize_mse',
         })
@@ -202,12 +223,17 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
             this._media_element.load();
             this._media_element = null;
         }
+        if (this._eme_controller) {
+            this._eme_controller.destroy();
+            this._eme_controller = null;
+        }
     }
 
     public load(): void {
         this._worker.postMessage({
             cmd: 'load',
         });
+        this._service_information.reset();
 
         this._seeking_handler = new SeekingHandler(
             this._config,
@@ -215,6 +241,16 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
             this._onRequiredUnbufferedSeek.bind(this)
         );
 
+        if (this._config.enableARIBCaptionTextTrack) {
+            this._arib_caption_text_track = new ARIBCaptionTextTrack(this._media_element);
+        }
+        if (this._config.enableTeletextTextTrack) {
+            this._teletext_text_track = new TeletextTextTrack(this._media_element);
+        }
+        if (this._config.enableClosedCaptionTextTrack) {
+            this._closed_caption_text_track = new ClosedCaptionTextTrack(this._media_element);
+        }
+
         this._loading_controller = new LoadingController(
             this._config,
             this._media_element,
@@ -270,6 +306,13 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
 
         this._seeking_handler?.destroy();
         this._seeking_handler = null;
+
+        this._arib_caption_text_track?.destroy();
+        this._arib_caption_text_track = null;
+        this._teletext_text_track?.destroy();
+        this._teletext_text_track = null;
+        this._closed_caption_text_track?.destroy();
+        this._closed_caption_text_track = null;
     }
 
     public play(): Promise<void> {
@@ -288,6 +331,28 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
         }
     }
 
+    public switchProgram(program_number: number): void {
+        this._worker.postMessage({
+            cmd: 'switch_program',
+            program_number: program_number
+        } as WorkerCommandPacketSwitchProgram);
+    }
+
+    public switchTrack(type: string, pid: number): void {
+        this._worker.postMessage({
+            cmd: 'switch_track',
+            track_type: type,
+            pid: pid
+        } as WorkerCommandPacketSwitchTrack);
+    }
+
+    public switchSubtitleLanguage(language: string): void {
+        this._worker.postMessage({
+            cmd: 'switch_subtitle_language',
+            language: language
+        } as WorkerCommandPacketSwitchSubtitleLanguage);
+    }
+
     public get mediaInfo(): MediaInfo {
         return Object.assign({}, this._media_info);
     }
@@ -296,6 +361,10 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
         return Object.assign({}, this._statistics_info);
     }
 
+    public get serviceInformation(): ServiceInformationTables {
+        return this._service_information.tables;
+    }
+
     public _onLoggingConfigChanged(config: any): void {
         this._worker?.postMessage({
             cmd: 'logging_config',
@@ -311,6 +380,10 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
         this._loading_controller.notifyBufferedPositionChanged();
     }
 
+    private _onEMEError(info: string): void {
+        this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.MEDIA_ERROR, ErrorDetails.MEDIA_EME_ERROR, info);
+    }
+
     private _onMSEBufferFull(): void {
         Log.v(this.TAG, 'MSE SourceBuffer is full, suspend transmuxing task');
         this._loading_controller.suspendTransmuxer();
@@ -398,6 +471,7 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
                 if (packet.event == TransmuxingEvents.MEDIA_INFO) {
                     const packet = message_packet as WorkerMessagePacketTransmuxingEventInfo;
                     this._media_info = packet.info;
+                    this._eme_controller?.updateMediaInfo(packet.info);
                     this._emitter.emit(PlayerEvents.MEDIA_INFO, Object.assign({}, packet.info));
                 } else if (packet.event == TransmuxingEvents.STATISTICS_INFO) {
                     const packet = message_packet as WorkerMessagePacketTransmuxingEventInfo;
@@ -418,6 +492,7 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
                     this._emitter.emit(PlayerEvents.ERROR, packet.error_type, packet.error_detail, packet.info);
                 } else if ('extraData' in packet) {
                     const packet = message_packet as WorkerMessagePacketPlayerEventExtraData;
+                    this._onPlayerEventExtraData(packet.event, packet.extraData);
                     this._emitter.emit(packet.event, packet.extraData);
                 }
                 break;
@@ -435,6 +510,32 @@ class PlayerEngineDedicatedThread implements PlayerEngine {
         }
     }
 
+    private _onPlayerEventExtraData(event: PlayerEvents, data: any): void {
+        switch (event) {
+            case PlayerEvents.SDT_ARRIVED:
+                this._service_information.updateSDT(data);
+                break;
+            case PlayerEvents.EIT_ARRIVED:
+                this._service_information.updateEIT(data);
+                break;
+            case PlayerEvents.NIT_ARRIVED:
+                this._service_information.updateNIT(data);
+                break;
+            case PlayerEvents.TDT_TOT_ARRIVED:
+                this._service_information.updateTDTTOT(data);
+                break;
+            case PlayerEvents.ARIB_CAPTION_ARRIVED:
+                this._arib_caption_text_track?.appendCaption(data);
+                break;
+            case PlayerEvents.TELETEXT_SUBTITLE_ARRIVED:
+                this._teletext_text_track?.appendSubtitle(data);
+                break;
+            case PlayerEvents.CLOSED_CAPTION_ARRIVED:
+                this._closed_caption_text_track?.appendCaption(data);
+                break;
+        }
+    }
+
     private _fillStatisticsInfo(stat_info: any): any {
         stat_info.playerType = 'MSEPlayer';
 
@@ -33,6 +33,11 @@ import LoadingController from './loading-controller';
 import StartupStallJumper from './startup-stall-jumper';
 import LiveLatencyChaser from './live-latency-chaser';
 import LiveLatencySynchronizer from './live-latency-synchronizer';
+import ServiceInformation, { ServiceInformationTables } from './service-information';
+import ARIBCaptionTextTrack from './arib-caption-text-track';
+import TeletextTextTrack from './teletext-text-track';
+import ClosedCaptionTextTrack from './closed-caption-text-track';
+import EMEController from './eme-controller';
 
 class PlayerEngineMainThread implements PlayerEngine {
 
@@ -54,6 +59,10 @@ class PlayerEngineMainThread implements PlayerEngine {
     private _startup_stall_jumper?: StartupStallJumper = null;
     private _live_latency_chaser?: LiveLatencyChaser = null;
     private _live_latency_synchronizer?: LiveLatencySynchronizer = null;
+    private _arib_caption_text_track?: ARIBCaptionTextTrack = null;
+    private _teletext_text_track?: TeletextTextTrack = null;
+    private _closed_caption_text_track?: ClosedCaptionTextTrack = null;
+    private _eme_controller?: EMEController = null;
 
     private _mse_source_opened: boolean = false;
     private _has_pending_load: boolean = false;
@@ -61,6 +70,7 @@ class PlayerEngineMainThread implements PlayerEngine {
 
     private _media_info?: MediaInfo = null;
     private _statistics_info?: any = null;
+    private _service_information: ServiceInformation = new ServiceInformation();
 
     private e?: any = null;
 
@@ -121,6 +131,13 @@ class PlayerEngineMainThread implements PlayerEngine {
 
         mediaElement.addEventListener('loadedmetadata', this.e.onMediaLoadedMetadata);
 
+        if (this._config.emeKeySystems) {
+            this._eme_controller = new EMEController(this._config, mediaElement, this._onEMEError.bind(this));
+            if (this._media_info) {
+                this._eme_controller.updateMediaInfo(this._media_info);
+            }
+        }
+
         this._mse_controller = new MSEController(this._config);
         this._mse_controller.on(MSEEvents.UPDATE_END, this._onMSEUpdateEnd.bind(this));
         this._mse_controller.on(MSEEvents.BUFFER_FULL, this._onMSEBufferFull.bind(this));
@@ -161,6 +178,10 @@ class PlayerEngineMainThread implements PlayerEngine {
 
             this._mse_controller.revokeObjectURL();
         }
+        if (this._eme_controller) {
+            this._eme_controller.destroy();
+            this._eme_controller = null;
+        }
         if (this._mse_controller) {
             this._mse_controller.destroy();
             this._mse_controller = null;
@@ -185,6 +206,7 @@ class PlayerEngineMainThread implements PlayerEngine {
         }
 
         this._transmuxer = new Transmuxer(this._media_data_source, this._config);
+        this._service_information.reset();
 
         this._transmuxer.on(TransmuxingEvents.INIT_SEGMENT, (type: string, is: any) => {
             this._mse_controller.appendInitSegment(is);
@@ -211,6 +233,10 @@ class PlayerEngineMainThread implements PlayerEngine {
         });
         this._transmuxer.on(TransmuxingEvents.MEDIA_INFO, (mediaInfo: MediaInfo) => {
             this._media_info = mediaInfo;
+            this._eme_controller?.updateMediaInfo(mediaInfo);
+            if (!this._config.isLive && mediaInfo.duration > 0) {
+                this._mse_controller.updateMediaDuration(mediaInfo.duration / 1000);
+            }
             this._emitter.emit(PlayerEvents.MEDIA_INFO, Object.assign({}, mediaInfo));
         });
         this._transmuxer.on(TransmuxingEvents.STATISTICS_INFO, (statInfo: any) => {
@@ -252,6 +278,70 @@ class PlayerEngineMainThread implements PlayerEngine {
         this._transmuxer.on(TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED, (private_data: any) => {
             this._emitter.emit(PlayerEvents.PES_PRIVATE_DATA_ARRIVED, private_data);
         });
+        this._transmuxer.on(TransmuxingEvents.PROGRAM_LIST_ARRIVED, (program_list: any) => {
+            this._emitter.emit(PlayerEvents.PROGRAM_LIST_ARRIVED, program_list);
+        });
+        this._transmuxer.on(TransmuxingEvents.TRACK_LIST_ARRIVED, (track_list: any) => {
+            this._emitter.emit(PlayerEvents.TRACK_LIST_ARRIVED, track_list);
+        });
+        this._transmuxer.on(TransmuxingEvents.SDT_ARRIVED, (sdt: any) => {
+            this._service_information.updateSDT(sdt);
+            this._emitter.emit(PlayerEvents.SDT_ARRIVED, sdt);
+        });
+        this._transmuxer.on(TransmuxingEvents.EIT_ARRIVED, (eit: any) => {
+            this._service_information.updateEIT(eit);
+            this._emitter.emit(PlayerEvents.EIT_ARRIVED, eit);
+        });
+        this._transmuxer.on(TransmuxingEvents.NIT_ARRIVED, (nit: any) => {
+            this._service_information.updateNIT(nit);
+            this._emitter.emit(PlayerEvents.NIT_ARRIVED, nit);
+        });
+        this._transmuxer.on(TransmuxingEvents.TDT_TOT_ARRIVED, (tdt_tot: any) => {
+            this._service_information.updateTDTTOT(tdt_tot);
+            this._emitter.emit(PlayerEvents.TDT_TOT_ARRIVED, tdt_tot);
+        });
+        this._transmuxer.on(TransmuxingEvents.ARIB_CAPTION_ARRIVED, (arib_caption: any) => {
+            this._arib_caption_text_track?.appendCaption(arib_caption);
+            this._emitter.emit(PlayerEvents.ARIB_CAPTION_ARRIVED, arib_caption);
+        });
+        this._transmuxer.on(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, (frame: any) => {
+            this._emitter.emit(PlayerEvents.DVB_SUBTITLE_ARRIVED, frame);
+        });
+        this._transmuxer.on(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, (subtitle: any) => {
+            this._teletext_text_track?.appendSubtitle(subtitle);
+            this._emitter.emit(PlayerEvents.TELETEXT_SUBTITLE_ARRIVED, subtitle);
+        });
+        this._transmuxer.on(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, (caption: any) => {
+            this._closed_caption_text_track?.appendCaption(caption);
+            this._emitter.emit(PlayerEvents.CLOSED_CAPTION_ARRIVED, caption);
+        });
+        this._transmuxer.on(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, (frame: any) => {
+            this._emitter.emit(PlayerEvents.PGS_SUBTITLE_FRAME_ARRIVED, frame);
+        });
+        this._transmuxer.on(TransmuxingEvents.SECTION_CRC_ERROR, (error: any) => {
+            this._emitter.emit(PlayerEvents.SECTION_CRC_ERROR, error);
+        });
+        this._transmuxer.on(TransmuxingEvents.TS_ANALYSIS_REPORT, (report: any) => {
+            this._emitter.emit(PlayerEvents.TS_ANALYSIS_REPORT, report);
+        });
+        this._transmuxer.on(TransmuxingEvents.DISCONTINUITY, (discontinuity: any) => {
+            this._emitter.emit(PlayerEvents.DISCONTINUITY, discontinuity);
+        });
+        this._transmuxer.on(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, (keyframesIndex: any) => {
+            this._emitter.emit(PlayerEvents.KEYFRAMES_INDEX_UPDATED, keyframesIndex);
+        });
+        this._transmuxer.on(TransmuxingEvents.CUE_POINT_ARRIVED, (cuePoint: any) => {
+            this._emitter.emit(PlayerEvents.CUE_POINT_ARRIVED, cuePoint);
+        });
+        this._transmuxer.on(TransmuxingEvents.TEXT_DATA_ARRIVED, (textData: any) => {
+            this._emitter.emit(PlayerEvents.TEXT_DATA_ARRIVED, textData);
+        });
+        this._transmuxer.on(TransmuxingEvents.CAPTION_DATA_ARRIVED, (captionData: any) => {
+            this._emitter.emit(PlayerEvents.CAPTION_DATA_ARRIVED, captionData);
+        });
+        this._transmuxer.on(TransmuxingEvents.TIMECODE_INFO_ARRIVED, (timecodeInfo: any) => {
+            this._emitter.emit(PlayerEvents.TIMECODE_INFO_ARRIVED, timecodeInfo);
+        });
 
         this._seeking_handler = new SeekingHandler(
             this._config,
@@ -259,6 +349,16 @@ class PlayerEngineMainThread implements PlayerEngine {
             this._onRequiredUnbufferedSeek.bind(this)
         );
 
+        if (this._config.enableARIBCaptionTextTrack) {
+            this._arib_caption_text_track = new ARIBCaptionTextTrack(this._media_element);
+        }
+        if (this._config.enableTeletextTextTrack) {
+            this._teletext_text_track = new TeletextTextTrack(this._media_element);
+        }
+        if (this._config.enableClosedCaptionTextTrack) {
+            this._closed_caption_text_track = new ClosedCaptionTextTrack(this._media_element);
+        }
+
         this._loading_controller = new LoadingController(
             this._config,
             this._media_element,
@@ -313,6 +413,13 @@ class PlayerEngineMainThread implements PlayerEngine {
         this._seeking_handler?.destroy();
         this._seeking_handler = null;
 
+        this._arib_caption_text_track?.destroy();
+        this._arib_caption_text_track = null;
+        this._teletext_text_track?.destroy();
+        this._teletext_text_track = null;
+        this._closed_caption_text_track?.destroy();
+        this._closed_caption_text_track = null;
+
         this._mse_controller?.flush();
 
         this._transmuxer?.close();
@@ -336,6 +443,28 @@ class PlayerEngineMainThread implements PlayerEngine {
         }
     }
 
+    public switchProgram(program_number: number): void {
+        if (this._transmuxer) {
+            this._transmuxer.switchProgram(program_number);
+        } else {
+            // Not loaded yet, select the program at load time
+            this._media_data_source.program = program_number;
+        }
+    }
+
+    public switchTrack(type: string, pid: number): void {
+        this._transmuxer?.switchTrack(type, pid);
+    }
+
+    public switchSubtitleLanguage(language: string): void {
+        if (this._transmuxer) {
+            this._transmuxer.switchSubtitleLanguage(language);
+        } else {
+            // Not loaded yet, select the subtitle at load time
+            this._media_data_source.subtitleLanguage = language;
+        }
+    }
+
     public get mediaInfo(): MediaInfo {
         return Object.assign({}, this._media_info);
     }
@@ -344,6 +473,10 @@ class PlayerEngineMainThread implements PlayerEngine {
         return Object.assign({}, this._statistics_info);
     }
 
+    public get serviceInformation(): ServiceInformationTables {
+        return this._service_information.tables;
+    }
+
     private _onMSESourceOpen(): void {
         this._mse_source_opened = true;
         if (this._has_pending_load) {
@@ -369,6 +502,10 @@ class PlayerEngineMainThread implements PlayerEngine {
         this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.MEDIA_ERROR, ErrorDetails.MEDIA_MSE_ERROR, info);
     }
 
+    private _onEMEError(info: string): void {
+        this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.MEDIA_ERROR, ErrorDetails.MEDIA_EME_ERROR, info);
+    }
+
     private _onMSEStartStreaming(): void {
         if (!this._loaded_metadata_received) {
             // Ignore initial startstreaming event since we have started loading data
@@ -28,7 +28,10 @@ export type WorkerCommandOp =
     | 'timeupdate'
     | 'readystatechange'
     | 'pause_transmuxer'
-    | 'resume_transmuxer';
+    | 'resume_transmuxer'
+    | 'switch_program'
+    | 'switch_track'
+    | 'switch_subtitle_language';
 
 export type WorkerCommandPacket = {
     cmd: WorkerCommandOp,
@@ -59,3 +62,19 @@ export type WorkerCommandPacketReadyStateChange = WorkerCommandPacket & {
     cmd: 'readystatechange',
     ready_state: number,
 };
+
+export type WorkerCommandPacketSwitchProgram = WorkerCommandPacket & {
+    cmd: 'switch_program',
+    program_number: number,
+};
+
+export type WorkerCommandPacketSwitchTrack = WorkerCommandPacket & {
+    cmd: 'switch_track',
+    track_type: string,
+    pid: number,
+};
+
+export type WorkerCommandPacketSwitchSubtitleLanguage = WorkerCommandPacket & {
+    cmd: 'switch_subtitle_language',
+    language: string,
+};
@@ -68,7 +68,26 @@ export type WorkerMessagePacketPlayerEventExtraData = WorkerMessagePacketPlayerE
         | PlayerEvents.SMPTE2038_METADATA_ARRIVED
         | PlayerEvents.SCTE35_METADATA_ARRIVED
         | PlayerEvents.PES_PRIVATE_DATA_DESCRIPTOR
-        | PlayerEvents.PES_PRIVATE_DATA_ARRIVED,
+        | PlayerEvents.PES_PRIVATE_DATA_ARRIVED
+        | PlayerEvents.PROGRAM_LIST_ARRIVED
+        | PlayerEvents.TRACK_LIST_ARRIVED
+        | PlayerEvents.SDT_ARRIVED
+        | PlayerEvents.EIT_ARRIVED
+        | PlayerEvents.NIT_ARRIVED
+        | PlayerEvents.TDT_TOT_ARRIVED
+        | PlayerEvents.ARIB_CAPTION_ARRIVED
+        | PlayerEvents.DVB_SUBTITLE_ARRIVED
+        | PlayerEvents.TELETEXT_SUBTITLE_ARRIVED
+        | PlayerEvents.CLOSED_CAPTION_ARRIVED
+        | PlayerEvents.PGS_SUBTITLE_FRAME_ARRIVED
+        | PlayerEvents.SECTION_CRC_ERROR
+        | PlayerEvents.TS_ANALYSIS_REPORT
+        | PlayerEvents.DISCONTINUITY
+        | PlayerEvents.KEYFRAMES_INDEX_UPDATED
+        | PlayerEvents.CUE_POINT_ARRIVED
+        | PlayerEvents.TEXT_DATA_ARRIVED
+        | PlayerEvents.CAPTION_DATA_ARRIVED
+        | PlayerEvents.TIMECODE_INFO_ARRIVED,
     extraData: any,
 };
 
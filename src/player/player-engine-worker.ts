@@ -33,6 +33,9 @@ import {
     WorkerCommandPacketUnbufferedSeek,
     WorkerCommandPacketTimeUpdate,
     WorkerCommandPacketReadyStateChange,
+    WorkerCommandPacketSwitchProgram,
+    WorkerCommandPacketSwitchTrack,
+    WorkerCommandPacketSwitchSubtitleLanguage,
 } from './player-engine-worker-cmd-def.js';
 import {
     WorkerMessagePacket,
@@ -129,6 +132,31 @@ const PlayerEngineWorker = (self: DedicatedWorkerGlobalScope) => {
             case 'resume_transmuxer':
                 transmuxer.resume();
                 break;
+            case 'switch_program': {
+                const packet = command_packet as WorkerCommandPacketSwitchProgram;
+                if (transmuxer) {
+                    transmuxer.switchProgram(packet.program_number);
+                } else {
+                    media_data_source.program = packet.program_number;
+                }
+                break;
+            }
+            case 'switch_track': {
+                const packet = command_packet as WorkerCommandPacketSwitchTrack;
+                if (transmuxer) {
+                    transmuxer.switchTrack(packet.track_type, packet.pid);
+                }
+                break;
+            }
+            case 'switch_subtitle_language': {
+                const packet = command_packet as WorkerCommandPacketSwitchSubtitleLanguage;
+                if (transmuxer) {
+                    transmuxer.switchSubtitleLanguage(packet.language);
+                } else {
+                    media_data_source.subtitleLanguage = packet.language;
+                }
+                break;
+            }
         }
     });
 
@@ -233,6 +261,9 @@ const PlayerEngineWorker = (self: DedicatedWorkerGlobalScope) => {
         });
 
         transmuxer.on(TransmuxingEvents.MEDIA_INFO, (mediaInfo: MediaInfo) => {
+            if (!config.isLive && mediaInfo.duration > 0) {
+                mse_controller.updateMediaDuration(mediaInfo.duration / 1000);
+            }
             emitTransmuxingEventsInfo(TransmuxingEvents.MEDIA_INFO, mediaInfo);
         });
         transmuxer.on(TransmuxingEvents.STATISTICS_INFO, (statInfo: any) => {
@@ -273,6 +304,63 @@ const PlayerEngineWorker = (self: DedicatedWorkerGlobalScope) => {
         transmuxer.on(TransmuxingEvents.PES_PRIVATE_DATA_ARRIVED, (private_data: any) => {
             emitPlayerEventsExtraData(PlayerEvents.PES_PRIVATE_DATA_ARRIVED, private_data);
         });
+        transmuxer.on(TransmuxingEvents.PROGRAM_LIST_ARRIVED, (program_list: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.PROGRAM_LIST_ARRIVED, program_list);
+        });
+        transmuxer.on(TransmuxingEvents.TRACK_LIST_ARRIVED, (track_list: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TRACK_LIST_ARRIVED, track_list);
+        });
+        transmuxer.on(TransmuxingEvents.SDT_ARRIVED, (sdt: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.SDT_ARRIVED, sdt);
+        });
+        transmuxer.on(TransmuxingEvents.EIT_ARRIVED, (eit: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.EIT_ARRIVED, eit);
+        });
+        transmuxer.on(TransmuxingEvents.NIT_ARRIVED, (nit: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.NIT_ARRIVED, nit);
+        });
+        transmuxer.on(TransmuxingEvents.TDT_TOT_ARRIVED, (tdt_tot: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TDT_TOT_ARRIVED, tdt_tot);
+        });
+        transmuxer.on(TransmuxingEvents.ARIB_CAPTION_ARRIVED, (arib_caption: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.ARIB_CAPTION_ARRIVED, arib_caption);
+        });
+        transmuxer.on(TransmuxingEvents.DVB_SUBTITLE_ARRIVED, (frame: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.DVB_SUBTITLE_ARRIVED, frame);
+        });
+        transmuxer.on(TransmuxingEvents.TELETEXT_SUBTITLE_ARRIVED, (subtitle: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TELETEXT_SUBTITLE_ARRIVED, subtitle);
+        });
+        transmuxer.on(TransmuxingEvents.CLOSED_CAPTION_ARRIVED, (caption: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.CLOSED_CAPTION_ARRIVED, caption);
+        });
+        transmuxer.on(TransmuxingEvents.PGS_SUBTITLE_FRAME_ARRIVED, (frame: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.PGS_SUBTITLE_FRAME_ARRIVED, frame);
+        });
+        transmuxer.on(TransmuxingEvents.SECTION_CRC_ERROR, (error: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.SECTION_CRC_ERROR, error);
+        });
+        transmuxer.on(TransmuxingEvents.TS_ANALYSIS_REPORT, (report: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TS_ANALYSIS_REPORT, report);
+        });
+        transmuxer.on(TransmuxingEvents.DISCONTINUITY, (discontinuity: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.DISCONTINUITY, discontinuity);
+        });
+        transmuxer.on(TransmuxingEvents.KEYFRAMES_INDEX_UPDATED, (keyframesIndex: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.KEYFRAMES_INDEX_UPDATED, keyframesIndex);
+        });
+        transmuxer.on(TransmuxingEvents.CUE_POINT_ARRIVED, (cuePoint: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.CUE_POINT_ARRIVED, cuePoint);
+        });
+        transmuxer.on(TransmuxingEvents.TEXT_DATA_ARRIVED, (textData: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TEXT_DATA_ARRIVED, textData);
+        });
+        transmuxer.on(TransmuxingEvents.CAPTION_DATA_ARRIVED, (captionData: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.CAPTION_DATA_ARRIVED, captionData);
+        });
+        transmuxer.on(TransmuxingEvents.TIMECODE_INFO_ARRIVED, (timecodeInfo: any) => {
+            emitPlayerEventsExtraData(PlayerEvents.TIMECODE_INFO_ARRIVED, timecodeInfo);
+        });
 
         transmuxer.open();
     }
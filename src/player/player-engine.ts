@@ -17,6 +17,7 @@
  */
 
 import type MediaInfo from "../core/media-info";
+import type { ServiceInformationTables } from "./service-information";
 
 export default interface PlayerEngine {
     destroy(): void;
@@ -29,6 +30,10 @@ export default interface PlayerEngine {
     play(): Promise<void>;
     pause(): void;
     seek(seconds: number): void;
+    switchProgram(program_number: number): void;
+    switchTrack(type: string, pid: number): void;
+    switchSubtitleLanguage(language: string): void;
     readonly mediaInfo: MediaInfo | undefined;
     readonly statisticsInfo: any | undefined;
+    readonly serviceInformation: ServiceInformationTables;
 }
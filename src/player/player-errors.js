@@ -32,8 +32,10 @@ export const ErrorDetails = {
     NETWORK_UNRECOVERABLE_EARLY_EOF: LoaderErrors.UNRECOVERABLE_EARLY_EOF,
 
     MEDIA_MSE_ERROR: 'MediaMSEError',
+    MEDIA_EME_ERROR: 'MediaEMEError',
 
     MEDIA_FORMAT_ERROR: DemuxErrors.FORMAT_ERROR,
     MEDIA_FORMAT_UNSUPPORTED: DemuxErrors.FORMAT_UNSUPPORTED,
-    MEDIA_CODEC_UNSUPPORTED: DemuxErrors.CODEC_UNSUPPORTED
+    MEDIA_CODEC_UNSUPPORTED: DemuxErrors.CODEC_UNSUPPORTED,
+    MEDIA_DECRYPTION_ERROR: DemuxErrors.DECRYPTION_ERROR
 };
\ No newline at end of file
@@ -31,6 +31,25 @@ enum PlayerEvents {
     SCTE35_METADATA_ARRIVED = 'scte35_metadata_arrived',
     PES_PRIVATE_DATA_DESCRIPTOR = 'pes_private_data_descriptor',
     PES_PRIVATE_DATA_ARRIVED = 'pes_private_data_arrived',
+    PROGRAM_LIST_ARRIVED = 'program_list_arrived',
+    TRACK_LIST_ARRIVED = 'track_list_arrived',
+    SDT_ARRIVED = 'sdt_arrived',
+    EIT_ARRIVED = 'eit_arrived',
+    NIT_ARRIVED = 'nit_arrived',
+    TDT_TOT_ARRIVED = 'tdt_tot_arrived',
+    ARIB_CAPTION_ARRIVED = 'arib_caption_arrived',
+    DVB_SUBTITLE_ARRIVED = 'dvb_subtitle_arrived',
+    TELETEXT_SUBTITLE_ARRIVED = 'teletext_subtitle_arrived',
+    CLOSED_CAPTION_ARRIVED = 'closed_caption_arrived',
+    PGS_SUBTITLE_FRAME_ARRIVED = 'pgs_subtitle_frame_arrived',
+    SECTION_CRC_ERROR = 'section_crc_error',
+    TS_ANALYSIS_REPORT = 'ts_analysis_report',
+    DISCONTINUITY = 'discontinuity',
+    KEYFRAMES_INDEX_UPDATED = 'keyframes_index_updated',
+    CUE_POINT_ARRIVED = 'cue_point_arrived',
+    TEXT_DATA_ARRIVED = 'text_data_arrived',
+    CAPTION_DATA_ARRIVED = 'caption_data_arrived',
+    TIMECODE_INFO_ARRIVED = 'timecode_info_arrived',
     STATISTICS_INFO = 'statistics_info',
     DESTROYING = 'destroying'
 };
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type { SDT, EIT, NIT, TDTTOT } from '../demux/dvb-si';
+
+export type ServiceInformationTables = {
+    sdt: SDT[];
+    eit: EIT[];
+    nit: NIT[];
+    tdt_tot: TDTTOT | null;
+};
+
+// Keeps the latest version of each received SDT / EIT / NIT section, and the latest TDT / TOT
+class ServiceInformation {
+
+    private _sdt: Map<string, SDT> = new Map();
+    private _eit: Map<string, EIT> = new Map();
+    private _nit: Map<string, NIT> = new Map();
+    private _tdt_tot: TDTTOT | null = null;
+
+    public reset(): void {
+        this._sdt.clear();
+        this._eit.clear();
+        this._nit.clear();
+        this._tdt_tot = null;
+    }
+
+    public updateSDT(sdt: SDT): void {
+        this._sdt.set(`${sdt.table_id}/${sdt.original_network_id}/${sdt.transport_stream_id}/${sdt.section_number}`, sdt);
+    }
+
+    public updateEIT(eit: EIT): void {
+        this._eit.set(`${eit.table_id}/${eit.original_network_id}/${eit.transport_stream_id}/${eit.service_id}/${eit.section_number}`, eit);
+    }
+
+    public updateNIT(nit: NIT): void {
+        this._nit.set(`${nit.table_id}/${nit.network_id}/${nit.section_number}`, nit);
+    }
+
+    public updateTDTTOT(tdt_tot: TDTTOT): void {
+        this._tdt_tot = tdt_tot;
+    }
+
+    public get tables(): ServiceInformationTables {
+        return {
+            sdt: Array.from(this._sdt.values()),
+            eit: Array.from(this._eit.values()),
+            nit: Array.from(this._nit.values()),
+            tdt_tot: this._tdt_tot
+        };
+    }
+
+}
+
+export default ServiceInformation;
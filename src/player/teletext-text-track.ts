@@ -0,0 +1,143 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger';
+import { TeletextSubtitleData, TeletextType } from '../demux/teletext';
+
+// Teletext subtitles stay on screen until replaced or erased by the next page
+const kMaxCueDuration = 60 * 60;
+// Cues which ended earlier than this (in seconds) before the latest subtitle will be removed
+const kCueRetainDuration = 5 * 60;
+// Teletext pages have 25 rows, row 0 is the page header
+const kRows = 25;
+
+// Publishes decoded Teletext subtitle pages as cues of `subtitles` TextTracks on the media element
+class TeletextTextTrack {
+
+    private readonly TAG: string = 'TeletextTextTrack';
+
+    private _media_element: HTMLMediaElement = null;
+    private _tracks: Map<string, TextTrack> = new Map();
+    private _last_cues: Map<string, VTTCue> = new Map();
+
+    public constructor(media_element: HTMLMediaElement) {
+        this._media_element = media_element;
+    }
+
+    public destroy(): void {
+        this._tracks.clear();
+        this._last_cues.clear();
+        this._media_element = null;
+    }
+
+    public appendSubtitle(subtitle: TeletextSubtitleData): void {
+        let timestamp = subtitle.pts != undefined ? subtitle.pts : subtitle.nearest_pts;
+        if (timestamp == undefined || typeof VTTCue === 'undefined') {
+            return;
+        }
+
+        let key = `${subtitle.pid}/${subtitle.page_number}`;
+        let track = this._getTrack(key, subtitle);
+        if (track == null) {
+            return;
+        }
+
+        let start = timestamp / 1000;
+        let last_cue = this._last_cues.get(key);
+
+        if (last_cue != undefined && last_cue.startTime === start) {
+            // The page is still being received, replace the partial one
+            track.removeCue(last_cue);
+        } else if (last_cue != undefined && last_cue.startTime < start && last_cue.endTime > start) {
+            last_cue.endTime = start;
+        }
+        this._last_cues.delete(key);
+
+        if (subtitle.text.length === 0) {
+            return;
+        }
+
+        if (track.cues != null) {
+            for (let i = 0; i < track.cues.length; i++) {
+                let cue = track.cues[i] as VTTCue;
+                if (cue.startTime === start && cue.text === subtitle.text) {
+                    // Duplicated subtitle after seeking back
+                    return;
+                }
+            }
+        }
+
+        let cue = new VTTCue(start, start + kMaxCueDuration, subtitle.text);
+        let lines = subtitle.lines;
+        // Place the bottom of cue box at the bottom of the last row
+        cue.snapToLines = false;
+        cue.line = Math.min(100, (lines[lines.length - 1].row + 1) / kRows * 100);
+        cue.lineAlign = 'end';
+
+        track.addCue(cue);
+        this._last_cues.set(key, cue);
+        this._removeExpiredCues(track, start);
+    }
+
+    private _getTrack(key: string, subtitle: TeletextSubtitleData): TextTrack | null {
+        let track = this._tracks.get(key);
+        if (track != undefined) {
+            return track;
+        }
+
+        let label = subtitle.teletext_type === TeletextType.kHearingImpairedSubtitlePage
+            ? `Teletext ${subtitle.page_number} (${subtitle.language}, hearing impaired)`
+            : `Teletext ${subtitle.page_number} (${subtitle.language})`;
+
+        // Reuse the track created by previous loading since TextTracks can't be removed
+        let text_tracks = this._media_element.textTracks;
+        for (let i = 0; i < text_tracks.length; i++) {
+            if (text_tracks[i].kind === 'subtitles' && text_tracks[i].label === label) {
+                track = text_tracks[i];
+                break;
+            }
+        }
+
+        if (track == undefined) {
+            try {
+                track = this._media_element.addTextTrack('subtitles', label, subtitle.language);
+            } catch (e) {
+                Log.w(this.TAG, `Failed to create TextTrack: ${e.message}`);
+                return null;
+            }
+        }
+
+        this._tracks.set(key, track);
+        return track;
+    }
+
+    private _removeExpiredCues(track: TextTrack, current: number): void {
+        if (track.cues == null) {
+            return;
+        }
+        let expired: TextTrackCue[] = [];
+        for (let i = 0; i < track.cues.length; i++) {
+            let cue = track.cues[i];
+            if (cue.endTime < current - kCueRetainDuration) {
+                expired.push(cue);
+            }
+        }
+        expired.forEach((cue) => track.removeCue(cue));
+    }
+
+}
+
+export default TeletextTextTrack;
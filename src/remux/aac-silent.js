@@ -35,7 +35,7 @@ class AAC {
             } else if (channelCount === 6) {
                 return new Uint8Array([0x00, 0xc8, 0x00, 0x80, 0x20, 0x84, 0x01, 0x26, 0x40, 0x08, 0x64, 0x00, 0x82, 0x30, 0x04, 0x99, 0x00, 0x21, 0x90, 0x02, 0x00, 0xb2, 0x00, 0x20, 0x08, 0xe0]);
             }
-        } else {
+        } else if (codec === 'mp4a.40.5' || codec === 'mp4a.40.29') {
             // handle HE-AAC (mp4a.40.5 / mp4a.40.29)
             if (channelCount === 1) {
                 // ffmpeg -y -f lavfi -i "aevalsrc=0:d=0.05" -c:a libfdk_aac -profile:a aac_he -b:a 4k output.aac && hexdump -v -e '16/1 "0x%x," "\n"' -v output.aac
@@ -25,6 +25,7 @@ class MP4 {
             avc1: [], avcC: [], btrt: [], dinf: [],
             dref: [], esds: [], ftyp: [], hdlr: [],
             hvc1: [], hvcC: [], av01: [], av1C: [],
+            vp09: [], vpcC: [],
             mdat: [], mdhd: [], mdia: [], mfhd: [],
             minf: [], moof: [], moov: [], mp4a: [],
             mvex: [], mvhd: [], sdtp: [], stbl: [],
@@ -36,6 +37,9 @@ class MP4 {
             Opus: [], dOps: [], fLaC: [], dfLa: [],
             ipcm: [], pcmC: [],
             'ac-3': [], dac3: [], 'ec-3': [], dec3: [],
+            encv: [], enca: [], sinf: [], frma: [],
+            schm: [], schi: [], tenc: [], pssh: [],
+            senc: [], saiz: [], saio: [],
         };
 
         for (let name in MP4.types) {
@@ -63,6 +67,12 @@ class MP4 {
             0x00, 0x00, 0x00, 0x01   // entry_count
         ]);
 
+        // SystemID of Common PSSH box format (W3C), which contains key IDs only
+        constants.COMMON_SYSTEM_ID = new Uint8Array([
+            0x10, 0x77, 0xEF, 0xEC, 0xC0, 0xB2, 0x4D, 0x02,
+            0xAC, 0xE3, 0x3C, 0x1E, 0x52, 0xE2, 0xFB, 0x4B
+        ]);
+
         constants.STTS = new Uint8Array([
             0x00, 0x00, 0x00, 0x00,  // version(0) + flags
             0x00, 0x00, 0x00, 0x00   // entry_count
@@ -167,9 +177,24 @@ class MP4 {
         let mvhd = MP4.mvhd(meta.timescale, meta.duration);
         let trak = MP4.trak(meta);
         let mvex = MP4.mvex(meta);
+        if (meta.encryption) {
+            let pssh = [MP4.pssh(meta.encryption.keyId)].concat(meta.encryption.pssh || []);
+            return MP4.box.apply(null, [MP4.types.moov, mvhd, trak, mvex].concat(pssh));
+        }
         return MP4.box(MP4.types.moov, mvhd, trak, mvex);
     }
 
+    // Protection System Specific Header box (version 1) of Common PSSH box format
+    static pssh(keyId) {
+        let data = new Uint8Array(4 + 16 + 4 + 16 + 4);
+        data[0] = 0x01;  // version(1) + flags
+        data.set(MP4.constants.COMMON_SYSTEM_ID, 4);
+        data[23] = 0x01;  // KID_count
+        data.set(keyId, 24);
+        // DataSize: 0
+        return MP4.box(MP4.types.pssh, data);
+    }
+
     // Movie header box
     static mvhd(timescale, duration) {
         return MP4.box(MP4.types.mvhd, new Uint8Array([
@@ -322,31 +347,75 @@ class MP4 {
 
     // Sample description box
     static stsd(meta) {
+        let entry = MP4.sampleEntry(meta);
+        if (meta.type === 'audio' && meta.channelLayout && meta.codec !== 'ipcm') {  // ipcm has chnl already
+            entry = MP4.box(entry.subarray(4, 8), entry.subarray(8), MP4.chnl(meta));
+        }
+        if (meta.encryption) {
+            entry = MP4.protectedSampleEntry(entry, meta);
+        }
+        return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, entry);
+    }
+
+    static sampleEntry(meta) {
         if (meta.type === 'audio') {
             if (meta.codec === 'mp3') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.mp3(meta));
+                return MP4.mp3(meta);
             } else if (meta.codec === 'ac-3') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ac3(meta));
+                return MP4.ac3(meta);
             } else if (meta.codec === 'ec-3') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ec3(meta));
+                return MP4.ec3(meta);
             } else if(meta.codec === 'opus') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.Opus(meta));
+                return MP4.Opus(meta);
             } else if (meta.codec == 'flac') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.fLaC(meta));
+                return MP4.fLaC(meta);
             } else if (meta.codec == 'ipcm') {
-                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ipcm(meta));
+                return MP4.ipcm(meta);
             }
             // else: aac -> mp4a
-            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.mp4a(meta));
+            return MP4.mp4a(meta);
         } else if (meta.type === 'video' && meta.codec.startsWith('hvc1')) {
-            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.hvc1(meta));
+            return MP4.hvc1(meta);
         } else if (meta.type === 'video' && meta.codec.startsWith('av01')) {
-            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.av01(meta));
+            return MP4.av01(meta);
+        } else if (meta.type === 'video' && meta.codec.startsWith('vp09')) {
+            return MP4.vp09(meta);
         } else {
-            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.avc1(meta));
+            return MP4.avc1(meta);
         }
     }
 
+    // 'encv' / 'enca' sample entry with the same content, and the original format in Protection Scheme Info box
+    static protectedSampleEntry(entry, meta) {
+        let type = meta.type === 'video' ? MP4.types.encv : MP4.types.enca;
+        return MP4.box(type, entry.subarray(8), MP4.sinf(entry.subarray(4, 8), meta.encryption));
+    }
+
+    static sinf(format, encryption) {
+        let frma = MP4.box(MP4.types.frma, format);
+        let schm = MP4.box(MP4.types.schm, new Uint8Array([
+            0x00, 0x00, 0x00, 0x00,  // version(0) + flags
+            0x63, 0x62, 0x63, 0x73,  // scheme_type: 'cbcs'
+            0x00, 0x01, 0x00, 0x00   // scheme_version: 1.0
+        ]));
+        let schi = MP4.box(MP4.types.schi, MP4.tenc(encryption));
+        return MP4.box(MP4.types.sinf, frma, schm, schi);
+    }
+
+    // Track Encryption box (version 1) with constant IV, as IVs are not carried in samples
+    static tenc(encryption) {
+        let data = new Uint8Array(4 + 4 + 16 + 1 + 16);
+        data[0] = 0x01;  // version(1) + flags
+        // reserved: 1 byte
+        data[5] = (encryption.cryptByteBlock << 4) | encryption.skipByteBlock;
+        data[6] = 0x01;  // default_isProtected
+        data[7] = 0x00;  // default_Per_Sample_IV_Size
+        data.set(encryption.keyId, 8);  // default_KID
+        data[24] = 16;  // default_constant_IV_size
+        data.set(encryption.iv, 25);  // default_constant_IV
+        return MP4.box(MP4.types.tenc, data);
+    }
+
     static mp3(meta) {
         let channelCount = meta.channelCount;
         let sampleRate = meta.audioSampleRate;
@@ -430,33 +499,41 @@ class MP4 {
     static esds(meta) {
         let config = meta.config || [];
         let configSize = config.length;
-        let data = new Uint8Array([
-            0x00, 0x00, 0x00, 0x00,  // version 0 + flags
-
-            0x03,                    // descriptor_type
-            0x17 + configSize,       // length3
-            0x00, 0x01,              // es_id
-            0x00,                    // stream_priority
-
-            0x04,                    // descriptor_type
-            0x0F + configSize,       // length
+        // DecoderSpecificInfo of USAC may exceed 127 bytes, which needs multi-byte descriptor sizes
+        let decSpecificInfo = [0x05].concat(MP4.descriptorSize(configSize)).concat(config);
+        let decoderConfig = [
             0x40,                    // codec: mpeg4_audio
             0x15,                    // stream_type: Audio
             0x00, 0x00, 0x00,        // buffer_size
             0x00, 0x00, 0x00, 0x00,  // maxBitrate
-            0x00, 0x00, 0x00, 0x00,  // avgBitrate
-
-            0x05                     // descriptor_type
-        ].concat([
-            configSize
-        ]).concat(
-            config
-        ).concat([
-            0x06, 0x01, 0x02         // GASpecificConfig
-        ]));
+            0x00, 0x00, 0x00, 0x00   // avgBitrate
+        ].concat(decSpecificInfo);
+        let esDescriptor = [
+            0x00, 0x01,              // es_id
+            0x00,                    // stream_priority
+
+            0x04                     // descriptor_type
+        ].concat(MP4.descriptorSize(decoderConfig.length)).concat(decoderConfig).concat([
+            0x06, 0x01, 0x02         // SLConfigDescriptor
+        ]);
+
+        let data = new Uint8Array([
+            0x00, 0x00, 0x00, 0x00,  // version 0 + flags
+
+            0x03                     // descriptor_type
+        ].concat(MP4.descriptorSize(esDescriptor.length)).concat(esDescriptor));
         return MP4.box(MP4.types.esds, data);
     }
 
+    // sizeOfInstance of ISO/IEC 14496-1 descriptors, 7 bits per byte
+    static descriptorSize(size) {
+        let bytes = [size & 0x7F];
+        while ((size >>>= 7) > 0) {
+            bytes.unshift(0x80 | (size & 0x7F));
+        }
+        return bytes;
+    }
+
     static Opus(meta) {
         let channelCount = meta.channelCount;
         let sampleRate = meta.audioSampleRate;
@@ -608,6 +685,14 @@ class MP4 {
     }
 
     static chnl(meta) {
+        if (meta.channelLayout) {
+            // definedLayout 0, followed by speaker_position (ISO/IEC 23091-3) of every channel
+            let positions = meta.channelLayout;
+            let data = new Uint8Array(4 + 2 + positions.length);
+            data[4] = 0x01;  // Channel Based Layout
+            data.set(positions, 6);
+            return MP4.box(MP4.types.chnl, data);
+        }
         let data = new Uint8Array([
             0x00, 0x00, 0x00, 0x00, // version, flag
             0x01, // Channel Based Layout
@@ -729,6 +814,48 @@ class MP4 {
         return MP4.box(MP4.types.av01, data, MP4.box(MP4.types.av1C, av1c));
     }
 
+    static vp09(meta) {
+        let vpcc = meta.vpcc;
+        let width = meta.codecWidth || 192, height = meta.codecHeight || 108;
+
+        let data = new Uint8Array([
+            0x00, 0x00, 0x00, 0x00,  // reserved(4)
+            0x00, 0x00, 0x00, 0x01,  // reserved(2) + data_reference_index(2)
+            0x00, 0x00, 0x00, 0x00,  // pre_defined(2) + reserved(2)
+            0x00, 0x00, 0x00, 0x00,  // pre_defined: 3 * 4 bytes
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00,
+            (width >>> 8) & 0xFF,    // width: 2 bytes
+            (width) & 0xFF,
+            (height >>> 8) & 0xFF,   // height: 2 bytes
+            (height) & 0xFF,
+            0x00, 0x48, 0x00, 0x00,  // horizresolution: 4 bytes
+            0x00, 0x48, 0x00, 0x00,  // vertresolution: 4 bytes
+            0x00, 0x00, 0x00, 0x00,  // reserved: 4 bytes
+            0x00, 0x01,              // frame_count
+            0x0A,                    // strlen
+            0x78, 0x71, 0x71, 0x2F,  // compressorname: 32 bytes
+            0x66, 0x6C, 0x76, 0x2E,
+            0x6A, 0x73, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00,
+            0x00, 0x18,              // depth
+            0xFF, 0xFF               // pre_defined = -1
+        ]);
+        return MP4.box(MP4.types.vp09, data, MP4.vpcC(vpcc));
+    }
+
+    // VPCodecConfigurationBox, version 1
+    static vpcC(vpcc) {
+        let data = new Uint8Array(4 + vpcc.byteLength);
+        data[0] = 0x01;  // version 1 + flags
+        data.set(vpcc, 4);
+        return MP4.box(MP4.types.vpcC, data);
+    }
+
     // Movie Extends box
     static mvex(meta) {
         return MP4.box(MP4.types.mvex, MP4.trex(meta));
@@ -788,11 +915,104 @@ class MP4 {
             (baseMediaDecodeTime) & 0xFF
         ]));
         let sdtp = MP4.sdtp(track);
+
+        if (MP4.isEncrypted(track)) {
+            let senc = MP4.senc(track);
+            let saiz = MP4.saiz(track);
+            let trunSize = 8 + 12 + 16 * track.samples.length;
+            // Offset of the first sample in senc from the beginning of moof
+            let saio = MP4.saio(8 + 16 + 8 + 16 + 16 + trunSize + sdtp.byteLength + saiz.byteLength + 20 + 16);
+            let auxiliarySize = saiz.byteLength + saio.byteLength + senc.byteLength;
+            let trun = MP4.trun(track, sdtp.byteLength + auxiliarySize + 16 + 16 + 8 + 16 + 8 + 8);
+
+            return MP4.box(MP4.types.traf, tfhd, tfdt, trun, sdtp, saiz, saio, senc);
+        }
+
         let trun = MP4.trun(track, sdtp.byteLength + 16 + 16 + 8 + 16 + 8 + 8);
 
         return MP4.box(MP4.types.traf, tfhd, tfdt, trun, sdtp);
     }
 
+    static isEncrypted(track) {
+        let samples = track.samples || [];
+        return samples.some((sample) => sample.subsamples != null);
+    }
+
+    // Subsamples of the sample, samples without them (e.g. inserted silent frames) are entirely in clear
+    static subsamples(sample) {
+        if (sample.subsamples != null) {
+            return sample.subsamples;
+        }
+        let subsamples = [];
+        let clearBytes = sample.size;
+        do {
+            let bytes = Math.min(clearBytes, 0xFFFF);
+            subsamples.push({clearBytes: bytes, protectedBytes: 0});
+            clearBytes -= bytes;
+        } while (clearBytes > 0);
+        return subsamples;
+    }
+
+    // Sample Encryption box with subsamples only, IVs are constant in tenc
+    static senc(track) {
+        let samples = track.samples;
+        let sampleCount = samples.length;
+        let dataSize = 8;
+        for (let i = 0; i < sampleCount; i++) {
+            dataSize += 2 + 6 * MP4.subsamples(samples[i]).length;
+        }
+
+        let data = new Uint8Array(dataSize);
+        let v = new DataView(data.buffer);
+        v.setUint32(0, 0x00000002);  // version(0) + flags: UseSubSampleEncryption
+        v.setUint32(4, sampleCount);
+
+        let offset = 8;
+        for (let i = 0; i < sampleCount; i++) {
+            let subsamples = MP4.subsamples(samples[i]);
+            v.setUint16(offset, subsamples.length);
+            offset += 2;
+            for (let j = 0; j < subsamples.length; j++) {
+                v.setUint16(offset, subsamples[j].clearBytes);
+                v.setUint32(offset + 2, subsamples[j].protectedBytes);
+                offset += 6;
+            }
+        }
+        return MP4.box(MP4.types.senc, data);
+    }
+
+    // Sample Auxiliary Information Sizes box, sizes of senc entries
+    static saiz(track) {
+        let samples = track.samples;
+        let sampleCount = samples.length;
+        let sizes = samples.map((sample) => 2 + 6 * MP4.subsamples(sample).length);
+        let uniform = sizes.every((size) => size === sizes[0]);
+
+        let data = new Uint8Array(4 + 1 + 4 + (uniform ? 0 : sampleCount));
+        // 0~4 bytes: version(0) & flags
+        data[4] = uniform ? sizes[0] : 0;  // default_sample_info_size
+        new DataView(data.buffer).setUint32(5, sampleCount);
+        if (!uniform) {
+            for (let i = 0; i < sampleCount; i++) {
+                data[9 + i] = sizes[i];
+            }
+        }
+        return MP4.box(MP4.types.saiz, data);
+    }
+
+    // Sample Auxiliary Information Offsets box, with one offset for senc entries of the whole track fragment
+    static saio(offset) {
+        let data = new Uint8Array([
+            0x00, 0x00, 0x00, 0x00,  // version(0) & flags
+            0x00, 0x00, 0x00, 0x01,  // entry_count
+            (offset >>> 24) & 0xFF,  // offset
+            (offset >>> 16) & 0xFF,
+            (offset >>>  8) & 0xFF,
+            (offset) & 0xFF
+        ]);
+        return MP4.box(MP4.types.saio, data);
+    }
+
     // Sample Dependency Type box
     static sdtp(track) {
         let samples = track.samples || [];
@@ -23,6 +23,22 @@ import Browser from '../utils/browser.js';
 import { SampleInfo, MediaSegmentInfo, MediaSegmentInfoList } from '../core/media-segment-info.js';
 import { IllegalStateException } from '../utils/exception.js';
 
+// pssh box in config may be given as ArrayBuffer, TypedArray or base64 string
+function toPSSHBox(value) {
+    if (typeof value === 'string') {
+        let binary = atob(value);
+        let box = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            box[i] = binary.charCodeAt(i);
+        }
+        return box;
+    } else if (value instanceof ArrayBuffer) {
+        return new Uint8Array(value);
+    } else if (value != null && ArrayBuffer.isView(value)) {
+        return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+    return null;
+}
 
 // Fragmented mp4 remuxer
 class MP4Remuxer {
@@ -39,6 +55,14 @@ class MP4Remuxer {
         this._videoDtsBase = Infinity;
         this._audioNextDts = undefined;
         this._videoNextDts = undefined;
+        // Added to original dts of each track after timestamp discontinuities, to keep the output timeline continuous
+        this._audioTimestampOffset = 0;
+        this._videoTimestampOffset = 0;
+        // Offset for the other track, applied when its own discontinuity of the same clock change arrives
+        this._pendingTimestampOffset = null;
+        // Applied discontinuities {type, originalDts, outputDts, offset},
+        // to restore offsets on seeking and to reuse them when the same discontinuity is parsed again
+        this._timestampDiscontinuities = [];
         this._audioStashedLastSample = null;
         this._videoStashedLastSample = null;
 
@@ -122,7 +146,100 @@ class MP4Remuxer {
         this._audioNextDts = this._videoNextDts = undefined;
     }
 
-    seek(originalDts) {
+    // Called when original timestamps of a track jump (e.g. encoder restart), before samples after the jump arrive.
+    // originalDts is the dts of the first sample after the jump, in milliseconds.
+    // If rebase is true, both tracks continue from the earliest next dts of them with a shared offset to keep A/V sync,
+    // otherwise (e.g. a gap in the stream) the original timeline is kept.
+    // Returns the dts in output timeline where the track continues, or undefined if not determined yet
+    insertTimestampDiscontinuity(type, originalDts, rebase) {
+        if (!this._dtsBaseInited) {
+            // dtsBase will be calculated from samples after the jump
+            return undefined;
+        }
+
+        // Stashed sample belongs to the previous timeline, don't merge it with following samples
+        if (type === 'video') {
+            this._flushStashedVideoSample();
+        } else {
+            this._flushStashedAudioSample();
+        }
+
+        let applied = this._timestampDiscontinuities.filter((d) => d.type === type && d.originalDts === originalDts)[0];
+        if (applied != undefined) {
+            // Parsed again after seeking backward
+            this._pendingTimestampOffset = null;
+            this._setTimestampOffset(type, applied.offset);
+            return applied.outputDts;
+        }
+
+        let offset = type === 'video' ? this._videoTimestampOffset : this._audioTimestampOffset;
+        let pending = this._pendingTimestampOffset;
+        this._pendingTimestampOffset = null;
+
+        if (pending != null && pending.type === type) {
+            // The other track has been rebased for the same clock change
+            offset = pending.offset;
+        } else if (rebase) {
+            let nextDts = [this._audioNextDts, this._videoNextDts].filter((dts) => dts != undefined);
+            if (nextDts.length === 0) {
+                return undefined;
+            }
+            offset = Math.min.apply(null, nextDts) - (originalDts - this._dtsBase);
+
+            let otherNextDts = type === 'video' ? this._audioNextDts : this._videoNextDts;
+            if (otherNextDts != undefined) {
+                this._pendingTimestampOffset = {type: type === 'video' ? 'audio' : 'video', offset};
+            }
+        }
+
+        this._setTimestampOffset(type, offset);
+
+        let outputDts = originalDts - this._dtsBase + offset;
+        this._timestampDiscontinuities.push({type, originalDts, outputDts, offset});
+        Log.v(this.TAG, `${rebase ? 'Rebased' : 'Kept'} ${type} timestamps: ${originalDts}ms -> ${outputDts}ms`);
+        return outputDts;
+    }
+
+    _setTimestampOffset(type, offset) {
+        if (type === 'video') {
+            this._videoTimestampOffset = offset;
+        } else {
+            this._audioTimestampOffset = offset;
+        }
+    }
+
+    // Returns the offset of the track which keyframes are indexed on (video, or audio if video is absent),
+    // applied at outputDts in output timeline, or the current one if outputDts is undefined
+    getTimestampOffset(outputDts) {
+        let type = this._videoMeta != null ? 'video' : 'audio';
+        if (outputDts == undefined) {
+            return type === 'video' ? this._videoTimestampOffset : this._audioTimestampOffset;
+        }
+        return this._getTimestampOffsetAt(type, outputDts);
+    }
+
+    // Discontinuities may be applied out of order, e.g. after seeking forward over one of them
+    _getTimestampOffsetAt(type, outputDts) {
+        let latest = null;
+        this._timestampDiscontinuities.forEach((d) => {
+            if (d.type === type && d.outputDts <= outputDts && (latest == null || d.outputDts >= latest.outputDts)) {
+                latest = d;
+            }
+        });
+        return latest != null ? latest.offset : 0;
+    }
+
+    // outputDts is the seeking target in output timeline, offsets of the discontinuities before it are restored
+    // as following samples are on the same timeline as those buffered before. Undefined for the beginning
+    seek(outputDts) {
+        if (outputDts == undefined) {
+            this._audioTimestampOffset = 0;
+            this._videoTimestampOffset = 0;
+        } else {
+            this._audioTimestampOffset = this._getTimestampOffsetAt('audio', outputDts);
+            this._videoTimestampOffset = this._getTimestampOffsetAt('video', outputDts);
+        }
+        this._pendingTimestampOffset = null;
         this._audioStashedLastSample = null;
         this._videoStashedLastSample = null;
         this._videoSegmentInfoList.clear();
@@ -150,6 +267,10 @@ class MP4Remuxer {
         let container = 'mp4';
         let codec = metadata.codec;
 
+        if (metadata.encryption) {
+            metadata.encryption.pssh = this._getConfiguredPSSHBoxes();
+        }
+
         if (type === 'audio') {
             this._audioMeta = metadata;
             if (metadata.codec === 'mp3' && this._mp3UseMpegAudio) {
@@ -201,12 +322,17 @@ class MP4Remuxer {
         if (!this._dtsBaseInited) {
             return undefined;
         }
-        return this._dtsBase;
+        // Follow the rebased timeline of video (or audio if video is absent)
+        return this._dtsBase - this.getTimestampOffset();
     }
 
     flushStashedSamples() {
+        this._flushStashedVideoSample();
+        this._flushStashedAudioSample();
+    }
+
+    _flushStashedVideoSample() {
         let videoSample = this._videoStashedLastSample;
-        let audioSample = this._audioStashedLastSample;
 
         let videoTrack = {
             type: 'video',
@@ -221,6 +347,13 @@ class MP4Remuxer {
             videoTrack.length = videoSample.length;
         }
 
+        this._videoStashedLastSample = null;
+        this._remuxVideo(videoTrack, true);
+    }
+
+    _flushStashedAudioSample() {
+        let audioSample = this._audioStashedLastSample;
+
         let audioTrack = {
             type: 'audio',
             id: 2,
@@ -234,10 +367,7 @@ class MP4Remuxer {
             audioTrack.length = audioSample.length;
         }
 
-        this._videoStashedLastSample = null;
         this._audioStashedLastSample = null;
-
-        this._remuxVideo(videoTrack, true);
         this._remuxAudio(audioTrack, true);
     }
 
@@ -304,7 +434,8 @@ class MP4Remuxer {
         }
 
 
-        let firstSampleOriginalDts = samples[0].dts - this._dtsBase;
+        let dtsBase = this._dtsBase - this._audioTimestampOffset;
+        let firstSampleOriginalDts = samples[0].dts - dtsBase;
 
         // calculate dtsCorrection
         if (this._audioNextDts) {
@@ -356,7 +487,7 @@ class MP4Remuxer {
         for (let i = 0; i < samples.length; i++) {
             let sample = samples[i];
             let unit = sample.unit;
-            let originalDts = sample.dts - this._dtsBase;
+            let originalDts = sample.dts - dtsBase;
             let dts = originalDts;
             let needFillSilentFrames = false;
             let silentFrames = null;
@@ -442,11 +573,11 @@ class MP4Remuxer {
 
 
                 if (i !== samples.length - 1) {
-                    let nextDts = samples[i + 1].dts - this._dtsBase - dtsCorrection;
+                    let nextDts = samples[i + 1].dts - dtsBase - dtsCorrection;
                     sampleDuration = nextDts - dts;
                 } else {  // the last sample
                     if (lastSample != null) {  // use stashed sample's dts to calculate sample duration
-                        let nextDts = lastSample.dts - this._dtsBase - dtsCorrection;
+                        let nextDts = lastSample.dts - dtsBase - dtsCorrection;
                         sampleDuration = nextDts - dts;
                     } else if (mp4Samples.length >= 1) {  // use second last sample duration
                         sampleDuration = mp4Samples[mp4Samples.length - 1].duration;
@@ -468,6 +599,7 @@ class MP4Remuxer {
                 size: sample.unit.byteLength,
                 duration: sampleDuration,
                 originalDts: originalDts,
+                subsamples: sample.subsamples,
                 flags: {
                     isLeading: 0,
                     dependsOn: 1,
@@ -617,7 +749,8 @@ class MP4Remuxer {
         }
 
 
-        let firstSampleOriginalDts = samples[0].dts - this._dtsBase;
+        let dtsBase = this._dtsBase - this._videoTimestampOffset;
+        let firstSampleOriginalDts = samples[0].dts - dtsBase;
 
         // calculate dtsCorrection
         if (this._videoNextDts) {
@@ -646,7 +779,7 @@ class MP4Remuxer {
         // Correct dts for each sample, and calculate sample duration. Then output to mp4Samples
         for (let i = 0; i < samples.length; i++) {
             let sample = samples[i];
-            let originalDts = sample.dts - this._dtsBase;
+            let originalDts = sample.dts - dtsBase;
             let isKeyframe = sample.isKeyframe;
             let dts = originalDts - dtsCorrection;
             let cts = sample.cts;
@@ -660,11 +793,11 @@ class MP4Remuxer {
             let sampleDuration = 0;
 
             if (i !== samples.length - 1) {
-                let nextDts = samples[i + 1].dts - this._dtsBase - dtsCorrection;
+                let nextDts = samples[i + 1].dts - dtsBase - dtsCorrection;
                 sampleDuration = nextDts - dts;
             } else {  // the last sample
                 if (lastSample != null) {  // use stashed sample's dts to calculate sample duration
-                    let nextDts = lastSample.dts - this._dtsBase - dtsCorrection;
+                    let nextDts = lastSample.dts - dtsBase - dtsCorrection;
                     sampleDuration = nextDts - dts;
                 } else if (mp4Samples.length >= 1) {  // use second last sample duration
                     sampleDuration = mp4Samples[mp4Samples.length - 1].duration;
@@ -688,6 +821,7 @@ class MP4Remuxer {
                 isKeyframe: isKeyframe,
                 duration: sampleDuration,
                 originalDts: originalDts,
+                subsamples: sample.subsamples,
                 flags: {
                     isLeading: 0,
                     dependsOn: isKeyframe ? 2 : 1,
@@ -766,6 +900,24 @@ class MP4Remuxer {
         });
     }
 
+    // pssh boxes of key systems in config.emeKeySystems, added to the one of Common PSSH box format in init segments
+    _getConfiguredPSSHBoxes() {
+        let keySystems = this._config.emeKeySystems || {};
+        let boxes = [];
+
+        for (let keySystem in keySystems) {
+            if (keySystems.hasOwnProperty(keySystem) && keySystems[keySystem] && keySystems[keySystem].pssh) {
+                let box = toPSSHBox(keySystems[keySystem].pssh);
+                if (box == null) {
+                    Log.w(this.TAG, `Invalid pssh of ${keySystem}, ignored`);
+                    continue;
+                }
+                boxes.push(box);
+            }
+        }
+        return boxes;
+    }
+
     _mergeBoxes(moof, mdat) {
         let result = new Uint8Array(moof.byteLength + mdat.byteLength);
         result.set(moof, 0);
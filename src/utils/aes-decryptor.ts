@@ -0,0 +1,199 @@
+/*
+ * Copyright (C) 2026 mpegts.js contributors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Software AES (FIPS-197) decryption in CBC mode without padding,
+// for environments without WebCrypto and for SAMPLE-AES which must be decrypted synchronously while demuxing
+
+let sbox_: Uint8Array = null;
+let inv_sbox_: Uint8Array = null;
+// Inverse cipher tables, InvMixColumns(InvSubBytes) of a column, rotated by 0 / 8 / 16 / 24 bits
+let inv_tables_: Uint32Array[] = null;
+
+const xtime = (x: number): number => {
+    return ((x << 1) ^ (x & 0x80 ? 0x1B : 0)) & 0xFF;
+};
+
+const multiply = (x: number, y: number): number => {
+    let result = 0;
+    for (; y > 0; y >>>= 1, x = xtime(x)) {
+        if (y & 1) {
+            result ^= x;
+        }
+    }
+    return result;
+};
+
+const initTables = (): void => {
+    if (sbox_ != null) {
+        return;
+    }
+
+    let sbox = new Uint8Array(256);
+    let inv_sbox = new Uint8Array(256);
+    let rotl8 = (x: number, shift: number) => ((x << shift) | (x >>> (8 - shift))) & 0xFF;
+
+    // p walks through every non-zero element by multiplying 3, q is its multiplicative inverse
+    let p = 1, q = 1;
+    do {
+        p = p ^ xtime(p);
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xFF;
+        if (q & 0x80) {
+            q ^= 0x09;
+        }
+        sbox[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+    } while (p !== 1);
+    sbox[0] = 0x63;
+
+    for (let i = 0; i < 256; i++) {
+        inv_sbox[sbox[i]] = i;
+    }
+
+    let tables = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+    for (let i = 0; i < 256; i++) {
+        let s = inv_sbox[i];
+        let word = ((multiply(s, 0x0E) << 24) | (multiply(s, 0x09) << 16) | (multiply(s, 0x0D) << 8) | multiply(s, 0x0B)) >>> 0;
+        for (let t = 0; t < 4; t++) {
+            tables[t][i] = word;
+            word = ((word >>> 8) | (word << 24)) >>> 0;
+        }
+    }
+
+    sbox_ = sbox;
+    inv_sbox_ = inv_sbox;
+    inv_tables_ = tables;
+};
+
+export class AESDecryptor {
+
+    private rounds_: number;
+    // decryption round keys of the equivalent inverse cipher, 4 words per round
+    private round_keys_: Uint32Array;
+
+    public constructor(key: Uint8Array) {
+        if (key.byteLength !== 16 && key.byteLength !== 24 && key.byteLength !== 32) {
+            throw new Error(`AESDecryptor: Invalid key length ${key.byteLength}`);
+        }
+        initTables();
+        this.expandKey(key);
+    }
+
+    // Decrypts data whose length is a multiple of 16 bytes in CBC mode.
+    // iv is updated to the last ciphertext block, so that subsequent data continues the chain.
+    // output may be the same as data for in-place decryption.
+    public decryptCBC(data: Uint8Array, iv: Uint8Array, output: Uint8Array = new Uint8Array(data.byteLength)): Uint8Array {
+        let length = data.byteLength - data.byteLength % 16;
+        let iv0 = this.readWord(iv, 0), iv1 = this.readWord(iv, 4), iv2 = this.readWord(iv, 8), iv3 = this.readWord(iv, 12);
+        let block = new Uint32Array(4);
+
+        for (let offset = 0; offset < length; offset += 16) {
+            let c0 = this.readWord(data, offset), c1 = this.readWord(data, offset + 4);
+            let c2 = this.readWord(data, offset + 8), c3 = this.readWord(data, offset + 12);
+
+            this.decryptBlock(c0, c1, c2, c3, block);
+
+            this.writeWord(output, offset, block[0] ^ iv0);
+            this.writeWord(output, offset + 4, block[1] ^ iv1);
+            this.writeWord(output, offset + 8, block[2] ^ iv2);
+            this.writeWord(output, offset + 12, block[3] ^ iv3);
+
+            iv0 = c0; iv1 = c1; iv2 = c2; iv3 = c3;
+        }
+
+        this.writeWord(iv, 0, iv0);
+        this.writeWord(iv, 4, iv1);
+        this.writeWord(iv, 8, iv2);
+        this.writeWord(iv, 12, iv3);
+
+        return output;
+    }
+
+    private expandKey(key: Uint8Array): void {
+        let key_words = key.byteLength / 4;
+        let rounds = this.rounds_ = key_words + 6;
+        let total_words = 4 * (rounds + 1);
+        let sbox = sbox_;
+
+        let words = new Uint32Array(total_words);
+        let rcon = 1;
+        for (let i = 0; i < total_words; i++) {
+            if (i < key_words) {
+                words[i] = this.readWord(key, i * 4);
+                continue;
+            }
+            let temp = words[i - 1];
+            if (i % key_words === 0) {
+                // RotWord, SubWord and Rcon
+                temp = (sbox[(temp >>> 16) & 0xFF] << 24) | (sbox[(temp >>> 8) & 0xFF] << 16) | (sbox[temp & 0xFF] << 8) | sbox[temp >>> 24];
+                temp ^= rcon << 24;
+                rcon = xtime(rcon);
+            } else if (key_words > 6 && i % key_words === 4) {
+                temp = (sbox[temp >>> 24] << 24) | (sbox[(temp >>> 16) & 0xFF] << 16) | (sbox[(temp >>> 8) & 0xFF] << 8) | sbox[temp & 0xFF];
+            }
+            words[i] = (words[i - key_words] ^ temp) >>> 0;
+        }
+
+        // Round keys in reverse order, with InvMixColumns applied except the first and the last round
+        let [t0, t1, t2, t3] = inv_tables_;
+        let round_keys = this.round_keys_ = new Uint32Array(total_words);
+        for (let round = 0; round <= rounds; round++) {
+            for (let j = 0; j < 4; j++) {
+                let w = words[(rounds - round) * 4 + j];
+                if (round > 0 && round < rounds) {
+                    w = t0[sbox[w >>> 24]] ^ t1[sbox[(w >>> 16) & 0xFF]] ^ t2[sbox[(w >>> 8) & 0xFF]] ^ t3[sbox[w & 0xFF]];
+                }
+                round_keys[round * 4 + j] = w >>> 0;
+            }
+        }
+    }
+
+    private decryptBlock(s0: number, s1: number, s2: number, s3: number, out: Uint32Array): void {
+        let [t0, t1, t2, t3] = inv_tables_;
+        let inv_sbox = inv_sbox_;
+        let keys = this.round_keys_;
+
+        s0 ^= keys[0]; s1 ^= keys[1]; s2 ^= keys[2]; s3 ^= keys[3];
+
+        for (let round = 1; round < this.rounds_; round++) {
+            let k = round * 4;
+            let r0 = t0[s0 >>> 24] ^ t1[(s3 >>> 16) & 0xFF] ^ t2[(s2 >>> 8) & 0xFF] ^ t3[s1 & 0xFF] ^ keys[k];
+            let r1 = t0[s1 >>> 24] ^ t1[(s0 >>> 16) & 0xFF] ^ t2[(s3 >>> 8) & 0xFF] ^ t3[s2 & 0xFF] ^ keys[k + 1];
+            let r2 = t0[s2 >>> 24] ^ t1[(s1 >>> 16) & 0xFF] ^ t2[(s0 >>> 8) & 0xFF] ^ t3[s3 & 0xFF] ^ keys[k + 2];
+            let r3 = t0[s3 >>> 24] ^ t1[(s2 >>> 16) & 0xFF] ^ t2[(s1 >>> 8) & 0xFF] ^ t3[s0 & 0xFF] ^ keys[k + 3];
+            s0 = r0 >>> 0; s1 = r1 >>> 0; s2 = r2 >>> 0; s3 = r3 >>> 0;
+        }
+
+        let k = this.rounds_ * 4;
+        out[0] = ((inv_sbox[s0 >>> 24] << 24) | (inv_sbox[(s3 >>> 16) & 0xFF] << 16) | (inv_sbox[(s2 >>> 8) & 0xFF] << 8) | inv_sbox[s1 & 0xFF]) ^ keys[k];
+        out[1] = ((inv_sbox[s1 >>> 24] << 24) | (inv_sbox[(s0 >>> 16) & 0xFF] << 16) | (inv_sbox[(s3 >>> 8) & 0xFF] << 8) | inv_sbox[s2 & 0xFF]) ^ keys[k + 1];
+        out[2] = ((inv_sbox[s2 >>> 24] << 24) | (inv_sbox[(s1 >>> 16) & 0xFF] << 16) | (inv_sbox[(s0 >>> 8) & 0xFF] << 8) | inv_sbox[s3 & 0xFF]) ^ keys[k + 2];
+        out[3] = ((inv_sbox[s3 >>> 24] << 24) | (inv_sbox[(s2 >>> 16) & 0xFF] << 16) | (inv_sbox[(s1 >>> 8) & 0xFF] << 8) | inv_sbox[s0 & 0xFF]) ^ keys[k + 3];
+    }
+
+    private readWord(data: Uint8Array, offset: number): number {
+        return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+    }
+
+    private writeWord(data: Uint8Array, offset: number, word: number): void {
+        data[offset] = word >>> 24;
+        data[offset + 1] = (word >>> 16) & 0xFF;
+        data[offset + 2] = (word >>> 8) & 0xFF;
+        data[offset + 3] = word & 0xFF;
+    }
+
+}